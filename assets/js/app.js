@@ -5,75 +5,67 @@ import {Socket} from "phoenix"
 import {LiveSocket} from "phoenix_live_view"
 import topbar from "../vendor/topbar"
 import TomSelect from "tom-select"
+import AttachmentUpload from "./hooks/attachment_upload"
+import AttachmentViewer from "./hooks/attachment_viewer"
+import AvatarEditor from "./hooks/avatar_editor"
+import CommandPalette from "./hooks/command_palette"
+import ContactImport from "./hooks/contact_import"
+import EventCalendar from "./hooks/event_calendar"
+import FormDraft from "./hooks/form_draft"
+import IcsExport from "./hooks/ics_export"
+import IcsImport from "./hooks/ics_import"
+import InfiniteScroll from "./hooks/infinite_scroll"
+import KeyboardShortcuts from "./hooks/keyboard_shortcuts"
+import LiveChanges from "./hooks/live_changes"
+import LocalTime from "./hooks/local_time"
+import LocationMap from "./hooks/location_map"
+import LocationPicker from "./hooks/location_picker"
+import MarkerMap from "./hooks/marker_map"
+import NoteEditor from "./hooks/note_editor"
+import NotificationSettings from "./hooks/notification_settings"
+import Outbox from "./hooks/outbox"
+import PlaceSearch from "./hooks/place_search"
+import QrScan from "./hooks/qr_scan"
+import QrShare from "./hooks/qr_share"
+import RelativeTime from "./hooks/relative_time"
+import UnsavedChanges from "./hooks/unsaved_changes"
+import VcardExport from "./hooks/vcard_export"
+import VirtualList from "./hooks/virtual_list"
+import {clearDraft} from "./lib/drafts"
+import {deliverLocalPush, showReminder} from "./lib/notifications"
+import {clearOfflineData, saveConnection} from "./lib/offline_store"
+import {captureWhileOffline, outboxItems} from "./lib/outbox"
+import {watchConnectivity} from "./lib/offline_view"
 
 // LiveView Hooks
 let Hooks = {}
 
-// Infinite scroll hook for loading more content
-Hooks.InfiniteScroll = {
-  mounted() {
-    this.observer = new IntersectionObserver(entries => {
-      const entry = entries[0]
-      if (entry.isIntersecting) {
-        this.pushEvent("load-more", {})
-      }
-    })
-    this.observer.observe(this.el)
-  },
-  destroyed() {
-    this.observer.disconnect()
-  }
-}
-
-// Local time display hook - converts UTC timestamps to local time
-Hooks.LocalTime = {
-  mounted() {
-    this.updated()
-  },
-  updated() {
-    const dt = new Date(this.el.textContent.trim())
-    if (!isNaN(dt)) {
-      this.el.textContent = dt.toLocaleString()
-      this.el.classList.remove("invisible")
-    }
-  }
-}
-
-// Relative time display (e.g., "2 hours ago")
-Hooks.RelativeTime = {
-  mounted() {
-    this.updated()
-    // Update every minute
-    this.timer = setInterval(() => this.updated(), 60000)
-  },
-  updated() {
-    const dt = new Date(this.el.dataset.datetime)
-    if (!isNaN(dt)) {
-      this.el.textContent = this.timeAgo(dt)
-    }
-  },
-  destroyed() {
-    clearInterval(this.timer)
-  },
-  timeAgo(date) {
-    const seconds = Math.floor((new Date() - date) / 1000)
-    const intervals = {
-      year: 31536000,
-      month: 2592000,
-      week: 604800,
-      day: 86400,
-      hour: 3600,
-      minute: 60
-    }
-    for (const [unit, secondsInUnit] of Object.entries(intervals)) {
-      const interval = Math.floor(seconds / secondsInUnit)
-      if (interval >= 1) {
-        return interval === 1 ? `1 ${unit} ago` : `${interval} ${unit}s ago`
-      }
-    }
-    return "just now"
-  }
-}
+Hooks.AttachmentUpload = AttachmentUpload
+Hooks.AttachmentViewer = AttachmentViewer
+Hooks.AvatarEditor = AvatarEditor
+Hooks.CommandPalette = CommandPalette
+Hooks.ContactImport = ContactImport
+Hooks.EventCalendar = EventCalendar
+Hooks.FormDraft = FormDraft
+Hooks.IcsExport = IcsExport
+Hooks.IcsImport = IcsImport
+Hooks.InfiniteScroll = InfiniteScroll
+Hooks.KeyboardShortcuts = KeyboardShortcuts
+Hooks.LiveChanges = LiveChanges
+Hooks.LocalTime = LocalTime
+Hooks.LocationMap = LocationMap
+Hooks.LocationPicker = LocationPicker
+Hooks.MarkerMap = MarkerMap
+Hooks.NoteEditor = NoteEditor
+Hooks.NotificationSettings = NotificationSettings
+Hooks.Outbox = Outbox
+Hooks.PlaceSearch = PlaceSearch
+Hooks.QrScan = QrScan
+Hooks.QrShare = QrShare
+Hooks.RelativeTime = RelativeTime
+Hooks.UnsavedChanges = UnsavedChanges
+Hooks.VcardExport = VcardExport
+Hooks.VirtualList = VirtualList
 
 // Focus input on mount
 Hooks.Focus = {
@@ -124,6 +116,8 @@ Hooks.SearchableSelect = {
           callback(reply.results)
         })
       },
+      // While the dropdown is open the modal doesn't close on click-away;
+      // UnsavedChanges reads this to keep dropdown-closing clicks from it
       onDropdownOpen() {
         if (focusWrap) {
           hook._savedClickAway = focusWrap.getAttribute("phx-click-away")
@@ -146,81 +140,6 @@ Hooks.SearchableSelect = {
   }
 }
 
-// Google Places Autocomplete hook for location inputs
-Hooks.PlacesAutocomplete = {
-  mounted() {
-    this.initAutocomplete()
-  },
-  initAutocomplete() {
-    if (typeof google === "undefined" || !google.maps || !google.maps.places) {
-      setTimeout(() => this.initAutocomplete(), 200)
-      return
-    }
-
-    const input = this.el.querySelector("input[data-places-input]")
-    if (!input) return
-
-    this.autocomplete = new google.maps.places.Autocomplete(input, {
-      types: ["establishment", "geocode"]
-    })
-
-    this.autocomplete.addListener("place_changed", () => {
-      const place = this.autocomplete.getPlace()
-      if (!place.geometry) return
-
-      this.pushEventTo(this.el, "place-selected", {
-        address: place.formatted_address || place.name,
-        place_id: place.place_id,
-        lat: place.geometry.location.lat(),
-        lng: place.geometry.location.lng()
-      })
-    })
-  },
-  destroyed() {
-    if (this.autocomplete) {
-      google.maps.event.clearInstanceListeners(this.autocomplete)
-    }
-  }
-}
-
-// Google Map display hook
-Hooks.GoogleMap = {
-  mounted() {
-    this.initMap()
-  },
-  updated() {
-    this.initMap()
-  },
-  initMap() {
-    if (typeof google === "undefined" || !google.maps) {
-      setTimeout(() => this.initMap(), 200)
-      return
-    }
-
-    const lat = parseFloat(this.el.dataset.lat)
-    const lng = parseFloat(this.el.dataset.lng)
-    if (isNaN(lat) || isNaN(lng)) return
-
-    const position = { lat, lng }
-
-    if (!this.map) {
-      this.map = new google.maps.Map(this.el, {
-        center: position,
-        zoom: 15,
-        disableDefaultUI: true,
-        zoomControl: true,
-        mapTypeControl: false,
-        streetViewControl: false,
-        fullscreenControl: false
-      })
-      this.marker = new google.maps.Marker({ position, map: this.map })
-    } else {
-      this.map.setCenter(position)
-      this.marker.setPosition(position)
-    }
-  }
-}
-
 let csrfToken = document.querySelector("meta[name='csrf-token']").getAttribute("content")
 let liveSocket = new LiveSocket("/live", Socket, {
   longPollFallbackMs: 2500,
@@ -233,8 +152,62 @@ topbar.config({barColors: {0: "#5046e5"}, shadowColor: "rgba(0, 0, 0, .3)"})
 window.addEventListener("phx:page-loading-start", _info => topbar.show(300))
 window.addEventListener("phx:page-loading-stop", _info => topbar.hide())
 
+// Keep viewed connections on the device for the offline view
+window.addEventListener("phx:cache-connection", e => {
+  saveConnection(e.detail).catch(() => {})
+})
+
+// A form's draft goes once the form is saved
+window.addEventListener("phx:clear-draft", e => clearDraft(e.detail.id))
+
+// Due reminders, as a native notification or an in-page toast
+window.addEventListener("phx:reminder-due", e => showReminder(e.detail))
+window.addEventListener("phx:local-push", e => deliverLocalPush(e.detail))
+
+// Changes made while disconnected are queued and sent on reconnect
+captureWhileOffline()
+
+// Signing out removes everything kept for offline use first. The click is
+// held back until that's done (or SIGN_OUT_WAIT_MS have passed), then sent
+// on to phoenix_html, which submits the sign-out request.
+const SIGN_OUT_WAIT_MS = 3000
+
+document.addEventListener("click", e => {
+  const link = e.target.closest("[data-clear-offline]")
+  if (!link || link.dataset.offlineCleared) return
+
+  e.preventDefault()
+  e.stopPropagation()
+
+  const queued = outboxItems().length
+  if (queued > 0 && !window.confirm(`${queued} change(s) made offline haven't been sent yet and will be lost. Sign out anyway?`)) {
+    return
+  }
+
+  const waited = new Promise(resolve => setTimeout(resolve, SIGN_OUT_WAIT_MS))
+  Promise.race([clearOfflineData(), waited])
+    .catch(() => {})
+    .then(() => {
+      link.dataset.offlineCleared = "true"
+      link.click()
+    })
+})
+
+// Whatever a sign out didn't get to, or one made elsewhere or by the session
+// expiring, goes on the next page rendered for nobody
+if (document.querySelector("meta[name='signed-out']")) {
+  clearOfflineData().catch(() => {})
+}
+
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {})
+  })
+}
+
 // connect if there are any LiveViews on the page
 liveSocket.connect()
+watchConnectivity(liveSocket)
 
 // expose liveSocket on window for web console debug logs and latency simulation:
 // >> liveSocket.enableDebug()
@@ -0,0 +1,224 @@
+import {checkAttachment, formatFileSize, resumableUpload} from "../lib/attachments"
+
+// Drop zone that uploads attachments to a connection
+//
+// Usage:
+//
+//     <div id="entity-attachment-upload" phx-hook="AttachmentUpload" phx-update="ignore"
+//          data-entity-id={@entity.id}
+//          data-types={Jason.encode!(AttachmentValidator.allowed_mime_types())}
+//          data-max-file-size={AttachmentValidator.max_file_size()}
+//          data-max-filename-length={AttachmentValidator.max_filename_length()}>
+//       <label data-attachment-drop>
+//         Drop files here
+//         <input type="file" multiple class="sr-only" data-attachment-file />
+//       </label>
+//       <ul data-attachment-queue></ul>
+//     </div>
+//
+// Files can also be pasted anywhere on the page outside a text field. Each
+// one is checked first (lib/attachments.js), then uploaded in resumable
+// chunks, PARALLEL_UPLOADS at a time, with its own progress bar and Cancel
+// button; images show a preview on the way. Once a file is stored the hook
+// sends "attachment-uploaded" ({id}) so the LiveView lists it.
+const PARALLEL_UPLOADS = 2
+const DROP_HIGHLIGHT = ["border-indigo-500", "bg-indigo-50"]
+
+const ROW_HTML = `
+  <div data-thumb class="flex h-10 w-10 flex-shrink-0 items-center justify-center overflow-hidden rounded bg-gray-100">
+    <span class="hero-document h-5 w-5 text-gray-400"></span>
+  </div>
+  <div class="min-w-0 flex-1">
+    <div class="flex items-baseline justify-between gap-2">
+      <p data-name class="truncate text-sm font-medium text-gray-900"></p>
+      <p data-size class="flex-shrink-0 text-xs text-gray-500"></p>
+    </div>
+    <div data-progress class="mt-1 h-1.5 w-full overflow-hidden rounded-full bg-gray-200">
+      <div data-bar class="h-1.5 rounded-full bg-indigo-600 transition-[width]" style="width: 0%"></div>
+    </div>
+    <p data-status class="mt-1 text-xs text-gray-500">Waiting…</p>
+  </div>
+  <div class="flex flex-shrink-0 items-center gap-2">
+    <button type="button" data-retry class="hidden text-xs font-medium text-indigo-600 hover:text-indigo-500">Retry</button>
+    <button type="button" data-cancel class="text-xs font-medium text-gray-500 hover:text-red-600">Cancel</button>
+  </div>
+`
+
+const AttachmentUpload = {
+  mounted() {
+    this.rules = {
+      types: JSON.parse(this.el.dataset.types),
+      maxFileSize: parseInt(this.el.dataset.maxFileSize, 10),
+      maxFilenameLength: parseInt(this.el.dataset.maxFilenameLength, 10)
+    }
+    this.drop = this.el.querySelector("[data-attachment-drop]")
+    this.input = this.el.querySelector("[data-attachment-file]")
+    this.queue = this.el.querySelector("[data-attachment-queue]")
+    this.items = []
+
+    this.drop.addEventListener("dragover", e => {
+      e.preventDefault()
+      this.drop.classList.add(...DROP_HIGHLIGHT)
+    })
+    this.drop.addEventListener("dragleave", () => this.drop.classList.remove(...DROP_HIGHLIGHT))
+    this.drop.addEventListener("drop", e => {
+      e.preventDefault()
+      this.drop.classList.remove(...DROP_HIGHLIGHT)
+      this.add(Array.from(e.dataTransfer.files))
+    })
+    this.input.addEventListener("change", () => {
+      this.add(Array.from(this.input.files))
+      this.input.value = ""
+    })
+
+    this.onPaste = e => {
+      // A paste into an open dialog, such as the connection form, is for it
+      if (isTyping(e.target) || !e.clipboardData || dialogOpen()) return
+      const files = Array.from(e.clipboardData.files)
+      if (files.length === 0) return
+      e.preventDefault()
+      this.add(files.map(pastedFile))
+    }
+    window.addEventListener("paste", this.onPaste)
+
+    this.queue.addEventListener("click", e => {
+      const row = e.target.closest("li")
+      const item = row && this.items.find(candidate => candidate.row === row)
+      if (!item) return
+      if (e.target.closest("[data-cancel]")) this.cancel(item)
+      else if (e.target.closest("[data-retry]")) this.retry(item)
+    })
+  },
+  destroyed() {
+    this.removed = true
+    window.removeEventListener("paste", this.onPaste)
+    this.items.forEach(item => {
+      if (item.upload) item.upload.cancel()
+      if (item.preview) URL.revokeObjectURL(item.preview)
+    })
+  },
+  add(files) {
+    files.forEach(file => {
+      const {mimeType, error} = checkAttachment(file, this.rules)
+      const {row, preview} = this.renderRow(file)
+      const item = {file, mimeType, row, preview}
+      this.items.push(item)
+
+      if (error) this.fail(item, error, {retry: false})
+      else this.setState(item, "waiting")
+    })
+    this.next()
+  },
+  // Starts waiting uploads while fewer than PARALLEL_UPLOADS are running
+  next() {
+    const running = this.items.filter(item => item.state === "uploading").length
+    this.items
+      .filter(item => item.state === "waiting")
+      .slice(0, Math.max(PARALLEL_UPLOADS - running, 0))
+      .forEach(item => this.start(item))
+  },
+  start(item) {
+    this.setState(item, "uploading")
+    item.upload = resumableUpload(item.file, {
+      entityId: this.el.dataset.entityId,
+      mimeType: item.mimeType,
+      onProgress: fraction => this.showProgress(item, fraction)
+    })
+
+    item.upload.done
+      .then(attachment => {
+        if (this.removed) return
+        this.pushEventTo(this.el, "attachment-uploaded", {id: attachment.id})
+        this.remove(item)
+      })
+      .catch(error => {
+        if (!this.removed && !error.cancelled) this.fail(item, error.messages.join(", "), {retry: true})
+      })
+      .then(() => {
+        item.upload = null
+        if (!this.removed) this.next()
+      })
+  },
+  cancel(item) {
+    if (item.upload) item.upload.cancel()
+    this.remove(item)
+    this.next()
+  },
+  retry(item) {
+    item.row.querySelector("[data-bar]").style.width = "0%"
+    this.setState(item, "waiting")
+    this.next()
+  },
+  remove(item) {
+    this.items = this.items.filter(candidate => candidate !== item)
+    if (item.preview) URL.revokeObjectURL(item.preview)
+    item.row.remove()
+  },
+  fail(item, message, {retry}) {
+    item.state = "failed"
+    const status = item.row.querySelector("[data-status]")
+    status.textContent = message
+    status.className = "mt-1 text-xs text-red-600"
+    item.row.querySelector("[data-progress]").classList.add("hidden")
+    item.row.querySelector("[data-retry]").classList.toggle("hidden", !retry)
+    item.row.querySelector("[data-cancel]").textContent = "Dismiss"
+  },
+  setState(item, state) {
+    item.state = state
+    const status = item.row.querySelector("[data-status]")
+    status.textContent = state === "waiting" ? "Waiting…" : "Uploading…"
+    status.className = "mt-1 text-xs text-gray-500"
+    item.row.querySelector("[data-progress]").classList.remove("hidden")
+    item.row.querySelector("[data-retry]").classList.add("hidden")
+    item.row.querySelector("[data-cancel]").textContent = "Cancel"
+  },
+  showProgress(item, fraction) {
+    const percent = Math.round(fraction * 100)
+    item.row.querySelector("[data-bar]").style.width = `${percent}%`
+    item.row.querySelector("[data-status]").textContent =
+      percent < 100 ? `Uploading… ${percent}%` : "Saving…"
+  },
+  renderRow(file) {
+    let preview = null
+    const row = document.createElement("li")
+    row.className = "flex items-center gap-3 rounded-md border border-gray-200 p-2"
+    row.innerHTML = ROW_HTML
+    row.querySelector("[data-name]").textContent = file.name
+    row.querySelector("[data-size]").textContent = formatFileSize(file.size)
+
+    if (/^image\//.test(file.type)) {
+      preview = URL.createObjectURL(file)
+      const image = document.createElement("img")
+      image.src = preview
+      image.alt = ""
+      image.className = "h-full w-full object-cover"
+      const thumb = row.querySelector("[data-thumb]")
+      thumb.replaceChildren(image)
+    }
+
+    this.queue.appendChild(row)
+    return {row, preview}
+  }
+}
+
+// Pasted screenshots are all called image.png; give them a name worth
+// keeping, within AttachmentValidator's characters
+function pastedFile(file) {
+  if (!/^image\.\w+$/.test(file.name)) return file
+
+  const stamp = new Date().toISOString().slice(0, 19).replace("T", " ").replace(/:/g, ".")
+  const extension = file.name.split(".").pop()
+  return new File([file], `Pasted image ${stamp}.${extension}`, {type: file.type})
+}
+
+function dialogOpen() {
+  return Array.from(document.querySelectorAll("[aria-modal=true]"))
+    .some(dialog => dialog.getClientRects().length > 0)
+}
+
+function isTyping(target) {
+  if (!(target instanceof Element)) return false
+  return target.isContentEditable || !!target.closest("input, textarea, select")
+}
+
+export default AttachmentUpload
@@ -0,0 +1,138 @@
+// Lightbox for the attachments listed inside the hook's element
+//
+// Usage:
+//
+//     <div id="entity-attachments" phx-hook="AttachmentViewer">
+//       <button data-attachment-view data-src="/attachments/1"
+//               data-download="/attachments/1?download=true"
+//               data-type="image/png" data-name="receipt.png">…</button>
+//     </div>
+//
+// Clicking an attachment opens it over the page: images as they are, PDFs
+// and text in the browser's own viewer. The arrow keys or the side buttons
+// step through the others; Escape, the close button or a click beside the
+// attachment closes it. The list is read again on every step, so it can
+// change under an open viewer.
+
+const VIEWER_HTML = `
+  <div class="flex items-center justify-between gap-4 px-4 py-3 text-white">
+    <p data-viewer-name class="min-w-0 truncate text-sm font-medium"></p>
+    <div class="flex flex-shrink-0 items-center gap-3">
+      <span data-viewer-count class="text-xs text-gray-300"></span>
+      <a data-viewer-download class="inline-flex items-center rounded-md px-2 py-1 text-sm hover:bg-white/10">
+        <span class="hero-arrow-down-tray mr-1.5 h-4 w-4"></span>
+        Download
+      </a>
+      <button type="button" data-viewer-close aria-label="Close" class="rounded-md p-1 hover:bg-white/10">
+        <span class="hero-x-mark h-6 w-6"></span>
+      </button>
+    </div>
+  </div>
+  <div data-viewer-backdrop class="relative flex min-h-0 flex-1 items-center justify-center px-16 pb-6">
+    <button type="button" data-viewer-step="-1" aria-label="Previous attachment"
+            class="absolute left-4 rounded-full bg-white/10 p-2 text-white hover:bg-white/20">
+      <span class="hero-chevron-left h-6 w-6"></span>
+    </button>
+    <div data-viewer-stage class="flex h-full w-full items-center justify-center"></div>
+    <button type="button" data-viewer-step="1" aria-label="Next attachment"
+            class="absolute right-4 rounded-full bg-white/10 p-2 text-white hover:bg-white/20">
+      <span class="hero-chevron-right h-6 w-6"></span>
+    </button>
+  </div>
+`
+
+const AttachmentViewer = {
+  mounted() {
+    this.el.addEventListener("click", e => {
+      const item = e.target.closest("[data-attachment-view]")
+      if (!item || !this.el.contains(item)) return
+      e.preventDefault()
+      this.open(item)
+    })
+
+    this.onKeydown = e => {
+      if (!this.viewer) return
+      if (e.key === "Escape") this.close()
+      else if (e.key === "ArrowLeft") this.step(-1)
+      else if (e.key === "ArrowRight") this.step(1)
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener("keydown", this.onKeydown)
+  },
+  destroyed() {
+    this.removed = true
+    window.removeEventListener("keydown", this.onKeydown)
+    this.close()
+  },
+  items() {
+    return Array.from(this.el.querySelectorAll("[data-attachment-view]"))
+  },
+  open(item) {
+    if (!this.viewer) {
+      this.returnFocus = document.activeElement
+      this.viewer = this.renderViewer()
+      document.body.appendChild(this.viewer)
+    }
+    this.show(item)
+    this.viewer.querySelector("[data-viewer-close]").focus()
+  },
+  close() {
+    if (!this.viewer) return
+    this.viewer.remove()
+    this.viewer = null
+    this.current = null
+    if (this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus()
+  },
+  step(delta) {
+    const items = this.items()
+    if (items.length === 0) return this.close()
+
+    const index = items.findIndex(item => item.dataset.src === this.current)
+    this.show(items[(Math.max(index, 0) + delta + items.length) % items.length])
+  },
+  show(item) {
+    const items = this.items()
+    const {src, download, type, name} = item.dataset
+    this.current = src
+
+    this.viewer.querySelector("[data-viewer-name]").textContent = name
+    this.viewer.querySelector("[data-viewer-count]").textContent =
+      items.length > 1 ? `${items.indexOf(item) + 1} of ${items.length}` : ""
+    this.viewer.querySelector("[data-viewer-download]").href = download
+    this.viewer.querySelectorAll("[data-viewer-step]").forEach(button => {
+      button.classList.toggle("hidden", items.length < 2)
+    })
+
+    let content
+    if (/^image\//.test(type)) {
+      content = document.createElement("img")
+      content.alt = name
+      content.className = "max-h-full max-w-full rounded object-contain shadow-lg"
+    } else {
+      content = document.createElement("iframe")
+      content.title = name
+      content.className = "h-full w-full max-w-4xl rounded bg-white shadow-lg"
+    }
+    content.src = src
+    this.viewer.querySelector("[data-viewer-stage]").replaceChildren(content)
+  },
+  renderViewer() {
+    const viewer = document.createElement("div")
+    viewer.className = "fixed inset-0 z-[60] flex flex-col bg-gray-900/90"
+    viewer.setAttribute("role", "dialog")
+    viewer.setAttribute("aria-modal", "true")
+    viewer.setAttribute("aria-label", "Attachment viewer")
+    viewer.innerHTML = VIEWER_HTML
+
+    viewer.addEventListener("click", e => {
+      const stepButton = e.target.closest("[data-viewer-step]")
+      if (stepButton) this.step(parseInt(stepButton.dataset.viewerStep, 10))
+      else if (e.target.closest("[data-viewer-close]")) this.close()
+      else if (e.target.matches("[data-viewer-backdrop], [data-viewer-stage]")) this.close()
+    })
+    return viewer
+  }
+}
+
+export default AttachmentViewer
@@ -0,0 +1,270 @@
+import {avatarElement} from "../lib/avatar"
+import {encodeImage, loadImage} from "../lib/images"
+
+// Picks, crops and shrinks a connection's photo
+//
+// Usage:
+//
+//     <div id="entity-avatar-editor" phx-hook="AvatarEditor" phx-update="ignore"
+//          phx-target={@myself} data-upload="avatar" data-name={@entity.name}>
+//       <div data-avatar-preview>…the current avatar…</div>
+//       <input type="file" accept="image/*" data-avatar-file />
+//       <button type="button" data-avatar-remove>Remove</button>
+//       <input type="hidden" name="entity[avatar_url]" data-avatar-value />
+//       <p data-avatar-error class="hidden"></p>
+//       <div data-avatar-cropper class="hidden"></div>
+//     </div>
+//     <.live_file_input upload={@uploads.avatar} />
+//
+// An image that is picked, dropped on the editor or pasted outside a text
+// field opens in a square cropper: drag it (or use the arrow keys) to move
+// it, zoom with the slider or the mouse wheel, rotate in quarter turns.
+// "Use photo" draws the crop at OUTPUT_SIZE pixels, re-encodes it with
+// lib/images.js, which leaves EXIF and its GPS position behind, and hands
+// it to the `data-upload` LiveView upload; the component stores it when
+// the form is saved. "Remove" clears the hidden avatar_url and sends
+// "avatar-removed" so a photo still waiting to go is dropped as well.
+
+// Photos are shrunk to this before cropping, to keep the cropper quick
+const WORKING_SIZE = 2048
+const OUTPUT_SIZE = 512
+// The cropper's size on screen, in CSS pixels
+const VIEW_SIZE = 288
+const MAX_ZOOM = 4
+const KEY_STEP = 10
+const DROP_HIGHLIGHT = ["ring-2", "ring-indigo-500", "rounded-lg"]
+
+const SECONDARY_BUTTON = "rounded-md bg-white px-3 py-1.5 text-sm font-semibold text-gray-900 ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+const PRIMARY_BUTTON = "rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-semibold text-white hover:bg-indigo-500 disabled:opacity-50"
+
+const CROPPER_HTML = `
+  <div class="mt-4 rounded-lg border border-gray-200 p-4">
+    <canvas data-crop-canvas tabindex="0" aria-label="Photo crop; drag or use the arrow keys to move it"
+            class="mx-auto block h-72 w-72 cursor-move touch-none rounded-lg bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"></canvas>
+    <div class="mt-3 flex items-center gap-3">
+      <span class="hero-magnifying-glass-minus h-4 w-4 text-gray-400"></span>
+      <input type="range" min="1" max="${MAX_ZOOM}" step="0.01" value="1" data-crop-zoom aria-label="Zoom"
+             class="flex-1 accent-indigo-600" />
+      <span class="hero-magnifying-glass-plus h-4 w-4 text-gray-400"></span>
+      <button type="button" data-crop-rotate title="Rotate" aria-label="Rotate"
+              class="rounded-md p-1 text-gray-500 hover:bg-gray-100 hover:text-gray-700">
+        <span class="hero-arrow-uturn-right h-5 w-5"></span>
+      </button>
+    </div>
+    <div class="mt-4 flex justify-end gap-2">
+      <button type="button" data-crop-cancel class="${SECONDARY_BUTTON}">Cancel</button>
+      <button type="button" data-crop-apply class="${PRIMARY_BUTTON}">Use photo</button>
+    </div>
+  </div>
+`
+
+const AvatarEditor = {
+  mounted() {
+    this.preview = this.el.querySelector("[data-avatar-preview]")
+    this.input = this.el.querySelector("[data-avatar-file]")
+    this.removeButton = this.el.querySelector("[data-avatar-remove]")
+    this.value = this.el.querySelector("[data-avatar-value]")
+    this.error = this.el.querySelector("[data-avatar-error]")
+    this.cropper = this.el.querySelector("[data-avatar-cropper]")
+
+    this.input.addEventListener("change", () => {
+      if (this.input.files.length > 0) this.open(this.input.files[0])
+      this.input.value = ""
+    })
+    this.removeButton.addEventListener("click", () => this.remove())
+
+    this.el.addEventListener("dragover", e => {
+      e.preventDefault()
+      this.el.classList.add(...DROP_HIGHLIGHT)
+    })
+    this.el.addEventListener("dragleave", () => this.el.classList.remove(...DROP_HIGHLIGHT))
+    this.el.addEventListener("drop", e => {
+      e.preventDefault()
+      this.el.classList.remove(...DROP_HIGHLIGHT)
+      const file = Array.from(e.dataTransfer.files).find(isImage)
+      if (file) this.open(file)
+    })
+
+    this.onPaste = e => {
+      if (isTyping(e.target) || !e.clipboardData) return
+      const file = Array.from(e.clipboardData.files).find(isImage)
+      if (!file) return
+      e.preventDefault()
+      this.open(file)
+    }
+    window.addEventListener("paste", this.onPaste)
+  },
+  destroyed() {
+    this.removed = true
+    window.removeEventListener("paste", this.onPaste)
+    if (this.previewUrl) URL.revokeObjectURL(this.previewUrl)
+  },
+  open(file) {
+    this.showError(null)
+    if (!isImage(file)) return this.showError(`${file.name} isn't an image.`)
+
+    loadImage(file, {maxSize: WORKING_SIZE})
+      .then(source => {
+        if (this.removed) return
+        this.source = source
+        this.zoom = 1
+        this.rotation = 0
+        this.offset = {x: 0, y: 0}
+        this.renderCropper()
+      })
+      .catch(() => this.showError(`${file.name} couldn't be opened. Try a JPEG, PNG or WebP image.`))
+  },
+  renderCropper() {
+    this.cropper.innerHTML = CROPPER_HTML
+    this.cropper.classList.remove("hidden")
+
+    const canvas = this.cropper.querySelector("[data-crop-canvas]")
+    const ratio = window.devicePixelRatio || 1
+    canvas.width = VIEW_SIZE * ratio
+    canvas.height = VIEW_SIZE * ratio
+    this.canvas = canvas
+    this.draw()
+
+    const zoom = this.cropper.querySelector("[data-crop-zoom]")
+    zoom.addEventListener("input", () => this.setZoom(parseFloat(zoom.value)))
+
+    canvas.addEventListener("wheel", e => {
+      e.preventDefault()
+      this.setZoom(this.zoom * (e.deltaY < 0 ? 1.05 : 1 / 1.05))
+      zoom.value = this.zoom
+    }, {passive: false})
+
+    canvas.addEventListener("pointerdown", e => {
+      canvas.setPointerCapture(e.pointerId)
+      this.dragFrom = {x: e.clientX, y: e.clientY}
+    })
+    canvas.addEventListener("pointermove", e => {
+      if (!this.dragFrom) return
+      this.move(e.clientX - this.dragFrom.x, e.clientY - this.dragFrom.y)
+      this.dragFrom = {x: e.clientX, y: e.clientY}
+    })
+    canvas.addEventListener("pointerup", () => { this.dragFrom = null })
+    canvas.addEventListener("pointercancel", () => { this.dragFrom = null })
+    canvas.addEventListener("keydown", e => {
+      const steps = {ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1]}
+      if (!steps[e.key]) return
+      e.preventDefault()
+      this.move(steps[e.key][0] * KEY_STEP, steps[e.key][1] * KEY_STEP)
+    })
+
+    this.cropper.querySelector("[data-crop-rotate]").addEventListener("click", () => {
+      this.rotation = (this.rotation + 1) % 4
+      this.move(0, 0)
+    })
+    this.cropper.querySelector("[data-crop-cancel]").addEventListener("click", () => this.closeCropper())
+    this.cropper.querySelector("[data-crop-apply]").addEventListener("click", e => this.apply(e.currentTarget))
+    canvas.focus()
+  },
+  closeCropper() {
+    this.cropper.classList.add("hidden")
+    this.cropper.replaceChildren()
+    this.source = null
+    this.canvas = null
+  },
+  setZoom(zoom) {
+    this.zoom = Math.min(Math.max(zoom, 1), MAX_ZOOM)
+    this.move(0, 0)
+  },
+  // Moves the photo, keeping the crop square covered
+  move(dx, dy) {
+    const {width, height} = this.turnedSize()
+    const scale = this.scaleFor(VIEW_SIZE)
+    const maxX = Math.max(0, (width * scale - VIEW_SIZE) / 2)
+    const maxY = Math.max(0, (height * scale - VIEW_SIZE) / 2)
+    this.offset = {
+      x: Math.min(Math.max(this.offset.x + dx, -maxX), maxX),
+      y: Math.min(Math.max(this.offset.y + dy, -maxY), maxY)
+    }
+    this.draw()
+  },
+  draw() {
+    const context = this.canvas.getContext("2d")
+    this.render(context, this.canvas.width)
+
+    // Dim what falls outside the round avatar
+    const size = this.canvas.width
+    context.save()
+    context.fillStyle = "rgba(17, 24, 39, 0.5)"
+    context.beginPath()
+    context.rect(0, 0, size, size)
+    context.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2)
+    context.fill("evenodd")
+    context.restore()
+  },
+  // Draws the crop onto a `size` pixel square
+  render(context, size) {
+    const ratio = size / VIEW_SIZE
+    context.save()
+    context.fillStyle = "#fff"
+    context.fillRect(0, 0, size, size)
+    context.imageSmoothingQuality = "high"
+    context.translate(size / 2 + this.offset.x * ratio, size / 2 + this.offset.y * ratio)
+    context.rotate(this.rotation * Math.PI / 2)
+    const scale = this.scaleFor(size)
+    context.scale(scale, scale)
+    context.drawImage(this.source, -this.source.width / 2, -this.source.height / 2)
+    context.restore()
+  },
+  // At zoom 1 the photo's short side fills the square
+  scaleFor(size) {
+    const {width, height} = this.turnedSize()
+    return size / Math.min(width, height) * this.zoom
+  },
+  turnedSize() {
+    const {width, height} = this.source
+    return this.rotation % 2 === 1 ? {width: height, height: width} : {width, height}
+  },
+  apply(button) {
+    button.disabled = true
+    const output = document.createElement("canvas")
+    output.width = OUTPUT_SIZE
+    output.height = OUTPUT_SIZE
+    this.render(output.getContext("2d"), OUTPUT_SIZE)
+
+    encodeImage(output)
+      .then(blob => {
+        if (this.removed) return
+        const extension = blob.type === "image/webp" ? "webp" : "jpg"
+        const file = new File([blob], `avatar.${extension}`, {type: blob.type})
+        this.uploadTo(this.el, this.el.dataset.upload, [file])
+
+        if (this.previewUrl) URL.revokeObjectURL(this.previewUrl)
+        this.previewUrl = URL.createObjectURL(blob)
+        this.showAvatar(this.previewUrl)
+        this.closeCropper()
+      })
+      .catch(() => {
+        button.disabled = false
+        this.showError("The photo couldn't be prepared. Try another image.")
+      })
+  },
+  remove() {
+    this.value.value = ""
+    this.showAvatar(null)
+    this.pushEventTo(this.el, "avatar-removed", {})
+  },
+  showAvatar(src) {
+    this.preview.replaceChildren(avatarElement(this.el.dataset.name, src, "h-16 w-16 text-lg"))
+    this.removeButton.classList.toggle("hidden", !src)
+  },
+  showError(message) {
+    this.error.textContent = message || ""
+    this.error.classList.toggle("hidden", !message)
+  }
+}
+
+function isImage(file) {
+  return /^image\//.test(file.type)
+}
+
+function isTyping(target) {
+  if (!(target instanceof Element)) return false
+  return target.isContentEditable || !!target.closest("input, textarea, select")
+}
+
+export default AvatarEditor
@@ -0,0 +1,210 @@
+import {fuzzyFilter, fuzzyScore} from "../lib/fuzzy"
+
+const SEARCH_DEBOUNCE_MS = 150
+const MAX_ACTIONS = 6
+
+const ACTIONS = [
+  {label: "New connection", icon: "hero-user-plus", href: "/connections/new", keywords: "add person contact create"},
+  {label: "New reminder", icon: "hero-bell", href: "/reminders/new", keywords: "add create"},
+  {label: "New event", icon: "hero-calendar-days", href: "/events/new", keywords: "add create"},
+  {label: "New gift", icon: "hero-gift", href: "/gifts/new", keywords: "add create"},
+  {label: "Go to Dashboard", icon: "hero-home", href: "/", keywords: "home"},
+  {label: "Go to Connections", icon: "hero-link", href: "/connections", keywords: "people contacts"},
+  {label: "Go to Reminders", icon: "hero-bell", href: "/reminders", keywords: ""},
+  {label: "Go to Events", icon: "hero-calendar-days", href: "/events", keywords: "calendar"},
+  {label: "Go to Gifts", icon: "hero-gift", href: "/gifts", keywords: ""},
+  {label: "Go to Settings › Integrations", icon: "hero-cog-6-tooth", href: "/settings/integrations", keywords: "google icloud linkedin sync"},
+  {label: "Go to Settings › Account", icon: "hero-cog-6-tooth", href: "/settings/account", keywords: "profile"}
+]
+
+const isMac = /Mac|iPhone|iPad/.test(navigator.platform)
+
+// Global Cmd/Ctrl+K command palette
+//
+// Mounted once in the app layout. Actions are matched client-side; connection
+// names are searched on the server through ConeziaWeb.CommandPalette, which is
+// attached to every authenticated LiveView.
+const CommandPalette = {
+  mounted() {
+    this.input = this.el.querySelector("[data-palette-input]")
+    this.list = this.el.querySelector("[data-palette-results]")
+    this.empty = this.el.querySelector("[data-palette-empty]")
+    this.items = []
+    this.connections = []
+    this.active = 0
+    this.searchRef = 0
+
+    const hint = document.querySelector("[data-command-palette-hint]")
+    if (hint && isMac) hint.textContent = "⌘K"
+
+    // Editors with their own Ctrl/Cmd+K (NoteEditor's link) take it first
+    this.onWindowKeydown = e => {
+      if (e.defaultPrevented) return
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault()
+        this.isOpen() ? this.close() : this.open()
+      }
+    }
+    this.onOpen = () => this.open()
+
+    window.addEventListener("keydown", this.onWindowKeydown)
+    window.addEventListener("phx:open-command-palette", this.onOpen)
+
+    this.input.addEventListener("input", () => this.search(this.input.value))
+    this.input.addEventListener("keydown", e => this.onInputKeydown(e))
+    this.el.addEventListener("click", e => {
+      if (!e.target.closest("[data-palette-panel]")) this.close()
+    })
+    this.list.addEventListener("click", e => {
+      const option = e.target.closest("[data-index]")
+      if (option) this.run(this.items[parseInt(option.dataset.index, 10)])
+    })
+    this.list.addEventListener("mousemove", e => {
+      const option = e.target.closest("[data-index]")
+      if (option) this.setActive(parseInt(option.dataset.index, 10))
+    })
+  },
+  destroyed() {
+    window.removeEventListener("keydown", this.onWindowKeydown)
+    window.removeEventListener("phx:open-command-palette", this.onOpen)
+    clearTimeout(this.searchTimer)
+  },
+  isOpen() {
+    return !this.el.classList.contains("hidden")
+  },
+  open() {
+    if (this.isOpen()) return
+    this.returnFocus = document.activeElement
+    this.el.classList.remove("hidden")
+    this.input.value = ""
+    this.search("")
+    this.input.focus()
+  },
+  close() {
+    if (!this.isOpen()) return
+    clearTimeout(this.searchTimer)
+    this.searchRef++
+    this.el.classList.add("hidden")
+    if (this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus()
+  },
+  run(item) {
+    if (!item) return
+    this.close()
+    this.js().navigate(item.href)
+  },
+  search(query) {
+    this.query = query.trim()
+    this.connections = []
+    this.render()
+
+    clearTimeout(this.searchTimer)
+    if (!this.query) return
+
+    const ref = ++this.searchRef
+    this.searchTimer = setTimeout(() => {
+      this.pushEvent("command-palette-search", {query: this.query}, reply => {
+        // Ignore replies for queries the user has already typed past
+        if (ref !== this.searchRef || !this.isOpen()) return
+        this.connections = reply.results || []
+        this.render()
+      })
+    }, SEARCH_DEBOUNCE_MS)
+  },
+  render() {
+    const actions = this.query
+      ? fuzzyFilter(this.query, ACTIONS, a => `${a.label} ${a.keywords}`).slice(0, MAX_ACTIONS)
+      : ACTIONS
+
+    // The server has already filtered connections; rank the best name
+    // matches first but keep the rest (they may match on description).
+    const connections = this.connections
+      .map(c => ({
+        label: c.name,
+        detail: c.description || c.type,
+        icon: c.type === "organization" ? "hero-building-office" : "hero-user",
+        href: `/connections/${c.id}`,
+        score: fuzzyScore(this.query, c.name) || 0
+      }))
+      .sort((a, b) => b.score - a.score)
+
+    this.items = [...connections, ...actions]
+    this.active = 0
+    this.list.replaceChildren()
+
+    if (connections.length > 0) this.renderSection("Connections", connections, 0)
+    if (actions.length > 0) this.renderSection("Actions", actions, connections.length)
+
+    this.empty.classList.toggle("hidden", this.items.length > 0)
+    this.list.classList.toggle("hidden", this.items.length === 0)
+    this.setActive(0)
+  },
+  renderSection(title, items, offset) {
+    const heading = document.createElement("li")
+    heading.className = "px-4 pb-1 pt-2 text-xs font-semibold text-gray-500"
+    heading.setAttribute("role", "presentation")
+    heading.textContent = title
+    this.list.appendChild(heading)
+
+    items.forEach((item, i) => {
+      const option = document.createElement("li")
+      option.id = `command-palette-option-${offset + i}`
+      option.dataset.index = offset + i
+      option.setAttribute("role", "option")
+      option.className = "flex cursor-pointer select-none items-center gap-x-3 px-4 py-2 aria-selected:bg-indigo-600 aria-selected:text-white"
+
+      const icon = document.createElement("span")
+      icon.className = `${item.icon} h-5 w-5 flex-none opacity-60`
+      const label = document.createElement("span")
+      label.className = "flex-auto truncate"
+      label.textContent = item.label
+      option.append(icon, label)
+
+      if (item.detail) {
+        const detail = document.createElement("span")
+        detail.className = "ml-2 flex-none truncate text-xs opacity-60 max-w-[40%]"
+        detail.textContent = item.detail
+        option.appendChild(detail)
+      }
+
+      this.list.appendChild(option)
+    })
+  },
+  setActive(index) {
+    if (this.items.length === 0) return
+    this.active = (index + this.items.length) % this.items.length
+
+    this.list.querySelectorAll("[role=option]").forEach(option => {
+      option.setAttribute("aria-selected", option.dataset.index == this.active ? "true" : "false")
+    })
+
+    const current = this.list.querySelector(`[data-index="${this.active}"]`)
+    if (current) {
+      this.input.setAttribute("aria-activedescendant", current.id)
+      current.scrollIntoView({block: "nearest"})
+    }
+  },
+  onInputKeydown(e) {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        this.setActive(this.active + 1)
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        this.setActive(this.active - 1)
+        break
+      case "Enter":
+        e.preventDefault()
+        this.run(this.items[this.active])
+        break
+      case "Escape":
+        // Keep the keypress from also closing a modal underneath
+        e.preventDefault()
+        e.stopPropagation()
+        this.close()
+        break
+    }
+  }
+}
+
+export default CommandPalette
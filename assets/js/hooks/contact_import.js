@@ -0,0 +1,429 @@
+import {TARGETS, contactRow, guessMapping, parseContacts} from "../lib/contacts"
+
+// Wizard that imports connections from a vCard or CSV file
+//
+// Usage:
+//
+//     <div id="contact-import" phx-hook="ContactImport" phx-update="ignore"
+//       data-api-token={@api_token} data-max-file-size="10485760" data-max-records="10000">
+//       <label data-import-drop>
+//         Drop a .vcf or .csv file here
+//         <input type="file" accept=".vcf,.csv" class="sr-only" data-import-file />
+//       </label>
+//       <div data-import-step class="hidden"></div>
+//     </div>
+//
+// The file is parsed in the browser (lib/contacts.js) and the user maps its
+// columns to connection fields. The first PREVIEW_ROWS rows are checked with
+// "contact-import-preview" ({source, mapping, total, rows} → {errors, rows})
+// and against GET /api/v1/entities/duplicates, which takes data-api-token.
+// Only the preview asks the API: it is rate limited. The import itself goes
+// over the socket: "contact-import-start" ({source, total} → {chunk_size}),
+// then "contact-import-chunk" ({rows, offset, skip_duplicates} → {created,
+// skipped, failed}) until every row is sent, then "contact-import-finish".
+const PREVIEW_ROWS = 5
+const MAX_FAILURES_SHOWN = 50
+const DROP_HIGHLIGHT = ["border-indigo-500", "bg-indigo-50"]
+
+const SECONDARY_BUTTON = "rounded-md bg-white px-3 py-1.5 text-sm font-semibold text-gray-900 ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+const PRIMARY_BUTTON = "rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-semibold text-white hover:bg-indigo-500 disabled:opacity-50"
+
+const ContactImport = {
+  mounted() {
+    this.token = this.el.dataset.apiToken
+    this.maxFileSize = parseInt(this.el.dataset.maxFileSize, 10)
+    this.maxRecords = parseInt(this.el.dataset.maxRecords, 10)
+    this.drop = this.el.querySelector("[data-import-drop]")
+    this.input = this.el.querySelector("[data-import-file]")
+    this.step = this.el.querySelector("[data-import-step]")
+
+    this.drop.addEventListener("dragover", e => {
+      e.preventDefault()
+      this.drop.classList.add(...DROP_HIGHLIGHT)
+    })
+    this.drop.addEventListener("dragleave", () => this.drop.classList.remove(...DROP_HIGHLIGHT))
+    this.drop.addEventListener("drop", e => {
+      e.preventDefault()
+      this.drop.classList.remove(...DROP_HIGHLIGHT)
+      if (e.dataTransfer.files.length > 0) this.read(e.dataTransfer.files[0])
+    })
+    this.input.addEventListener("change", () => {
+      if (this.input.files.length > 0) this.read(this.input.files[0])
+      this.input.value = ""
+    })
+
+    this.step.addEventListener("click", e => {
+      if (e.target.closest("[data-import-cancel]")) this.reset()
+      else if (e.target.closest("[data-import-back]")) this.showMapping()
+      else if (e.target.closest("[data-import-preview]")) this.preview()
+      else if (e.target.closest("[data-import-start]")) this.import()
+      else if (e.target.closest("[data-import-stop]")) this.stopped = true
+    })
+  },
+  destroyed() {
+    this.removed = true
+  },
+  read(file) {
+    if (!/\.(vcf|vcard|csv|txt)$/i.test(file.name) && !["text/vcard", "text/x-vcard", "text/csv"].includes(file.type)) {
+      return this.showMessage(`${file.name} isn't a vCard or CSV file.`)
+    }
+    if (file.size > this.maxFileSize) {
+      return this.showMessage(`${file.name} is larger than ${Math.floor(this.maxFileSize / 1048576)} MB.`)
+    }
+
+    file.text()
+      .then(text => {
+        const table = parseContacts(text, file.name)
+        if (table.rows.length === 0) return this.showMessage(`No contacts found in ${file.name}.`)
+        if (table.rows.length > this.maxRecords) {
+          return this.showMessage(`${file.name} has ${table.rows.length} contacts; up to ${this.maxRecords} can be imported at once.`)
+        }
+
+        this.fileName = file.name
+        this.table = table
+        this.mapping = guessMapping(table.columns)
+        this.skipDuplicates = true
+        this.showMapping()
+      })
+      .catch(() => this.showMessage(`${file.name} couldn't be read.`))
+  },
+  showMapping() {
+    const {columns, rows} = this.table
+
+    const panel = this.panel(
+      `${this.countLabel(rows.length)} in ${this.fileName}`,
+      "Choose where each column goes. Columns set to \"Don't import\" are left out."
+    )
+
+    const table = document.createElement("table")
+    table.className = "min-w-full divide-y divide-gray-200 text-sm"
+    table.innerHTML = `
+      <thead class="bg-gray-50 text-left text-xs font-medium uppercase tracking-wide text-gray-500">
+        <tr><th class="px-4 py-2">Column</th><th class="px-4 py-2">Example</th><th class="px-4 py-2">Import as</th></tr>
+      </thead>
+      <tbody class="divide-y divide-gray-100"></tbody>
+    `
+    const body = table.querySelector("tbody")
+
+    columns.forEach((column, index) => {
+      const tr = document.createElement("tr")
+
+      const name = document.createElement("td")
+      name.className = "whitespace-nowrap px-4 py-2 font-medium text-gray-900"
+      name.textContent = column
+
+      const example = document.createElement("td")
+      example.className = "max-w-[12rem] truncate px-4 py-2 text-gray-500"
+      const sample = rows.slice(0, 20).map(cells => (cells[index] || "").trim()).find(value => value)
+      example.textContent = sample || "—"
+      example.title = sample || ""
+
+      const target = document.createElement("td")
+      target.className = "px-4 py-2"
+      const select = document.createElement("select")
+      select.className = "block w-full rounded-md border-gray-300 py-1 text-sm focus:border-indigo-500 focus:ring-indigo-500"
+      select.dataset.importColumn = index
+      select.setAttribute("aria-label", `Import ${column} as`)
+      TARGETS.forEach(({value, label}) => {
+        const option = document.createElement("option")
+        option.value = value
+        option.textContent = label
+        option.selected = this.mapping[index] === value
+        select.appendChild(option)
+      })
+      target.appendChild(select)
+
+      tr.append(name, example, target)
+      body.appendChild(tr)
+    })
+
+    const scroller = document.createElement("div")
+    scroller.className = "max-h-80 overflow-y-auto"
+    scroller.appendChild(table)
+    panel.appendChild(scroller)
+
+    const option = document.createElement("label")
+    option.className = "flex items-center gap-2 border-t border-gray-200 px-4 py-3 text-sm text-gray-700"
+    option.innerHTML = `
+      <input type="checkbox" data-import-skip-duplicates
+        class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+      Skip contacts whose email or phone is already in Conezia
+    `
+    option.querySelector("input").checked = this.skipDuplicates
+    panel.appendChild(option)
+
+    panel.appendChild(this.footer(`
+      <button type="button" data-import-cancel class="${SECONDARY_BUTTON}">Cancel</button>
+      <button type="button" data-import-preview class="${PRIMARY_BUTTON}">Preview</button>
+    `))
+
+    this.show(panel)
+  },
+  readMapping() {
+    this.step.querySelectorAll("[data-import-column]").forEach(select => {
+      this.mapping[parseInt(select.dataset.importColumn, 10)] = select.value
+    })
+    this.skipDuplicates = this.step.querySelector("[data-import-skip-duplicates]").checked
+  },
+  preview() {
+    this.readMapping()
+    this.step.querySelectorAll("button, select, input").forEach(control => { control.disabled = true })
+
+    const {columns, rows, source} = this.table
+    const previewRows = rows.slice(0, PREVIEW_ROWS).map(cells => contactRow(columns, this.mapping, cells))
+
+    // The server checks the mapping by the targets it uses
+    const mapping = {}
+    this.mapping.forEach((target, index) => { if (target) mapping[index] = target })
+
+    const checked = new Promise(resolve => {
+      this.pushEvent("contact-import-preview", {source, mapping, total: rows.length, rows: previewRows}, resolve)
+    })
+
+    Promise.all([checked, Promise.all(previewRows.map(row => this.findDuplicates(row)))])
+      .then(([reply, duplicates]) => {
+        if (!this.removed) this.showPreview(previewRows, reply, duplicates)
+      })
+  },
+  // Connections that look like this row, from the duplicates API
+  findDuplicates(row) {
+    const email = row.identifiers.find(identifier => identifier.type === "email")
+    const phone = row.identifiers.find(identifier => identifier.type === "phone")
+    const params = new URLSearchParams()
+    if (row.name) params.set("name", row.name)
+    if (email) params.set("email", email.value.toLowerCase())
+    if (phone) params.set("phone", phone.value)
+    if ([...params.keys()].length === 0 || !this.token) return Promise.resolve([])
+
+    return fetch(`/api/v1/entities/duplicates?${params}`, {
+      headers: {accept: "application/json", authorization: `Bearer ${this.token}`}
+    })
+      .then(response => response.ok ? response.json() : {data: {matches: []}})
+      .then(({data}) => (data.matches || []).sort((a, b) => b.confidence - a.confidence))
+      .catch(() => [])
+  },
+  showPreview(rows, {errors, rows: rowErrors}, duplicates) {
+    const total = this.table.rows.length
+    const panel = this.panel(
+      `Preview of ${this.countLabel(total)}`,
+      total > rows.length ? `The first ${rows.length} as they'll be imported.` : "As they'll be imported."
+    )
+
+    if (errors.length > 0) {
+      const problems = document.createElement("div")
+      problems.className = "border-b border-red-100 bg-red-50 px-4 py-3 text-sm text-red-700"
+      problems.setAttribute("role", "alert")
+      const list = document.createElement("ul")
+      list.className = "list-disc pl-5"
+      errors.forEach(error => {
+        const item = document.createElement("li")
+        item.textContent = error
+        list.appendChild(item)
+      })
+      problems.appendChild(list)
+      panel.appendChild(problems)
+    }
+
+    const list = document.createElement("ul")
+    list.setAttribute("role", "list")
+    list.className = "max-h-80 divide-y divide-gray-100 overflow-y-auto"
+
+    rows.forEach((row, index) => {
+      const item = document.createElement("li")
+      item.className = "px-4 py-3"
+
+      const name = document.createElement("p")
+      name.className = "text-sm font-medium text-gray-900"
+      name.textContent = row.name || "No name"
+
+      const details = document.createElement("p")
+      details.className = "truncate text-xs text-gray-500"
+      details.textContent = [
+        ...row.identifiers.map(identifier => identifier.value),
+        ...row.custom_fields.map(field => `${field.name}: ${field.value}`)
+      ].join(" · ")
+
+      item.append(name, details)
+
+      const problems = rowErrors[index] || []
+      if (problems.length > 0) {
+        const problemList = document.createElement("ul")
+        problemList.className = "mt-1 list-disc pl-5 text-xs text-red-600"
+        problems.forEach(problem => {
+          const entry = document.createElement("li")
+          entry.textContent = problem
+          problemList.appendChild(entry)
+        })
+        item.appendChild(problemList)
+      }
+
+      const match = duplicates[index][0]
+      if (match) {
+        const note = document.createElement("p")
+        note.className = "mt-1 text-xs text-amber-700"
+        note.append(match.match_type === "name_similar" ? "Similar to " : "Already in Conezia as ")
+        const link = document.createElement("a")
+        link.href = `/connections/${match.id}`
+        link.target = "_blank"
+        link.className = "font-medium underline"
+        link.textContent = match.name
+        note.appendChild(link)
+        if (match.match_type !== "name_similar" && this.skipDuplicates) note.append(" — will be skipped")
+        item.appendChild(note)
+      }
+
+      list.appendChild(item)
+    })
+    panel.appendChild(list)
+
+    const start = `Import ${this.countLabel(total)}`
+    panel.appendChild(this.footer(`
+      <button type="button" data-import-back class="${SECONDARY_BUTTON}">Back</button>
+      <button type="button" data-import-start class="${PRIMARY_BUTTON}" ${errors.length > 0 ? "disabled" : ""}>${start}</button>
+    `))
+
+    this.show(panel)
+  },
+  import() {
+    const {columns, rows, source} = this.table
+    const total = rows.length
+    this.stopped = false
+
+    const panel = this.panel(`Importing ${this.countLabel(total)}`, this.fileName)
+    const progress = document.createElement("div")
+    progress.className = "px-4 py-4"
+    progress.innerHTML = `
+      <div class="h-2 overflow-hidden rounded-full bg-gray-200" role="progressbar" aria-valuemin="0" data-import-progress>
+        <div class="h-2 rounded-full bg-indigo-600 transition-all" style="width: 0%"></div>
+      </div>
+      <p class="mt-2 text-xs text-gray-500" aria-live="polite" data-import-status></p>
+    `
+    panel.appendChild(progress)
+    panel.appendChild(this.footer(`<button type="button" data-import-stop class="${SECONDARY_BUTTON}">Stop</button>`))
+    this.show(panel)
+
+    const bar = panel.querySelector("[data-import-progress]")
+    const status = panel.querySelector("[data-import-status]")
+    bar.setAttribute("aria-valuemax", total)
+
+    const totals = {created: 0, skipped: 0, failed: []}
+    const setProgress = done => {
+      bar.setAttribute("aria-valuenow", done)
+      bar.firstElementChild.style.width = `${Math.round(done / total * 100)}%`
+      status.textContent = `${done} of ${total}`
+    }
+    const finish = () => {
+      this.pushEvent("contact-import-finish", {}, () => {
+        if (!this.removed) this.showSummary(totals, total)
+      })
+    }
+
+    this.pushEvent("contact-import-start", {source, total}, reply => {
+      if (this.removed) return
+      if (reply.error) return this.showMessage(reply.error)
+
+      const next = offset => {
+        if (this.removed) return
+        if (offset >= total || this.stopped) return finish()
+
+        setProgress(offset)
+        const chunk = rows.slice(offset, offset + reply.chunk_size).map(cells => contactRow(columns, this.mapping, cells))
+        this.pushEvent("contact-import-chunk", {rows: chunk, offset, skip_duplicates: this.skipDuplicates}, result => {
+          if (result.error) return this.showMessage(result.error)
+
+          totals.created += result.created
+          totals.skipped += result.skipped
+          totals.failed.push(...result.failed)
+          setProgress(Math.min(offset + reply.chunk_size, total))
+          next(offset + reply.chunk_size)
+        })
+      }
+
+      next(0)
+    })
+  },
+  showSummary({created, skipped, failed}, total) {
+    const lines = [`Imported ${this.countLabel(created, "connection")}.`]
+    const done = created + skipped + failed.length
+    if (skipped > 0) lines.push(`${skipped} skipped because ${skipped === 1 ? "it was" : "they were"} already in Conezia.`)
+    if (done < total) lines.push(`Stopped before the last ${total - done}.`)
+    if (failed.length > 0) lines.push(`${failed.length} couldn't be imported:`)
+
+    const errors = failed.slice(0, MAX_FAILURES_SHOWN).map(({row, name, errors}) => {
+      return `Contact ${row + 1}${name ? ` (${name})` : ""}: ${errors.join("; ")}`
+    })
+    if (failed.length > MAX_FAILURES_SHOWN) errors.push(`…and ${failed.length - MAX_FAILURES_SHOWN} more`)
+
+    this.table = null
+    this.showMessage(lines.join(" "), errors, {done: true})
+  },
+  showMessage(text, details = [], {done = false} = {}) {
+    const panel = document.createElement("div")
+    panel.className = "rounded-lg bg-white px-4 py-3 text-sm text-gray-700 shadow ring-1 ring-gray-200"
+    panel.setAttribute("role", "status")
+
+    const message = document.createElement("p")
+    message.textContent = text
+    panel.appendChild(message)
+
+    if (details.length > 0) {
+      const list = document.createElement("ul")
+      list.className = "mt-1 max-h-60 list-disc overflow-y-auto pl-5 text-xs text-red-600"
+      details.forEach(detail => {
+        const item = document.createElement("li")
+        item.textContent = detail
+        list.appendChild(item)
+      })
+      panel.appendChild(list)
+    }
+
+    // After an import, Done closes the wizard; otherwise the user can pick another file
+    const actions = document.createElement("div")
+    actions.className = "mt-3 flex justify-end"
+    actions.innerHTML = done
+      ? `<a href="/connections" data-phx-link="patch" data-phx-link-state="push" class="${PRIMARY_BUTTON}">Done</a>`
+      : `<button type="button" data-import-cancel class="${SECONDARY_BUTTON}">Choose another file</button>`
+    panel.appendChild(actions)
+
+    this.show(panel)
+  },
+  reset() {
+    this.table = null
+    this.step.replaceChildren()
+    this.step.classList.add("hidden")
+    this.drop.classList.remove("hidden")
+  },
+  show(panel) {
+    this.step.replaceChildren(panel)
+    this.step.classList.remove("hidden")
+    this.drop.classList.add("hidden")
+  },
+  panel(title, subtitle) {
+    const panel = document.createElement("div")
+    panel.className = "rounded-lg bg-white shadow ring-1 ring-gray-200"
+
+    const heading = document.createElement("div")
+    heading.className = "border-b border-gray-200 px-4 py-3"
+    const h3 = document.createElement("h3")
+    h3.className = "text-sm font-semibold text-gray-900"
+    h3.textContent = title
+    const p = document.createElement("p")
+    p.className = "mt-1 text-xs text-gray-500"
+    p.textContent = subtitle
+    heading.append(h3, p)
+    panel.appendChild(heading)
+
+    return panel
+  },
+  footer(buttons) {
+    const footer = document.createElement("div")
+    footer.className = "flex items-center justify-end gap-2 border-t border-gray-200 px-4 py-3"
+    footer.innerHTML = buttons
+    return footer
+  },
+  countLabel(count, noun = "contact") {
+    return `${count} ${count === 1 ? noun : `${noun}s`}`
+  }
+}
+
+export default ContactImport
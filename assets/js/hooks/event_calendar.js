@@ -0,0 +1,658 @@
+import {
+  DAY_MS,
+  dayDate,
+  dayParts,
+  dayTime,
+  layoutBars,
+  layoutDay,
+  placeEvent,
+  shiftDays,
+  shiftFocus,
+  startOfWeek,
+  today,
+  viewRange
+} from "../lib/calendar"
+import {resolveLocale, resolveTimeZone, wallClock} from "../lib/locale"
+
+// Month, week and day calendar of events, with drag-and-drop rescheduling
+//
+// Usage:
+//
+//     <div id="events-calendar" phx-hook="EventCalendar" phx-update="ignore"></div>
+//
+// The hook asks the LiveView for the events it shows with "calendar-events"
+// ({from, to} as ISO 8601), which must reply with
+// `%{events: [%{id, title, color, url, starts_at, ends_at, all_day}]}`, and
+// asks again whenever the server pushes "calendar-refresh" (after a filter or
+// an event changed). Dragging an event to another day or time, or dragging
+// its edge to change how long it lasts, sends "reschedule" with
+// {id, starts_at, ends_at}; a reply with `error` puts the event back.
+//
+// Days are a roving-tabindex grid: arrow keys move by day and week, Home and
+// End go to the start and end of the week, Page Up and Page Down change the
+// month (or week, or day) and Enter opens a day.
+const VIEWS = {month: "Month", week: "Week", day: "Day"}
+const HOUR_HEIGHT = 48
+const BAR_SPACING = 22
+const MONTH_LANES = 3
+const MONTH_DAY_HEADER = 28
+const SNAP_MINUTES = 15
+const DRAG_THRESHOLD = 4
+const SCROLL_TO_HOUR = 8
+
+const EventCalendar = {
+  mounted() {
+    this.locale = resolveLocale(this.el)
+    this.timeZone = resolveTimeZone(this.el)
+    this.view = "month"
+    this.focusDay = today(this.timeZone)
+    this.events = []
+    this.fetchRef = 0
+
+    this.renderFrame()
+
+    // A drag ends with a click on whatever is under the pointer; swallow it
+    this.el.addEventListener("click", e => {
+      if (!this.suppressClick) return
+      e.preventDefault()
+      e.stopPropagation()
+    }, true)
+    this.el.addEventListener("click", e => this.onClick(e))
+    this.el.addEventListener("keydown", e => this.onKeydown(e))
+    this.el.addEventListener("pointerdown", e => this.onPointerDown(e))
+
+    this.onPointerMove = e => this.dragTo(e.clientX, e.clientY)
+    this.onPointerUp = () => this.drop()
+    this.onDragKeydown = e => {
+      if (e.key === "Escape") this.cancelDrag()
+    }
+
+    this.handleEvent("calendar-refresh", () => this.fetch())
+
+    this.render()
+    this.fetch()
+  },
+  destroyed() {
+    this.removed = true
+    this.cancelDrag()
+  },
+  renderFrame() {
+    const titleId = `${this.el.id}-title`
+    this.el.innerHTML = `
+      <div class="mb-4 flex flex-wrap items-center justify-between gap-2">
+        <h2 id="${titleId}" data-calendar-title class="text-lg font-semibold text-gray-900"></h2>
+        <div class="flex items-center gap-2">
+          <div class="flex rounded-md shadow-sm" role="group" aria-label="Calendar view">
+            ${Object.keys(VIEWS).map(view => `<button type="button" data-calendar-view="${view}">${VIEWS[view]}</button>`).join("")}
+          </div>
+          <button type="button" data-calendar-today
+            class="rounded-md bg-white px-3 py-1.5 text-sm font-medium text-gray-900 ring-1 ring-inset ring-gray-300 hover:bg-gray-50">
+            Today
+          </button>
+          <div class="flex">
+            <button type="button" data-calendar-step="-1" aria-label="Previous"
+              class="rounded-l-md bg-white p-1.5 text-gray-400 ring-1 ring-inset ring-gray-300 hover:bg-gray-50 hover:text-gray-500">
+              <span class="hero-chevron-left h-5 w-5"></span>
+            </button>
+            <button type="button" data-calendar-step="1" aria-label="Next"
+              class="-ml-px rounded-r-md bg-white p-1.5 text-gray-400 ring-1 ring-inset ring-gray-300 hover:bg-gray-50 hover:text-gray-500">
+              <span class="hero-chevron-right h-5 w-5"></span>
+            </button>
+          </div>
+        </div>
+      </div>
+      <p id="${this.el.id}-help" class="sr-only">
+        Use the arrow keys to move between days, Page Up and Page Down to change the period, and Enter to open a day.
+        Drag an event to reschedule it, or drag its edge to change how long it lasts.
+      </p>
+      <div data-calendar-body></div>
+    `
+
+    this.title = this.el.querySelector("[data-calendar-title]")
+    this.body = this.el.querySelector("[data-calendar-body]")
+  },
+
+  // Loading
+
+  fetch() {
+    const {first, last} = viewRange(this.view, this.focusDay)
+    const ref = ++this.fetchRef
+
+    // A day either side: all-day events sit at UTC midnight, which can be
+    // the day before or after in the user's zone
+    const from = dayTime(first - 1, 0, this.timeZone)
+    const to = dayTime(last + 2, 0, this.timeZone)
+
+    this.pushEvent("calendar-events", {from: from.toISOString(), to: to.toISOString()}, reply => {
+      if (this.removed || ref !== this.fetchRef) return
+      this.events = reply.events.map(event => placeEvent(event, this.timeZone))
+      this.render()
+    })
+  },
+
+  // Navigation
+
+  go(day, {focus = false} = {}) {
+    const before = viewRange(this.view, this.focusDay)
+    this.focusDay = day
+    const after = viewRange(this.view, this.focusDay)
+
+    this.focusCell = focus
+    this.render()
+    if (before.first !== after.first || before.last !== after.last) this.fetch()
+  },
+  setView(view, day = this.focusDay, options = {}) {
+    if (view === this.view) return this.go(day, options)
+
+    this.view = view
+    this.focusDay = day
+    this.focusCell = !!options.focus
+    this.render()
+    this.fetch()
+  },
+  onClick(e) {
+    const viewButton = e.target.closest("[data-calendar-view]")
+    if (viewButton) return this.setView(viewButton.dataset.calendarView)
+
+    const stepButton = e.target.closest("[data-calendar-step]")
+    if (stepButton) return this.go(shiftFocus(this.view, this.focusDay, parseInt(stepButton.dataset.calendarStep, 10)))
+
+    if (e.target.closest("[data-calendar-today]")) return this.go(today(this.timeZone))
+
+    const openDay = e.target.closest("[data-calendar-open-day]")
+    if (openDay) return this.setView("day", parseInt(openDay.dataset.calendarOpenDay, 10))
+
+    // Clicking a day selects it for the keyboard
+    const cell = e.target.closest("[data-day]")
+    if (cell && !e.target.closest("a")) {
+      this.focusDay = parseInt(cell.dataset.day, 10)
+      this.el.querySelectorAll("[data-day]").forEach(other => {
+        other.tabIndex = other === cell ? 0 : -1
+      })
+    }
+  },
+  onKeydown(e) {
+    const cell = e.target.closest("[data-day]")
+    if (!cell || e.target.closest("a, button") || e.altKey || e.ctrlKey || e.metaKey) return
+
+    const day = parseInt(cell.dataset.day, 10)
+    let next
+
+    switch (e.key) {
+      case "ArrowLeft": next = day - 1; break
+      case "ArrowRight": next = day + 1; break
+      case "ArrowUp": next = day - 7; break
+      case "ArrowDown": next = day + 7; break
+      case "Home": next = startOfWeek(day); break
+      case "End": next = startOfWeek(day) + 6; break
+      case "PageUp": next = shiftFocus(this.view, day, -1); break
+      case "PageDown": next = shiftFocus(this.view, day, 1); break
+      case "Enter":
+      case " ":
+        e.preventDefault()
+        this.setView("day", day, {focus: true})
+        return
+      default:
+        return
+    }
+
+    e.preventDefault()
+    this.go(next, {focus: true})
+  },
+
+  // Rendering
+
+  render() {
+    const scroller = this.body.querySelector("[data-calendar-scroll]")
+    const scrollTop = scroller ? scroller.scrollTop : SCROLL_TO_HOUR * HOUR_HEIGHT
+
+    this.title.textContent = this.periodTitle()
+    this.el.querySelectorAll("[data-calendar-view]").forEach(button => {
+      const active = button.dataset.calendarView === this.view
+      button.setAttribute("aria-pressed", String(active))
+      button.className = [
+        "relative -ml-px inline-flex items-center px-3 py-1.5 text-sm font-medium ring-1 ring-inset ring-gray-300",
+        "first:ml-0 first:rounded-l-md last:rounded-r-md focus:z-10",
+        active ? "bg-indigo-600 text-white" : "bg-white text-gray-900 hover:bg-gray-50"
+      ].join(" ")
+    })
+
+    const events = this.renderedEvents()
+    this.body.replaceChildren(this.view === "month" ? this.renderMonth(events) : this.renderDays(events))
+
+    const newScroller = this.body.querySelector("[data-calendar-scroll]")
+    if (newScroller) newScroller.scrollTop = scrollTop
+
+    if (this.focusCell) {
+      this.focusCell = false
+      const cell = this.body.querySelector(`[data-day="${this.focusDay}"]`)
+      if (cell) cell.focus()
+    }
+  },
+  // The events, with the one being dragged where it would land
+  renderedEvents() {
+    const drag = this.drag
+    if (!drag || !drag.preview) return this.events
+
+    return this.events.map(event => event.id === drag.event.id ? this.moved(event, drag.preview) : event)
+  },
+  periodTitle() {
+    const {first, last} = viewRange(this.view, this.focusDay)
+
+    if (this.view === "month") {
+      return this.format({month: "long", year: "numeric"}, dayDate(this.focusDay))
+    }
+    if (this.view === "day") {
+      return this.format({weekday: "long", month: "long", day: "numeric", year: "numeric"}, dayDate(first))
+    }
+
+    const formatter = new Intl.DateTimeFormat(this.locale, {month: "short", day: "numeric", year: "numeric", timeZone: "UTC"})
+    return formatter.formatRange
+      ? formatter.formatRange(dayDate(first), dayDate(last))
+      : `${formatter.format(dayDate(first))} – ${formatter.format(dayDate(last))}`
+  },
+  renderMonth(events) {
+    const {first} = viewRange("month", this.focusDay)
+    const month = dayParts(this.focusDay).month
+    const todayDay = today(this.timeZone)
+
+    const grid = this.gridElement("overflow-hidden rounded-lg border border-gray-200")
+    grid.appendChild(this.weekdayHeader(first, 7, "grid grid-cols-7 border-b border-gray-200 bg-gray-50"))
+
+    const weeks = document.createElement("div")
+    weeks.className = "divide-y divide-gray-200"
+
+    for (let week = 0; week < 6; week++) {
+      const weekFirst = first + week * 7
+      const bars = layoutBars(events, weekFirst, 7)
+
+      const row = document.createElement("div")
+      row.setAttribute("role", "row")
+      row.className = "relative grid grid-cols-7 divide-x divide-gray-200"
+
+      for (let column = 0; column < 7; column++) {
+        const day = weekFirst + column
+        const inMonth = dayParts(day).month === month
+
+        const cell = this.dayCell(day, [
+          "relative min-h-[7.5rem] p-1 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500",
+          day === todayDay ? "bg-indigo-50" : inMonth ? "bg-white" : "bg-gray-50"
+        ].join(" "))
+        cell.dataset.dropDay = day
+
+        const number = document.createElement("button")
+        number.type = "button"
+        number.tabIndex = -1
+        number.dataset.calendarOpenDay = day
+        number.className = [
+          "rounded px-1 text-xs font-medium hover:bg-gray-200",
+          day === todayDay ? "font-bold text-indigo-600" : inMonth ? "text-gray-900" : "text-gray-400"
+        ].join(" ")
+        number.textContent = dayParts(day).day
+        cell.appendChild(number)
+
+        const hidden = bars.filter(bar => bar.lane >= MONTH_LANES && bar.column <= column && column < bar.column + bar.span).length
+        if (hidden > 0) {
+          const more = document.createElement("button")
+          more.type = "button"
+          more.tabIndex = -1
+          more.dataset.calendarOpenDay = day
+          more.className = "absolute bottom-1 left-1 px-1 text-xs text-gray-500 hover:text-gray-700"
+          more.textContent = `+${hidden} more`
+          cell.appendChild(more)
+        }
+
+        row.appendChild(cell)
+      }
+
+      bars
+        .filter(bar => bar.lane < MONTH_LANES)
+        .forEach(bar => row.appendChild(this.barElement(bar, 7, MONTH_DAY_HEADER + bar.lane * BAR_SPACING)))
+
+      weeks.appendChild(row)
+    }
+
+    grid.appendChild(weeks)
+    return grid
+  },
+  renderDays(events) {
+    const {first, last} = viewRange(this.view, this.focusDay)
+    const count = last - first + 1
+    const days = Array.from({length: count}, (_, i) => first + i)
+    const todayDay = today(this.timeZone)
+
+    const grid = this.gridElement("overflow-hidden rounded-lg border border-gray-200")
+
+    // Day headers, which are also the keyboard's cells
+    const header = document.createElement("div")
+    header.setAttribute("role", "row")
+    header.className = "flex border-b border-gray-200 bg-gray-50"
+    header.appendChild(gutter())
+    days.forEach(day => {
+      const cell = this.dayCell(day, [
+        "flex-1 px-2 py-2 text-center text-xs font-medium focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500",
+        day === todayDay ? "text-indigo-600" : "text-gray-500"
+      ].join(" "))
+      cell.textContent = this.format(count === 1 ? {weekday: "long", day: "numeric"} : {weekday: "short", day: "numeric"}, dayDate(day))
+      header.appendChild(cell)
+    })
+    grid.appendChild(header)
+
+    // All-day and multi-day events
+    const bars = layoutBars(events.filter(event => event.multiDay), first, count)
+    const lanes = bars.reduce((most, bar) => Math.max(most, bar.lane + 1), 1)
+
+    const allDay = document.createElement("div")
+    allDay.className = "flex border-b border-gray-200"
+    const allDayLabel = gutter()
+    allDayLabel.className += " py-1 pr-2 text-right text-[10px] text-gray-400"
+    allDayLabel.textContent = "All day"
+    allDay.appendChild(allDayLabel)
+
+    const lane = document.createElement("div")
+    lane.className = "relative flex flex-1"
+    lane.style.height = `${lanes * BAR_SPACING + 4}px`
+    days.forEach(day => {
+      const target = document.createElement("div")
+      target.className = "flex-1 border-l border-gray-200"
+      target.dataset.dropDay = day
+      lane.appendChild(target)
+    })
+    bars.forEach(bar => lane.appendChild(this.barElement(bar, count, 2 + bar.lane * BAR_SPACING)))
+    allDay.appendChild(lane)
+    grid.appendChild(allDay)
+
+    // Hours
+    const scroller = document.createElement("div")
+    scroller.dataset.calendarScroll = ""
+    scroller.className = "max-h-[36rem] overflow-y-auto"
+
+    const hours = document.createElement("div")
+    hours.className = "relative flex"
+    hours.style.height = `${24 * HOUR_HEIGHT}px`
+
+    const labels = gutter()
+    labels.className += " relative"
+    const hourFormat = new Intl.DateTimeFormat(this.locale, {hour: "numeric", timeZone: "UTC"})
+    for (let hour = 1; hour < 24; hour++) {
+      const label = document.createElement("span")
+      label.className = "absolute right-2 -translate-y-1/2 text-[10px] text-gray-400"
+      label.style.top = `${hour * HOUR_HEIGHT}px`
+      label.textContent = hourFormat.format(new Date(Date.UTC(2000, 0, 1, hour)))
+      labels.appendChild(label)
+    }
+    hours.appendChild(labels)
+
+    days.forEach(day => {
+      const column = document.createElement("div")
+      column.className = `relative flex-1 border-l border-gray-200 ${day === todayDay ? "bg-indigo-50/40" : ""}`
+      column.dataset.dayColumn = day
+      column.style.backgroundImage = `repeating-linear-gradient(to bottom, transparent 0 ${HOUR_HEIGHT - 1}px, rgb(243 244 246) ${HOUR_HEIGHT - 1}px ${HOUR_HEIGHT}px)`
+
+      layoutDay(events, day, this.timeZone).forEach(item => column.appendChild(this.timedElement(item)))
+
+      if (day === todayDay) {
+        const {hour, minute} = wallClock(new Date(), this.timeZone)
+        const now = document.createElement("div")
+        now.className = "pointer-events-none absolute inset-x-0 z-20 border-t-2 border-red-500"
+        now.style.top = `${(hour * 60 + minute) * HOUR_HEIGHT / 60}px`
+        column.appendChild(now)
+      }
+
+      hours.appendChild(column)
+    })
+
+    scroller.appendChild(hours)
+    grid.appendChild(scroller)
+    return grid
+  },
+  gridElement(className) {
+    const grid = document.createElement("div")
+    grid.setAttribute("role", "grid")
+    grid.setAttribute("aria-labelledby", `${this.el.id}-title`)
+    grid.setAttribute("aria-describedby", `${this.el.id}-help`)
+    grid.className = className
+    return grid
+  },
+  weekdayHeader(first, count, className) {
+    const header = document.createElement("div")
+    header.setAttribute("role", "row")
+    header.className = className
+
+    for (let i = 0; i < count; i++) {
+      const name = document.createElement("div")
+      name.setAttribute("role", "columnheader")
+      name.className = "px-2 py-2 text-center text-xs font-medium text-gray-500"
+      name.textContent = this.format({weekday: "short"}, dayDate(first + i))
+      header.appendChild(name)
+    }
+
+    return header
+  },
+  dayCell(day, className) {
+    const cell = document.createElement("div")
+    cell.setAttribute("role", "gridcell")
+    cell.setAttribute("aria-label", this.format({weekday: "long", month: "long", day: "numeric", year: "numeric"}, dayDate(day)))
+    cell.dataset.day = day
+    cell.tabIndex = day === this.focusDay ? 0 : -1
+    cell.className = className
+    return cell
+  },
+  eventLink(event, className) {
+    const link = document.createElement("a")
+    link.href = event.url
+    link.draggable = false
+    link.setAttribute("data-phx-link", "patch")
+    link.setAttribute("data-phx-link-state", "push")
+    link.dataset.eventId = event.id
+
+    const dragging = this.drag && this.drag.preview && this.drag.event.id === event.id
+    link.className = `${className} ${event.color} ${dragging ? "pointer-events-none opacity-75 ring-2 ring-indigo-500" : "cursor-grab hover:opacity-80"}`
+    return link
+  },
+  barElement({event, column, span, continuesBefore, continuesAfter}, columns, top) {
+    const bar = this.eventLink(event, [
+      "absolute z-10 flex h-5 items-center overflow-hidden whitespace-nowrap px-1 text-xs leading-5",
+      continuesBefore ? "" : "rounded-l",
+      continuesAfter ? "" : "rounded-r"
+    ].join(" "))
+    bar.dataset.kind = "bar"
+    bar.style.top = `${top}px`
+    bar.style.left = `calc(${column / columns * 100}% + ${continuesBefore ? 0 : 2}px)`
+    bar.style.width = `calc(${span / columns * 100}% - ${(continuesBefore ? 0 : 2) + (continuesAfter ? 0 : 2)}px)`
+
+    if (!event.all_day && !event.multiDay) {
+      const time = document.createElement("span")
+      time.className = "mr-1 opacity-70"
+      time.textContent = this.formatTime(event.start)
+      bar.appendChild(time)
+    }
+
+    const title = document.createElement("span")
+    title.className = "truncate"
+    title.textContent = event.title
+    bar.appendChild(title)
+
+    if (!continuesAfter) bar.appendChild(resizeHandle("inset-y-0 right-0 w-1.5 cursor-ew-resize"))
+    return bar
+  },
+  timedElement({event, top, bottom, column, columns}) {
+    const block = this.eventLink(event, "absolute z-10 overflow-hidden rounded px-1 py-0.5 text-xs ring-1 ring-white")
+    block.dataset.kind = "timed"
+    block.style.top = `${top * HOUR_HEIGHT / 60}px`
+    block.style.height = `${Math.max((bottom - top) * HOUR_HEIGHT / 60, 18)}px`
+    block.style.left = `calc(${column / columns * 100}% + 2px)`
+    block.style.width = `calc(${100 / columns}% - 4px)`
+
+    const title = document.createElement("span")
+    title.className = "block truncate font-medium"
+    title.textContent = event.title
+    block.appendChild(title)
+
+    const time = document.createElement("span")
+    time.className = "block truncate text-[10px] opacity-70"
+    time.textContent = `${this.formatTime(event.start)} – ${this.formatTime(event.end)}`
+    block.appendChild(time)
+
+    block.appendChild(resizeHandle("inset-x-0 bottom-0 h-1.5 cursor-ns-resize"))
+    return block
+  },
+  format(options, date) {
+    return new Intl.DateTimeFormat(this.locale, {...options, timeZone: "UTC"}).format(date)
+  },
+  formatTime(date) {
+    return new Intl.DateTimeFormat(this.locale, {hour: "numeric", minute: "2-digit", timeZone: this.timeZone}).format(date)
+  },
+
+  // Dragging
+
+  onPointerDown(e) {
+    if (e.button !== 0 || this.drag) return
+
+    const target = e.target.closest("[data-event-id]")
+    const event = target && this.events.find(candidate => candidate.id === target.dataset.eventId)
+    if (!event) return
+
+    this.drag = {
+      event,
+      kind: target.dataset.kind,
+      resize: !!e.target.closest("[data-resize]"),
+      x: e.clientX,
+      y: e.clientY,
+      started: false,
+      preview: null
+    }
+    this.drag.grab = this.spotAt(e.clientX, e.clientY)
+
+    window.addEventListener("pointermove", this.onPointerMove)
+    window.addEventListener("pointerup", this.onPointerUp)
+    window.addEventListener("pointercancel", this.onPointerUp)
+    window.addEventListener("keydown", this.onDragKeydown)
+  },
+  dragTo(x, y) {
+    const drag = this.drag
+    if (!drag.started) {
+      if (Math.hypot(x - drag.x, y - drag.y) < DRAG_THRESHOLD || !drag.grab) return
+      drag.started = true
+      this.el.classList.add("select-none")
+    }
+
+    const spot = this.spotAt(x, y)
+    const preview = spot && this.previewFor(drag, spot)
+    if (!preview) return
+
+    const same = drag.preview &&
+      drag.preview.start.getTime() === preview.start.getTime() &&
+      drag.preview.end.getTime() === preview.end.getTime()
+    if (same) return
+
+    drag.preview = preview
+    this.render()
+  },
+  drop() {
+    const drag = this.drag
+    this.endDrag()
+    if (!drag || !drag.started) return
+
+    this.suppressClick = true
+    setTimeout(() => { this.suppressClick = false }, 0)
+
+    const {event, preview} = drag
+    const unchanged = !preview ||
+      (preview.start.getTime() === event.start.getTime() &&
+       preview.end.getTime() === event.end.getTime() &&
+       preview.hasEnd === event.hasEnd)
+    if (unchanged) return this.render()
+
+    const moved = this.moved(event, preview)
+    this.events = this.events.map(other => other.id === event.id ? moved : other)
+    this.render()
+
+    this.pushEvent("reschedule", {id: event.id, starts_at: moved.starts_at, ends_at: moved.ends_at}, reply => {
+      if (!this.removed && (!reply || reply.error)) this.fetch()
+    })
+  },
+  cancelDrag() {
+    const dragged = this.drag && this.drag.started
+    this.endDrag()
+    if (dragged && !this.removed) this.render()
+  },
+  endDrag() {
+    this.drag = null
+    this.el.classList.remove("select-none")
+    window.removeEventListener("pointermove", this.onPointerMove)
+    window.removeEventListener("pointerup", this.onPointerUp)
+    window.removeEventListener("pointercancel", this.onPointerUp)
+    window.removeEventListener("keydown", this.onDragKeydown)
+  },
+  // The day under the pointer and, over the hours, the minute of that day
+  spotAt(x, y) {
+    const elements = document.elementsFromPoint(x, y)
+
+    const column = elements.find(el => el.dataset && el.dataset.dayColumn !== undefined && this.el.contains(el))
+    if (column) {
+      const rect = column.getBoundingClientRect()
+      return {day: parseInt(column.dataset.dayColumn, 10), minutes: (y - rect.top) / HOUR_HEIGHT * 60}
+    }
+
+    const target = elements.find(el => el.dataset && el.dataset.dropDay !== undefined && this.el.contains(el))
+    return target ? {day: parseInt(target.dataset.dropDay, 10), minutes: null} : null
+  },
+  // Where the dragged event would be with the pointer at `spot`. Bars move
+  // and stretch by whole days; events in the hours by SNAP_MINUTES.
+  previewFor({event, kind, resize, grab}, spot) {
+    const zone = event.all_day ? "UTC" : this.timeZone
+    const days = spot.day - grab.day
+
+    if (kind === "bar") {
+      if (!resize) {
+        return {start: shiftDays(event.start, days, zone), end: shiftDays(event.end, days, zone), hasEnd: event.hasEnd}
+      }
+
+      const lastDay = Math.max(event.firstDay, event.lastDay + days)
+      if (event.all_day) {
+        return {start: event.start, end: new Date(lastDay * DAY_MS), hasEnd: lastDay > event.firstDay}
+      }
+      return {start: event.start, end: shiftDays(event.end, lastDay - event.lastDay, zone), hasEnd: true}
+    }
+
+    if (spot.minutes === null || grab.minutes === null) return null
+
+    const {hour, minute} = wallClock(event.start, zone)
+    const startMinutes = hour * 60 + minute
+
+    if (resize) {
+      const bottom = Math.min(Math.max(snap(spot.minutes), startMinutes + SNAP_MINUTES), 24 * 60)
+      return {start: event.start, end: dayTime(event.firstDay, bottom, zone), hasEnd: true}
+    }
+
+    const start = dayTime(event.firstDay + days, startMinutes + snap(spot.minutes - grab.minutes), zone)
+    return {start, end: new Date(start.getTime() + (event.end - event.start)), hasEnd: event.hasEnd}
+  },
+  moved(event, {start, end, hasEnd}) {
+    return placeEvent({
+      ...event,
+      starts_at: start.toISOString(),
+      ends_at: hasEnd ? end.toISOString() : null
+    }, this.timeZone)
+  }
+}
+
+function gutter() {
+  const el = document.createElement("div")
+  el.className = "w-14 flex-none"
+  return el
+}
+
+function resizeHandle(className) {
+  const handle = document.createElement("span")
+  handle.dataset.resize = ""
+  handle.className = `absolute ${className}`
+  return handle
+}
+
+function snap(minutes) {
+  return Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES
+}
+
+export default EventCalendar
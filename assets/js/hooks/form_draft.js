@@ -0,0 +1,134 @@
+import {clearDraft, loadDraft, saveDraft} from "../lib/drafts"
+import {fieldKey, readFields, writeField} from "../lib/form_fields"
+import {resolveLocale, resolveTimeZone} from "../lib/locale"
+
+// Keeps an encrypted draft of a form while it's being filled in
+//
+// Usage:
+//
+//     <.simple_form id="event-form" phx-hook="FormDraft" data-draft={"event:#{@event.id || "new"}"} ...>
+//       <.draft_banner id="event-form-draft" />
+//       ...
+//     </.simple_form>
+//
+// Edits are saved (see lib/drafts.js) a moment after they're made. When the
+// form mounts again, after a reconnect or coming back to the page, and a
+// draft differs from what the form shows, the banner offers to restore it.
+// The LiveView pushes "clear-draft" with the draft id once the form is
+// saved (app.js drops it); resetting the form, as the outbox does when it
+// queues a submit made offline, drops it too, and so does a "discard" event
+// (sent by UnsavedChanges once its changes are thrown away).
+
+const SAVE_DELAY_MS = 500
+
+const BANNER_HTML = `
+  <div class="flex items-center justify-between gap-3 rounded-md bg-amber-50 px-3 py-2 text-sm text-amber-800 ring-1 ring-inset ring-amber-200">
+    <p><span class="font-medium">Restore draft?</span> <span data-draft-saved></span></p>
+    <div class="flex flex-shrink-0 gap-3">
+      <button type="button" data-draft-restore class="font-semibold text-amber-900 hover:text-amber-700">Restore</button>
+      <button type="button" data-draft-discard class="text-amber-700 hover:text-amber-900">Discard</button>
+    </div>
+  </div>
+`
+
+const FormDraft = {
+  mounted() {
+    this.id = this.el.dataset.draft
+    this.banner = this.el.querySelector("[data-draft-banner]")
+    this.initial = JSON.stringify(readFields(this.el))
+
+    this.onEdit = () => {
+      this.submitting = false
+      clearTimeout(this.saveTimer)
+      this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS)
+    }
+    this.el.addEventListener("input", this.onEdit)
+    this.el.addEventListener("change", this.onEdit)
+    this.el.addEventListener("submit", () => {
+      clearTimeout(this.saveTimer)
+      this.submitting = true
+    })
+    this.onDrop = () => {
+      clearTimeout(this.saveTimer)
+      this.saveTimer = null
+      this.hideBanner()
+      clearDraft(this.id)
+    }
+    this.el.addEventListener("reset", this.onDrop)
+    this.el.addEventListener("discard", this.onDrop)
+
+    this.onPageHide = () => this.flush()
+    window.addEventListener("pagehide", this.onPageHide)
+
+    loadDraft(this, this.id)
+      .then(draft => {
+        if (this.removed || !draft || JSON.stringify(draft.fields) === this.initial) return
+        this.offer(draft)
+      })
+      .catch(() => {})
+  },
+  // Fields the server only renders once others change, like an event's
+  // recurrence options, get their draft values when they appear
+  updated() {
+    if (this.restoring) this.restore(this.restoring)
+  },
+  destroyed() {
+    this.removed = true
+    window.removeEventListener("pagehide", this.onPageHide)
+    this.flush()
+  },
+  flush() {
+    if (!this.saveTimer || this.submitting) return
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    this.save()
+  },
+  save() {
+    this.saveTimer = null
+    const fields = readFields(this.el)
+    const done = JSON.stringify(fields) === this.initial ? clearDraft(this.id) : saveDraft(this, this.id, {fields})
+    done.catch(() => {})
+  },
+  offer(draft) {
+    if (!this.banner) return
+    this.banner.innerHTML = BANNER_HTML
+    this.banner.hidden = false
+
+    const savedAt = new Intl.DateTimeFormat(resolveLocale(this.el), {
+      dateStyle: "medium", timeStyle: "short", timeZone: resolveTimeZone(this.el)
+    }).format(new Date(draft.savedAt))
+    this.banner.querySelector("[data-draft-saved]").textContent = `Unsaved changes from ${savedAt}.`
+
+    this.banner.querySelector("[data-draft-restore]").addEventListener("click", () => {
+      this.hideBanner()
+      this.restoring = draft.fields
+      this.restore(draft.fields)
+    })
+    this.banner.querySelector("[data-draft-discard]").addEventListener("click", () => {
+      this.hideBanner()
+      clearDraft(this.id)
+    })
+  },
+  hideBanner() {
+    if (!this.banner) return
+    this.banner.hidden = true
+    this.banner.replaceChildren()
+  },
+  restore(fields) {
+    const restored = this.restoredKeys || (this.restoredKeys = new Set())
+    let last = null
+
+    Array.from(this.el.elements).forEach(el => {
+      const key = fieldKey(el)
+      if (!key || !(key in fields) || restored.has(key)) return
+      restored.add(key)
+      writeField(el, fields[key])
+      last = el
+    })
+
+    // One event is enough: phx-change sends the whole form
+    if (last) last.dispatchEvent(new Event("input", {bubbles: true}))
+  }
+}
+
+export default FormDraft
@@ -0,0 +1,36 @@
+import {buildCalendar, downloadFile, fileName} from "../lib/ics"
+
+// Button that downloads events as an .ics file
+//
+// Usage:
+//
+//     <button id="events-export" type="button" phx-hook="IcsExport" data-scope="list">Export .ics</button>
+//     <button id={"event-export-#{event.id}"} type="button" phx-hook="IcsExport"
+//       data-scope="event" data-id={event.id} data-filename={event.title}>...</button>
+//
+// Sends "ics-export" with {scope, id} to the LiveView (or phx-target), which
+// replies with {events, name} (see ConeziaWeb.EventLive.Ics.export/1). The
+// file is named after data-filename, or the calendar name.
+const IcsExport = {
+  mounted() {
+    this.onClick = () => this.export()
+    this.el.addEventListener("click", this.onClick)
+  },
+  destroyed() {
+    this.el.removeEventListener("click", this.onClick)
+  },
+  export() {
+    if (this.el.getAttribute("aria-busy") === "true") return
+    this.el.setAttribute("aria-busy", "true")
+
+    const {scope, id} = this.el.dataset
+    this.pushEventTo(this.el, "ics-export", {scope, id}, reply => {
+      this.el.removeAttribute("aria-busy")
+
+      const text = buildCalendar(reply.events, {name: reply.name})
+      downloadFile(fileName(this.el.dataset.filename || reply.name, "ics"), text, "text/calendar")
+    })
+  }
+}
+
+export default IcsExport
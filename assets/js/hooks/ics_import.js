@@ -0,0 +1,254 @@
+import {parseCalendar} from "../lib/ics"
+import {resolveLocale, resolveTimeZone} from "../lib/locale"
+
+// Drop zone that imports events from an .ics file
+//
+// Usage:
+//
+//     <div id="events-import" phx-hook="IcsImport" phx-update="ignore">
+//       <label data-ics-drop>
+//         Drop an .ics file here
+//         <input type="file" accept=".ics,text/calendar" class="sr-only" data-ics-file />
+//       </label>
+//       <div data-ics-preview class="hidden"></div>
+//     </div>
+//
+// The file is read and parsed in the browser (lib/ics.js). The hook asks
+// the LiveView which UIDs it already has with "ics-check" ({uids} →
+// {existing}), previews the events with those unticked, and sends the
+// ticked ones with "ics-import" ({events} → {created, skipped, failed}) in
+// batches of IMPORT_BATCH.
+const IMPORT_BATCH = 50
+const DROP_HIGHLIGHT = ["border-indigo-500", "bg-indigo-50"]
+
+const IcsImport = {
+  mounted() {
+    this.locale = resolveLocale(this.el)
+    this.timeZone = resolveTimeZone(this.el)
+    this.drop = this.el.querySelector("[data-ics-drop]")
+    this.input = this.el.querySelector("[data-ics-file]")
+    this.preview = this.el.querySelector("[data-ics-preview]")
+
+    this.drop.addEventListener("dragover", e => {
+      e.preventDefault()
+      this.drop.classList.add(...DROP_HIGHLIGHT)
+    })
+    this.drop.addEventListener("dragleave", () => this.drop.classList.remove(...DROP_HIGHLIGHT))
+    this.drop.addEventListener("drop", e => {
+      e.preventDefault()
+      this.drop.classList.remove(...DROP_HIGHLIGHT)
+      if (e.dataTransfer.files.length > 0) this.read(e.dataTransfer.files[0])
+    })
+    this.input.addEventListener("change", () => {
+      if (this.input.files.length > 0) this.read(this.input.files[0])
+      this.input.value = ""
+    })
+
+    this.preview.addEventListener("change", e => {
+      if (e.target.matches("[data-ics-event]")) this.updateImportButton()
+    })
+    this.preview.addEventListener("click", e => {
+      if (e.target.closest("[data-ics-import]")) this.import()
+      else if (e.target.closest("[data-ics-cancel]")) this.reset()
+    })
+  },
+  destroyed() {
+    this.removed = true
+  },
+  read(file) {
+    if (!/\.(ics|ical|ifb|icalendar)$/i.test(file.name) && file.type !== "text/calendar") {
+      return this.showMessage(`${file.name} isn't an .ics file.`)
+    }
+
+    file.text()
+      .then(text => {
+        const events = parseCalendar(text)
+        if (events.length === 0) return this.showMessage(`No events found in ${file.name}.`)
+
+        this.pushEvent("ics-check", {uids: events.map(event => event.uid)}, reply => {
+          if (!this.removed) this.showPreview(file.name, events, new Set(reply.existing))
+        })
+      })
+      .catch(() => this.showMessage(`${file.name} couldn't be read.`))
+  },
+  showPreview(name, events, existing) {
+    this.events = events
+
+    const panel = document.createElement("div")
+    panel.className = "rounded-lg bg-white shadow ring-1 ring-gray-200"
+
+    const heading = document.createElement("div")
+    heading.className = "border-b border-gray-200 px-4 py-3"
+    const title = document.createElement("h3")
+    title.className = "text-sm font-semibold text-gray-900"
+    title.textContent = `${events.length} ${events.length === 1 ? "event" : "events"} in ${name}`
+    heading.appendChild(title)
+    if (existing.size > 0) {
+      const note = document.createElement("p")
+      note.className = "mt-1 text-xs text-gray-500"
+      note.textContent = `${existing.size} already in Conezia and won't be imported again.`
+      heading.appendChild(note)
+    }
+    const repeating = events.filter(event => event.repeats).length
+    if (repeating > 0) {
+      const warning = document.createElement("p")
+      warning.className = "mt-1 text-xs text-amber-700"
+      warning.textContent = `${repeating} ${repeating === 1 ? "event repeats" : "events repeat"}; only the first occurrence will be imported.`
+      heading.appendChild(warning)
+    }
+    panel.appendChild(heading)
+
+    const list = document.createElement("ul")
+    list.setAttribute("role", "list")
+    list.className = "max-h-80 divide-y divide-gray-100 overflow-y-auto"
+
+    events.forEach((event, index) => {
+      const duplicate = existing.has(event.uid)
+
+      const item = document.createElement("li")
+      const label = document.createElement("label")
+      label.className = `flex items-start gap-3 px-4 py-2 ${duplicate ? "opacity-60" : "cursor-pointer hover:bg-gray-50"}`
+
+      const checkbox = document.createElement("input")
+      checkbox.type = "checkbox"
+      checkbox.className = "mt-0.5 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+      checkbox.dataset.icsEvent = index
+      checkbox.checked = !duplicate
+      checkbox.disabled = duplicate
+
+      const details = document.createElement("div")
+      details.className = "min-w-0 flex-1"
+
+      const eventTitle = document.createElement("p")
+      eventTitle.className = "flex items-center gap-2 truncate text-sm font-medium text-gray-900"
+      eventTitle.textContent = event.title || "Untitled event"
+      if (duplicate) {
+        const badge = document.createElement("span")
+        badge.className = "rounded bg-gray-100 px-1.5 py-0.5 text-xs font-normal text-gray-600"
+        badge.textContent = "Already imported"
+        eventTitle.appendChild(badge)
+      } else if (event.repeats) {
+        const badge = document.createElement("span")
+        badge.className = "rounded bg-amber-50 px-1.5 py-0.5 text-xs font-normal text-amber-700"
+        badge.textContent = "First occurrence only"
+        eventTitle.appendChild(badge)
+      }
+
+      const meta = document.createElement("p")
+      meta.className = "truncate text-xs text-gray-500"
+      meta.textContent = [this.formatWhen(event), event.location].filter(part => part).join(" · ")
+
+      details.append(eventTitle, meta)
+      label.append(checkbox, details)
+      item.appendChild(label)
+      list.appendChild(item)
+    })
+    panel.appendChild(list)
+
+    const footer = document.createElement("div")
+    footer.className = "flex items-center justify-end gap-2 border-t border-gray-200 px-4 py-3"
+    footer.innerHTML = `
+      <p data-ics-status class="mr-auto text-xs text-gray-500" aria-live="polite"></p>
+      <button type="button" data-ics-cancel
+        class="rounded-md bg-white px-3 py-1.5 text-sm font-semibold text-gray-900 ring-1 ring-inset ring-gray-300 hover:bg-gray-50">
+        Cancel
+      </button>
+      <button type="button" data-ics-import
+        class="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-semibold text-white hover:bg-indigo-500 disabled:opacity-50">
+      </button>
+    `
+    panel.appendChild(footer)
+
+    this.preview.replaceChildren(panel)
+    this.preview.classList.remove("hidden")
+    this.drop.classList.add("hidden")
+    this.updateImportButton()
+  },
+  selectedEvents() {
+    return Array.from(this.preview.querySelectorAll("[data-ics-event]:checked"))
+      .map(checkbox => this.events[parseInt(checkbox.dataset.icsEvent, 10)])
+  },
+  updateImportButton() {
+    const count = this.selectedEvents().length
+    const button = this.preview.querySelector("[data-ics-import]")
+    button.textContent = `Import ${count} ${count === 1 ? "event" : "events"}`
+    button.disabled = count === 0
+  },
+  import() {
+    const events = this.selectedEvents()
+    const status = this.preview.querySelector("[data-ics-status]")
+    this.preview.querySelectorAll("button, input").forEach(control => { control.disabled = true })
+
+    const totals = {created: 0, skipped: 0, failed: []}
+
+    const next = offset => {
+      if (this.removed) return
+      if (offset >= events.length) return this.showSummary(totals)
+
+      status.textContent = `Importing ${Math.min(offset + IMPORT_BATCH, events.length)} of ${events.length}…`
+      this.pushEvent("ics-import", {events: events.slice(offset, offset + IMPORT_BATCH)}, reply => {
+        totals.created += reply.created
+        totals.skipped += reply.skipped
+        totals.failed.push(...reply.failed)
+        next(offset + IMPORT_BATCH)
+      })
+    }
+
+    next(0)
+  },
+  showSummary({created, skipped, failed}) {
+    const lines = [`Imported ${created} ${created === 1 ? "event" : "events"}.`]
+    if (skipped > 0) lines.push(`${skipped} skipped because ${skipped === 1 ? "it was" : "they were"} already imported.`)
+    if (failed.length > 0) lines.push(`${failed.length} couldn't be imported:`)
+
+    const errors = failed.map(({title, error}) => `${title || "Untitled event"}: ${error}`)
+    this.showMessage(lines.join(" "), errors)
+  },
+  showMessage(text, details = []) {
+    const panel = document.createElement("div")
+    panel.className = "flex items-start justify-between gap-4 rounded-lg bg-white px-4 py-3 text-sm text-gray-700 shadow ring-1 ring-gray-200"
+    panel.setAttribute("role", "status")
+
+    const body = document.createElement("div")
+    const message = document.createElement("p")
+    message.textContent = text
+    body.appendChild(message)
+
+    if (details.length > 0) {
+      const list = document.createElement("ul")
+      list.className = "mt-1 list-disc pl-5 text-xs text-red-600"
+      details.forEach(detail => {
+        const item = document.createElement("li")
+        item.textContent = detail
+        list.appendChild(item)
+      })
+      body.appendChild(list)
+    }
+
+    const close = document.createElement("button")
+    close.type = "button"
+    close.dataset.icsCancel = ""
+    close.className = "text-sm font-medium text-indigo-600 hover:text-indigo-500"
+    close.textContent = "Done"
+
+    panel.append(body, close)
+    this.preview.replaceChildren(panel)
+    this.preview.classList.remove("hidden")
+    this.drop.classList.add("hidden")
+  },
+  reset() {
+    this.events = null
+    this.preview.replaceChildren()
+    this.preview.classList.add("hidden")
+    this.drop.classList.remove("hidden")
+  },
+  formatWhen(event) {
+    const start = new Date(event.starts_at)
+    if (event.all_day) {
+      return new Intl.DateTimeFormat(this.locale, {dateStyle: "medium", timeZone: "UTC"}).format(start)
+    }
+    return new Intl.DateTimeFormat(this.locale, {dateStyle: "medium", timeStyle: "short", timeZone: this.timeZone}).format(start)
+  }
+}
+
+export default IcsImport
@@ -0,0 +1,158 @@
+const STORAGE_PREFIX = "infinite-scroll:"
+// Give up on a load-more reply after this long and offer a retry
+const REPLY_TIMEOUT_MS = 15000
+// Saved positions older than this are not restored
+const RESTORE_MAX_AGE_MS = 30 * 60 * 1000
+const SAVE_THROTTLE_MS = 250
+
+// LiveView announces every live navigation; `pop` is set for back/forward.
+let lastNavigationWasPop = false
+window.addEventListener("phx:navigate", e => {
+  lastNavigationWasPop = !!(e.detail && e.detail.pop)
+})
+
+// Infinite scroll hook for loading more content
+//
+// Usage:
+//
+//     <div id="..." phx-hook="InfiniteScroll" data-page={@page}
+//          data-has-more={to_string(@has_more)} data-list-key={...}
+//          data-root-margin="600px 0px" class="group ...">
+//       <div class="hidden group-data-[state=loading]:flex">Loading more...</div>
+//       <div class="hidden group-data-[state=error]:flex"><button data-retry>Retry</button></div>
+//     </div>
+//
+// The server's "load-more" handler must reply with `%{page: ..., has_more: ...}`;
+// the observer is only re-armed once that reply arrives, so a slow server is
+// never sent overlapping requests. `data-state` on the element is one of
+// idle / loading / error / done for styling.
+//
+// The loaded page count and scroll offset are kept in sessionStorage per
+// path. Coming back to the list with the browser's back button reloads the
+// same pages in one request (`until_page`) and scrolls to where the user was,
+// provided `data-list-key` (the active search/filters) still matches.
+const InfiniteScroll = {
+  mounted() {
+    this.storageKey = STORAGE_PREFIX + window.location.pathname
+    this.loadRef = 0
+
+    this.observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) this.loadMore()
+    }, {rootMargin: this.el.dataset.rootMargin || "400px 0px"})
+
+    this.el.addEventListener("click", e => {
+      if (e.target.closest("[data-retry]")) this.loadMore()
+    })
+
+    this.onScroll = () => {
+      if (this.saveTimer) return
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null
+        this.saveState()
+      }, SAVE_THROTTLE_MS)
+    }
+    window.addEventListener("scroll", this.onScroll, {passive: true})
+
+    if (!this.restore()) this.arm()
+  },
+  updated() {
+    // A new search or filter resets the list. Re-observing makes the observer
+    // report the sentinel again even if it never left the viewport.
+    if (!this.inFlight) this.arm()
+  },
+  destroyed() {
+    this.observer.disconnect()
+    window.removeEventListener("scroll", this.onScroll)
+    clearTimeout(this.saveTimer)
+    clearTimeout(this.replyTimer)
+  },
+  hasMore() {
+    return this.el.dataset.hasMore !== "false"
+  },
+  page() {
+    return parseInt(this.el.dataset.page || "0", 10)
+  },
+  setState(state) {
+    this.state = state
+    this.js().setAttribute(this.el, "data-state", state)
+  },
+  arm() {
+    if (!this.hasMore()) return this.finish()
+    this.setState("idle")
+    this.observer.disconnect()
+    this.observer.observe(this.el)
+  },
+  finish() {
+    this.observer.disconnect()
+    this.setState("done")
+  },
+  loadMore(params = {}, onLoaded) {
+    if (this.inFlight || !this.hasMore()) return
+
+    const ref = ++this.loadRef
+    this.inFlight = true
+    this.observer.disconnect()
+    this.setState("loading")
+
+    this.replyTimer = setTimeout(() => {
+      if (ref !== this.loadRef) return
+      this.loadRef++
+      this.inFlight = false
+      this.setState("error")
+    }, REPLY_TIMEOUT_MS)
+
+    this.pushEvent("load-more", params, reply => {
+      if (ref !== this.loadRef) return
+      clearTimeout(this.replyTimer)
+      this.inFlight = false
+
+      if (onLoaded) onLoaded()
+      this.saveState(reply.page)
+
+      // The new rows are already patched in; if the sentinel is still in
+      // view the observer fires again straight away for the next page.
+      if (reply.has_more) {
+        requestAnimationFrame(() => this.arm())
+      } else {
+        this.finish()
+      }
+    })
+  },
+  saveState(page = this.page()) {
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify({
+        page,
+        scrollY: window.scrollY,
+        listKey: this.el.dataset.listKey || "",
+        savedAt: Date.now()
+      }))
+    } catch (_e) {
+      // Storage full or disabled; restoring is best-effort
+    }
+  },
+  restore() {
+    let saved = null
+    try {
+      saved = JSON.parse(sessionStorage.getItem(this.storageKey))
+    } catch (_e) {
+      saved = null
+    }
+
+    if (!lastNavigationWasPop || !saved) return false
+    if (saved.listKey !== (this.el.dataset.listKey || "")) return false
+    if (Date.now() - saved.savedAt > RESTORE_MAX_AGE_MS) return false
+
+    // Everything the user had loaded is already here; only the offset is left
+    if (saved.page <= this.page()) {
+      requestAnimationFrame(() => window.scrollTo(0, saved.scrollY))
+      return false
+    }
+
+    this.loadMore({until_page: saved.page}, () => {
+      requestAnimationFrame(() => window.scrollTo(0, saved.scrollY))
+    })
+    return true
+  }
+}
+
+export default InfiniteScroll
@@ -0,0 +1,209 @@
+const isMac = /Mac|iPhone|iPad/.test(navigator.platform)
+
+// Sequence keys ("g" then "c") must follow each other within this window
+const SEQUENCE_TIMEOUT_MS = 1000
+
+const SECTIONS = {
+  connections: "/connections",
+  reminders: "/reminders",
+  events: "/events",
+  gifts: "/gifts"
+}
+
+// Every binding, in the order shown in the help overlay. `keys` is the
+// sequence to type; `run` receives the hook.
+export const BINDINGS = [
+  {group: "Navigation", keys: ["g", "c"], description: "Go to connections", run: hook => hook.go(SECTIONS.connections)},
+  {group: "Navigation", keys: ["g", "r"], description: "Go to reminders", run: hook => hook.go(SECTIONS.reminders)},
+  {group: "Navigation", keys: ["g", "e"], description: "Go to events", run: hook => hook.go(SECTIONS.events)},
+  {group: "Navigation", keys: ["g", "g"], description: "Go to gifts", run: hook => hook.go(SECTIONS.gifts)},
+  {group: "Navigation", keys: ["n"], description: "New item in the current section", run: hook => hook.newItem()},
+  {group: "Lists", keys: ["j"], description: "Select next item", run: hook => hook.moveSelection(1)},
+  {group: "Lists", keys: ["k"], description: "Select previous item", run: hook => hook.moveSelection(-1)},
+  {group: "Lists", keys: ["Enter"], description: "Open selected item", run: hook => hook.triggerOnSelection("open")},
+  {group: "Lists", keys: ["e"], description: "Edit selected item", run: hook => hook.triggerOnSelection("edit")},
+  {group: "Lists", keys: ["#"], description: "Delete selected item", run: hook => hook.triggerOnSelection("delete")},
+  {group: "General", keys: [isMac ? "⌘" : "Ctrl", "K"], description: "Open command palette"},
+  {group: "General", keys: ["?"], description: "Show keyboard shortcuts", run: hook => hook.toggleHelp()}
+]
+
+const SELECTED_CLASSES = "ring-2 ring-inset ring-indigo-500 bg-indigo-50"
+
+// Keystrokes aimed at a form control or the Tom Select dropdown are left alone
+function isTyping(target) {
+  if (!(target instanceof Element)) return false
+  if (target.isContentEditable) return true
+  if (target.closest("input, textarea, select, .ts-wrapper, .ts-dropdown")) return true
+  return false
+}
+
+// Global keyboard shortcuts and the "?" help overlay
+//
+// Mounted once in the app layout. Lists opt in to j/k selection with
+// `data-shortcut-list`; inside each row, elements marked
+// `data-shortcut="open|edit|delete"` are clicked by Enter / e / #, so
+// `data-confirm` and `phx-click` behave exactly as for a mouse click.
+const KeyboardShortcuts = {
+  mounted() {
+    this.pending = []
+    this.renderHelp()
+
+    this.onKeydown = e => this.handleKeydown(e)
+    window.addEventListener("keydown", this.onKeydown)
+
+    this.el.addEventListener("click", e => {
+      if (!e.target.closest("[data-shortcuts-panel]") || e.target.closest("[data-shortcuts-close]")) {
+        this.toggleHelp(false)
+      }
+    })
+  },
+  destroyed() {
+    window.removeEventListener("keydown", this.onKeydown)
+    clearTimeout(this.pendingTimer)
+  },
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return
+    if (isTyping(e.target)) return
+
+    if (this.helpOpen() && e.key === "Escape") {
+      e.preventDefault()
+      this.toggleHelp(false)
+      return
+    }
+
+    // Don't steer the page behind an open modal or the command palette
+    if (otherDialogOpen(this.el)) return
+    // Enter on a focused link or button keeps its usual meaning
+    if (e.key === "Enter" && e.target instanceof Element && e.target.closest("a, button")) return
+
+    const sequence = [...this.pending, e.key]
+    const exact = BINDINGS.find(b => b.run && sameKeys(b.keys, sequence))
+    const prefix = BINDINGS.some(b => b.run && b.keys.length > sequence.length && sameKeys(b.keys.slice(0, sequence.length), sequence))
+
+    clearTimeout(this.pendingTimer)
+
+    if (exact) {
+      this.pending = []
+      if (exact.run(this) !== false) e.preventDefault()
+    } else if (prefix) {
+      e.preventDefault()
+      this.pending = sequence
+      this.pendingTimer = setTimeout(() => { this.pending = [] }, SEQUENCE_TIMEOUT_MS)
+    } else {
+      this.pending = []
+    }
+  },
+  go(path) {
+    this.js().navigate(path)
+  },
+  // Index pages render their :new action as a modal, so patch there to keep
+  // the list; anywhere else navigate to the section's /new route.
+  newItem() {
+    const path = window.location.pathname
+    const section = Object.values(SECTIONS).find(s => path === s || path.startsWith(`${s}/`))
+    if (!section) return
+
+    if (path === section) {
+      this.js().patch(`${section}/new`)
+    } else {
+      this.js().navigate(`${section}/new`)
+    }
+  },
+  currentList() {
+    return document.querySelector("[data-shortcut-list]")
+  },
+  moveSelection(delta) {
+    const list = this.currentList()
+    if (!list) return
+
+    const rows = Array.from(list.children).filter(row => row.id)
+    if (rows.length === 0) return
+
+    const current = rows.findIndex(row => row.id === this.selectedId)
+    const next = current === -1 ? (delta > 0 ? 0 : rows.length - 1) : Math.min(Math.max(current + delta, 0), rows.length - 1)
+
+    this.select(rows[next])
+
+    // Walking off the end of a streamed list pulls in the next page
+    if (next === rows.length - 1 && delta > 0) {
+      const sentinel = document.querySelector("[phx-hook=InfiniteScroll]")
+      if (sentinel) sentinel.scrollIntoView({block: "end"})
+    }
+  },
+  // Classes and attributes go through this.js() so they survive LiveView
+  // patching the row.
+  select(row) {
+    const previous = this.selectedId && document.getElementById(this.selectedId)
+    if (previous) {
+      this.js().removeClass(previous, SELECTED_CLASSES)
+      this.js().removeAttribute(previous, "aria-current")
+    }
+
+    this.selectedId = row.id
+    this.js().addClass(row, SELECTED_CLASSES)
+    this.js().setAttribute(row, "aria-current", "true")
+    row.scrollIntoView({block: "nearest"})
+  },
+  selectedRow() {
+    const row = this.selectedId && document.getElementById(this.selectedId)
+    const list = this.currentList()
+    return row && list && list.contains(row) ? row : null
+  },
+  triggerOnSelection(action) {
+    const row = this.selectedRow()
+    const target = row && row.querySelector(`[data-shortcut="${action}"]`)
+    if (!target) return false
+    target.click()
+  },
+  helpOpen() {
+    return !this.el.classList.contains("hidden")
+  },
+  toggleHelp(show = !this.helpOpen()) {
+    this.el.classList.toggle("hidden", !show)
+  },
+  renderHelp() {
+    const container = this.el.querySelector("[data-shortcuts-list]")
+    const groups = [...new Set(BINDINGS.map(b => b.group))]
+
+    container.replaceChildren(...groups.map(group => {
+      const section = document.createElement("div")
+      const heading = document.createElement("h3")
+      heading.className = "mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500"
+      heading.textContent = group
+      const list = document.createElement("dl")
+      list.className = "space-y-1"
+
+      BINDINGS.filter(b => b.group === group).forEach(binding => {
+        const row = document.createElement("div")
+        row.className = "flex items-center justify-between gap-4 text-sm"
+        const description = document.createElement("dt")
+        description.className = "text-gray-700"
+        description.textContent = binding.description
+        const keys = document.createElement("dd")
+        keys.className = "flex gap-1"
+        binding.keys.forEach(key => {
+          const kbd = document.createElement("kbd")
+          kbd.className = "min-w-[1.5rem] rounded border border-gray-300 bg-gray-50 px-1.5 py-0.5 text-center font-sans text-xs text-gray-700"
+          kbd.textContent = key
+          keys.appendChild(kbd)
+        })
+        row.append(description, keys)
+        list.appendChild(row)
+      })
+
+      section.append(heading, list)
+      return section
+    }))
+  }
+}
+
+function otherDialogOpen(self) {
+  return Array.from(document.querySelectorAll("[aria-modal=true]"))
+    .some(dialog => !self.contains(dialog) && dialog.getClientRects().length > 0)
+}
+
+function sameKeys(a, b) {
+  return a.length === b.length && a.every((key, i) => key === b[i])
+}
+
+export default KeyboardShortcuts
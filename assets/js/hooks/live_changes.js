@@ -0,0 +1,25 @@
+import {onChange, startChanges} from "../lib/changes"
+
+// Passes changes made in other tabs and on other devices to the LiveView
+//
+// Usage (in the app layout):
+//
+//     <div id="live-changes" phx-hook="LiveChanges" class="hidden"></div>
+//
+// The first mount opens the shared changes feed (lib/changes.js). Each
+// change is sent as "live-change" to whichever LiveView is mounted;
+// ConeziaWeb.LiveChanges passes it on to views that watch that resource.
+const LiveChanges = {
+  mounted() {
+    startChanges()
+    this.stopListening = onChange(change => {
+      // Missed changes don't matter: a reconnecting LiveView reloads anyway
+      if (this.liveSocket.isConnected()) this.pushEvent("live-change", change)
+    })
+  },
+  destroyed() {
+    this.stopListening()
+  }
+}
+
+export default LiveChanges
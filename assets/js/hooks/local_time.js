@@ -0,0 +1,68 @@
+import {resolveLocale, resolveTimeZone} from "../lib/locale"
+
+// Intl.DateTimeFormat options for each `data-format` preset. All-day values
+// drop their time fields.
+const FORMATS = {
+  date: {dateStyle: "medium"},
+  time: {timeStyle: "short"},
+  short: {dateStyle: "short", timeStyle: "short"},
+  long: {year: "numeric", month: "long", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short"},
+  weekday: {weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit"},
+  default: {dateStyle: "medium", timeStyle: "short"}
+}
+
+const ALL_DAY_FORMATS = {
+  time: {dateStyle: "medium"},
+  short: {dateStyle: "short"},
+  long: {dateStyle: "long"},
+  weekday: {weekday: "short", month: "short", day: "numeric"},
+  default: {dateStyle: "medium"}
+}
+
+// Local time display hook - formats a UTC timestamp in the user's timezone
+//
+// Usage:
+//
+//     <time id="..." phx-hook="LocalTime" data-datetime="2025-01-01T10:00:00Z"
+//           data-format="short" data-all-day="false">Jan 01, 2025</time>
+//
+// The timestamp is read from `data-datetime`, falling back to the element's
+// text for older markup. The canonical UTC value is kept in the title so it
+// shows on hover.
+const LocalTime = {
+  mounted() {
+    this.updated()
+  },
+  updated() {
+    const value = this.el.dataset.datetime || this.el.textContent.trim()
+    const date = new Date(value)
+    if (isNaN(date)) return
+
+    const allDay = this.el.dataset.allDay === "true"
+    this.el.textContent = formatLocalTime(date, {
+      format: this.el.dataset.format,
+      allDay,
+      locale: resolveLocale(this.el),
+      timeZone: resolveTimeZone(this.el)
+    })
+    this.el.title = allDay ? `${date.toISOString().slice(0, 10)} (all day)` : utcLabel(date)
+    this.el.classList.remove("invisible")
+  }
+}
+
+export function formatLocalTime(date, {format, allDay, locale, timeZone}) {
+  const presets = allDay ? ALL_DAY_FORMATS : FORMATS
+  const options = presets[format] || presets.default
+
+  // All-day values are stored as midnight UTC; shifting them into the user's
+  // zone would move them onto the previous or next day.
+  const zone = allDay ? "UTC" : timeZone
+
+  return new Intl.DateTimeFormat(locale, {...options, timeZone: zone}).format(date)
+}
+
+function utcLabel(date) {
+  return date.toISOString().replace("T", " ").replace(/:\d{2}\.\d{3}Z$/, " UTC")
+}
+
+export default LocalTime
@@ -0,0 +1,82 @@
+import {loadMaps, renderUnavailable, reportLoadFailure} from "../lib/maps"
+import {observeMap} from "../lib/maps/lazy"
+
+// Map centred on a single marker, drawn by the configured map provider
+//
+// Usage:
+//
+//     <div id="event-map" phx-hook="LocationMap" phx-update="ignore"
+//          data-lat={@latitude} data-lng={@longitude} class="h-48"></div>
+//
+// Lists render one per row, so the map is only created near the viewport
+// and torn down again far from it (lib/maps/lazy.js); a pin placeholder
+// stands in until then.
+//
+// If the map provider can't be loaded the element shows "Map unavailable"
+// with a link to the place on a map site instead, and the LiveView gets
+// "map-load-failed".
+const LocationMap = {
+  mounted() {
+    this.placeholder = document.createElement("div")
+    this.placeholder.className = "flex h-full w-full items-center justify-center rounded-[inherit] bg-gray-50 text-gray-300"
+    this.placeholder.innerHTML = `<span class="hero-map-pin h-8 w-8"></span>`
+    this.el.replaceChildren(this.placeholder)
+
+    this.release = observeMap(this.el, {
+      activate: () => this.activate(),
+      deactivate: () => this.deactivate()
+    })
+  },
+  updated() {
+    const position = this.position()
+    if (this.map && position) {
+      this.map.setView(position)
+      this.marker.setPosition(position)
+    }
+  },
+  destroyed() {
+    this.removed = true
+    this.release()
+    this.deactivate()
+  },
+  position() {
+    const lat = parseFloat(this.el.dataset.lat)
+    const lng = parseFloat(this.el.dataset.lng)
+    return isNaN(lat) || isNaN(lng) ? null : {lat, lng}
+  },
+  activate() {
+    this.active = true
+
+    loadMaps()
+      .then(maps => {
+        const position = this.position()
+        if (this.removed || !this.active || this.map || !position) return
+
+        this.mapEl = document.createElement("div")
+        this.mapEl.className = "h-full w-full rounded-[inherit]"
+        this.placeholder.classList.add("hidden")
+        this.el.appendChild(this.mapEl)
+
+        this.map = maps.createMap(this.mapEl, {center: position, zoom: 15})
+        this.marker = this.map.addMarker(position)
+      })
+      .catch(error => {
+        if (this.removed) return
+        // Nothing to bring back later
+        this.release()
+        renderUnavailable(this.el, this.position())
+        reportLoadFailure(this, error)
+      })
+  },
+  deactivate() {
+    this.active = false
+    if (!this.map) return
+
+    this.map.destroy()
+    this.mapEl.remove()
+    this.map = this.marker = this.mapEl = null
+    this.placeholder.classList.remove("hidden")
+  }
+}
+
+export default LocationMap
@@ -0,0 +1,123 @@
+import {loadMaps, renderUnavailable, reportLoadFailure} from "../lib/maps"
+
+// Map for setting a location by hand: click to drop the pin, drag it to
+// adjust, or use the device's position
+//
+// Usage:
+//
+//     <div id="location-picker" phx-hook="LocationPicker" phx-target={@myself}
+//          phx-update="ignore" data-lat={@latitude} data-lng={@longitude}>
+//       <div data-picker-map class="h-48"></div>
+//       <span data-picker-status></span>
+//       <button type="button" data-locate>Use my current location</button>
+//     </div>
+//
+// Every new position is reverse-geocoded and sent to the phx-target as
+// "place-selected" with {address, place_id, lat, lng}, like a place picked
+// from search; without an address the coordinates stand in for one. When
+// the server sends new data-lat/data-lng (a searched place) the pin follows.
+const WORLD = {lat: 20, lng: 0}
+const PLACE_ZOOM = 15
+
+const LocationPicker = {
+  mounted() {
+    this.mapEl = this.el.querySelector("[data-picker-map]")
+    this.status = this.el.querySelector("[data-picker-status]")
+    this.locateButton = this.el.querySelector("[data-locate]")
+    this.defaultStatus = this.status ? this.status.textContent : ""
+
+    if (this.locateButton) {
+      if ("geolocation" in navigator) {
+        this.locateButton.addEventListener("click", () => this.locate())
+      } else {
+        this.locateButton.remove()
+      }
+    }
+
+    loadMaps()
+      .then(maps => {
+        if (this.removed) return
+        this.maps = maps
+
+        // The device's position may have come in first
+        const position = this.markerPosition || this.position()
+        this.map = maps.createMap(this.mapEl, {center: position || WORLD, zoom: position ? PLACE_ZOOM : 2})
+        this.map.onClick(clicked => this.moveTo(clicked))
+        if (position) this.placeMarker(position)
+      })
+      .catch(error => {
+        if (this.removed) return
+        renderUnavailable(this.mapEl, this.position())
+        reportLoadFailure(this, error)
+      })
+  },
+  updated() {
+    const position = this.position()
+    if (!this.map || !position) return
+    if (this.marker && samePosition(position, this.markerPosition)) return
+
+    this.placeMarker(position)
+    this.map.setView(position, PLACE_ZOOM)
+  },
+  destroyed() {
+    this.removed = true
+    if (this.map) this.map.destroy()
+  },
+  position() {
+    const lat = parseFloat(this.el.dataset.lat)
+    const lng = parseFloat(this.el.dataset.lng)
+    return isNaN(lat) || isNaN(lng) ? null : {lat, lng}
+  },
+  placeMarker(position) {
+    this.markerPosition = position
+    if (!this.map) return
+    if (this.marker) return this.marker.setPosition(position)
+
+    this.marker = this.map.addMarker(position, {draggable: true, onMove: moved => this.moveTo(moved)})
+  },
+  // A position chosen on this device rather than from search
+  moveTo(position) {
+    this.placeMarker(position)
+    this.setStatus("Looking up the address…")
+
+    const lookup = this.maps ? this.maps.reverseGeocode(position) : Promise.resolve(null)
+    lookup.then(place => {
+      if (this.removed || !samePosition(position, this.markerPosition)) return
+
+      this.setStatus(null)
+      this.pushEventTo(this.el, "place-selected", {
+        address: place ? place.address : formatPosition(position),
+        place_id: place ? place.place_id : null,
+        lat: position.lat,
+        lng: position.lng
+      })
+    })
+  },
+  locate() {
+    this.setStatus("Finding your location…")
+
+    navigator.geolocation.getCurrentPosition(
+      ({coords}) => {
+        if (this.removed) return
+        const position = {lat: coords.latitude, lng: coords.longitude}
+        if (this.map) this.map.setView(position, PLACE_ZOOM)
+        this.moveTo(position)
+      },
+      () => this.setStatus("Couldn't get your location."),
+      {enableHighAccuracy: true, timeout: 10000}
+    )
+  },
+  setStatus(message) {
+    if (this.status) this.status.textContent = message || this.defaultStatus
+  }
+}
+
+function samePosition(a, b) {
+  return !!b && Math.abs(a.lat - b.lat) < 1e-7 && Math.abs(a.lng - b.lng) < 1e-7
+}
+
+function formatPosition({lat, lng}) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`
+}
+
+export default LocationPicker
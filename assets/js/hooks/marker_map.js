@@ -0,0 +1,58 @@
+import {loadMaps, renderUnavailable, reportLoadFailure} from "../lib/maps"
+
+// Map of many markers (events, connections), clustered where they overlap
+//
+// Usage:
+//
+//     <div id="events-map" phx-hook="MarkerMap" phx-update="ignore"
+//          data-markers={Jason.encode!(@map_markers)} data-fit-key={@filters_key}
+//          class="h-[32rem]"></div>
+//
+// Markers are {id, lat, lng, title, subtitle, url, link}; see
+// lib/maps/marker_info.js for the info window. The map zooms to fit the
+// markers when it's first drawn and whenever data-fit-key changes (i.e. the
+// filters did), but not when markers are only added or updated, so a change
+// from another tab doesn't move the map under the user.
+const WORLD = {lat: 20, lng: 0}
+
+const MarkerMap = {
+  mounted() {
+    this.render()
+  },
+  updated() {
+    this.render()
+  },
+  destroyed() {
+    this.removed = true
+    if (this.map) this.map.destroy()
+  },
+  render() {
+    let markers
+    try {
+      markers = JSON.parse(this.el.dataset.markers || "[]")
+    } catch (_e) {
+      markers = []
+    }
+    const fitKey = this.el.dataset.fitKey || ""
+
+    loadMaps()
+      .then(maps => {
+        if (this.removed) return
+
+        if (!this.map) this.map = maps.createMap(this.el, {center: WORLD, zoom: 2})
+        this.map.setMarkers(markers)
+
+        if (fitKey !== this.fittedKey) {
+          this.fittedKey = fitKey
+          this.map.fitMarkers(markers)
+        }
+      })
+      .catch(error => {
+        if (this.removed) return
+        renderUnavailable(this.el)
+        reportLoadFailure(this, error)
+      })
+  }
+}
+
+export default MarkerMap
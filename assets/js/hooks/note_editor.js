@@ -0,0 +1,182 @@
+import {avatarElement} from "../lib/avatar"
+import {completeTrigger, findTrigger, insertLink, mentionText, tagText, toggleList, toggleWrap} from "../lib/notes"
+
+// Markdown editing for interaction notes, with @mentions and #tags
+//
+// Usage:
+//
+//     <div id="interaction-notes" phx-hook="NoteEditor" phx-update="ignore">
+//       <button type="button" data-note-format="bold">…</button>   <!-- bold, italic, bullets, numbers, link -->
+//       <textarea name="interaction[content]" data-note-input></textarea>
+//       <ul data-note-suggestions role="listbox" class="hidden"></ul>
+//     </div>
+//
+// The toolbar and Ctrl/Cmd+B, I and K write Markdown into the textarea.
+// Typing "@" and part of a name asks the LiveView for matching connections
+// ("search-entities", the search SearchableSelect uses) and "#" for tags
+// ("search-tags"); both reply with {results: [{value, text}]}. Picking a
+// connection writes a [@Name](/connections/<id>) link, which the server
+// turns into a mention when the notes are saved.
+
+const SEARCH_DELAY_MS = 150
+
+const FORMATS = {
+  bold: (value, start, end) => toggleWrap(value, start, end, "**"),
+  italic: (value, start, end) => toggleWrap(value, start, end, "*"),
+  bullets: (value, start, end) => toggleList(value, start, end, false),
+  numbers: (value, start, end) => toggleList(value, start, end, true),
+  link: insertLink
+}
+
+const SHORTCUTS = {b: "bold", i: "italic", k: "link"}
+
+const NoteEditor = {
+  mounted() {
+    this.input = this.el.querySelector("[data-note-input]")
+    this.list = this.el.querySelector("[data-note-suggestions]")
+    this.list.id = `${this.el.id}-suggestions`
+    this.input.setAttribute("aria-autocomplete", "list")
+    this.input.setAttribute("aria-controls", this.list.id)
+    this.input.setAttribute("aria-expanded", "false")
+    this.searches = 0
+    this.suggestions = []
+
+    this.el.addEventListener("click", e => {
+      const button = e.target.closest("[data-note-format]")
+      if (button) this.format(button.dataset.noteFormat)
+    })
+
+    this.input.addEventListener("keydown", e => this.onKeydown(e))
+    this.input.addEventListener("input", () => this.suggest())
+    this.input.addEventListener("click", () => this.suggest())
+    this.input.addEventListener("blur", () => this.close())
+
+    // Keep the focus in the textarea while a suggestion is clicked
+    this.list.addEventListener("mousedown", e => e.preventDefault())
+    this.list.addEventListener("click", e => {
+      const option = e.target.closest("[data-index]")
+      if (option) this.choose(parseInt(option.dataset.index, 10))
+    })
+  },
+  destroyed() {
+    this.removed = true
+    clearTimeout(this.searchTimer)
+  },
+  onKeydown(e) {
+    if (this.suggestions.length > 0) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault()
+        const step = e.key === "ArrowDown" ? 1 : -1
+        this.highlight((this.active + step + this.suggestions.length) % this.suggestions.length)
+        return
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault()
+        this.choose(this.active)
+        return
+      }
+      if (e.key === "Escape") {
+        e.preventDefault()
+        e.stopPropagation()
+        this.close()
+        return
+      }
+    }
+
+    const format = SHORTCUTS[e.key.toLowerCase()]
+    if (format && (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey) {
+      e.preventDefault()
+      e.stopPropagation()
+      this.format(format)
+    }
+  },
+  format(name) {
+    const {value, selectionStart, selectionEnd} = this.input
+    this.apply(FORMATS[name](value, selectionStart, selectionEnd))
+  },
+  // Replaces part of the notes through the browser's editing commands where
+  // it can, so Ctrl+Z undoes it
+  apply({from, to, text, select}) {
+    this.input.focus()
+    this.input.setSelectionRange(from, to)
+    if (!document.execCommand("insertText", false, text)) {
+      this.input.setRangeText(text, from, to, "end")
+      this.input.dispatchEvent(new Event("input", {bubbles: true}))
+    }
+    this.input.setSelectionRange(select[0], select[1])
+  },
+  suggest() {
+    clearTimeout(this.searchTimer)
+    const caret = this.input.selectionStart
+    const trigger = this.input.selectionEnd === caret ? findTrigger(this.input.value, caret) : null
+    if (!trigger || (trigger.kind === "mention" && trigger.query === "")) return this.close()
+
+    this.searchTimer = setTimeout(() => {
+      const search = ++this.searches
+      const event = trigger.kind === "mention" ? "search-entities" : "search-tags"
+      this.pushEventTo(this.el, event, {query: trigger.query}, reply => {
+        if (this.removed || search !== this.searches) return
+        this.trigger = trigger
+        this.show(reply.results || [])
+      })
+    }, SEARCH_DELAY_MS)
+  },
+  show(results) {
+    this.suggestions = results
+    if (results.length === 0) return this.close()
+
+    this.list.replaceChildren(...results.map((result, index) => {
+      const option = document.createElement("li")
+      option.id = `${this.list.id}-${index}`
+      option.dataset.index = index
+      option.setAttribute("role", "option")
+      option.className = "flex cursor-pointer items-center gap-2 px-3 py-1.5 text-gray-900 aria-selected:bg-indigo-50"
+
+      if (this.trigger.kind === "mention") {
+        option.appendChild(avatarElement(result.text, null, "h-6 w-6 text-xs"))
+        option.appendChild(document.createTextNode(result.text))
+      } else {
+        option.textContent = tagText(result.value)
+        if (result.text !== result.value) {
+          const name = document.createElement("span")
+          name.className = "text-gray-500"
+          name.textContent = result.text
+          option.appendChild(name)
+        }
+      }
+      return option
+    }))
+
+    this.list.classList.remove("hidden")
+    this.input.setAttribute("aria-expanded", "true")
+    this.highlight(0)
+  },
+  highlight(index) {
+    this.active = index
+    Array.from(this.list.children).forEach((option, i) => {
+      option.setAttribute("aria-selected", i === index ? "true" : "false")
+      if (i === index) option.scrollIntoView({block: "nearest"})
+    })
+    this.input.setAttribute("aria-activedescendant", `${this.list.id}-${index}`)
+  },
+  choose(index) {
+    const result = this.suggestions[index]
+    const caret = this.input.selectionStart
+    this.close()
+    if (!result) return
+
+    const text = this.trigger.kind === "mention" ? mentionText(result.text, result.value) : tagText(result.value)
+    this.apply(completeTrigger(this.trigger, caret, text))
+  },
+  close() {
+    clearTimeout(this.searchTimer)
+    this.searches++
+    this.suggestions = []
+    this.list.classList.add("hidden")
+    this.list.replaceChildren()
+    this.input.setAttribute("aria-expanded", "false")
+    this.input.removeAttribute("aria-activedescendant")
+  }
+}
+
+export default NoteEditor
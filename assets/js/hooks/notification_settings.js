@@ -0,0 +1,132 @@
+import {LOCAL_ENDPOINT_KEY} from "../lib/notifications"
+
+// Settings control for due-reminder notifications on this browser
+//
+// Usage:
+//
+//     <div id="notification-settings" phx-hook="NotificationSettings"
+//          phx-update="ignore" data-vapid-public-key={@vapid_public_key}>
+//       <p data-notification-status>...</p>
+//       <button data-notification-enable>Enable</button>
+//       <button data-notification-disable>Turn off</button>
+//     </div>
+//
+// Enabling asks for notification permission, subscribes through the Push
+// API and sends the subscription to the server ("push-subscribe", handled by
+// ConeziaWeb.ReminderNotifications). If permission is denied, due reminders
+// still appear as toasts inside the page.
+const NotificationSettings = {
+  mounted() {
+    this.status = this.el.querySelector("[data-notification-status]")
+    this.enableButton = this.el.querySelector("[data-notification-enable]")
+    this.disableButton = this.el.querySelector("[data-notification-disable]")
+    this.vapidKey = this.el.dataset.vapidPublicKey
+
+    this.enableButton.addEventListener("click", () => this.enable())
+    this.disableButton.addEventListener("click", () => this.disable())
+
+    this.refresh()
+  },
+  supported() {
+    return "Notification" in window && "serviceWorker" in navigator && (!this.vapidKey || "PushManager" in window)
+  },
+  // Resolves with the current subscription as JSON, or null
+  currentSubscription() {
+    if (!this.vapidKey) {
+      const endpoint = localStorage.getItem(LOCAL_ENDPOINT_KEY)
+      return Promise.resolve(endpoint ? localSubscription(endpoint) : null)
+    }
+    return navigator.serviceWorker.ready
+      .then(registration => registration.pushManager.getSubscription())
+      .then(subscription => subscription && subscription.toJSON())
+  },
+  refresh() {
+    if (!this.supported()) {
+      return this.render("This browser doesn't support notifications. Due reminders appear inside the page instead.", null)
+    }
+    if (Notification.permission === "denied") {
+      return this.render("Notifications are blocked in your browser settings. Due reminders appear inside the page instead.", null)
+    }
+
+    this.currentSubscription().then(subscription => {
+      if (subscription && Notification.permission === "granted") {
+        // Keep the server's copy current (keys can rotate)
+        this.save(subscription)
+        this.render("On for this browser. You'll be notified when a reminder is due, even with Conezia closed.", "disable")
+      } else {
+        this.render("Get a notification on this device when a reminder is due.", "enable")
+      }
+    })
+  },
+  render(message, button) {
+    this.status.textContent = message
+    this.enableButton.classList.toggle("hidden", button !== "enable")
+    this.disableButton.classList.toggle("hidden", button !== "disable")
+  },
+  enable() {
+    this.enableButton.disabled = true
+
+    Notification.requestPermission()
+      .then(permission => {
+        if (permission !== "granted") return null
+        return this.subscribe().then(subscription => this.save(subscription))
+      })
+      .catch(() => {
+        this.render("Couldn't turn on notifications for this browser. Due reminders appear inside the page instead.", "enable")
+      })
+      .then(() => {
+        this.enableButton.disabled = false
+        this.refresh()
+      })
+  },
+  subscribe() {
+    if (!this.vapidKey) {
+      const endpoint = `${window.location.origin}/local-push/${randomId()}`
+      localStorage.setItem(LOCAL_ENDPOINT_KEY, endpoint)
+      return Promise.resolve(localSubscription(endpoint))
+    }
+
+    return navigator.serviceWorker.ready
+      .then(registration => registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: base64UrlToUint8Array(this.vapidKey)
+      }))
+      .then(subscription => subscription.toJSON())
+  },
+  save(subscription) {
+    return new Promise(resolve => {
+      this.pushEvent("push-subscribe", {subscription, user_agent: navigator.userAgent}, resolve)
+    })
+  },
+  disable() {
+    this.currentSubscription()
+      .then(subscription => {
+        if (!subscription) return
+        this.pushEvent("push-unsubscribe", {endpoint: subscription.endpoint})
+
+        if (!this.vapidKey) return localStorage.removeItem(LOCAL_ENDPOINT_KEY)
+        return navigator.serviceWorker.ready
+          .then(registration => registration.pushManager.getSubscription())
+          .then(pushSubscription => pushSubscription && pushSubscription.unsubscribe())
+      })
+      .then(() => this.refresh())
+  }
+}
+
+function localSubscription(endpoint) {
+  return {endpoint, keys: {p256dh: "local", auth: "local"}}
+}
+
+function randomId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID()
+  return Math.random().toString(36).slice(2) + Date.now().toString(36)
+}
+
+// applicationServerKey must be the raw key bytes
+function base64UrlToUint8Array(value) {
+  const padding = "=".repeat((4 - value.length % 4) % 4)
+  const raw = atob((value + padding).replace(/-/g, "+").replace(/_/g, "/"))
+  return Uint8Array.from(raw, char => char.charCodeAt(0))
+}
+
+export default NotificationSettings
@@ -0,0 +1,42 @@
+import {pendingItems, refreshOutbox, replayOutbox} from "../lib/outbox"
+
+// Header badge for the offline outbox, and the trigger for replaying it
+//
+// Usage (in the app layout):
+//
+//     <div id="outbox" phx-hook="Outbox" phx-update="ignore" class="hidden">
+//       <button data-outbox-toggle>... <span data-outbox-count></span></button>
+//       <div data-outbox-panel class="hidden"><ul data-outbox-items></ul></div>
+//     </div>
+//
+// A hook only runs while its LiveView is connected, which is exactly when
+// the queue can be sent: on mount and after every reconnect. The REST API
+// takes a bearer token rather than the session, so the hook asks for a
+// short-lived one ("outbox-token", see ConeziaWeb.Outbox) and keeps it only
+// for the replay. Capturing changes while offline is done outside LiveView,
+// in lib/outbox.js.
+const Outbox = {
+  mounted() {
+    this.replay()
+  },
+  reconnected() {
+    this.replay()
+  },
+  replay() {
+    refreshOutbox().then(() => {
+      if (this.removed || pendingItems().length === 0) return
+
+      this.pushEvent("outbox-token", {}, ({token}) => {
+        replayOutbox(token).then(applied => {
+          // Reload the page's data so the replayed changes show up
+          if (applied > 0 && !this.removed) this.js().navigate(window.location.pathname + window.location.search, {replace: true})
+        })
+      })
+    })
+  },
+  destroyed() {
+    this.removed = true
+  }
+}
+
+export default Outbox
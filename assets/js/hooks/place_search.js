@@ -0,0 +1,37 @@
+import {loadMaps, reportLoadFailure} from "../lib/maps"
+
+// Place search on a location input, through the configured map provider
+//
+// Usage:
+//
+//     <div id="location-search" phx-hook="PlaceSearch" phx-target={@myself}>
+//       <input type="text" name="event[location]" data-places-input />
+//     </div>
+//
+// Picking a place sends "place-selected" with {address, place_id, lat, lng}
+// to the hook's phx-target. Until the provider has loaded the input is a
+// plain text field; if it can't be loaded it stays one and the target gets
+// "map-load-failed".
+const PlaceSearch = {
+  mounted() {
+    const input = this.el.querySelector("input[data-places-input]")
+    if (!input) return
+
+    loadMaps()
+      .then(maps => {
+        if (this.removed) return
+        this.detach = maps.attachPlaceSearch(input, place => {
+          this.pushEventTo(this.el, "place-selected", place)
+        })
+      })
+      .catch(error => {
+        if (!this.removed) reportLoadFailure(this, error)
+      })
+  },
+  destroyed() {
+    this.removed = true
+    if (this.detach) this.detach()
+  }
+}
+
+export default PlaceSearch
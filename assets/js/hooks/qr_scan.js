@@ -0,0 +1,119 @@
+import {parseScannedContact} from "../lib/contacts"
+import {qrReader} from "../lib/qr"
+
+// Camera scanner that reads a contact QR code into the connection form
+//
+// Usage:
+//
+//     <div id="entity-qr-scan" phx-hook="QrScan" phx-update="ignore" phx-target={@myself}>
+//       <button type="button" data-qr-start>Scan a QR code</button>
+//       <div data-qr-viewer class="hidden"></div>
+//     </div>
+//
+// Frames from the rear camera are read every SCAN_INTERVAL ms (lib/qr.js)
+// until one holds a vCard or MECARD. The contact is sent to phx-target as
+// "qr-scanned" ({contact}, a row from parseScannedContact), which replies
+// with {rejected}: the details that couldn't be used.
+const SCAN_INTERVAL = 250
+
+const QrScan = {
+  mounted() {
+    this.start = this.el.querySelector("[data-qr-start]")
+    this.viewer = this.el.querySelector("[data-qr-viewer]")
+    this.read = qrReader()
+
+    this.start.addEventListener("click", () => this.open())
+    this.viewer.addEventListener("click", e => {
+      if (e.target.closest("[data-qr-stop]")) this.close()
+    })
+  },
+  destroyed() {
+    this.stopCamera()
+  },
+  open() {
+    this.viewer.innerHTML = `
+      <div class="overflow-hidden rounded-lg bg-black">
+        <video data-qr-video class="mx-auto max-h-64 w-full object-cover" muted playsinline></video>
+      </div>
+      <div class="mt-2 flex items-center justify-between gap-2">
+        <p data-qr-status class="text-xs text-gray-500" aria-live="polite"></p>
+        <button type="button" data-qr-stop class="text-sm font-medium text-indigo-600 hover:text-indigo-500">Cancel</button>
+      </div>
+    `
+    this.video = this.viewer.querySelector("[data-qr-video]")
+    this.status = this.viewer.querySelector("[data-qr-status]")
+    this.viewer.classList.remove("hidden")
+    this.start.classList.add("hidden")
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      return this.setStatus("This browser can't use the camera.")
+    }
+
+    this.setStatus("Starting the camera…")
+    navigator.mediaDevices.getUserMedia({video: {facingMode: "environment"}, audio: false})
+      .then(stream => {
+        if (this.viewer.classList.contains("hidden")) return stream.getTracks().forEach(track => track.stop())
+
+        this.stream = stream
+        this.video.srcObject = stream
+        return this.video.play().then(() => {
+          this.setStatus("Point the camera at a contact QR code.")
+          this.scan()
+        })
+      })
+      .catch(error => {
+        this.setStatus(error.name === "NotAllowedError"
+          ? "Camera access was blocked. Allow it in the browser to scan."
+          : "No camera could be started.")
+      })
+  },
+  close() {
+    this.stopCamera()
+    this.viewer.replaceChildren()
+    this.viewer.classList.add("hidden")
+    this.start.classList.remove("hidden")
+  },
+  scan() {
+    if (!this.stream) return
+
+    this.read(this.video)
+      .then(text => {
+        if (!this.stream) return
+
+        const contact = text ? parseScannedContact(text) : null
+        if (!contact) {
+          if (text) this.setStatus("That QR code isn't a contact card.")
+          this.timer = setTimeout(() => this.scan(), SCAN_INTERVAL)
+          return
+        }
+
+        this.close()
+        this.pushEventTo(this.el, "qr-scanned", {contact}, reply => {
+          if (reply.rejected.length > 0) this.showRejected(reply.rejected)
+        })
+      })
+      .catch(() => {
+        this.timer = setTimeout(() => this.scan(), SCAN_INTERVAL)
+      })
+  },
+  stopCamera() {
+    clearTimeout(this.timer)
+    if (this.stream) this.stream.getTracks().forEach(track => track.stop())
+    this.stream = null
+  },
+  setStatus(text) {
+    if (this.status) this.status.textContent = text
+  },
+  showRejected(messages) {
+    const note = document.createElement("div")
+    note.className = "mt-2 text-xs text-amber-700"
+    note.setAttribute("role", "status")
+    note.textContent = "Left out of the QR code: "
+    note.append(messages.join("; "))
+
+    this.viewer.replaceChildren(note)
+    this.viewer.classList.remove("hidden")
+  }
+}
+
+export default QrScan
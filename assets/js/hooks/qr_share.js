@@ -0,0 +1,93 @@
+import {qrSvg} from "../lib/qr"
+import {buildShareCard} from "../lib/vcard"
+
+// Button that shows a connection's contact card as a QR code
+//
+// Usage:
+//
+//     <div id="entity-qr-share" class="relative" phx-hook="QrShare" phx-update="ignore"
+//       data-scope="entity" data-id={@entity.id}>
+//       <button type="button" data-qr-toggle aria-expanded="false">Share</button>
+//       <div data-qr-panel class="hidden"></div>
+//     </div>
+//
+// Each time the panel opens, the card is fetched with "vcard-export"
+// ({scope, id} → {contacts}), the event VcardExport uses, and drawn as the
+// vCard 3.0 from buildShareCard, so it has the connection's details as they
+// are now. Escape or a click outside closes it.
+const QrShare = {
+  mounted() {
+    this.toggle = this.el.querySelector("[data-qr-toggle]")
+    this.panel = this.el.querySelector("[data-qr-panel]")
+    this.loadRef = 0
+
+    this.toggle.addEventListener("click", () => {
+      if (this.panel.classList.contains("hidden")) this.open()
+      else this.close()
+    })
+
+    this.onKeydown = e => {
+      if (e.key === "Escape" && !this.panel.classList.contains("hidden")) {
+        this.close()
+        this.toggle.focus()
+      }
+    }
+    this.onClickAway = e => {
+      if (!this.el.contains(e.target)) this.close()
+    }
+    document.addEventListener("keydown", this.onKeydown)
+    document.addEventListener("click", this.onClickAway)
+  },
+  destroyed() {
+    document.removeEventListener("keydown", this.onKeydown)
+    document.removeEventListener("click", this.onClickAway)
+  },
+  open() {
+    this.panel.classList.remove("hidden")
+    this.toggle.setAttribute("aria-expanded", "true")
+
+    // Only the reply to the latest open is drawn
+    const ref = ++this.loadRef
+    this.showStatus("Loading…")
+    const {scope, id} = this.el.dataset
+    this.pushEventTo(this.el, "vcard-export", {scope, id}, reply => {
+      if (ref !== this.loadRef) return
+      const contact = reply.contacts[0]
+      if (contact) this.showCard(contact)
+      else this.showStatus("There's no contact card to share yet.")
+    })
+  },
+  close() {
+    this.panel.classList.add("hidden")
+    this.toggle.setAttribute("aria-expanded", "false")
+  },
+  showCard(contact) {
+    const code = document.createElement("div")
+    code.className = "mx-auto h-56 w-56"
+    try {
+      code.appendChild(qrSvg(buildShareCard(contact), {title: `${contact.name}'s contact card`}))
+    } catch (_e) {
+      // Longer than a QR code holds
+      return this.showStatus("This contact card is too long for a QR code.")
+    }
+
+    const name = document.createElement("p")
+    name.className = "mt-3 text-center text-sm font-medium text-gray-900"
+    name.textContent = contact.name
+
+    const hint = document.createElement("p")
+    hint.className = "mt-1 text-center text-xs text-gray-500"
+    hint.textContent = "Scan with a phone camera to save the contact."
+
+    this.panel.replaceChildren(code, name, hint)
+  },
+  showStatus(text) {
+    const status = document.createElement("p")
+    status.className = "text-center text-sm text-gray-500"
+    status.setAttribute("role", "status")
+    status.textContent = text
+    this.panel.replaceChildren(status)
+  }
+}
+
+export default QrShare
@@ -0,0 +1,89 @@
+import {resolveLocale, resolveTimeZone, calendarParts} from "../lib/locale"
+
+const MINUTE = 60
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Relative time display (e.g., "2 hours ago", "tomorrow", "in 3 months")
+//
+// Usage:
+//
+//     <time id="..." phx-hook="RelativeTime" datetime="2025-01-01T10:00:00Z"
+//           data-datetime="2025-01-01T10:00:00Z" data-locale="fr"></time>
+//
+// Past and future values are both supported. Anything a day or more away is
+// measured in calendar days/months/years in the user's timezone, so
+// "yesterday" and "in 2 months" follow the wall clock rather than fixed
+// 24-hour or 30-day buckets.
+const RelativeTime = {
+  mounted() {
+    this.updated()
+  },
+  updated() {
+    clearTimeout(this.timer)
+
+    const date = new Date(this.el.dataset.datetime)
+    if (isNaN(date)) return
+
+    const formatter = new Intl.RelativeTimeFormat(resolveLocale(this.el), {numeric: "auto"})
+    const [value, unit] = relativeParts(date, new Date(), resolveTimeZone(this.el))
+    this.el.textContent = formatter.format(value, unit)
+
+    this.timer = setTimeout(() => this.updated(), refreshInterval(date))
+  },
+  destroyed() {
+    clearTimeout(this.timer)
+  }
+}
+
+// Returns a [value, unit] pair for Intl.RelativeTimeFormat#format, negative
+// for the past and positive for the future.
+export function relativeParts(date, now, timeZone) {
+  const seconds = Math.round((date - now) / 1000)
+  const abs = Math.abs(seconds)
+
+  if (abs < 10) return [0, "second"]
+  if (abs < MINUTE) return [seconds, "second"]
+  if (abs < HOUR) return [Math.trunc(seconds / MINUTE), "minute"]
+  if (abs < DAY) return [Math.trunc(seconds / HOUR), "hour"]
+
+  const from = calendarParts(now, timeZone)
+  const to = calendarParts(date, timeZone)
+  const days = dayNumber(to) - dayNumber(from)
+
+  if (Math.abs(days) < 7) return [days, "day"]
+
+  const months = wholeMonths(from, to)
+  if (months === 0) return [Math.trunc(days / 7), "week"]
+  if (Math.abs(months) < 12) return [months, "month"]
+
+  return [Math.trunc(months / 12), "year"]
+}
+
+function dayNumber({year, month, day}) {
+  return Math.round(Date.UTC(year, month - 1, day) / (DAY * 1000))
+}
+
+// Number of complete calendar months between two {year, month, day} values,
+// signed by direction. Jan 31 -> Feb 28 is 0 months; Jan 15 -> Feb 15 is 1.
+function wholeMonths(from, to) {
+  const sign = dayNumber(to) >= dayNumber(from) ? 1 : -1
+  const [earlier, later] = sign > 0 ? [from, to] : [to, from]
+
+  let months = (later.year - earlier.year) * 12 + (later.month - earlier.month)
+  if (later.day < earlier.day) months -= 1
+
+  return sign * months
+}
+
+// Refresh often while the label changes quickly, and back off as it settles.
+function refreshInterval(date) {
+  const abs = Math.abs(new Date() - date) / 1000
+
+  if (abs < MINUTE) return 1000
+  if (abs < HOUR) return 30 * 1000
+  if (abs < DAY) return 5 * 60 * 1000
+  return 60 * 60 * 1000
+}
+
+export default RelativeTime
@@ -0,0 +1,112 @@
+import {readFields} from "../lib/form_fields"
+
+// Asks before unsaved changes to a form are thrown away
+//
+// Usage:
+//
+//     <div id="event-form-guard" phx-hook="UnsavedChanges" data-form="event-form">
+//       <.simple_form id="event-form" ...>...</.simple_form>
+//     </div>
+//
+// The form has unsaved changes once its fields differ from what they were
+// when it was rendered, or a file is waiting to be uploaded with it. Until
+// it's saved, closing the modal it's in (Escape, the close button or a click
+// outside), following a live_patch or live_redirect link, going back or
+// forward in the browser's history and leaving the page all ask first.
+// Throwing the changes away sends the form a "discard" event, which drops
+// its draft (see FormDraft).
+//
+// The browser has already moved to the other history entry by the time
+// "popstate" fires, so keeping the changes puts the form's URL back with a
+// new entry. The listener is a capturing one on window so it runs before
+// LiveView's and can keep the navigation from it.
+//
+// SearchableSelect takes phx-click-away off the modal while its dropdown is
+// open. A click or Escape that only closes the dropdown is kept from the
+// modal, which would otherwise close too once the attribute is back.
+
+const MESSAGE = "You have unsaved changes. Discard them?"
+
+const UnsavedChanges = {
+  mounted() {
+    this.form = document.getElementById(this.el.dataset.form)
+    this.initial = JSON.stringify(readFields(this.form))
+    this.container = this.el.closest("[id$='-container']")
+
+    // Recorded before the event reaches Tom Select, which closes its
+    // dropdown (and puts phx-click-away back) as it handles it
+    this.onPress = e => {
+      this.pressed = {
+        outside: !!this.container && !this.container.contains(e.target),
+        dropdownOpen: this.dropdownOpen()
+      }
+    }
+    this.onEscapePress = e => {
+      if (e.key === "Escape") this.escapeClosesDropdown = this.dropdownOpen()
+    }
+
+    // Handled on the way up to the window, where LiveView listens
+    this.onClick = e => {
+      const pressed = this.pressed || {outside: !!this.container && !this.container.contains(e.target), dropdownOpen: false}
+      this.pressed = null
+
+      const link = e.target.closest("a[data-phx-link]")
+      if (!link && pressed.outside && pressed.dropdownOpen) return this.stop(e)
+
+      const closing = pressed.outside || (this.container && e.target.closest("[phx-click*='data-cancel']"))
+      if ((link || closing) && !this.confirmDiscard()) this.stop(e)
+    }
+    this.onKeydown = e => {
+      if (e.key !== "Escape" || !this.container) return
+      if (this.escapeClosesDropdown || !this.confirmDiscard()) this.stop(e)
+      this.escapeClosesDropdown = false
+    }
+    this.onBeforeUnload = e => {
+      if (!this.dirty()) return
+      e.preventDefault()
+      e.returnValue = ""
+    }
+    this.href = window.location.href
+    this.historyState = window.history.state
+    this.onPopState = e => {
+      if (this.confirmDiscard()) return
+      e.stopImmediatePropagation()
+      window.history.pushState(this.historyState, "", this.href)
+    }
+
+    window.addEventListener("mousedown", this.onPress, true)
+    window.addEventListener("keydown", this.onEscapePress, true)
+    document.addEventListener("click", this.onClick)
+    document.addEventListener("keydown", this.onKeydown)
+    window.addEventListener("beforeunload", this.onBeforeUnload)
+    window.addEventListener("popstate", this.onPopState, true)
+  },
+  destroyed() {
+    window.removeEventListener("mousedown", this.onPress, true)
+    window.removeEventListener("keydown", this.onEscapePress, true)
+    document.removeEventListener("click", this.onClick)
+    document.removeEventListener("keydown", this.onKeydown)
+    window.removeEventListener("beforeunload", this.onBeforeUnload)
+    window.removeEventListener("popstate", this.onPopState, true)
+  },
+  dirty() {
+    const uploading = Array.from(this.form.querySelectorAll("input[type=file]"))
+      .some(input => input.getAttribute("data-phx-active-refs"))
+    return uploading || JSON.stringify(readFields(this.form)) !== this.initial
+  },
+  dropdownOpen() {
+    return !!this.container && !this.container.hasAttribute("phx-click-away")
+  },
+  confirmDiscard() {
+    if (!this.dirty()) return true
+    if (!window.confirm(MESSAGE)) return false
+    this.form.dispatchEvent(new Event("discard"))
+    return true
+  },
+  stop(e) {
+    e.preventDefault()
+    e.stopPropagation()
+  }
+}
+
+export default UnsavedChanges
@@ -0,0 +1,37 @@
+import {downloadFile, fileName} from "../lib/ics"
+import {buildVCards} from "../lib/vcard"
+
+// Button that downloads connections as a .vcf file
+//
+// Usage:
+//
+//     <button id="connections-export" type="button" phx-hook="VcardExport" data-scope="list">Export vCard</button>
+//     <button id="entity-vcard-export" type="button" phx-hook="VcardExport"
+//       data-scope="entity" data-id={@entity.id} data-filename={@entity.name}>...</button>
+//
+// Sends "vcard-export" with {scope, id} to the LiveView (or phx-target),
+// which replies with {contacts, name} (see ConeziaWeb.EntityLive.Vcard).
+// The file is named after data-filename, or the name in the reply.
+const VcardExport = {
+  mounted() {
+    this.onClick = () => this.export()
+    this.el.addEventListener("click", this.onClick)
+  },
+  destroyed() {
+    this.el.removeEventListener("click", this.onClick)
+  },
+  export() {
+    if (this.el.getAttribute("aria-busy") === "true") return
+    this.el.setAttribute("aria-busy", "true")
+
+    const {scope, id} = this.el.dataset
+    this.pushEventTo(this.el, "vcard-export", {scope, id}, reply => {
+      this.el.removeAttribute("aria-busy")
+
+      const text = buildVCards(reply.contacts)
+      downloadFile(fileName(this.el.dataset.filename || reply.name, "vcf"), text, "text/vcard")
+    })
+  }
+}
+
+export default VcardExport
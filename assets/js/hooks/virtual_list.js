@@ -0,0 +1,132 @@
+// Rows within this many of the rendered window's edge trigger the next load
+const BUFFER_ROWS = 10
+// Scrollbar drags far outside the rendered window are debounced into one jump
+const JUMP_DEBOUNCE_MS = 150
+const DEFAULT_ROW_HEIGHT = 80
+const REPLY_TIMEOUT_MS = 15000
+
+// Windowed rendering for very large streamed lists
+//
+// Usage (on the stream container):
+//
+//     <div id="entities-spacer-top" phx-update="ignore"></div>
+//     <ul id="entities" phx-update="stream" phx-hook="VirtualList"
+//         data-virtualized={to_string(@virtualized)} data-total={@total_count}
+//         data-has-more={to_string(@has_more)}
+//         data-window-start={@window_start} data-window-end={@window_end}>
+//     </ul>
+//     <div id="entities-spacer-bottom" phx-update="ignore"></div>
+//
+// The server keeps only `window_start..window_end` of the list in the stream
+// (using stream limits) and answers three events, each replying with the new
+// `%{window_start: ..., window_end: ...}`:
+//
+//   * "load-more"     - append the next page after window_end
+//   * "load-previous" - prepend the page before window_start
+//   * "jump-to"       - reset the stream around `%{"index" => i}`
+//
+// This hook sizes the two spacers from the average row height so the
+// scrollbar spans the whole list, and asks for whichever rows are about to
+// scroll into view. Only one request is in flight at a time.
+const VirtualList = {
+  mounted() {
+    this.spacerTop = document.getElementById(`${this.el.id}-spacer-top`)
+    this.spacerBottom = document.getElementById(`${this.el.id}-spacer-bottom`)
+    this.rowHeight = parseFloat(this.el.dataset.rowEstimate) || DEFAULT_ROW_HEIGHT
+
+    this.onScroll = () => {
+      if (this.frame) return
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null
+        this.check()
+      })
+    }
+    window.addEventListener("scroll", this.onScroll, {passive: true})
+    window.addEventListener("resize", this.onScroll, {passive: true})
+
+    this.layout()
+  },
+  updated() {
+    this.layout()
+  },
+  destroyed() {
+    window.removeEventListener("scroll", this.onScroll)
+    window.removeEventListener("resize", this.onScroll)
+    cancelAnimationFrame(this.frame)
+    clearTimeout(this.jumpTimer)
+    clearTimeout(this.replyTimer)
+  },
+  enabled() {
+    return this.el.dataset.virtualized === "true"
+  },
+  windowRange() {
+    return {
+      start: parseInt(this.el.dataset.windowStart || "0", 10),
+      end: parseInt(this.el.dataset.windowEnd || "0", 10),
+      total: parseInt(this.el.dataset.total || "0", 10)
+    }
+  },
+  rows() {
+    return Array.from(this.el.children).filter(row => row.id)
+  },
+  layout() {
+    if (!this.enabled()) {
+      this.setSpacers(0, 0)
+      return
+    }
+
+    const rows = this.rows()
+    if (rows.length > 0) {
+      const height = this.el.getBoundingClientRect().height
+      if (height > 0) this.rowHeight = height / rows.length
+    }
+
+    const {start, end, total} = this.windowRange()
+    this.setSpacers(start * this.rowHeight, Math.max(total - end, 0) * this.rowHeight)
+    this.check()
+  },
+  setSpacers(top, bottom) {
+    if (this.spacerTop) this.spacerTop.style.height = `${top}px`
+    if (this.spacerBottom) this.spacerBottom.style.height = `${bottom}px`
+  },
+  // Which list indexes the viewport currently covers
+  visibleRange() {
+    const origin = (this.spacerTop || this.el).getBoundingClientRect().top
+    const first = Math.floor(Math.max(0, -origin) / this.rowHeight)
+    const last = Math.ceil(Math.max(0, window.innerHeight - origin) / this.rowHeight)
+    return {first, last}
+  },
+  check() {
+    if (!this.enabled() || this.inFlight) return
+
+    const {start, end} = this.windowRange()
+    const {first, last} = this.visibleRange()
+
+    clearTimeout(this.jumpTimer)
+
+    if (last < start || first > end) {
+      this.jumpTimer = setTimeout(() => this.request("jump-to", {index: first}), JUMP_DEBOUNCE_MS)
+    } else if (last + BUFFER_ROWS > end && this.el.dataset.hasMore === "true") {
+      this.request("load-more", {})
+    } else if (first - BUFFER_ROWS < start && start > 0) {
+      this.request("load-previous", {})
+    }
+  },
+  request(event, params) {
+    if (this.inFlight) return
+    this.inFlight = true
+
+    // Don't stay stuck if the reply never comes (e.g. a crashed LiveView)
+    this.replyTimer = setTimeout(() => { this.inFlight = false }, REPLY_TIMEOUT_MS)
+
+    this.pushEvent(event, params, () => {
+      clearTimeout(this.replyTimer)
+      this.inFlight = false
+      // The reply arrives after the patch, so layout() has already resized
+      // the spacers; look again in case the user kept scrolling.
+      this.check()
+    })
+  }
+}
+
+export default VirtualList
@@ -0,0 +1,173 @@
+// Checking and uploading attachments in the browser
+//
+// Usage:
+//
+//     const {mimeType, error} = checkAttachment(file, rules)
+//
+//     const upload = resumableUpload(file, {
+//       entityId, mimeType,
+//       onProgress: fraction => { bar.style.width = `${fraction * 100}%` }
+//     })
+//     upload.done
+//       .then(attachment => ...)        // {id, filename, mime_type, size_bytes, url}
+//       .catch(error => ...)            // error.messages; error.cancelled after cancel()
+//     upload.cancel()
+//
+// checkAttachment applies Conezia.Validators.AttachmentValidator's rules
+// before anything is sent. `rules` is {types, maxFileSize,
+// maxFilenameLength}, with `types` the validator's map of MIME type to
+// extensions. The MIME type sent is the one the extension allows, since
+// browsers disagree about what to call a .csv.
+//
+// resumableUpload talks to ConeziaWeb.AttachmentUploadController: it starts
+// an upload, then PATCHes the file CHUNK_SIZE at a time from the offset the
+// server has. When a chunk is lost to the network or a server error it waits,
+// asks the server where the upload got to and carries on from there. Waits
+// while the browser is offline don't count towards RETRY_DELAYS.
+
+const UPLOADS_URL = "/attachments/uploads"
+const CHUNK_SIZE = 2 * 1024 * 1024
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000]
+
+// AttachmentValidator's ~r/^[\w\-\. ]+$/u
+const FILENAME_PATTERN = /^[\p{L}\p{N}_\-. ]+$/u
+
+export function checkAttachment(file, {types, maxFileSize, maxFilenameLength}) {
+  const match = file.name.match(/\.[^.]+$/)
+  const extension = match ? match[0].toLowerCase() : ""
+  const mimeTypes = Object.keys(types).filter(type => types[type].includes(extension))
+
+  if (mimeTypes.length === 0) return {error: "file type not allowed"}
+  if (file.name.length > maxFilenameLength) return {error: `name is longer than ${maxFilenameLength} characters`}
+  if (!FILENAME_PATTERN.test(file.name)) return {error: "name contains invalid characters"}
+  if (file.size === 0) return {error: "file is empty"}
+  if (file.size > maxFileSize) return {error: `file is larger than ${formatFileSize(maxFileSize)}`}
+
+  return {mimeType: mimeTypes.includes(file.type) ? file.type : mimeTypes[0]}
+}
+
+// 512 B, 48 KB, 3.4 MB, 50 MB: the same as the connection page
+export function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${bytes} B`
+}
+
+export function resumableUpload(file, {entityId, mimeType, onProgress}) {
+  let url = null
+  let xhr = null
+  let cancelled = false
+  let retries = 0
+
+  const request = (method, target, {body, headers = {}, progress} = {}) => new Promise((resolve, reject) => {
+    if (cancelled) return reject(uploadError(["cancelled"], {cancelled: true}))
+
+    xhr = new XMLHttpRequest()
+    xhr.open(method, target)
+    xhr.setRequestHeader("x-csrf-token", csrfToken())
+    Object.keys(headers).forEach(name => xhr.setRequestHeader(name, headers[name]))
+    if (progress) xhr.upload.onprogress = e => progress(e.loaded)
+
+    xhr.onload = () => resolve({status: xhr.status, data: parseJson(xhr.responseText)})
+    xhr.onerror = () => reject(uploadError(["the connection was lost"], {retryable: true}))
+    xhr.onabort = () => reject(uploadError(["cancelled"], {cancelled: true}))
+    xhr.send(body)
+  })
+
+  const start = () => request("POST", UPLOADS_URL, {
+    body: JSON.stringify({entity_id: entityId, filename: file.name, mime_type: mimeType, size_bytes: file.size}),
+    headers: {"content-type": "application/json"}
+  }).then(({status, data}) => {
+    if (status !== 201 || !data.id) throw refused(status, data)
+    url = `${UPLOADS_URL}/${data.id}`
+    return send(data.offset)
+  })
+
+  // Sends the chunk at `offset`, then the rest
+  const send = offset => request("PATCH", url, {
+    body: file.slice(offset, offset + CHUNK_SIZE),
+    headers: {"content-type": "application/offset+octet-stream", "upload-offset": String(offset)},
+    progress: loaded => onProgress(Math.min(offset + loaded, file.size) / file.size)
+  }).then(({status, data}) => {
+    if (status === 201 && data.attachment) return {attachment: data.attachment}
+    // 409: the server has a different offset, which is where to go on from
+    if ((status === 200 || status === 409) && typeof data.offset === "number") return {offset: data.offset}
+    throw refused(status, data)
+  }).then(
+    ({attachment, offset: next}) => {
+      if (attachment) return attachment
+      retries = 0
+      return send(next)
+    },
+    retry
+  )
+
+  const retry = error => {
+    if (!error.retryable) throw error
+    if (navigator.onLine && retries >= RETRY_DELAYS.length) throw error
+
+    const delay = RETRY_DELAYS[Math.min(retries, RETRY_DELAYS.length - 1)]
+    if (navigator.onLine) retries++
+
+    return wait(delay)
+      .then(() => request("GET", url))
+      .then(({status, data}) => {
+        if (status !== 200 || typeof data.offset !== "number") throw refused(status, data)
+        return data.offset
+      })
+      .then(send, retry)
+  }
+
+  const done = start().then(attachment => {
+    onProgress(1)
+    return attachment
+  })
+
+  const cancel = () => {
+    if (cancelled) return
+    cancelled = true
+    if (xhr) xhr.abort()
+    if (url) request("DELETE", url).catch(() => {})
+  }
+
+  return {done, cancel}
+}
+
+function csrfToken() {
+  return document.querySelector("meta[name='csrf-token']").getAttribute("content")
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text) || {}
+  } catch (_e) {
+    return {}
+  }
+}
+
+function uploadError(messages, props = {}) {
+  return Object.assign(new Error(messages.join(", ")), {messages}, props)
+}
+
+// What the server said, or what to make of its silence. Server errors and
+// timeouts are worth another go; anything else it refused won't change.
+function refused(status, data) {
+  const retryable = status >= 500 || status === 408 || status === 429
+  if (Array.isArray(data.errors) && data.errors.length > 0) return uploadError(data.errors, {retryable})
+  if (status === 404) return uploadError(["the upload has expired; try again"])
+  if (status === 403 || status === 200) return uploadError(["your session has expired; reload the page"])
+  return uploadError([`the upload failed (${status})`], {retryable})
+}
+
+// Waits `ms`, or until the browser is back online
+function wait(ms) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer)
+      window.removeEventListener("online", done)
+      resolve()
+    }
+    const timer = setTimeout(done, ms)
+    window.addEventListener("online", done)
+  })
+}
@@ -0,0 +1,53 @@
+// Avatars for connections listed by the browser, matching the <.avatar>
+// component in ConeziaWeb.CoreComponents
+//
+// Usage:
+//
+//     row.appendChild(avatarElement(entity.name, entity.avatar_url, "h-8 w-8 text-xs"))
+//
+// Without a picture, or when it fails to load, the avatar shows the name's
+// initials. The colour comes from the sum of the name's code points, the
+// same sum the component uses, so a connection looks the same either way.
+
+const COLORS = [
+  "bg-rose-500", "bg-orange-500", "bg-amber-500", "bg-emerald-500", "bg-teal-500",
+  "bg-sky-500", "bg-indigo-500", "bg-violet-500", "bg-fuchsia-500", "bg-slate-500"
+]
+
+export function avatarColor(name) {
+  if (!name) return "bg-gray-500"
+  const sum = Array.from(name).reduce((total, char) => total + char.codePointAt(0), 0)
+  return COLORS[sum % COLORS.length]
+}
+
+export function initials(name) {
+  if (typeof name !== "string") return "?"
+  return name.trim().split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => Array.from(part)[0])
+    .join("")
+    .toUpperCase()
+}
+
+export function avatarElement(name, src, sizeClass = "h-10 w-10 text-sm") {
+  const avatar = document.createElement("span")
+  avatar.className = `${sizeClass} relative inline-flex flex-shrink-0 items-center justify-center overflow-hidden rounded-full ${avatarColor(name)}`
+
+  const letters = document.createElement("span")
+  letters.className = "font-medium leading-none text-white"
+  letters.textContent = initials(name)
+  avatar.appendChild(letters)
+
+  if (src) {
+    const image = document.createElement("img")
+    image.src = src
+    image.alt = name || ""
+    image.loading = "lazy"
+    image.className = "absolute inset-0 h-full w-full rounded-full object-cover"
+    image.addEventListener("error", () => image.remove())
+    avatar.appendChild(image)
+  }
+
+  return avatar
+}
@@ -0,0 +1,170 @@
+import {fromWallClock, wallClock} from "./locale"
+
+// Date arithmetic and layout for the EventCalendar hook
+//
+// Usage:
+//
+//     const {first, last} = viewRange("month", today(timeZone))
+//     const events = serverEvents.map(event => placeEvent(event, timeZone))
+//     layoutBars(events, first, 7)   // spanning bars for one week row
+//     layoutDay(events, day, timeZone)  // timed events in a day column
+//
+// Days are whole numbers (days since 1970-01-01), so stepping through them
+// is plain addition and never trips over DST. Weeks start on Sunday.
+
+export const DAY_MS = 86400000
+const DEFAULT_DURATION_MS = 60 * 60 * 1000
+const MIN_DURATION_MINUTES = 15
+
+export function dayNumber({year, month, day}) {
+  return Math.round(Date.UTC(year, month - 1, day) / DAY_MS)
+}
+
+export function dayParts(day) {
+  const date = new Date(day * DAY_MS)
+  return {year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate()}
+}
+
+// A day as a Date at UTC midnight, for formatting with timeZone: "UTC"
+export function dayDate(day) {
+  return new Date(day * DAY_MS)
+}
+
+// 0 is Sunday
+export function weekday(day) {
+  return ((day + 4) % 7 + 7) % 7
+}
+
+export function startOfWeek(day) {
+  return day - weekday(day)
+}
+
+export function today(timeZone) {
+  return dayNumber(wallClock(new Date(), timeZone))
+}
+
+// The days a view shows around `focus`. A month shows six whole weeks.
+export function viewRange(view, focus) {
+  if (view === "day") return {first: focus, last: focus}
+
+  if (view === "week") {
+    const first = startOfWeek(focus)
+    return {first, last: first + 6}
+  }
+
+  const {year, month} = dayParts(focus)
+  const first = startOfWeek(dayNumber({year, month, day: 1}))
+  return {first, last: first + 41}
+}
+
+// `focus` moved by `step` views: the same day of the next month, clamped to
+// its length, or a week or day on
+export function shiftFocus(view, focus, step) {
+  if (view === "day") return focus + step
+  if (view === "week") return focus + 7 * step
+
+  const {year, month, day} = dayParts(focus)
+  const target = new Date(Date.UTC(year, month - 1 + step, 1))
+  const length = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+  return dayNumber({year: target.getUTCFullYear(), month: target.getUTCMonth() + 1, day: Math.min(day, length)})
+}
+
+// Adds the days an event covers. All-day events are stored at UTC midnight,
+// so they're placed by their UTC date; timed ones by the wall clock in
+// `timeZone`. An event without an end lasts an hour (timed) or its day.
+export function placeEvent(event, timeZone) {
+  const start = new Date(event.starts_at)
+  const hasEnd = !!event.ends_at
+  const zone = event.all_day ? "UTC" : timeZone
+  const end = hasEnd ? new Date(event.ends_at) : new Date(start.getTime() + (event.all_day ? 0 : DEFAULT_DURATION_MS))
+
+  const firstDay = dayNumber(wallClock(start, zone))
+  // A timed event ending at midnight doesn't reach into the next day
+  const endDay = dayNumber(wallClock(event.all_day ? end : new Date(end.getTime() - 1), zone))
+  const lastDay = Math.max(firstDay, endDay)
+
+  return {...event, start, end, hasEnd, firstDay, lastDay, multiDay: event.all_day || lastDay > firstDay}
+}
+
+// Bars for the events that overlap `length` days from `first`, stacked into
+// lanes: [{event, lane, column, span, continuesBefore, continuesAfter}].
+// Longer events get the upper lanes so they stay unbroken.
+export function layoutBars(events, first, length) {
+  const last = first + length - 1
+  const laneEnds = []
+
+  return events
+    .filter(event => event.firstDay <= last && event.lastDay >= first)
+    .sort((a, b) =>
+      a.firstDay - b.firstDay ||
+      (b.lastDay - b.firstDay) - (a.lastDay - a.firstDay) ||
+      a.start - b.start)
+    .map(event => {
+      const from = Math.max(event.firstDay, first)
+      const to = Math.min(event.lastDay, last)
+      let lane = laneEnds.findIndex(end => end < from)
+      if (lane === -1) lane = laneEnds.length
+      laneEnds[lane] = to
+
+      return {
+        event,
+        lane,
+        column: from - first,
+        span: to - from + 1,
+        continuesBefore: event.firstDay < first,
+        continuesAfter: event.lastDay > last
+      }
+    })
+}
+
+// Timed events within `day`, in minutes from midnight, side by side where
+// they overlap: [{event, top, bottom, column, columns}]
+export function layoutDay(events, day, timeZone) {
+  const items = events
+    .filter(event => !event.multiDay && event.firstDay === day)
+    .map(event => {
+      const {hour, minute} = wallClock(event.start, timeZone)
+      const top = hour * 60 + minute
+      const duration = Math.max((event.end - event.start) / 60000, MIN_DURATION_MINUTES)
+      return {event, top, bottom: Math.min(top + duration, 24 * 60), column: 0, columns: 1}
+    })
+    .sort((a, b) => a.top - b.top || b.bottom - a.bottom)
+
+  // Events that overlap, directly or through others, share the width
+  let group = []
+  let groupBottom = -1
+  let columnEnds = []
+
+  const closeGroup = () => group.forEach(item => { item.columns = columnEnds.length })
+
+  items.forEach(item => {
+    if (item.top >= groupBottom) {
+      closeGroup()
+      group = []
+      columnEnds = []
+    }
+
+    let column = columnEnds.findIndex(end => end <= item.top)
+    if (column === -1) column = columnEnds.length
+    columnEnds[column] = item.bottom
+    item.column = column
+
+    group.push(item)
+    groupBottom = Math.max(groupBottom, item.bottom)
+  })
+  closeGroup()
+
+  return items
+}
+
+// The instant `minutes` after midnight on `day`, on the wall clock in
+// `timeZone`
+export function dayTime(day, minutes, timeZone) {
+  return fromWallClock({...dayParts(day), hour: 0, minute: minutes}, timeZone)
+}
+
+// `date` moved by whole days, keeping its time on the wall clock
+export function shiftDays(date, days, timeZone) {
+  const clock = wallClock(date, timeZone)
+  return fromWallClock({...clock, day: clock.day + days}, timeZone)
+}
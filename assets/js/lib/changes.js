@@ -0,0 +1,62 @@
+import {Socket} from "phoenix"
+
+// Changes to the user's data made in other tabs and on other devices
+//
+// Usage:
+//
+//     startChanges()
+//     const stop = onChange(({resource, action, id}) => ...)
+//
+// The server announces every create, update and delete of a connection,
+// reminder, gift or event on the "changes" channel (ConeziaWeb.ChangesChannel).
+// Only one tab per browser joins it: tabs take turns holding a Web Lock, and
+// the holder relays what it receives to the other tabs over a
+// BroadcastChannel. When that tab closes, the lock passes to another one,
+// which joins in turn. Browsers without either API join from every tab.
+
+const LOCK_NAME = "conezia-changes"
+const RELAY_NAME = "conezia-changes"
+
+const listeners = new Set()
+let started = false
+
+export function onChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function startChanges() {
+  if (started) return
+  started = true
+
+  const shared = "BroadcastChannel" in window && navigator.locks
+  if (!shared) return joinChannel(notify)
+
+  const relay = new BroadcastChannel(RELAY_NAME)
+  relay.onmessage = e => notify(e.data)
+
+  // The lock is held for as long as the returned promise is pending, i.e.
+  // until this tab goes away
+  navigator.locks.request(LOCK_NAME, () => {
+    joinChannel(change => {
+      notify(change)
+      relay.postMessage(change)
+    })
+    return new Promise(() => {})
+  })
+}
+
+function notify(change) {
+  listeners.forEach(listener => listener(change))
+}
+
+// The socket authenticates with the session cookie, like the LiveSocket
+function joinChannel(onChangeReceived) {
+  const csrfToken = document.querySelector("meta[name='csrf-token']").getAttribute("content")
+  const socket = new Socket("/socket", {params: {_csrf_token: csrfToken}})
+  socket.connect()
+
+  const channel = socket.channel("changes", {})
+  channel.on("change", onChangeReceived)
+  channel.join()
+}
@@ -0,0 +1,443 @@
+import {identifierProperty} from "./vcard"
+
+// Reading contact files (vCard 3.0/4.0 and CSV) in the browser
+//
+// Usage:
+//
+//     const table = parseContacts(await file.text(), file.name)
+//     // {source: "vcard", columns: ["Name", "Email (work)", ...], rows: [["Ada Lovelace", "ada@example.com", ...], ...]}
+//
+//     const mapping = guessMapping(table.columns)  // a target for each column, "" to skip it
+//     const row = contactRow(table.columns, mapping, table.rows[0])
+//
+//     const row = parseScannedContact(qrText)  // or null
+//
+// Both formats come out as a table, so the same mapping step serves them.
+// A vCard gets a column per property and type ("Email (work)"), numbered
+// when a card repeats it ("Phone 2"). contactRow builds the map
+// Conezia.Imports.import_contact_row/3 takes; identifiers are labelled
+// with the parenthesised part of their column.
+//
+// parseScannedContact reads the vCard or MECARD a contact QR code holds
+// into the same row, mapped the way guessMapping would.
+
+export const TARGETS = [
+  {value: "", label: "Don't import"},
+  {value: "name", label: "Name"},
+  {value: "first_name", label: "First name"},
+  {value: "last_name", label: "Last name"},
+  {value: "type", label: "Type"},
+  {value: "description", label: "Notes"},
+  {value: "email", label: "Email"},
+  {value: "phone", label: "Phone"},
+  {value: "website", label: "Website"},
+  {value: "social_handle", label: "Social handle"},
+  {value: "ssn", label: "SSN"},
+  {value: "government_id", label: "Government ID"},
+  {value: "account_number", label: "Account number"},
+  {value: "custom", label: "Custom field"}
+]
+
+const IDENTIFIER_TARGETS = ["email", "phone", "website", "social_handle", "ssn", "government_id", "account_number"]
+
+// Column names (without their "(label)" and number) → target
+const GUESSES = [
+  [/ - (type|label)$/, ""],
+  [/^(full |display )?name$/, "name"],
+  [/^(first|given) ?name$/, "first_name"],
+  [/^(last|family|sur) ?name$/, "last_name"],
+  [/^(type|kind)$/, "type"],
+  [/^(notes?|description|comments?)$/, "description"],
+  [/e-?mail/, "email"],
+  [/phone|mobile|^tel$|^cell$/, "phone"],
+  [/web ?site|web page|homepage|^url$/, "website"],
+  [/^ssn$|social security/, "ssn"],
+  [/government id|national id|passport/, "government_id"],
+  [/account (number|no)|^iban$/, "account_number"],
+  [/social|twitter|linkedin|instagram|handle/, "social_handle"],
+  [/organi[sz]ation|company|job title|^title$|^role$|department|nickname|birthday|anniversary|address|categor/, "custom"]
+]
+
+// vCard properties → column names; the rest are left out
+const VCARD_COLUMNS = {
+  FN: "Name",
+  KIND: "Kind",
+  NICKNAME: "Nickname",
+  ORG: "Organization",
+  TITLE: "Job title",
+  ROLE: "Role",
+  EMAIL: "Email",
+  TEL: "Phone",
+  URL: "Website",
+  IMPP: "Social profile",
+  "X-SOCIALPROFILE": "Social profile",
+  BDAY: "Birthday",
+  ANNIVERSARY: "Anniversary",
+  ADR: "Address",
+  CATEGORIES: "Categories",
+  NOTE: "Notes",
+  // Written by lib/vcard.js for identifiers vCard has no property for
+  [identifierProperty("ssn")]: "SSN",
+  [identifierProperty("government_id")]: "Government ID",
+  [identifierProperty("account_number")]: "Account number"
+}
+// TYPE values that say nothing a person would label a number with
+const IGNORED_TYPES = ["pref", "internet", "voice", "x400", "text"]
+
+export function parseContacts(text, name = "") {
+  const vcard = /\.(vcf|vcard)$/i.test(name) || /^\s*BEGIN:VCARD/i.test(text.replace(/^\uFEFF/, ""))
+  return vcard ? parseVCards(text) : parseCsv(text)
+}
+
+export function guessMapping(columns) {
+  const targets = new Set()
+
+  return columns.map(column => {
+    const key = column.toLowerCase().replace(/\s*\([^)]*\)/g, "").replace(/\s+\d+$/, "").trim()
+    const guess = GUESSES.find(([pattern]) => pattern.test(key))
+    const target = guess ? guess[1] : ""
+
+    // Only the first column that looks like the name is the name
+    if (["name", "first_name", "last_name", "type"].includes(target)) {
+      if (targets.has(target)) return ""
+      targets.add(target)
+    }
+    return target
+  })
+}
+
+export function contactRow(columns, mapping, cells) {
+  const row = {name: null, type: "person", description: null, identifiers: [], custom_fields: []}
+  const firstNames = []
+  const lastNames = []
+  const notes = []
+
+  mapping.forEach((target, index) => {
+    const value = (cells[index] || "").trim()
+    if (!target || !value) return
+
+    if (target === "name") row.name = row.name || value
+    else if (target === "first_name") firstNames.push(value)
+    else if (target === "last_name") lastNames.push(value)
+    else if (target === "type") row.type = entityType(value)
+    else if (target === "description") notes.push(value)
+    else if (target === "custom") row.custom_fields.push({name: columnName(columns[index], index), value})
+    else if (IDENTIFIER_TARGETS.includes(target)) {
+      splitValues(value).forEach(item => {
+        row.identifiers.push({type: target, value: normalizeIdentifier(target, item), label: columnLabel(columns[index])})
+      })
+    }
+  })
+
+  if (!row.name) row.name = [...firstNames, ...lastNames].join(" ") || null
+  row.description = notes.join("\n\n") || null
+  return row
+}
+
+export function parseScannedContact(text) {
+  const trimmed = text.trim()
+  let table = null
+
+  if (/^BEGIN:VCARD/i.test(trimmed)) table = parseVCards(trimmed)
+  else if (/^MECARD:/i.test(trimmed)) table = parseMecard(trimmed)
+  if (!table || table.rows.length === 0) return null
+
+  const row = contactRow(table.columns, guessMapping(table.columns), table.rows[0])
+  return row.name || row.identifiers.length > 0 ? row : null
+}
+
+// CSV
+
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "")
+  const delimiter = detectDelimiter(text)
+  const records = []
+  let record = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char !== "\"") field += char
+      else if (text[i + 1] === "\"") field += text[++i]
+      else quoted = false
+    } else if (char === "\"" && field === "") {
+      quoted = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const [header = [], ...rows] = records.filter(cells => cells.some(cell => cell.trim() !== ""))
+  return {
+    source: "csv",
+    columns: header.map((column, index) => column.trim() || `Column ${index + 1}`),
+    rows
+  }
+}
+
+// The separator used most on the header line: comma, semicolon or tab
+function detectDelimiter(text) {
+  const newline = text.search(/\r?\n/)
+  const header = newline === -1 ? text : text.slice(0, newline)
+  const counts = [",", ";", "\t"].map(delimiter => [delimiter, header.split(delimiter).length])
+  counts.sort((a, b) => b[1] - a[1])
+  return counts[0][1] > 1 ? counts[0][0] : ","
+}
+
+// vCard
+
+export function parseVCards(text) {
+  const cards = []
+  let card = null
+
+  unfold(text).forEach(line => {
+    const property = parseLine(line)
+    if (!property) return
+
+    if (property.name === "BEGIN" && property.value.toUpperCase() === "VCARD") {
+      card = []
+    } else if (property.name === "END" && property.value.toUpperCase() === "VCARD") {
+      if (card) cards.push(cardCells(card))
+      card = null
+    } else if (card) {
+      card.push(property)
+    }
+  })
+
+  // Columns in the order they first appear
+  const columns = []
+  cards.forEach(cells => cells.forEach((_value, column) => {
+    if (!columns.includes(column)) columns.push(column)
+  }))
+
+  return {
+    source: "vcard",
+    columns,
+    rows: cards.map(cells => columns.map(column => cells.get(column) || ""))
+  }
+}
+
+// Column name → value for one card
+function cardCells(properties) {
+  const cells = new Map()
+  const add = (base, label, value) => {
+    if (!value) return
+    const column = label ? `${base} (${label})` : base
+    let name = column
+    for (let n = 2; cells.has(name); n++) name = `${column} ${n}`
+    cells.set(name, value)
+  }
+
+  properties.forEach(({name, params, value}) => {
+    const base = VCARD_COLUMNS[name]
+    if (!base) return
+
+    if (name === "ORG") add(base, null, splitComponents(value)[0])
+    else if (name === "ADR") add(base, typeLabel(params), splitComponents(value).slice(2).filter(part => part).join(", "))
+    else if (name === "EMAIL" || name === "TEL" || name === "URL" || name === "IMPP" || name.startsWith("X-")) {
+      add(base, typeLabel(params), unescapeText(value))
+    } else add(base, null, unescapeText(value))
+  })
+
+  // FN is required, but a card from an older app may only have N
+  if (!cells.has("Name")) {
+    const n = properties.find(property => property.name === "N")
+    if (n) {
+      const [family, given, additional] = splitComponents(n.value)
+      const fullName = [given, additional, family].filter(part => part).join(" ")
+      if (fullName) cells.set("Name", fullName)
+    }
+  }
+
+  return cells
+}
+
+function typeLabel(params) {
+  const types = (params.TYPE || [])
+    .flatMap(type => type.split(","))
+    .map(type => type.trim().toLowerCase())
+    .filter(type => type && !IGNORED_TYPES.includes(type))
+  return types[0] || null
+}
+
+function unfold(text) {
+  return text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "").split("\n")
+}
+
+// "item1.TEL;TYPE=work;TYPE=voice:+1 555" → {name: "TEL", params: {TYPE: ["work", "voice"]}, value}
+function parseLine(line) {
+  const params = {}
+  let i = 0
+  let name = ""
+
+  while (i < line.length && line[i] !== ";" && line[i] !== ":") name += line[i++]
+  if (!name || i >= line.length) return null
+
+  while (line[i] === ";") {
+    i++
+    let key = ""
+    while (i < line.length && line[i] !== "=" && line[i] !== ";" && line[i] !== ":") key += line[i++]
+    let value = ""
+    if (line[i] === "=") {
+      i++
+      if (line[i] === "\"") {
+        const close = line.indexOf("\"", i + 1)
+        if (close === -1) return null
+        value = line.slice(i + 1, close)
+        i = close + 1
+      } else {
+        while (i < line.length && line[i] !== ";" && line[i] !== ":") value += line[i++]
+      }
+    }
+    // vCard 2.1 style bare types ("TEL;WORK:...")
+    const param = value === "" ? "TYPE" : key.toUpperCase()
+    params[param] = [...(params[param] || []), value === "" ? key : value]
+  }
+
+  if (line[i] !== ":") return null
+
+  // Apple groups related properties: "item1.EMAIL"
+  const property = name.toUpperCase().split(".").pop()
+  return {name: property, params, value: line.slice(i + 1)}
+}
+
+// The ";"-separated parts of N, ADR and ORG, keeping escaped semicolons
+function splitComponents(value) {
+  const parts = []
+  let part = ""
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "\\" && i + 1 < value.length) {
+      part += value[i] + value[++i]
+    } else if (value[i] === ";") {
+      parts.push(part)
+      part = ""
+    } else {
+      part += value[i]
+    }
+  }
+  parts.push(part)
+
+  return parts.map(text => unescapeText(text).trim())
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_match, char) => (char === "n" || char === "N") ? "\n" : char).trim()
+}
+
+// MECARD
+
+// MECARD fields → column names, as a vCard's would be
+const MECARD_COLUMNS = {
+  N: "Name",
+  NICKNAME: "Nickname",
+  ORG: "Organization",
+  TEL: "Phone",
+  EMAIL: "Email",
+  URL: "Website",
+  BDAY: "Birthday",
+  ADR: "Address",
+  NOTE: "Notes"
+}
+
+// "MECARD:N:Lovelace,Ada;TEL:+442079460958;EMAIL:ada@example.com;;"
+function parseMecard(text) {
+  const cells = new Map()
+  const fields = splitMecard(text.replace(/^MECARD:/i, ""))
+
+  fields.forEach(field => {
+    const colon = field.indexOf(":")
+    if (colon === -1) return
+    const key = field.slice(0, colon).toUpperCase()
+    let value = field.slice(colon + 1).trim()
+    const base = MECARD_COLUMNS[key]
+    if (!base || !value) return
+
+    // Names are written "Last,First"
+    if (key === "N" && value.includes(",")) {
+      const [last, first] = value.split(",", 2)
+      value = [first.trim(), last.trim()].filter(part => part).join(" ")
+    }
+
+    let column = base
+    for (let n = 2; cells.has(column); n++) column = `${base} ${n}`
+    cells.set(column, value)
+  })
+
+  const columns = [...cells.keys()]
+  return {source: "mecard", columns, rows: [columns.map(column => cells.get(column))]}
+}
+
+// Fields end at an unescaped ";"; "\;", "\:", "\," and "\\" are literal
+function splitMecard(text) {
+  const fields = []
+  let field = ""
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\\" && i + 1 < text.length) {
+      field += text[++i]
+    } else if (text[i] === ";") {
+      fields.push(field)
+      field = ""
+    } else {
+      field += text[i]
+    }
+  }
+  if (field) fields.push(field)
+
+  return fields
+}
+
+// Rows
+
+function entityType(value) {
+  const type = value.toLowerCase()
+  if (type === "individual") return "person"
+  if (type === "org" || type === "company") return "organization"
+  // Anything else is checked by the server
+  return type
+}
+
+// Google puts several values in one cell: "a@example.com ::: b@example.com"
+function splitValues(value) {
+  return value.split(/\s*:::\s*/).filter(item => item)
+}
+
+function normalizeIdentifier(type, value) {
+  if (type === "email") return value.replace(/^mailto:/i, "")
+  if (type === "website") return /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`
+  if (type === "phone") {
+    // Numbers are stored as E.164: "+" and digits, without an extension
+    const number = value.replace(/^tel:/i, "").split(/[;,]|\s*(?:x|ext\.?)\s*\d+$/i)[0]
+    const international = /^\s*(\+|00)/.test(number)
+    let digits = number.replace(/\D/g, "")
+    if (/^\s*00/.test(number)) digits = digits.slice(2)
+    return international ? `+${digits}` : digits
+  }
+  return value
+}
+
+function columnLabel(column) {
+  const match = column.match(/\(([^)]+)\)/)
+  return match ? match[1] : null
+}
+
+function columnName(column, index) {
+  return column.replace(/\s+\d+$/, "").trim() || `Column ${index + 1}`
+}
@@ -0,0 +1,69 @@
+import {deleteDraft, getDraft, putDraft} from "./offline_store"
+
+// Encrypted form drafts
+//
+// Usage:
+//
+//     saveDraft(hook, "event:new", {fields})  // → Promise
+//     loadDraft(hook, "event:new")            // → Promise of {fields, savedAt}, or null
+//     clearDraft("event:new")
+//
+// Drafts are encrypted with AES-GCM before they reach IndexedDB, under a
+// key for the current sign-in (ConeziaWeb.UserAuth.draft_key/1). The first
+// save or load asks the LiveView for it with a "draft-key" event through
+// `hook` (ConeziaWeb.FormDrafts); it's only ever kept in memory. A draft
+// left by an earlier session no longer decrypts and is dropped. Without
+// the key, or without Web Crypto, nothing is saved.
+
+// Older drafts aren't offered any more
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000
+
+let keyPromise = null
+
+function draftKey(hook) {
+  if (keyPromise) return keyPromise
+
+  if (!window.crypto || !crypto.subtle) {
+    return Promise.reject(new Error("drafts are not available"))
+  }
+
+  keyPromise = new Promise((resolve, reject) => {
+    hook.pushEvent("draft-key", {}, reply => {
+      if (reply && reply.key) resolve(reply.key)
+      else reject(new Error("drafts are not available"))
+    })
+  }).then(key => crypto.subtle.importKey("raw", decodeBase64Url(key), "AES-GCM", false, ["encrypt", "decrypt"]))
+  keyPromise.catch(() => { keyPromise = null })
+  return keyPromise
+}
+
+export function saveDraft(hook, id, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const plain = new TextEncoder().encode(JSON.stringify(data))
+
+  return draftKey(hook)
+    .then(key => crypto.subtle.encrypt({name: "AES-GCM", iv}, key, plain))
+    .then(cipher => putDraft({id, iv, cipher, savedAt: Date.now()}))
+}
+
+export function loadDraft(hook, id) {
+  return Promise.all([draftKey(hook), getDraft(id)])
+    .then(([key, record]) => {
+      if (!record) return null
+      if (Date.now() - record.savedAt > MAX_AGE_MS) return clearDraft(id).then(() => null)
+
+      return crypto.subtle.decrypt({name: "AES-GCM", iv: record.iv}, key, record.cipher)
+        .then(plain => Object.assign(JSON.parse(new TextDecoder().decode(plain)), {savedAt: record.savedAt}))
+        // Saved under another sign-in's key
+        .catch(() => clearDraft(id).then(() => null))
+    })
+}
+
+export function clearDraft(id) {
+  return deleteDraft(id).catch(() => {})
+}
+
+function decodeBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
@@ -0,0 +1,55 @@
+// Reading and writing a form's fields as plain data
+//
+// Usage:
+//
+//     const fields = readFields(form)   // → {"event[title]": "Lunch", "event[all_day]=true": false, ...}
+//     writeField(form.elements["event[title]"], fields["event[title]"])
+//
+// Fields are keyed by name, and checkboxes and radio buttons by name and
+// value. File inputs, passwords, buttons and LiveView's own "_" fields are
+// left out. A multiple select's value is its selected options as
+// [{value, text}], so options a SearchableSelect loaded can be added back.
+
+const SKIPPED_TYPES = ["file", "password", "submit", "button", "reset", "image"]
+
+export function fieldKey(el) {
+  if (!el.name || el.disabled || el.name.startsWith("_") || SKIPPED_TYPES.includes(el.type)) return null
+  return el.type === "checkbox" || el.type === "radio" ? `${el.name}=${el.value}` : el.name
+}
+
+export function readFields(form) {
+  const fields = {}
+  Array.from(form.elements).forEach(el => {
+    const key = fieldKey(el)
+    if (!key) return
+    if (el.type === "checkbox" || el.type === "radio") {
+      fields[key] = el.checked
+    } else if (el.type === "select-multiple") {
+      fields[key] = Array.from(el.selectedOptions).map(option => ({value: option.value, text: option.text}))
+    } else {
+      fields[key] = el.value
+    }
+  })
+  return fields
+}
+
+export function writeField(el, value) {
+  if (el.type === "checkbox" || el.type === "radio") {
+    el.checked = value
+  } else if (el.type === "select-multiple") {
+    // SearchableSelect's Tom Select only knows the options it has loaded
+    if (el.tomselect) {
+      value.forEach(option => el.tomselect.addOption(option))
+      el.tomselect.setValue(value.map(option => option.value), true)
+    }
+    const values = value.map(option => option.value)
+    value.forEach(option => {
+      if (!Array.from(el.options).some(existing => existing.value === option.value)) {
+        el.add(new Option(option.text, option.value))
+      }
+    })
+    Array.from(el.options).forEach(option => { option.selected = values.includes(option.value) })
+  } else {
+    el.value = value
+  }
+}
@@ -0,0 +1,37 @@
+// Minimal fuzzy matcher used by the command palette.
+//
+// Every character of the query must appear in order in the text. Matches that
+// are consecutive or start a word score higher. Returns null for no match.
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "")
+  const t = text.toLowerCase()
+  if (!q) return 0
+
+  let score = 0
+  let ti = 0
+  let prev = -2
+
+  for (const char of q) {
+    const index = t.indexOf(char, ti)
+    if (index === -1) return null
+
+    score += 1
+    if (index === prev + 1) score += 2
+    if (index === 0 || /[\s\-_/›.@]/.test(t[index - 1])) score += 3
+
+    prev = index
+    ti = index + 1
+  }
+
+  // Prefer shorter texts when the match quality is the same
+  return score - t.length / 100
+}
+
+// Filters and sorts `items` by how well `key(item)` matches `query`.
+export function fuzzyFilter(query, items, key) {
+  return items
+    .map(item => ({item, score: fuzzyScore(query, key(item))}))
+    .filter(({score}) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({item}) => item)
+}
@@ -0,0 +1,349 @@
+import {fromWallClock, resolveTimeZone} from "./locale"
+
+// Writing and reading iCalendar (.ics) files in the browser
+//
+// Usage:
+//
+//     const text = buildCalendar(events, {name: "Conezia events"})
+//     downloadFile("events.ics", text, "text/calendar")
+//
+//     const events = parseCalendar(await file.text())
+//
+// buildCalendar takes the maps ConeziaWeb.EventLive.Ics.export/1 sends.
+// parseCalendar returns one event per VEVENT:
+// {uid, title, description, location, starts_at, ends_at, all_day,
+//  latitude, longitude, categories, attendees: [{name, email}], repeats},
+// with times as ISO strings. All-day events come out at UTC midnight with an
+// inclusive end day, the way Conezia stores them. Times with a TZID are read
+// in that zone when the browser knows it, floating times in the user's zone.
+// Recurrence rules aren't read: `repeats` flags an event with an RRULE, of
+// which only the first occurrence is imported.
+
+const PRODID = "-//Conezia//Events//EN"
+const MAX_LINE_OCTETS = 75
+const DAY_MS = 86400000
+
+const encoder = new TextEncoder()
+
+export function buildCalendar(events, {name} = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH"
+  ]
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`)
+
+  const stamp = formatDateTime(new Date())
+  events.forEach(event => lines.push(...eventLines(event, stamp)))
+
+  lines.push("END:VCALENDAR")
+  return lines.map(fold).join("\r\n") + "\r\n"
+}
+
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], {type}))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// A file name made from `name`, safe on every platform
+export function fileName(name, extension) {
+  const base = (name || "").replace(/[\\/:*?"<>|]+/g, "").replace(/\s+/g, "-").toLowerCase()
+  return `${base || "events"}.${extension}`
+}
+
+export function parseCalendar(text) {
+  const events = []
+  const seen = new Set()
+  let current = null
+  let depth = 0
+
+  unfold(text).forEach(line => {
+    const property = parseLine(line)
+    if (!property) return
+
+    if (property.name === "BEGIN") {
+      if (property.value.toUpperCase() === "VEVENT" && depth === 0) current = {properties: []}
+      else if (current) depth++
+      return
+    }
+    if (property.name === "END") {
+      if (current && depth > 0) {
+        depth--
+      } else if (current && property.value.toUpperCase() === "VEVENT") {
+        const event = toEvent(current.properties)
+        if (event && !seen.has(event.uid)) {
+          seen.add(event.uid)
+          events.push(event)
+        }
+        current = null
+      }
+      return
+    }
+
+    // Properties of nested components (VALARM) aren't the event's
+    if (current && depth === 0) current.properties.push(property)
+  })
+
+  return events
+}
+
+// Writing
+
+function eventLines(event, stamp) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${escapeText(event.uid)}`,
+    `DTSTAMP:${stamp}`
+  ]
+
+  const start = new Date(event.starts_at)
+  if (event.all_day) {
+    // DTEND is exclusive for dates: the day after the last one
+    const lastDay = event.ends_at ? new Date(event.ends_at) : start
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`)
+    lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(Math.max(lastDay, start) + DAY_MS))}`)
+  } else {
+    lines.push(`DTSTART:${formatDateTime(start)}`)
+    if (event.ends_at) lines.push(`DTEND:${formatDateTime(new Date(event.ends_at))}`)
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`)
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`)
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`)
+  if (event.latitude != null && event.longitude != null) lines.push(`GEO:${event.latitude};${event.longitude}`)
+  if (event.type) lines.push(`CATEGORIES:${escapeText(event.type.toUpperCase())}`)
+  if (event.url) lines.push(`URL:${event.url}`)
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatDateTime(new Date(event.updated_at))}`)
+
+  const attendees = event.attendees || []
+  attendees.forEach(attendee => {
+    const address = attendee.email ? `mailto:${attendee.email}` : `urn:uuid:${attendee.id}`
+    lines.push(`ATTENDEE;CUTYPE=INDIVIDUAL;CN=${quoteParam(attendee.name)}:${address}`)
+  })
+
+  lines.push("END:VEVENT")
+  return lines
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "")
+}
+
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "")
+}
+
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+}
+
+function quoteParam(value) {
+  return `"${String(value || "").replace(/"/g, "'")}"`
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+export function fold(line) {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line
+
+  const parts = []
+  let part = ""
+  let octets = 0
+  let limit = MAX_LINE_OCTETS
+
+  for (const char of line) {
+    const size = encoder.encode(char).length
+    if (octets + size > limit) {
+      parts.push(part)
+      part = ""
+      octets = 0
+      // The leading space counts towards the limit
+      limit = MAX_LINE_OCTETS - 1
+    }
+    part += char
+    octets += size
+  }
+  parts.push(part)
+
+  return parts.join("\r\n ")
+}
+
+// Reading
+
+function unfold(text) {
+  return text.replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "").split("\n")
+}
+
+// "NAME;PARAM=a;PARAM2="b:c":value" → {name, params, value}
+function parseLine(line) {
+  const params = {}
+  let i = 0
+  let name = ""
+
+  while (i < line.length && line[i] !== ";" && line[i] !== ":") name += line[i++]
+  if (!name || i >= line.length) return null
+
+  while (line[i] === ";") {
+    i++
+    let key = ""
+    while (i < line.length && line[i] !== "=" && line[i] !== ";" && line[i] !== ":") key += line[i++]
+    let value = ""
+    if (line[i] === "=") {
+      i++
+      if (line[i] === "\"") {
+        const close = line.indexOf("\"", i + 1)
+        if (close === -1) return null
+        value = line.slice(i + 1, close)
+        i = close + 1
+      } else {
+        while (i < line.length && line[i] !== ";" && line[i] !== ":") value += line[i++]
+      }
+    }
+    params[key.toUpperCase()] = value
+  }
+
+  if (line[i] !== ":") return null
+  return {name: name.toUpperCase(), params, value: line.slice(i + 1)}
+}
+
+function toEvent(properties) {
+  const first = name => properties.find(property => property.name === name)
+  const text = name => {
+    const property = first(name)
+    return property ? unescapeText(property.value) : null
+  }
+
+  const uid = text("UID")
+  const start = first("DTSTART")
+  if (!uid || !start) return null
+  // Changes to one occurrence of a recurring event share its UID
+  if (first("RECURRENCE-ID")) return null
+  if ((text("STATUS") || "").toUpperCase() === "CANCELLED") return null
+
+  const startsAt = parseDate(start)
+  if (!startsAt) return null
+  const allDay = startsAt.dateOnly
+
+  const end = first("DTEND")
+  const duration = first("DURATION")
+  let endsAt = end ? parseDate(end) : null
+  if (!endsAt && duration) {
+    const ms = parseDuration(duration.value)
+    if (ms !== null) endsAt = {date: new Date(startsAt.date.getTime() + ms)}
+  }
+
+  let endsAtValue = null
+  if (allDay) {
+    // Back from the exclusive DTEND to the last day; a one-day event has no end
+    const lastDay = endsAt ? new Date(endsAt.date.getTime() - DAY_MS) : null
+    if (lastDay && lastDay > startsAt.date) endsAtValue = lastDay.toISOString()
+  } else if (endsAt && endsAt.date > startsAt.date) {
+    endsAtValue = endsAt.date.toISOString()
+  }
+
+  const geo = first("GEO")
+  const [latitude, longitude] = geo ? geo.value.split(/[;,]/).map(parseFloat) : []
+
+  return {
+    uid,
+    title: text("SUMMARY") || "",
+    description: text("DESCRIPTION"),
+    location: text("LOCATION"),
+    starts_at: startsAt.date.toISOString(),
+    ends_at: endsAtValue,
+    all_day: allDay,
+    latitude: Number.isFinite(latitude) ? latitude : null,
+    longitude: Number.isFinite(longitude) ? longitude : null,
+    repeats: !!first("RRULE"),
+    categories: properties
+      .filter(property => property.name === "CATEGORIES")
+      .flatMap(property => splitList(property.value)),
+    attendees: properties
+      .filter(property => property.name === "ATTENDEE")
+      .map(property => {
+        const email = property.value.replace(/^mailto:/i, "")
+        return {
+          name: property.params.CN || null,
+          email: /^mailto:/i.test(property.value) && email.includes("@") ? email : null
+        }
+      })
+  }
+}
+
+// {date, dateOnly} from DTSTART/DTEND, or null
+function parseDate({params, value}) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/)
+  if (!match) return null
+
+  const [, year, month, day, hour, minute, second, utc] = match
+  const fields = {year: +year, month: +month, day: +day, hour: +(hour || 0), minute: +(minute || 0)}
+  const seconds = +(second || 0) * 1000
+
+  if (params.VALUE === "DATE" || hour === undefined) {
+    return {date: new Date(Date.UTC(fields.year, fields.month - 1, fields.day)), dateOnly: true}
+  }
+  if (utc) {
+    return {date: new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute) + seconds), dateOnly: false}
+  }
+
+  const timeZone = knownTimeZone(params.TZID) || resolveTimeZone(document.body)
+  return {date: new Date(fromWallClock(fields, timeZone).getTime() + seconds), dateOnly: false}
+}
+
+function knownTimeZone(tzid) {
+  if (!tzid) return undefined
+  // Some producers prefix the name with a path ("/Europe/Berlin")
+  const name = tzid.replace(/^\/+/, "")
+  try {
+    new Intl.DateTimeFormat("en", {timeZone: name})
+    return name
+  } catch (_e) {
+    return undefined
+  }
+}
+
+// "P1DT2H30M" or "P2W" as milliseconds, or null
+function parseDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match) return null
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match
+  const ms = ((+(weeks || 0) * 7 + +(days || 0)) * 24 * 3600 + +(hours || 0) * 3600 + +(minutes || 0) * 60 + +(seconds || 0)) * 1000
+  return sign === "-" ? -ms : ms
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_match, char) => (char === "n" || char === "N") ? "\n" : char)
+}
+
+// A comma-separated list of text values, keeping escaped commas
+function splitList(value) {
+  const items = []
+  let item = ""
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "\\" && i + 1 < value.length) {
+      item += value[i] + value[++i]
+    } else if (value[i] === ",") {
+      items.push(item)
+      item = ""
+    } else {
+      item += value[i]
+    }
+  }
+  items.push(item)
+
+  return items.map(text => unescapeText(text).trim()).filter(text => text)
+}
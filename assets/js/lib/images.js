@@ -0,0 +1,51 @@
+// Reading and re-encoding images in the browser
+//
+// Usage:
+//
+//     loadImage(file, {maxSize: 2048})          // → a canvas, upright, longest side ≤ maxSize
+//       .then(canvas => ...)
+//
+//     encodeImage(canvas, {quality: 0.85})      // → a WebP Blob, or JPEG where the
+//       .then(blob => ...)                      //   browser can't write WebP
+//
+// Browsers apply a photo's EXIF orientation when they decode it, so the
+// canvas is the right way up. Encoding a canvas writes its pixels and
+// nothing else: the camera's EXIF data, GPS position included, doesn't
+// survive the trip.
+
+export function loadImage(file, {maxSize}) {
+  const url = URL.createObjectURL(file)
+  const image = new Image()
+  image.src = url
+
+  return image.decode()
+    .then(() => {
+      URL.revokeObjectURL(url)
+      const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight))
+      const canvas = document.createElement("canvas")
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale))
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale))
+
+      const context = canvas.getContext("2d")
+      context.imageSmoothingQuality = "high"
+      context.drawImage(image, 0, 0, canvas.width, canvas.height)
+      return canvas
+    }, error => {
+      URL.revokeObjectURL(url)
+      throw error
+    })
+}
+
+export function encodeImage(canvas, {quality = 0.85} = {}) {
+  // Browsers that can't write a type quietly write PNG instead
+  return toBlob(canvas, "image/webp", quality)
+    .then(blob => blob && blob.type === "image/webp" ? blob : toBlob(canvas, "image/jpeg", quality))
+    .then(blob => {
+      if (!blob) throw new Error("the image couldn't be encoded")
+      return blob
+    })
+}
+
+function toBlob(canvas, type, quality) {
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality))
+}
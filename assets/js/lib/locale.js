@@ -0,0 +1,73 @@
+// Locale and timezone resolution shared by the date/time hooks.
+//
+// The root layout renders the signed-in user's preferences as
+// `data-locale` / `data-timezone` on <body>; an element can override
+// either with its own data attribute.
+
+export function resolveLocale(el) {
+  const locale = (el && el.dataset.locale) || document.body.dataset.locale || navigator.language
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || "en"
+  } catch (_e) {
+    return "en"
+  }
+}
+
+export function resolveTimeZone(el) {
+  const timeZone = (el && el.dataset.timezone) || document.body.dataset.timezone
+  if (!timeZone) return undefined
+  try {
+    new Intl.DateTimeFormat("en", {timeZone})
+    return timeZone
+  } catch (_e) {
+    return undefined
+  }
+}
+
+// Returns {year, month, day} of `date` as seen on a wall clock in `timeZone`
+// (or the browser's zone when undefined).
+export function calendarParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric"
+  }).formatToParts(date)
+
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10)
+  return {year: get("year"), month: get("month"), day: get("day")}
+}
+
+// Returns {year, month, day, hour, minute} of `date` on a wall clock in
+// `timeZone` (or the browser's zone when undefined).
+export function wallClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric"
+  }).formatToParts(date)
+
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10)
+  return {year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute")}
+}
+
+// The instant a wall clock in `timeZone` shows the given time. Out-of-range
+// fields roll over (minute 90 is 1:30). A time skipped by a DST change
+// comes out an hour off.
+export function fromWallClock({year, month, day, hour = 0, minute = 0}, timeZone) {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute)
+  let guess = asUTC
+
+  // Two passes settle the zone's offset, including across a DST change
+  for (let i = 0; i < 2; i++) {
+    const shown = wallClock(new Date(guess), timeZone)
+    const shownAsUTC = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute)
+    guess += asUTC - shownAsUTC
+  }
+
+  return new Date(guess)
+}
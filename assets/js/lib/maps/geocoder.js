@@ -0,0 +1,46 @@
+// Client for a Nominatim-compatible geocoder
+//
+// Usage:
+//
+//     const geocoder = createGeocoder("https://nominatim.openstreetmap.org")
+//     geocoder.search("Brandenburg Gate", {signal}).then(places => ...)
+//     geocoder.reverse({lat, lng}).then(place => ...)  // place or null
+//
+// Works against Nominatim itself, a self-hosted copy or the built-in
+// stand-in at /geocoder (ConeziaWeb.GeocoderController).
+
+const SEARCH_LIMIT = 5
+
+export function createGeocoder(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, "")
+
+  const request = (path, params, signal) =>
+    fetch(`${base}/${path}?${new URLSearchParams({format: "jsonv2", ...params})}`, {signal})
+      .then(response => {
+        if (!response.ok) throw new Error(`geocoder request failed with ${response.status}`)
+        return response.json()
+      })
+
+  return {
+    search(query, {limit = SEARCH_LIMIT, signal} = {}) {
+      return request("search", {q: query, limit}, signal).then(results => results.map(toPlace))
+    },
+    reverse({lat, lng}, {signal} = {}) {
+      return request("reverse", {lat, lon: lng}, signal).then(result => result && !result.error ? toPlace(result) : null)
+    }
+  }
+}
+
+// Nominatim's own place_id differs between servers; the OSM object doesn't
+function toPlace(result) {
+  const placeId = result.osm_type && result.osm_id
+    ? `osm:${result.osm_type}:${result.osm_id}`
+    : result.place_id == null ? null : String(result.place_id)
+
+  return {
+    address: result.display_name,
+    place_id: placeId,
+    lat: parseFloat(result.lat),
+    lng: parseFloat(result.lon)
+  }
+}
@@ -0,0 +1,157 @@
+import {MarkerClusterer} from "@googlemaps/markerclusterer"
+import {markerInfo} from "./marker_info"
+
+// Google Maps backend for lib/maps
+//
+// Loads the Maps JavaScript API (with Places) on first use. Needs
+// `google_api_key` in the map config.
+
+const SCRIPT_URL = "https://maps.googleapis.com/maps/api/js"
+const CALLBACK = "__coneziaGoogleMapsLoaded"
+
+// One script per page: a load that timed out in lib/maps may still finish,
+// and a retry waits for it rather than adding the script twice
+let scriptPromise = null
+
+function load(config) {
+  if (window.google && window.google.maps) return Promise.resolve()
+  if (!config.google_api_key) return Promise.reject(new Error("No Google Maps API key"))
+  if (scriptPromise) return scriptPromise
+
+  scriptPromise = new Promise((resolve, reject) => {
+    window[CALLBACK] = () => {
+      delete window[CALLBACK]
+      resolve()
+    }
+
+    const params = new URLSearchParams({key: config.google_api_key, libraries: "places", callback: CALLBACK})
+    const script = document.createElement("script")
+    script.src = `${SCRIPT_URL}?${params}`
+    script.async = true
+    script.onerror = () => {
+      script.remove()
+      scriptPromise = null
+      reject(new Error("Google Maps failed to load"))
+    }
+    document.head.appendChild(script)
+  })
+
+  return scriptPromise
+}
+
+// Same look as the Leaflet clusters
+const clusterRenderer = {
+  render({count, position}) {
+    return new google.maps.Marker({
+      position,
+      label: {text: String(count), color: "white", fontSize: "13px", fontWeight: "600"},
+      icon: {
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: 20,
+        fillColor: "#4f46e5",
+        fillOpacity: 0.9,
+        strokeColor: "white",
+        strokeWeight: 2
+      },
+      zIndex: google.maps.Marker.MAX_ZINDEX + count
+    })
+  }
+}
+
+function createMap(el, {center, zoom = 15}) {
+  const map = new google.maps.Map(el, {
+    center,
+    zoom,
+    disableDefaultUI: true,
+    zoomControl: true,
+    mapTypeControl: false,
+    streetViewControl: false,
+    fullscreenControl: false
+  })
+  let clusterer = null
+  let infoWindow = null
+
+  return {
+    setView(position, newZoom) {
+      map.setCenter(position)
+      if (newZoom) map.setZoom(newZoom)
+    },
+    addMarker(position, {draggable = false, onMove} = {}) {
+      const marker = new google.maps.Marker({position, map, draggable})
+      if (onMove) {
+        marker.addListener("dragend", e => onMove({lat: e.latLng.lat(), lng: e.latLng.lng()}))
+      }
+      return {
+        setPosition: newPosition => marker.setPosition(newPosition),
+        remove: () => marker.setMap(null)
+      }
+    },
+    onClick(callback) {
+      map.addListener("click", e => callback({lat: e.latLng.lat(), lng: e.latLng.lng()}))
+    },
+    setMarkers(markers) {
+      if (!clusterer) {
+        clusterer = new MarkerClusterer({map, renderer: clusterRenderer})
+        infoWindow = new google.maps.InfoWindow()
+      }
+
+      infoWindow.close()
+      clusterer.clearMarkers()
+      clusterer.addMarkers(markers.map(marker => {
+        const mapMarker = new google.maps.Marker({position: {lat: marker.lat, lng: marker.lng}, title: marker.title})
+        mapMarker.addListener("click", () => {
+          infoWindow.setContent(markerInfo(marker))
+          infoWindow.open({map, anchor: mapMarker})
+        })
+        return mapMarker
+      }))
+    },
+    fitMarkers(markers, maxZoom = 15) {
+      if (markers.length === 0) return
+
+      const bounds = new google.maps.LatLngBounds()
+      markers.forEach(({lat, lng}) => bounds.extend({lat, lng}))
+      map.fitBounds(bounds, 32)
+      google.maps.event.addListenerOnce(map, "idle", () => {
+        if (map.getZoom() > maxZoom) map.setZoom(maxZoom)
+      })
+    },
+    destroy() {
+      if (clusterer) clusterer.setMap(null)
+      google.maps.event.clearInstanceListeners(map)
+      el.replaceChildren()
+    }
+  }
+}
+
+function attachPlaceSearch(input, onSelect) {
+  const autocomplete = new google.maps.places.Autocomplete(input, {
+    types: ["establishment", "geocode"]
+  })
+
+  autocomplete.addListener("place_changed", () => {
+    const place = autocomplete.getPlace()
+    if (!place.geometry) return
+
+    onSelect({
+      address: place.formatted_address || place.name,
+      place_id: place.place_id,
+      lat: place.geometry.location.lat(),
+      lng: place.geometry.location.lng()
+    })
+  })
+
+  return () => google.maps.event.clearInstanceListeners(autocomplete)
+}
+
+function reverseGeocode(position) {
+  return new google.maps.Geocoder()
+    .geocode({location: position})
+    .then(({results}) => {
+      const result = results[0]
+      return result ? {address: result.formatted_address, place_id: result.place_id, ...position} : null
+    })
+    .catch(() => null)
+}
+
+export default {load, createMap, attachPlaceSearch, reverseGeocode}
@@ -0,0 +1,111 @@
+import googleProvider from "./google"
+import leafletProvider from "./leaflet"
+
+// Maps and place search, independent of the map provider
+//
+// Usage:
+//
+//     loadMaps().then(maps => {
+//       const map = maps.createMap(el, {center: {lat, lng}, zoom: 15})
+//       const marker = map.addMarker({lat, lng}, {draggable: true, onMove: position => ...})
+//       marker.setPosition({lat, lng})
+//       map.onClick(position => ...)
+//       map.setView({lat, lng})
+//       map.setMarkers([{lat, lng, title, subtitle, url, link}])
+//       map.fitMarkers(markers)
+//       map.destroy()
+//
+//       const detach = maps.attachPlaceSearch(input, place => ...)
+//       maps.reverseGeocode({lat, lng}).then(place => ...)  // place or null
+//     })
+//     .catch(error => {
+//       renderUnavailable(el, {lat, lng})
+//       reportLoadFailure(hook, error)
+//     })
+//
+// The provider comes from the "map-config" meta tag (ConeziaWeb.Maps):
+// "google" for the Maps JavaScript API, "leaflet" for Leaflet with any tile
+// server and a Nominatim-compatible geocoder. Places are reported as
+// {address, place_id, lat, lng} whichever provider found them.
+// setMarkers clusters nearby markers and opens an info window (see
+// marker_info.js) when one is clicked.
+//
+// Loading gives up after LOAD_TIMEOUT_MS. reportLoadFailure sends
+// "map-load-failed" with {provider, reason} to the hook's phx-target (or its
+// LiveView), once per target; ConeziaWeb.LiveMaps handles it for LiveViews.
+
+const PROVIDERS = {google: googleProvider, leaflet: leafletProvider}
+const LOAD_TIMEOUT_MS = 10000
+
+let providerPromise = null
+const reportedTargets = new Set()
+
+export function mapConfig() {
+  const meta = document.querySelector("meta[name='map-config']")
+  try {
+    return meta ? JSON.parse(meta.getAttribute("content")) : {provider: "leaflet"}
+  } catch (_e) {
+    return {provider: "leaflet"}
+  }
+}
+
+// Resolves with the configured provider once it's ready to draw maps
+export function loadMaps() {
+  if (providerPromise) return providerPromise
+
+  const config = mapConfig()
+  const provider = PROVIDERS[config.provider] || leafletProvider
+  providerPromise = withTimeout(provider.load(config), LOAD_TIMEOUT_MS).then(() => provider)
+  // Let a later call try again
+  providerPromise.catch(() => { providerPromise = null })
+
+  return providerPromise
+}
+
+export function reportLoadFailure(hook, error) {
+  const view = hook.el.closest("[data-phx-session]")
+  const key = `${view ? view.id : ""}:${hook.el.getAttribute("phx-target") || ""}`
+  if (reportedTargets.has(key)) return
+  reportedTargets.add(key)
+
+  hook.pushEventTo(hook.el, "map-load-failed", {
+    provider: mapConfig().provider,
+    reason: error && error.message ? error.message : "Map failed to load"
+  })
+}
+
+// Shows "Map unavailable" in place of a map, with a link to the place on a
+// full map site when there is one
+export function renderUnavailable(el, position) {
+  const message = document.createElement("p")
+  message.className = "flex h-full items-center justify-center gap-1 bg-gray-50 text-sm text-gray-500"
+
+  if (position) {
+    const link = document.createElement("a")
+    link.href = externalMapUrl(position)
+    link.target = "_blank"
+    link.rel = "noopener noreferrer"
+    link.className = "font-medium text-indigo-600 hover:text-indigo-500"
+    link.textContent = "open in maps"
+    message.append("Map unavailable — ", link)
+  } else {
+    message.append("Map unavailable")
+  }
+
+  el.replaceChildren(message)
+}
+
+function externalMapUrl({lat, lng}) {
+  if (mapConfig().provider === "google") {
+    return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`
+  }
+  return `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=16/${lat}/${lng}`
+}
+
+function withTimeout(promise, ms) {
+  let timer
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Map took too long to load")), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
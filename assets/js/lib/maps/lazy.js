@@ -0,0 +1,89 @@
+// Keeps only the maps near the viewport live, for pages with a map per row
+//
+// Usage:
+//
+//     const release = observeMap(el, {activate: () => ..., deactivate: () => ...})
+//     release()
+//
+// `activate` runs when `el` comes within ACTIVATE_MARGIN of the viewport and
+// should create the map; `deactivate` runs once it's further away than
+// TEARDOWN_MARGIN, or when more than MAX_LIVE_MAPS are live and it's the
+// off-screen one least recently on screen, and should destroy it. Maps in
+// view are never torn down; the limit is applied again as they leave it.
+// `release` stops watching `el` without calling `deactivate`.
+
+const ACTIVATE_MARGIN = "200px 0px"
+const TEARDOWN_MARGIN = "1500px 0px"
+const MAX_LIVE_MAPS = 6
+
+const slots = new Map()
+// Live slots, least recently on screen first
+let live = []
+let nearObserver = null
+let farObserver = null
+
+export function observeMap(el, {activate, deactivate}) {
+  if (!nearObserver) {
+    nearObserver = new IntersectionObserver(onNear, {rootMargin: ACTIVATE_MARGIN})
+    farObserver = new IntersectionObserver(onFar, {rootMargin: TEARDOWN_MARGIN})
+  }
+
+  const slot = {el, activate, deactivate, live: false, visible: false}
+  slots.set(el, slot)
+  nearObserver.observe(el)
+  farObserver.observe(el)
+
+  return () => {
+    nearObserver.unobserve(el)
+    farObserver.unobserve(el)
+    slots.delete(el)
+    live = live.filter(other => other !== slot)
+  }
+}
+
+function onNear(entries) {
+  entries.forEach(entry => {
+    const slot = slots.get(entry.target)
+    if (!slot) return
+
+    slot.visible = entry.isIntersecting
+    if (slot.visible) {
+      activateSlot(slot)
+    } else {
+      evictOffscreen()
+    }
+  })
+}
+
+function onFar(entries) {
+  entries.forEach(entry => {
+    const slot = slots.get(entry.target)
+    if (slot && !entry.isIntersecting) deactivateSlot(slot)
+  })
+}
+
+function activateSlot(slot) {
+  live = live.filter(other => other !== slot)
+  live.push(slot)
+  if (slot.live) return
+
+  slot.live = true
+  slot.activate()
+  evictOffscreen()
+}
+
+function evictOffscreen() {
+  while (live.length > MAX_LIVE_MAPS) {
+    const offscreen = live.find(other => !other.visible)
+    if (!offscreen) return
+    deactivateSlot(offscreen)
+  }
+}
+
+function deactivateSlot(slot) {
+  if (!slot.live) return
+
+  slot.live = false
+  live = live.filter(other => other !== slot)
+  slot.deactivate()
+}
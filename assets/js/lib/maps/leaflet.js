@@ -0,0 +1,94 @@
+import L from "leaflet"
+import "leaflet.markercluster"
+import {createGeocoder} from "./geocoder"
+import {markerInfo} from "./marker_info"
+import {attachSuggestions} from "./place_suggestions"
+
+// Leaflet backend for lib/maps
+//
+// Tiles come from `tile_url` (OpenStreetMap unless configured otherwise) and
+// place search goes to the Nominatim-compatible geocoder at `geocoder_url`.
+// Leaflet is bundled, so nothing has to be fetched before the first map.
+
+let config = {}
+let geocoder = null
+
+function load(mapConfig) {
+  config = mapConfig
+  geocoder = createGeocoder(config.geocoder_url)
+  return Promise.resolve()
+}
+
+// A div icon, so no marker images have to be served
+function pinIcon() {
+  return L.divIcon({
+    className: "",
+    html: `<span class="hero-map-pin-solid block h-8 w-8 text-indigo-600 drop-shadow"></span>`,
+    iconSize: [32, 32],
+    iconAnchor: [16, 32]
+  })
+}
+
+function clusterIcon(cluster) {
+  return L.divIcon({
+    className: "",
+    html: `<span class="flex h-10 w-10 items-center justify-center rounded-full bg-indigo-600/90 text-sm font-semibold text-white ring-2 ring-white shadow">${cluster.getChildCount()}</span>`,
+    iconSize: [40, 40]
+  })
+}
+
+function createMap(el, {center, zoom = 15}) {
+  const map = L.map(el).setView(center, zoom)
+  L.tileLayer(config.tile_url, {attribution: config.tile_attribution, maxZoom: 19}).addTo(map)
+  let cluster = null
+
+  return {
+    setView(position, newZoom) {
+      map.setView(position, newZoom || map.getZoom())
+    },
+    addMarker(position, {draggable = false, onMove} = {}) {
+      const marker = L.marker(position, {icon: pinIcon(), draggable}).addTo(map)
+      if (onMove) {
+        marker.on("dragend", () => {
+          const {lat, lng} = marker.getLatLng()
+          onMove({lat, lng})
+        })
+      }
+      return {
+        setPosition: newPosition => marker.setLatLng(newPosition),
+        remove: () => marker.remove()
+      }
+    },
+    onClick(callback) {
+      map.on("click", e => callback({lat: e.latlng.lat, lng: e.latlng.lng}))
+    },
+    setMarkers(markers) {
+      if (!cluster) {
+        cluster = L.markerClusterGroup({iconCreateFunction: clusterIcon, showCoverageOnHover: false})
+        map.addLayer(cluster)
+      }
+
+      cluster.clearLayers()
+      cluster.addLayers(markers.map(marker =>
+        L.marker(marker, {icon: pinIcon(), title: marker.title}).bindPopup(() => markerInfo(marker))
+      ))
+    },
+    fitMarkers(markers, maxZoom = 15) {
+      if (markers.length === 0) return
+      map.fitBounds(L.latLngBounds(markers.map(({lat, lng}) => [lat, lng])), {padding: [32, 32], maxZoom})
+    },
+    destroy() {
+      map.remove()
+    }
+  }
+}
+
+function attachPlaceSearch(input, onSelect) {
+  return attachSuggestions(input, (query, signal) => geocoder.search(query, {signal}), onSelect)
+}
+
+function reverseGeocode(position) {
+  return geocoder.reverse(position).catch(() => null)
+}
+
+export default {load, createMap, attachPlaceSearch, reverseGeocode}
@@ -0,0 +1,34 @@
+// Info window content for a marker on a multi-marker map, shared by the
+// providers
+//
+// Usage:
+//
+//     markerInfo({title: "Dinner", subtitle: "Luigi's", url: "/events/1/edit", link: "patch"})
+//
+// `link` is "patch" or "redirect" and makes the title a LiveView link, so
+// opening it doesn't reload the page.
+
+export function markerInfo({title, subtitle, url, link}) {
+  const content = document.createElement("div")
+  content.className = "min-w-[10rem] max-w-xs text-sm"
+
+  const heading = document.createElement(url ? "a" : "div")
+  heading.className = "block font-semibold text-gray-900"
+  heading.textContent = title
+  if (url) {
+    heading.href = url
+    heading.className += " hover:text-indigo-600"
+    heading.setAttribute("data-phx-link", link || "redirect")
+    heading.setAttribute("data-phx-link-state", "push")
+  }
+  content.appendChild(heading)
+
+  if (subtitle) {
+    const detail = document.createElement("div")
+    detail.className = "mt-0.5 text-xs text-gray-500"
+    detail.textContent = subtitle
+    content.appendChild(detail)
+  }
+
+  return content
+}
@@ -0,0 +1,151 @@
+// Suggestion list under a location input, for providers without their own
+// place autocomplete (Leaflet)
+//
+// Usage:
+//
+//     const detach = attachSuggestions(input, (query, signal) => geocoder.search(query, {signal}), place => ...)
+//
+// The list lives in <body> rather than next to the input, so LiveView
+// patches of the form leave it alone.
+
+const DEBOUNCE_MS = 400
+const MIN_QUERY_LENGTH = 3
+
+let listCount = 0
+
+export function attachSuggestions(input, search, onSelect) {
+  const list = document.createElement("ul")
+  list.id = `place-suggestions-${++listCount}`
+  list.setAttribute("role", "listbox")
+  list.className = "fixed z-[60] hidden max-h-60 overflow-y-auto rounded-md bg-white py-1 text-sm shadow-lg ring-1 ring-black/5"
+  document.body.appendChild(list)
+
+  input.setAttribute("role", "combobox")
+  input.setAttribute("aria-autocomplete", "list")
+  input.setAttribute("aria-controls", list.id)
+  input.setAttribute("aria-expanded", "false")
+
+  let places = []
+  let active = -1
+  let timer = null
+  let controller = null
+
+  const close = () => {
+    list.classList.add("hidden")
+    input.setAttribute("aria-expanded", "false")
+    input.removeAttribute("aria-activedescendant")
+    active = -1
+  }
+
+  const position = () => {
+    const rect = input.getBoundingClientRect()
+    list.style.top = `${rect.bottom + 4}px`
+    list.style.left = `${rect.left}px`
+    list.style.width = `${rect.width}px`
+  }
+
+  const highlight = index => {
+    active = index
+    Array.from(list.children).forEach((item, i) => {
+      item.classList.toggle("bg-indigo-600", i === active)
+      item.classList.toggle("text-white", i === active)
+      item.setAttribute("aria-selected", i === active ? "true" : "false")
+    })
+    if (active >= 0) {
+      input.setAttribute("aria-activedescendant", `${list.id}-${active}`)
+      list.children[active].scrollIntoView({block: "nearest"})
+    }
+  }
+
+  const render = () => {
+    list.replaceChildren(...places.map((place, i) => {
+      const item = document.createElement("li")
+      item.id = `${list.id}-${i}`
+      item.setAttribute("role", "option")
+      item.className = "cursor-pointer select-none truncate px-3 py-2 text-gray-900"
+      item.textContent = place.address
+      item.addEventListener("mouseenter", () => highlight(i))
+      item.addEventListener("click", () => choose(i))
+      return item
+    }))
+
+    if (places.length === 0) return close()
+    position()
+    list.classList.remove("hidden")
+    input.setAttribute("aria-expanded", "true")
+    active = -1
+  }
+
+  const choose = index => {
+    const place = places[index]
+    if (!place) return
+    input.value = place.address
+    close()
+    onSelect(place)
+  }
+
+  const lookup = () => {
+    const query = input.value.trim()
+    if (controller) controller.abort()
+    if (query.length < MIN_QUERY_LENGTH) {
+      places = []
+      return render()
+    }
+
+    controller = new AbortController()
+    search(query, controller.signal)
+      .then(results => {
+        places = results
+        render()
+      })
+      .catch(() => {})
+  }
+
+  const onInput = () => {
+    clearTimeout(timer)
+    timer = setTimeout(lookup, DEBOUNCE_MS)
+  }
+
+  const onKeydown = e => {
+    if (list.classList.contains("hidden")) return
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault()
+      highlight(Math.min(active + 1, places.length - 1))
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault()
+      highlight(Math.max(active - 1, 0))
+    } else if (e.key === "Enter" && active >= 0) {
+      // Don't submit the form
+      e.preventDefault()
+      choose(active)
+    } else if (e.key === "Escape") {
+      e.stopPropagation()
+      close()
+    }
+  }
+
+  // Keep focus in the input while clicking a suggestion
+  const onListMousedown = e => e.preventDefault()
+  const onReposition = () => {
+    if (!list.classList.contains("hidden")) position()
+  }
+
+  input.addEventListener("input", onInput)
+  input.addEventListener("keydown", onKeydown)
+  input.addEventListener("blur", close)
+  list.addEventListener("mousedown", onListMousedown)
+  window.addEventListener("scroll", onReposition, true)
+  window.addEventListener("resize", onReposition)
+
+  return () => {
+    clearTimeout(timer)
+    if (controller) controller.abort()
+    input.removeEventListener("input", onInput)
+    input.removeEventListener("keydown", onKeydown)
+    input.removeEventListener("blur", close)
+    window.removeEventListener("scroll", onReposition, true)
+    window.removeEventListener("resize", onReposition)
+    list.remove()
+  }
+}
@@ -0,0 +1,94 @@
+// Markdown edits for interaction notes, written the way ConeziaWeb.Markdown
+// renders them
+//
+// Usage:
+//
+//     const edit = toggleWrap(textarea.value, start, end, "**")
+//     // → {from, to, text, select: [start, end]}: replace value[from, to)
+//     //   with text, then select the new value[start, end)
+//
+//     findTrigger(textarea.value, caret)   // → {kind: "mention" | "tag", query, start} or null
+//     completeTrigger(trigger, caret, mentionText(name, id))
+//
+// Each function works on the textarea's value and selection and returns the
+// edit to make rather than making it, so the hook can apply it in a way the
+// browser's undo history keeps.
+
+const BULLET = /^\s*[-*+]\s+/
+const NUMBERED = /^\s*\d+[.)]\s+/
+const LINKABLE = /^(https?:\/\/|mailto:)\S+$/
+
+// "@" at the start of a word, then up to a few words of a name
+const MENTION_TRIGGER = /(^|[\s(])@([^\s@[\]()][^@\n[\]()]{0,39})?$/
+const TAG_TRIGGER = /(^|\s)#([\p{L}\p{N}_-]{0,50})$/u
+
+export function toggleWrap(value, start, end, marker) {
+  const size = marker.length
+  if (value.slice(start - size, start) === marker && value.slice(end, end + size) === marker) {
+    return {from: start - size, to: end + size, text: value.slice(start, end), select: [start - size, end - size]}
+  }
+  return {from: start, to: end, text: marker + value.slice(start, end) + marker, select: [start + size, end + size]}
+}
+
+// Makes the selected lines a list, or plain lines again if they already are
+export function toggleList(value, start, end, ordered) {
+  if (end > start && value[end - 1] === "\n") end -= 1
+  const from = value.lastIndexOf("\n", start - 1) + 1
+  const lineEnd = value.indexOf("\n", end)
+  const to = lineEnd === -1 ? value.length : lineEnd
+
+  const pattern = ordered ? NUMBERED : BULLET
+  const lines = value.slice(from, to).split("\n")
+  const listed = lines.every(line => pattern.test(line))
+  const text = lines
+    .map((line, i) => {
+      if (listed) return line.replace(pattern, "")
+      const item = line.replace(BULLET, "").replace(NUMBERED, "")
+      return (ordered ? `${i + 1}. ` : "- ") + item
+    })
+    .join("\n")
+
+  return {from, to, text, select: [from + text.length, from + text.length]}
+}
+
+// Links the selection, leaving the part still to fill in selected
+export function insertLink(value, start, end) {
+  const selected = value.slice(start, end)
+  if (LINKABLE.test(selected)) {
+    return {from: start, to: end, text: `[link](${selected})`, select: [start + 1, start + 5]}
+  }
+
+  const label = selected || "link"
+  const url = start + label.length + 3
+  return {from: start, to: end, text: `[${label}](https://)`, select: [url, url + "https://".length]}
+}
+
+// The @mention or #tag being typed at the caret
+export function findTrigger(value, caret) {
+  const before = value.slice(value.lastIndexOf("\n", caret - 1) + 1, caret)
+
+  const mention = before.match(MENTION_TRIGGER)
+  if (mention) {
+    const query = mention[2] || ""
+    if (/\s\s$/.test(query)) return null
+    return {kind: "mention", query: query.trim(), start: caret - query.length - 1}
+  }
+
+  const tag = before.match(TAG_TRIGGER)
+  if (tag) return {kind: "tag", query: tag[2], start: caret - tag[2].length - 1}
+
+  return null
+}
+
+export function completeTrigger(trigger, caret, text) {
+  const insert = `${text} `
+  return {from: trigger.start, to: caret, text: insert, select: [trigger.start + insert.length, trigger.start + insert.length]}
+}
+
+export function mentionText(name, id) {
+  return `[@${name.replace(/[[\]\n]/g, "")}](/connections/${id})`
+}
+
+export function tagText(token) {
+  return `#${token}`
+}
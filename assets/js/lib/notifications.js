@@ -0,0 +1,133 @@
+// Due-reminder notifications in the page
+//
+// ConeziaWeb.ReminderNotifications pushes "reminder-due" to whichever
+// LiveView is open. With notification permission the reminder is handed to
+// the service worker, which shows it exactly like a Web Push message (same
+// tag, so a real push for the same reminder replaces rather than doubles
+// it). Without permission it goes to a toast stack in the corner of the
+// page with the same Complete / Snooze actions.
+
+const ACTION_URL = "/api/v1/notifications/reminder-action"
+const TOAST_RESULT_MS = 3000
+
+// Without VAPID keys the server uses its local Web Push stand-in, which
+// delivers through the open LiveViews; the browser is then "subscribed"
+// under a made-up endpoint kept here.
+export const LOCAL_ENDPOINT_KEY = "conezia:local-push-endpoint"
+
+export const REMINDER_ACTIONS = [
+  {action: "complete", title: "Complete", done: "Completed"},
+  {action: "snooze_1h", title: "Snooze 1h", done: "Snoozed for an hour"},
+  {action: "snooze_1d", title: "Snooze 1d", done: "Snoozed for a day"}
+]
+
+export function canShowNativeNotifications() {
+  return "Notification" in window && Notification.permission === "granted" && "serviceWorker" in navigator
+}
+
+// Shows a push payload (see Conezia.Notifications.reminder_payload/1)
+export function showReminder(payload) {
+  if (!canShowNativeNotifications()) return showToast(payload)
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.active.postMessage({type: "push", payload}))
+    .catch(() => showToast(payload))
+}
+
+// A message from the local Web Push stand-in, meant for the browser that
+// subscribed with `endpoint`. It goes to the service worker's push handler.
+export function deliverLocalPush({endpoint, payload}) {
+  if (!("serviceWorker" in navigator) || localStorage.getItem(LOCAL_ENDPOINT_KEY) !== endpoint) return
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.active.postMessage({type: "push", payload}))
+}
+
+// Runs a notification action with the payload's signed token; the service
+// worker uses the same endpoint for native notification buttons.
+export function runReminderAction(payload, action) {
+  return fetch(ACTION_URL, {
+    method: "POST",
+    headers: {"Content-Type": "application/json", "Accept": "application/json"},
+    body: JSON.stringify({token: payload.token, action})
+  }).then(response => {
+    if (!response.ok) throw new Error(`reminder action failed with ${response.status}`)
+    return response.json()
+  })
+}
+
+function toastStack() {
+  let stack = document.getElementById("notification-toasts")
+  if (!stack) {
+    stack = document.createElement("div")
+    stack.id = "notification-toasts"
+    stack.setAttribute("aria-live", "polite")
+    stack.className = "pointer-events-none fixed bottom-4 right-4 z-[70] flex w-full max-w-sm flex-col gap-3"
+    document.body.appendChild(stack)
+  }
+  return stack
+}
+
+function showToast(payload) {
+  const stack = toastStack()
+  const existing = stack.querySelector(`[data-tag="${payload.tag}"]`)
+
+  const toast = document.createElement("div")
+  toast.dataset.tag = payload.tag
+  toast.setAttribute("role", "status")
+  toast.className = "pointer-events-auto rounded-lg bg-white p-4 shadow-lg ring-1 ring-gray-900/5"
+
+  const header = document.createElement("div")
+  header.className = "flex items-start gap-x-3"
+  const icon = document.createElement("span")
+  icon.className = "hero-bell-alert h-5 w-5 flex-none text-indigo-600"
+  const text = document.createElement("div")
+  text.className = "min-w-0 flex-auto"
+  const title = document.createElement("p")
+  title.className = "text-sm font-medium text-gray-900"
+  title.textContent = payload.title
+  const body = document.createElement("p")
+  body.className = "mt-1 text-sm text-gray-500"
+  body.textContent = payload.body
+  text.append(title, body)
+  const close = document.createElement("button")
+  close.type = "button"
+  close.className = "flex-none text-gray-400 hover:text-gray-500"
+  close.setAttribute("aria-label", "Dismiss")
+  close.innerHTML = `<span class="hero-x-mark h-5 w-5"></span>`
+  close.addEventListener("click", () => toast.remove())
+  header.append(icon, text, close)
+
+  const actions = document.createElement("div")
+  actions.className = "mt-3 flex gap-x-2 pl-8"
+  REMINDER_ACTIONS.forEach(({action, title: label, done}) => {
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "rounded-md bg-white px-2.5 py-1.5 text-xs font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+    button.textContent = label
+    button.addEventListener("click", () => {
+      actions.querySelectorAll("button").forEach(b => { b.disabled = true })
+      runReminderAction(payload, action)
+        .then(() => finish(done))
+        .catch(() => finish("Couldn't update the reminder. Try again from Reminders."))
+    })
+    actions.appendChild(button)
+  })
+
+  const finish = message => {
+    actions.replaceChildren()
+    const result = document.createElement("p")
+    result.className = "text-xs text-gray-500"
+    result.textContent = message
+    actions.appendChild(result)
+    setTimeout(() => toast.remove(), TOAST_RESULT_MS)
+  }
+
+  toast.append(header, actions)
+
+  if (existing) {
+    existing.replaceWith(toast)
+  } else {
+    stack.appendChild(toast)
+  }
+}
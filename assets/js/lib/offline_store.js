@@ -0,0 +1,165 @@
+// IndexedDB storage for data that has to outlive the LiveSocket
+//
+// "connections" holds the last snapshot of every connection the user opened
+// (pushed by EntityLive.Show as "cache-connection"), keyed by entity id, so
+// the offline view can show phone numbers and notes without a signal.
+//
+// "outbox" holds changes made while disconnected, in the order they were
+// made (see outbox.js).
+//
+// "drafts" holds encrypted copies of half-filled forms, keyed by the form's
+// draft id (see drafts.js).
+
+const DB_NAME = "conezia-offline"
+const DB_VERSION = 3
+// Only the most recently viewed connections are kept
+const MAX_CONNECTIONS = 200
+// The service worker's saved pages, one cache per CACHE_VERSION
+const PAGES_CACHE_PREFIX = "conezia-pages-"
+
+let dbPromise = null
+
+function openDB() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) return reject(new Error("IndexedDB is not available"))
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains("connections")) {
+        const store = db.createObjectStore("connections", {keyPath: "id"})
+        store.createIndex("viewedAt", "viewedAt")
+      }
+      if (!db.objectStoreNames.contains("outbox")) {
+        db.createObjectStore("outbox", {keyPath: "seq", autoIncrement: true})
+      }
+      if (!db.objectStoreNames.contains("drafts")) {
+        db.createObjectStore("drafts", {keyPath: "id"})
+      }
+    }
+    request.onsuccess = () => {
+      const db = request.result
+      // Let another tab upgrade (or delete) the database
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+      resolve(db)
+    }
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"))
+  })
+
+  // Let the next call try again rather than caching the failure
+  dbPromise.catch(() => { dbPromise = null })
+  return dbPromise
+}
+
+// Runs `fn(store)` inside a transaction and resolves with the value of the
+// request it returns (if any) once the transaction has completed.
+function withStore(name, mode, fn) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode)
+    const request = fn(tx.objectStore(name))
+    tx.oncomplete = () => resolve(request ? request.result : undefined)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  }))
+}
+
+export function saveConnection({entity, identifiers}) {
+  const record = {id: entity.id, entity, identifiers: identifiers || [], viewedAt: Date.now()}
+  return withStore("connections", "readwrite", store => store.put(record))
+    .then(() => pruneConnections())
+}
+
+export function getConnection(id) {
+  return withStore("connections", "readonly", store => store.get(id))
+}
+
+// Most recently viewed first
+export function listConnections() {
+  return withStore("connections", "readonly", store => store.getAll())
+    .then(records => records.sort((a, b) => b.viewedAt - a.viewedAt))
+}
+
+function pruneConnections() {
+  return withStore("connections", "readwrite", store => {
+    const index = store.index("viewedAt")
+    const count = store.count()
+    count.onsuccess = () => {
+      let excess = count.result - MAX_CONNECTIONS
+      if (excess <= 0) return
+      // The index is ascending, so the oldest views come first
+      index.openCursor().onsuccess = e => {
+        const cursor = e.target.result
+        if (!cursor || excess-- <= 0) return
+        cursor.delete()
+        cursor.continue()
+      }
+    }
+  })
+}
+
+// Keys are assigned in insertion order, so this is the order to replay in
+export function listOutbox() {
+  return withStore("outbox", "readonly", store => store.getAll())
+}
+
+export function addToOutbox(item) {
+  return withStore("outbox", "readwrite", store => store.add({...item, status: "pending", queuedAt: Date.now()}))
+}
+
+export function updateOutboxItem(item) {
+  return withStore("outbox", "readwrite", store => store.put(item))
+}
+
+export function removeFromOutbox(seq) {
+  return withStore("outbox", "readwrite", store => store.delete(seq))
+}
+
+export function putDraft(record) {
+  return withStore("drafts", "readwrite", store => store.put(record))
+}
+
+export function getDraft(id) {
+  return withStore("drafts", "readonly", store => store.get(id))
+}
+
+export function deleteDraft(id) {
+  return withStore("drafts", "readwrite", store => store.delete(id))
+}
+
+// Drops everything stored for the signed-in user: this database and the
+// pages the service worker saved (priv/static/sw.js). Used on sign out, and
+// again on the next signed-out page in case that was cut short.
+export function clearOfflineData() {
+  return Promise.all([deleteDatabase(), clearSavedPages()])
+}
+
+function deleteDatabase() {
+  return openDB()
+    .then(db => {
+      db.close()
+      dbPromise = null
+    })
+    .catch(() => {})
+    .then(() => new Promise((resolve, reject) => {
+      if (!("indexedDB" in window)) return resolve()
+      const request = indexedDB.deleteDatabase(DB_NAME)
+      request.onsuccess = () => resolve()
+      request.onerror = () => reject(request.error)
+      // Open tabs close their connection on "versionchange", after which
+      // the delete goes ahead and succeeds
+      request.onblocked = () => {}
+    }))
+}
+
+function clearSavedPages() {
+  if (!("caches" in window)) return Promise.resolve()
+  return caches.keys().then(keys =>
+    Promise.all(keys.filter(key => key.startsWith(PAGES_CACHE_PREFIX)).map(key => caches.delete(key)))
+  )
+}
@@ -0,0 +1,315 @@
+import {avatarElement} from "./avatar"
+import {getConnection, listConnections} from "./offline_store"
+import {onOutboxChange} from "./outbox"
+
+// Don't flash the offline view on a blip; LiveView reconnects within a second
+// or two when the network is fine.
+const OFFLINE_DELAY_MS = 4000
+
+const INTERACTION_TYPES = ["call", "meeting", "message", "email", "transaction"]
+
+const INPUT_CLASSES = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+
+const IDENTIFIER_LINKS = {
+  phone: value => `tel:${value.replace(/[^\d+]/g, "")}`,
+  email: value => `mailto:${value}`,
+  website: value => /^https?:\/\//.test(value) ? value : `https://${value}`
+}
+
+// Read-only fallback shown while the LiveSocket cannot connect
+//
+// Instead of leaving the user on a page that keeps spinning "Attempting to
+// reconnect", this covers it with the connections saved by offline_store.js:
+// a searchable list and each connection's identifiers and notes. It goes
+// away by itself as soon as the socket is back.
+//
+// Interactions logged from here go into the outbox and are sent once the
+// socket reconnects.
+export function watchConnectivity(liveSocket) {
+  // Only pages with a LiveView have a socket to lose
+  if (!document.querySelector("[data-phx-main]")) return
+
+  const socket = liveSocket.getSocket()
+  let timer = null
+  let view = null
+
+  const goOffline = () => {
+    if (timer || view) return
+    timer = setTimeout(() => {
+      timer = null
+      view = new OfflineView()
+      view.show()
+    }, OFFLINE_DELAY_MS)
+  }
+
+  const goOnline = () => {
+    clearTimeout(timer)
+    timer = null
+    if (view) {
+      view.remove()
+      view = null
+    }
+  }
+
+  socket.onError(goOffline)
+  socket.onOpen(goOnline)
+  window.addEventListener("offline", goOffline)
+  // The socket may have survived a short outage without erroring
+  window.addEventListener("online", () => {
+    if (socket.isConnected()) goOnline()
+  })
+}
+
+class OfflineView {
+  show() {
+    this.el = document.createElement("div")
+    this.el.id = "offline-view"
+    this.el.setAttribute("role", "dialog")
+    this.el.setAttribute("aria-modal", "true")
+    this.el.setAttribute("aria-labelledby", "offline-view-title")
+    this.el.className = "fixed inset-0 z-[60] flex flex-col bg-gray-100"
+    this.el.innerHTML = `
+      <div class="flex items-center gap-x-3 border-b border-amber-200 bg-amber-50 px-4 py-3 sm:px-6">
+        <span class="hero-signal-slash h-5 w-5 flex-none text-amber-600"></span>
+        <div class="flex-auto">
+          <h2 id="offline-view-title" class="text-sm font-semibold text-amber-900">You're offline</h2>
+          <p class="text-xs text-amber-800">Showing connections saved on this device. Interactions you log are sent once the connection is back.</p>
+          <p data-offline-outbox class="hidden text-xs font-medium text-amber-900"></p>
+        </div>
+        <span class="hero-arrow-path h-4 w-4 flex-none animate-spin text-amber-600"></span>
+      </div>
+      <div class="flex min-h-0 flex-auto flex-col sm:flex-row">
+        <div class="flex max-h-[40vh] flex-none flex-col border-b border-gray-200 bg-white sm:max-h-none sm:w-80 sm:border-b-0 sm:border-r">
+          <div class="p-3">
+            <input data-offline-search type="search" placeholder="Search saved connections"
+              aria-label="Search saved connections"
+              class="block w-full rounded-md border-0 py-1.5 text-sm text-gray-900 ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600" />
+          </div>
+          <ul data-offline-list class="flex-auto divide-y divide-gray-100 overflow-y-auto"></ul>
+        </div>
+        <div data-offline-detail class="min-h-0 flex-auto overflow-y-auto p-4 sm:p-6"></div>
+      </div>
+    `
+
+    this.search = this.el.querySelector("[data-offline-search]")
+    this.list = this.el.querySelector("[data-offline-list]")
+    this.detail = this.el.querySelector("[data-offline-detail]")
+    this.connections = []
+
+    this.search.addEventListener("input", () => this.renderList())
+    this.list.addEventListener("click", e => {
+      const item = e.target.closest("[data-id]")
+      if (item) this.open(item.dataset.id)
+    })
+
+    document.body.appendChild(this.el)
+
+    const outboxNote = this.el.querySelector("[data-offline-outbox]")
+    this.stopWatchingOutbox = onOutboxChange(items => {
+      const pending = items.filter(item => item.status === "pending").length
+      outboxNote.classList.toggle("hidden", pending === 0)
+      outboxNote.textContent = `${pending} ${pending === 1 ? "change" : "changes"} waiting to sync`
+    })
+
+    listConnections()
+      .then(connections => {
+        this.connections = connections
+        this.renderList()
+        // Start on the connection the user was looking at, if it was saved
+        const match = window.location.pathname.match(/^\/connections\/([^/]+)/)
+        const current = match && connections.find(c => c.id === match[1])
+        this.open(current ? current.id : connections[0] && connections[0].id)
+      })
+      .catch(() => this.renderList())
+  }
+
+  remove() {
+    this.stopWatchingOutbox()
+    this.el.remove()
+  }
+
+  renderList() {
+    const query = this.search.value.trim().toLowerCase()
+    const matches = this.connections.filter(({entity, identifiers}) => {
+      if (!query) return true
+      const haystack = [entity.name, entity.description, ...identifiers.map(i => i.value)].join(" ").toLowerCase()
+      return haystack.includes(query)
+    })
+
+    if (matches.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "px-4 py-6 text-center text-sm text-gray-500"
+      empty.textContent = this.connections.length === 0
+        ? "No connections saved yet. Connections you open while online are kept here."
+        : "No saved connections match."
+      this.list.replaceChildren(empty)
+      return
+    }
+
+    this.list.replaceChildren(...matches.map(({entity}) => {
+      const item = document.createElement("li")
+      item.dataset.id = entity.id
+      item.className = "cursor-pointer px-4 py-2 hover:bg-gray-50 aria-selected:bg-indigo-50"
+      item.setAttribute("aria-selected", entity.id === this.selectedId ? "true" : "false")
+      item.classList.add("flex", "items-center", "gap-3")
+      item.appendChild(avatarElement(entity.name, entity.avatar_url, "h-8 w-8 text-xs"))
+      const text = document.createElement("div")
+      text.className = "min-w-0"
+      const name = document.createElement("p")
+      name.className = "truncate text-sm font-medium text-gray-900"
+      name.textContent = entity.name
+      text.appendChild(name)
+      if (entity.description) {
+        const description = document.createElement("p")
+        description.className = "truncate text-xs text-gray-500"
+        description.textContent = entity.description
+        text.appendChild(description)
+      }
+      item.appendChild(text)
+      return item
+    }))
+  }
+
+  open(id) {
+    this.selectedId = id
+    this.list.querySelectorAll("[data-id]").forEach(item => {
+      item.setAttribute("aria-selected", item.dataset.id === id ? "true" : "false")
+    })
+
+    if (!id) {
+      this.detail.replaceChildren()
+      return
+    }
+
+    getConnection(id).then(record => {
+      if (record && this.selectedId === id) this.renderDetail(record)
+    })
+  }
+
+  renderDetail({entity, identifiers, viewedAt}) {
+    const card = document.createElement("div")
+    card.className = "mx-auto max-w-2xl space-y-6"
+
+    const header = document.createElement("div")
+    const name = document.createElement("h3")
+    name.className = "text-xl font-semibold text-gray-900"
+    name.textContent = entity.name
+    header.appendChild(name)
+
+    const subtitle = [entity.relationship && entity.relationship.label, entity.description].filter(Boolean).join(" · ")
+    if (subtitle) {
+      const p = document.createElement("p")
+      p.className = "mt-1 text-sm text-gray-600"
+      p.textContent = subtitle
+      header.appendChild(p)
+    }
+    card.appendChild(header)
+
+    if (identifiers.length > 0) {
+      const section = this.section("Contact")
+      const list = document.createElement("dl")
+      list.className = "divide-y divide-gray-100"
+      identifiers
+        .slice()
+        .sort((a, b) => (b.is_primary ? 1 : 0) - (a.is_primary ? 1 : 0))
+        .forEach(identifier => {
+          const row = document.createElement("div")
+          row.className = "flex items-baseline justify-between gap-4 py-2"
+          const label = document.createElement("dt")
+          label.className = "text-sm text-gray-500"
+          label.textContent = identifier.label || humanize(identifier.type)
+          const value = document.createElement("dd")
+          value.className = "truncate text-sm text-gray-900"
+          const href = IDENTIFIER_LINKS[identifier.type]
+          if (href) {
+            const link = document.createElement("a")
+            link.href = href(identifier.value)
+            link.className = "text-indigo-600 hover:text-indigo-500"
+            link.textContent = identifier.value
+            value.appendChild(link)
+          } else {
+            value.textContent = identifier.value
+          }
+          row.append(label, value)
+          list.appendChild(row)
+        })
+      section.appendChild(list)
+      card.appendChild(section)
+    }
+
+    const notes = entity.relationship && entity.relationship.notes
+    if (notes) {
+      const section = this.section("Notes")
+      const p = document.createElement("p")
+      p.className = "whitespace-pre-line text-sm text-gray-700"
+      p.textContent = notes
+      section.appendChild(p)
+      card.appendChild(section)
+    }
+
+    card.appendChild(this.interactionForm(entity))
+
+    const saved = document.createElement("p")
+    saved.className = "text-xs text-gray-400"
+    saved.textContent = `Saved ${new Date(viewedAt).toLocaleString()}`
+    card.appendChild(saved)
+
+    this.detail.replaceChildren(card)
+  }
+
+  // Same fields as EntityLive.Show's form; lib/outbox.js queues the submit
+  interactionForm(entity) {
+    const section = this.section("Log interaction")
+    const form = document.createElement("form")
+    form.className = "space-y-3"
+    form.dataset.outbox = "interaction"
+    form.dataset.outboxEntityId = entity.id
+    form.dataset.outboxLabel = `Log interaction with ${entity.name}`
+
+    const types = INTERACTION_TYPES
+      .map(type => `<option value="${type}">${humanize(type)}</option>`)
+      .join("")
+
+    form.innerHTML = `
+      <div class="grid grid-cols-2 gap-3">
+        <label class="block text-sm font-medium text-gray-700">Type
+          <select name="interaction[type]" required class="${INPUT_CLASSES}">${types}</select>
+        </label>
+        <label class="block text-sm font-medium text-gray-700">When
+          <input type="datetime-local" name="interaction[occurred_at]" class="${INPUT_CLASSES}" />
+        </label>
+      </div>
+      <label class="block text-sm font-medium text-gray-700">Title (optional)
+        <input type="text" name="interaction[title]" class="${INPUT_CLASSES}" />
+      </label>
+      <label class="block text-sm font-medium text-gray-700">Notes
+        <textarea name="interaction[content]" rows="3" required class="${INPUT_CLASSES}"></textarea>
+      </label>
+      <div class="flex justify-end">
+        <button type="submit" class="rounded-md bg-indigo-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500">
+          Save for later
+        </button>
+      </div>
+    `
+
+    // The server reads datetime-local values as UTC, like the live form
+    form.querySelector("[name='interaction[occurred_at]']").defaultValue = new Date().toISOString().slice(0, 16)
+
+    section.appendChild(form)
+    return section
+  }
+
+  section(title) {
+    const section = document.createElement("div")
+    section.className = "rounded-lg bg-white p-4 shadow-sm ring-1 ring-gray-900/5"
+    const heading = document.createElement("h4")
+    heading.className = "mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500"
+    heading.textContent = title
+    section.appendChild(heading)
+    return section
+  }
+}
+
+function humanize(type) {
+  return type ? type.charAt(0).toUpperCase() + type.slice(1).replace(/_/g, " ") : ""
+}
@@ -0,0 +1,294 @@
+import {addToOutbox, listOutbox, removeFromOutbox, updateOutboxItem} from "./offline_store"
+
+// Give up on a replay request after this long; the item stays queued
+const REQUEST_TIMEOUT_MS = 15000
+
+let items = []
+let replaying = null
+const listeners = new Set()
+
+// Offline outbox for changes made without a connection
+//
+// Elements marked `data-outbox="<kind>"` are captured while the LiveView is
+// not connected: instead of a phx-submit / phx-click that would be lost,
+// the form fields, `phx-value-*` attributes and any other `data-outbox-*`
+// attributes are stored in IndexedDB, e.g.
+//
+//     <button phx-click="complete" phx-value-id={reminder.id}
+//             data-outbox="complete_reminder"
+//             data-outbox-version={ConeziaWeb.Outbox.version(reminder)}
+//             data-outbox-label={"Complete “#{reminder.title}”"}>
+//
+// `data-outbox-scope` on an ancestor marks the part of the page that is
+// greyed out once its change is queued.
+//
+// The Outbox hook replays the queue in order once the socket is back,
+// through the same REST endpoints API clients use (POST /api/v1/interactions,
+// /api/v1/reminders/:id/complete and /snooze) so they do all the checking.
+// Conflicts stay in the queue, listed under the badge in the header, until
+// the user dismisses them.
+
+export function outboxItems() {
+  return items
+}
+
+export function pendingItems() {
+  return items.filter(item => item.status === "pending")
+}
+
+// Calls `fn(items)` now and whenever the queue changes
+export function onOutboxChange(fn) {
+  listeners.add(fn)
+  fn(items)
+  return () => listeners.delete(fn)
+}
+
+export function refreshOutbox() {
+  return listOutbox()
+    .then(list => { items = list })
+    .catch(() => { items = [] })
+    .then(() => {
+      renderBadge()
+      listeners.forEach(fn => fn(items))
+    })
+}
+
+export function enqueue(item) {
+  return addToOutbox(item).then(refreshOutbox)
+}
+
+export function discard(seq) {
+  return removeFromOutbox(seq).then(refreshOutbox)
+}
+
+// Sends each pending item to the REST API with `token` (a short-lived API
+// token from the Outbox hook), oldest first, and resolves with how many
+// were applied. Stops at the first item that can't be sent, leaving it and
+// the rest queued, so nothing is replayed out of order.
+export function replayOutbox(token) {
+  if (replaying) return replaying
+
+  replaying = listOutbox()
+    .then(list => list.filter(item => item.status === "pending").reduce((chain, item) => chain.then(applied => {
+      return send(token, item).then(reply => {
+        if (reply.status === "ok") {
+          return removeFromOutbox(item.seq).then(() => applied + 1)
+        }
+        return updateOutboxItem({...item, status: "conflict", message: reply.message}).then(() => applied)
+      })
+    }), Promise.resolve(0)))
+    .catch(() => 0)
+    .then(applied => {
+      replaying = null
+      return refreshOutbox().then(() => applied)
+    })
+
+  return replaying
+}
+
+const REPLAYS = {
+  interaction(api, {entity_id, interaction = {}}) {
+    const body = {
+      entity_id,
+      type: interaction.type,
+      title: interaction.title || null,
+      content: interaction.content,
+      // datetime-local values, read as UTC like EntityLive.Show's form does
+      occurred_at: interaction.occurred_at ? `${interaction.occurred_at}:00Z` : null
+    }
+
+    return api("POST", "/api/v1/interactions", body).then(({status}) => {
+      if (status === 201) return ok()
+      if (status === 404) return conflict("The connection no longer exists.")
+      return conflict("The interaction could not be saved.")
+    })
+  },
+
+  complete_reminder(api, {id, version}) {
+    return withCurrentReminder(api, id, version, () =>
+      api("POST", `/api/v1/reminders/${id}/complete`).then(({status}) =>
+        status === 200 ? ok() : conflict("The reminder could not be completed.")
+      )
+    )
+  },
+
+  // The snooze is measured from when it's replayed, not when it was queued
+  snooze_reminder(api, {id, version, duration}) {
+    return withCurrentReminder(api, id, version, () =>
+      api("POST", `/api/v1/reminders/${id}/snooze`, {duration}).then(({status}) =>
+        status === 200 ? ok() : conflict("The reminder could not be snoozed.")
+      )
+    )
+  }
+}
+
+// Conflicts if the reminder was deleted, completed or otherwise changed
+// since the page the action was queued from was rendered
+function withCurrentReminder(api, id, version, fn) {
+  return api("GET", `/api/v1/reminders/${id}`).then(({status, data}) => {
+    if (status === 404) return conflict("The reminder no longer exists.")
+    if (status !== 200) return conflict("The reminder could not be loaded.")
+
+    const reminder = data.data
+    if (reminder.completed_at) return conflict("The reminder was already completed.")
+    if (version && version !== reminder.updated_at) return conflict("The reminder was changed after this was queued.")
+    return fn()
+  })
+}
+
+function send(token, {kind, params}) {
+  const replay = REPLAYS[kind]
+  if (!replay) return Promise.resolve(conflict("Unknown queued action."))
+
+  const api = (method, url, body) => {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+
+    return fetch(url, {
+      method,
+      headers: {accept: "application/json", "content-type": "application/json", authorization: `Bearer ${token}`},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    }).then(response => {
+      clearTimeout(timer)
+      // Signed out, rate limited or a server error: try again on the next
+      // reconnect rather than marking the item as a conflict
+      if (response.status === 401 || response.status === 429 || response.status >= 500) {
+        throw new Error(`outbox replay failed with ${response.status}`)
+      }
+      return response.json().catch(() => ({})).then(data => ({status: response.status, data}))
+    }, error => {
+      clearTimeout(timer)
+      throw error
+    })
+  }
+
+  return replay(api, params)
+}
+
+function ok() {
+  return {status: "ok"}
+}
+
+function conflict(message) {
+  return {status: "conflict", message}
+}
+
+function isConnected() {
+  const main = document.querySelector("[data-phx-main]")
+  return !!main && main.classList.contains("phx-connected")
+}
+
+// Installs the capture-phase listeners that divert `data-outbox` submits and
+// clicks into the queue while disconnected. Call once at startup.
+export function captureWhileOffline() {
+  document.addEventListener("submit", e => {
+    const form = e.target.closest("form[data-outbox]")
+    if (!form || isConnected()) return
+    e.preventDefault()
+    e.stopImmediatePropagation()
+
+    queueFrom(form, formParams(form)).then(() => form.reset())
+  }, true)
+
+  document.addEventListener("click", e => {
+    const el = e.target.closest("[data-outbox]")
+    if (!el || el.tagName === "FORM" || isConnected()) return
+    e.preventDefault()
+    e.stopImmediatePropagation()
+
+    queueFrom(el, {})
+  }, true)
+
+  document.addEventListener("click", e => {
+    const toggle = e.target.closest("[data-outbox-toggle]")
+    const dismiss = e.target.closest("[data-outbox-discard]")
+    const panel = document.querySelector("#outbox [data-outbox-panel]")
+
+    if (dismiss) {
+      discard(parseInt(dismiss.dataset.outboxDiscard, 10))
+    } else if (toggle && panel) {
+      panel.classList.toggle("hidden")
+    } else if (panel && !e.target.closest("#outbox")) {
+      panel.classList.add("hidden")
+    }
+  })
+
+  refreshOutbox()
+}
+
+function queueFrom(el, params) {
+  Array.from(el.attributes).forEach(({name, value}) => {
+    if (name.startsWith("phx-value-")) {
+      params[name.slice("phx-value-".length)] = value
+    } else if (name.startsWith("data-outbox-") && !["data-outbox-label", "data-outbox-scope"].includes(name)) {
+      params[name.slice("data-outbox-".length).replace(/-/g, "_")] = value
+    }
+  })
+
+  const scope = el.closest("[data-outbox-scope]")
+  if (scope) scope.classList.add("opacity-50", "pointer-events-none")
+
+  return enqueue({kind: el.dataset.outbox, label: el.dataset.outboxLabel || "Queued change", params})
+}
+
+// Field names like "interaction[title]" nest the same way LiveView encodes
+// them for phx-submit.
+function formParams(form) {
+  const params = {}
+  new FormData(form).forEach((value, name) => {
+    const match = name.match(/^([^[\]]+)\[([^[\]]+)\]$/)
+    if (match) {
+      params[match[1]] = params[match[1]] || {}
+      params[match[1]][match[2]] = value
+    } else {
+      params[name] = value
+    }
+  })
+  return params
+}
+
+// The badge lives in the app layout and is replaced on every live
+// navigation, so it is looked up afresh each time.
+export function renderBadge() {
+  const container = document.getElementById("outbox")
+  if (!container) return
+
+  const count = container.querySelector("[data-outbox-count]")
+  const list = container.querySelector("[data-outbox-items]")
+  const conflicts = items.some(item => item.status === "conflict")
+
+  container.classList.toggle("hidden", items.length === 0)
+  count.textContent = items.length
+  count.classList.toggle("bg-red-500", conflicts)
+  count.classList.toggle("bg-amber-500", !conflicts)
+
+  list.replaceChildren(...items.map(item => {
+    const row = document.createElement("li")
+    row.className = "flex items-start gap-x-2 px-3 py-2"
+
+    const text = document.createElement("div")
+    text.className = "min-w-0 flex-auto"
+    const label = document.createElement("p")
+    label.className = "truncate text-sm text-gray-900"
+    label.textContent = item.label
+    const status = document.createElement("p")
+    status.className = item.status === "conflict" ? "text-xs text-red-600" : "text-xs text-gray-500"
+    status.textContent = item.status === "conflict"
+      ? `Not applied: ${item.message || "the record changed."}`
+      : `Waiting to sync · queued ${new Date(item.queuedAt).toLocaleTimeString()}`
+    text.append(label, status)
+    row.appendChild(text)
+
+    if (item.status === "conflict") {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.dataset.outboxDiscard = item.seq
+      button.className = "flex-none text-xs font-medium text-indigo-600 hover:text-indigo-500"
+      button.textContent = "Dismiss"
+      row.appendChild(button)
+    }
+
+    return row
+  }))
+}
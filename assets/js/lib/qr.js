@@ -0,0 +1,98 @@
+import qrcode from "qrcode-generator"
+import jsQR from "jsqr"
+
+// Drawing and reading QR codes in the browser
+//
+// Usage:
+//
+//     element.appendChild(qrSvg(text, {title: "Ada Lovelace's contact card"}))
+//
+//     const read = qrReader()
+//     const text = await read(video)   // null until a code is in view
+//
+// qrReader uses the browser's BarcodeDetector where it reads QR codes and
+// falls back to decoding frames with jsQR everywhere else.
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+// Quiet zone around the code, in modules
+const MARGIN = 4
+
+// Names and notes aren't all ASCII
+qrcode.stringToBytes = qrcode.stringToBytesFuncs["UTF-8"]
+
+export function qrSvg(text, {title} = {}) {
+  // Type 0 picks the smallest version the text fits in
+  const qr = qrcode(0, "M")
+  qr.addData(text)
+  qr.make()
+
+  const count = qr.getModuleCount()
+  const size = count + MARGIN * 2
+  let path = ""
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) path += `M${col + MARGIN} ${row + MARGIN}h1v1h-1z`
+    }
+  }
+
+  const svg = document.createElementNS(SVG_NS, "svg")
+  svg.setAttribute("viewBox", `0 0 ${size} ${size}`)
+  svg.setAttribute("shape-rendering", "crispEdges")
+  svg.setAttribute("role", "img")
+  if (title) svg.setAttribute("aria-label", title)
+
+  const background = document.createElementNS(SVG_NS, "rect")
+  background.setAttribute("width", size)
+  background.setAttribute("height", size)
+  background.setAttribute("fill", "#fff")
+
+  const modules = document.createElementNS(SVG_NS, "path")
+  modules.setAttribute("d", path)
+  modules.setAttribute("fill", "#000")
+
+  svg.append(background, modules)
+  return svg
+}
+
+export function qrReader() {
+  const native = nativeReader()
+  let fallback = null
+
+  return video => native.then(read => {
+    if (read) return read(video)
+    fallback = fallback || frameReader()
+    return fallback(video)
+  })
+}
+
+// BarcodeDetector, when it exists and knows QR codes; resolves to null otherwise
+function nativeReader() {
+  if (!("BarcodeDetector" in window)) return Promise.resolve(null)
+
+  return window.BarcodeDetector.getSupportedFormats()
+    .then(formats => {
+      if (!formats.includes("qr_code")) return null
+
+      const detector = new window.BarcodeDetector({formats: ["qr_code"]})
+      return video => detector.detect(video)
+        .then(codes => codes.length > 0 ? codes[0].rawValue : null)
+    })
+    .catch(() => null)
+}
+
+// Copies the frame to a canvas and decodes it with jsQR
+function frameReader() {
+  const canvas = document.createElement("canvas")
+  const context = canvas.getContext("2d", {willReadFrequently: true})
+
+  return video => {
+    const {videoWidth: width, videoHeight: height} = video
+    if (!width || !height) return Promise.resolve(null)
+
+    canvas.width = width
+    canvas.height = height
+    context.drawImage(video, 0, 0, width, height)
+    const code = jsQR(context.getImageData(0, 0, width, height).data, width, height, {inversionAttempts: "dontInvert"})
+    return Promise.resolve(code ? code.data : null)
+  }
+}
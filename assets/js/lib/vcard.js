@@ -0,0 +1,172 @@
+import {escapeText, fold} from "./ics"
+
+// Writing vCard 4.0 (.vcf) files in the browser
+//
+// Usage:
+//
+//     const text = buildVCards(contacts)
+//     downloadFile("connections.vcf", text, "text/vcard")
+//
+//     const qrText = buildShareCard(contact)
+//
+// buildVCards takes the maps ConeziaWeb.EntityLive.Vcard.export/2 sends and
+// writes one card per connection. The primary identifier of each kind gets
+// PREF=1; identifiers with no vCard property of their own (SSNs, government
+// ids, account numbers) become X-CONEZIA-ID-<TYPE> properties, which
+// lib/contacts.js reads back. Tags become CATEGORIES, custom fields
+// X-CONEZIA-<KEY> properties
+// (birthdays and anniversaries also BDAY and ANNIVERSARY) and relationships
+// RELATED. Content lines fold and escape the way iCalendar's do, so those
+// helpers come from lib/ics.js.
+//
+// buildShareCard writes the short vCard 3.0 a QR code holds: the name and
+// the ways to reach the contact, which phone cameras read best.
+
+const PRODID = "-//Conezia//Connections//EN"
+
+// Conezia type → KIND; the rest are left to the default, individual
+const KINDS = {person: "individual", organization: "org", service: "org"}
+
+// Relationship subtypes and types → RELATED;TYPE= values from RFC 6350
+const RELATED_TYPES = {
+  spouse: "spouse",
+  partner: "sweetheart",
+  parent: "parent",
+  child: "child",
+  sibling: "sibling",
+  older_sibling: "sibling",
+  younger_sibling: "sibling",
+  family: "kin",
+  friend: "friend",
+  close_friend: "friend",
+  childhood_friend: "friend",
+  school_friend: "friend",
+  college_friend: "friend",
+  online_friend: "friend",
+  acquaintance: "acquaintance",
+  neighbor: "neighbor",
+  colleague: "colleague",
+  coworker: "co-worker",
+  team_member: "co-worker",
+  manager: "co-worker",
+  direct_report: "co-worker"
+}
+
+const PHONE_LABELS = ["home", "work", "cell", "fax", "pager", "video", "text", "voice", "textphone"]
+const OTHER_LABELS = ["home", "work"]
+
+export function buildVCards(contacts) {
+  const lines = []
+  contacts.forEach(contact => lines.push(...cardLines(contact)))
+  return lines.map(fold).join("\r\n") + "\r\n"
+}
+
+export function buildShareCard(contact) {
+  const lines = ["BEGIN:VCARD", "VERSION:3.0"]
+  if (contact.type === "person") lines.push(`N:${structuredName(contact.name)}`)
+  lines.push(`FN:${escapeText(contact.name)}`)
+  if (KINDS[contact.type] === "org") lines.push(`ORG:${escapeText(contact.name)}`)
+
+  const share = ["phone", "email", "website"]
+  contact.identifiers
+    .filter(identifier => share.includes(identifier.type))
+    .forEach(({type, value, label}) => {
+      const labelType = typeLabel(label)
+      const typeParam = OTHER_LABELS.includes(labelType) || (type === "phone" && PHONE_LABELS.includes(labelType))
+        ? `;TYPE=${labelType.toUpperCase()}`
+        : ""
+      if (type === "phone") lines.push(`TEL${typeParam}:${value}`)
+      else if (type === "email") lines.push(`EMAIL${typeParam}:${escapeText(value)}`)
+      else lines.push(`URL:${value}`)
+    })
+
+  lines.push("END:VCARD")
+  return lines.join("\r\n")
+}
+
+function cardLines(contact) {
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:4.0",
+    `PRODID:${PRODID}`,
+    `UID:urn:uuid:${contact.uid}`
+  ]
+
+  if (KINDS[contact.type]) lines.push(`KIND:${KINDS[contact.type]}`)
+  lines.push(`FN:${escapeText(contact.name)}`)
+  if (contact.type === "person") lines.push(`N:${structuredName(contact.name)}`)
+  if (KINDS[contact.type] === "org") lines.push(`ORG:${escapeText(contact.name)}`)
+
+  const primaryTypes = new Set()
+  contact.identifiers.forEach(identifier => {
+    // Only one of each kind is preferred, even if the data says otherwise
+    const pref = identifier.primary && !primaryTypes.has(identifier.type)
+    if (pref) primaryTypes.add(identifier.type)
+    const line = identifierLine(identifier, pref)
+    if (line) lines.push(line)
+  })
+
+  if (contact.tags.length > 0) lines.push(`CATEGORIES:${contact.tags.map(escapeText).join(",")}`)
+  if (contact.description) lines.push(`NOTE:${escapeText(contact.description)}`)
+
+  contact.custom_fields.forEach(field => {
+    if (field.type === "date" && (field.key === "birthday" || field.key === "anniversary")) {
+      lines.push(`${field.key === "birthday" ? "BDAY" : "ANNIVERSARY"}:${field.value.replace(/-/g, "")}`)
+    }
+    const name = `X-CONEZIA-${field.key.toUpperCase().replace(/[^A-Z0-9]+/g, "-")}`
+    lines.push(`${name};X-LABEL=${quoteParam(field.name)}:${escapeText(field.value)}`)
+  })
+
+  contact.related.forEach(related => {
+    const type = RELATED_TYPES[related.kind] || "contact"
+    lines.push(`RELATED;TYPE=${type};VALUE=text;X-LABEL=${quoteParam(related.label)}:${escapeText(related.name)}`)
+  })
+
+  if (contact.updated_at) lines.push(`REV:${new Date(contact.updated_at).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "")}`)
+  lines.push("END:VCARD")
+  return lines
+}
+
+function identifierLine({type, value, label}, pref) {
+  const params = []
+  const labelType = typeLabel(label)
+  const labels = type === "phone" ? PHONE_LABELS : OTHER_LABELS
+  if (labels.includes(labelType)) params.push(`TYPE=${labelType}`)
+  if (pref) params.push("PREF=1")
+
+  const prefix = params.map(param => `;${param}`).join("")
+  if (type === "email") return `EMAIL${prefix}:${escapeText(value)}`
+  if (type === "phone") return `TEL;VALUE=uri${prefix}:${telUri(value)}`
+  if (type === "website") return `URL${prefix}:${value}`
+  if (type === "social_handle") return `X-SOCIALPROFILE${prefix}:${escapeText(value)}`
+  return `${identifierProperty(type)}${prefix}:${escapeText(value)}`
+}
+
+export function identifierProperty(type) {
+  return `X-CONEZIA-ID-${type.toUpperCase().replace(/[^A-Z0-9]+/g, "-")}`
+}
+
+// "+44 20 7946-0958" → "tel:+442079460958" (RFC 3966): the leading "+" and
+// the digits, the way lib/contacts.js stores numbers it imports
+function telUri(value) {
+  const number = value.trim()
+  return `tel:${number.startsWith("+") ? "+" : ""}${number.replace(/\D/g, "")}`
+}
+
+// An identifier's label as a TYPE value, if it is one
+function typeLabel(label) {
+  const type = (label || "").trim().toLowerCase()
+  return type === "mobile" ? "cell" : type
+}
+
+// "Ada King Lovelace" → "Lovelace;Ada King;;;": family name last, as most
+// names in Conezia are written
+function structuredName(name) {
+  const parts = name.trim().split(/\s+/)
+  const family = parts.length > 1 ? parts.pop() : ""
+  return [family, parts.join(" "), "", "", ""].map(escapeText).join(";")
+}
+
+function quoteParam(value) {
+  return `"${String(value || "").replace(/"/g, "'")}"`
+}
@@ -27,7 +27,14 @@ config :elixir, :time_zone_database, Tzdata.TimeZoneDatabase
 # Configure Oban for background jobs
 config :conezia, Oban,
   repo: Conezia.Repo,
-  plugins: [Oban.Plugins.Pruner],
+  plugins: [
+    Oban.Plugins.Pruner,
+    {Oban.Plugins.Cron,
+     crontab: [
+       {"* * * * *", Conezia.Workers.ReminderWorker, args: %{action: "process_due"}},
+       {"0 * * * *", Conezia.Workers.UploadCleanupWorker}
+     ]}
+  ],
   queues: [default: 10, reminders: 5, imports: 3, webhooks: 5, health: 2, sync: 3]
 
 # Configure field-level encryption vault
@@ -45,6 +52,10 @@ config :conezia, Conezia.Storage,
   adapter: Conezia.Storage.Local,
   base_path: "priv/uploads"
 
+# Configure web push (the local stand-in needs no VAPID keys; see runtime.exs)
+config :conezia, Conezia.Notifications.WebPush,
+  adapter: Conezia.Notifications.WebPush.Local
+
 # Configure the endpoint
 config :conezia, ConeziaWeb.Endpoint,
   url: [host: "localhost"],
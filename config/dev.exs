@@ -79,9 +79,14 @@ config :phoenix, :stacktrace_depth, 20
 # Initialize plugs at runtime for faster development compilation
 config :phoenix, :plug_init_mode, :runtime
 
-# Google Maps API key (from environment variables)
-config :conezia, :google_maps,
-  api_key: System.get_env("GOOGLE_MAPS_API_KEY")
+# Maps: Google when GOOGLE_MAPS_API_KEY is set, otherwise Leaflet. Place
+# search uses the built-in stand-in geocoder unless GEOCODER_URL points to a
+# Nominatim server; MAP_TILE_URL can point to a local tile server.
+config :conezia, :maps,
+  provider: if(System.get_env("GOOGLE_MAPS_API_KEY"), do: "google", else: "leaflet"),
+  google_api_key: System.get_env("GOOGLE_MAPS_API_KEY"),
+  tile_url: System.get_env("MAP_TILE_URL"),
+  geocoder_url: System.get_env("GEOCODER_URL", "/geocoder")
 
 # Google OAuth configuration (from environment variables)
 config :conezia, :google_oauth,
@@ -106,12 +106,32 @@ if config_env() == :prod do
   config :conezia, Conezia.Vault,
     secret_key: vault_key
 
-  # Google Maps API key - OPTIONAL for location autocomplete and maps
+  # Maps - OPTIONAL. Google Maps when GOOGLE_MAPS_API_KEY is set (or
+  # MAP_PROVIDER=google), otherwise Leaflet with OpenStreetMap tiles and
+  # Nominatim. Self-hosted installs can point MAP_TILE_URL and GEOCODER_URL
+  # at their own servers, or set GEOCODER_URL=/geocoder for the built-in
+  # stand-in that only knows places saved on events.
   google_maps_api_key = System.get_env("GOOGLE_MAPS_API_KEY")
 
-  if google_maps_api_key do
-    config :conezia, :google_maps,
-      api_key: google_maps_api_key
+  config :conezia, :maps,
+    provider: System.get_env("MAP_PROVIDER") || if(google_maps_api_key, do: "google", else: "leaflet"),
+    google_api_key: google_maps_api_key,
+    tile_url: System.get_env("MAP_TILE_URL"),
+    tile_attribution: System.get_env("MAP_TILE_ATTRIBUTION"),
+    geocoder_url: System.get_env("GEOCODER_URL")
+
+  # Web push VAPID keys - OPTIONAL for browser notifications of due reminders
+  # Generate with: Conezia.Notifications.WebPush.generate_vapid_keys()
+  # Without them reminders only reach open tabs (via the local stand-in).
+  vapid_public_key = System.get_env("VAPID_PUBLIC_KEY")
+  vapid_private_key = System.get_env("VAPID_PRIVATE_KEY")
+
+  if vapid_public_key && vapid_private_key do
+    config :conezia, Conezia.Notifications.WebPush,
+      adapter: Conezia.Notifications.WebPush.HTTP,
+      vapid_public_key: vapid_public_key,
+      vapid_private_key: vapid_private_key,
+      vapid_subject: System.get_env("VAPID_SUBJECT") || "mailto:support@#{host}"
   end
 
   # Google OAuth configuration - REQUIRED for Google Sign-In
@@ -51,6 +51,19 @@ test.describe('Connections', () => {
       await typeFilter.selectOption('organization');
       await typeFilter.selectOption(''); // All types
     });
+
+    test('should switch between the list and the map', async ({ page }) => {
+      await page.goto('/connections');
+      await waitForLiveView(page);
+
+      await page.getByRole('button', { name: 'Map view' }).click();
+      await expect(page.locator('#entities-map.leaflet-container')).toBeVisible();
+      await expect(page.getByText('Connections show up here once they\'re linked to an event with a location.')).toBeVisible();
+
+      await page.getByRole('button', { name: 'List view' }).click();
+      await expect(page.locator('#entities-map')).toHaveCount(0);
+      await expect(page.getByRole('heading', { name: 'No connections found' })).toBeVisible();
+    });
   });
 
   test.describe('Create Connection', () => {
@@ -316,4 +329,63 @@ test.describe('Connections', () => {
       await expect(page.getByText('Diana Prince')).toBeVisible();
     });
   });
+
+  test.describe('Offline', () => {
+    test('should show viewed connections read-only when offline', async ({ page, context }) => {
+      await page.goto('/connections/new');
+      await waitForLiveView(page);
+
+      const connectionName = `Offline Test ${Date.now()}`;
+      await page.getByLabel('Name').fill(connectionName);
+      await page.getByLabel('Entity Type').selectOption('person');
+      await page.getByRole('button', { name: 'Save Connection' }).click();
+      await expect(page).toHaveURL('/connections', { timeout: 10000 });
+
+      // Opening the connection saves it on the device
+      await page.getByRole('link', { name: connectionName }).click();
+      await expect(page).toHaveURL(/\/connections\/[a-f0-9-]+/, { timeout: 5000 });
+      await waitForLiveView(page);
+
+      await context.setOffline(true);
+
+      const offlineView = page.locator('#offline-view');
+      await expect(offlineView).toBeVisible({ timeout: 10000 });
+      await expect(offlineView.getByText("You're offline")).toBeVisible();
+      await expect(offlineView.getByRole('heading', { name: connectionName })).toBeVisible();
+
+      await offlineView.getByPlaceholder('Search saved connections').fill('no such person');
+      await expect(offlineView.getByText('No saved connections match.')).toBeVisible();
+
+      await context.setOffline(false);
+      await expect(offlineView).not.toBeVisible({ timeout: 15000 });
+    });
+
+    test('should send interactions logged offline once reconnected', async ({ page, context }) => {
+      await page.goto('/connections/new');
+      await waitForLiveView(page);
+
+      const connectionName = `Outbox Test ${Date.now()}`;
+      await page.getByLabel('Name').fill(connectionName);
+      await page.getByLabel('Entity Type').selectOption('person');
+      await page.getByRole('button', { name: 'Save Connection' }).click();
+      await expect(page).toHaveURL('/connections', { timeout: 10000 });
+
+      await page.getByRole('link', { name: connectionName }).click();
+      await expect(page).toHaveURL(/\/connections\/[a-f0-9-]+/, { timeout: 5000 });
+      await waitForLiveView(page);
+
+      await context.setOffline(true);
+
+      const offlineView = page.locator('#offline-view');
+      await expect(offlineView).toBeVisible({ timeout: 10000 });
+
+      await offlineView.getByLabel('Notes').fill('Met for coffee while offline');
+      await offlineView.getByRole('button', { name: 'Save for later' }).click();
+      await expect(offlineView.getByText('1 change waiting to sync')).toBeVisible();
+
+      await context.setOffline(false);
+      await expect(offlineView).not.toBeVisible({ timeout: 15000 });
+      await expect(page.getByText('Met for coffee while offline')).toBeVisible({ timeout: 10000 });
+    });
+  });
 });
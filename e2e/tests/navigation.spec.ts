@@ -220,4 +220,102 @@ test.describe('Navigation', () => {
       await expect(page).toHaveURL('/connections');
     });
   });
+
+  test.describe('Command Palette', () => {
+    test('should open with Ctrl+K and close with Escape', async ({ page }) => {
+      await page.goto('/');
+      await waitForLiveView(page);
+
+      const palette = page.getByRole('dialog', { name: 'Command palette' });
+      await expect(palette).toBeHidden();
+
+      await page.keyboard.press('Control+k');
+      await expect(palette).toBeVisible();
+      await expect(page.getByPlaceholder('Search connections or type a command...')).toBeFocused();
+
+      await page.keyboard.press('Escape');
+      await expect(palette).toBeHidden();
+    });
+
+    test('should navigate to an action selected with the keyboard', async ({ page }) => {
+      await page.goto('/');
+      await waitForLiveView(page);
+
+      await page.getByRole('button', { name: /Search or jump to/i }).click();
+      await page.keyboard.type('integrations');
+      await expect(page.getByRole('option', { name: /Settings › Integrations/ })).toBeVisible();
+
+      await page.keyboard.press('Enter');
+      await expect(page).toHaveURL('/settings/integrations');
+    });
+
+    test('should find connections by name', async ({ page }) => {
+      await page.goto('/connections/new');
+      await waitForLiveView(page);
+
+      await page.getByLabel('Name').fill('Palette Person');
+      await page.getByRole('button', { name: 'Save Connection' }).click();
+      await expect(page).toHaveURL('/connections', { timeout: 10000 });
+      await expect(page.getByText('Palette Person')).toBeVisible({ timeout: 5000 });
+
+      await page.keyboard.press('Control+k');
+      await page.keyboard.type('palette per');
+
+      const option = page.getByRole('option', { name: /Palette Person/ });
+      await expect(option).toBeVisible();
+      await option.click();
+
+      await expect(page).toHaveURL(/\/connections\/[0-9a-f-]+$/);
+    });
+  });
+
+  test.describe('Keyboard Shortcuts', () => {
+    test('should show the shortcuts overlay with ?', async ({ page }) => {
+      await page.goto('/');
+      await waitForLiveView(page);
+
+      await page.keyboard.press('Shift+?');
+      const help = page.getByRole('dialog', { name: 'Keyboard shortcuts' });
+      await expect(help).toBeVisible();
+      await expect(help.getByText('Go to connections')).toBeVisible();
+
+      await page.keyboard.press('Escape');
+      await expect(help).toBeHidden();
+    });
+
+    test('should navigate with g-prefixed sequences', async ({ page }) => {
+      await page.goto('/');
+      await waitForLiveView(page);
+
+      await page.keyboard.press('g');
+      await page.keyboard.press('c');
+      await expect(page).toHaveURL('/connections');
+
+      await waitForLiveView(page);
+      await page.keyboard.press('g');
+      await page.keyboard.press('e');
+      await expect(page).toHaveURL('/events');
+    });
+
+    test('should open the new item form with n', async ({ page }) => {
+      await page.goto('/connections');
+      await waitForLiveView(page);
+
+      await page.keyboard.press('n');
+      await expect(page).toHaveURL('/connections/new');
+      await expect(page.getByRole('heading', { name: 'New Connection' })).toBeVisible();
+    });
+
+    test('should ignore shortcuts while typing in an input', async ({ page }) => {
+      await page.goto('/connections');
+      await waitForLiveView(page);
+
+      const search = page.getByPlaceholder('Search connections...');
+      await search.click();
+      await page.keyboard.type('gen');
+
+      await expect(page).toHaveURL('/connections');
+      await expect(search).toHaveValue('gen');
+    });
+  });
 });
@@ -245,6 +245,30 @@ test.describe('Reminders', () => {
       // Should show success flash message
       await expect(page.getByText(/Reminder snoozed/i)).toBeVisible({ timeout: 5000 });
     });
+
+    test('should update other open tabs', async ({ page, context }) => {
+      const reminderTitle = `Sync Test ${Date.now()}`;
+      await createReminder(page, reminderTitle);
+
+      // A second tab of the same browser, already showing the reminder
+      const otherTab = await context.newPage();
+      await otherTab.goto('/reminders');
+      await waitForLiveView(otherTab);
+      await expect(otherTab.getByText(reminderTitle)).toBeVisible();
+
+      // Complete it in the first tab
+      const reminderRow = page.locator('li', { hasText: reminderTitle });
+      await reminderRow.locator('button[title="Mark as complete"]').click();
+      await expect(page.getByText(/Reminder completed/i)).toBeVisible({ timeout: 5000 });
+
+      // The other tab shows it completed without a reload
+      await expect(otherTab.locator('.line-through', { hasText: reminderTitle })).toBeVisible({ timeout: 5000 });
+
+      // Deleting it removes it there too
+      page.on('dialog', dialog => dialog.accept());
+      await reminderRow.locator('.hero-trash').click();
+      await expect(otherTab.getByText(reminderTitle)).not.toBeVisible({ timeout: 5000 });
+    });
   });
 
   test.describe('Edit Reminder', () => {
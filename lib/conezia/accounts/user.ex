@@ -56,7 +56,8 @@ defmodule Conezia.Accounts.User do
 
   def preferences_changeset(user, attrs) do
     user
-    |> cast(attrs, [:settings, :notification_preferences])
+    |> cast(attrs, [:timezone, :settings, :notification_preferences])
+    |> validate_timezone()
     |> validate_notification_preferences()
   end
 
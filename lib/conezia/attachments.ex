@@ -4,9 +4,14 @@ defmodule Conezia.Attachments do
   """
   import Ecto.Query
   alias Conezia.Repo
-  alias Conezia.Attachments.Attachment
+  alias Conezia.Attachments.{Attachment, Upload}
+  alias Conezia.Entities
+  alias Conezia.Entities.Entity
   alias Conezia.Storage
 
+  # Unfinished uploads left alone this long are removed by the cleanup job
+  @abandoned_upload_seconds 24 * 60 * 60
+
   def get_attachment(id), do: Repo.get(Attachment, id)
 
   def get_attachment!(id), do: Repo.get!(Attachment, id)
@@ -126,4 +131,206 @@ defmodule Conezia.Attachments do
   """
   def file_exists?(%Attachment{storage_key: nil}), do: false
   def file_exists?(%Attachment{storage_key: key}), do: Storage.exists?(key)
+
+  # Connection photos
+
+  @doc """
+  Stores a photo for a connection as one of its attachments and points the
+  connection's `avatar_url` at it. The photo it replaces, if that was an
+  attachment too, is deleted.
+  """
+  def put_entity_avatar(%Entity{} = entity, %Plug.Upload{} = upload) do
+    attrs = %{"user_id" => entity.owner_id, "entity_id" => entity.id}
+
+    with {:ok, attachment} <- create_attachment(attrs, upload),
+         {:ok, updated} <- Entities.update_entity(entity, %{avatar_url: attachment_path(attachment)}) do
+      delete_avatar_attachment(entity)
+      {:ok, updated}
+    end
+  end
+
+  @doc """
+  Deletes the attachment a connection's `avatar_url` points at, if it
+  points at one. Call it with the connection as it was before its photo
+  was replaced or removed.
+  """
+  def delete_avatar_attachment(%Entity{avatar_url: "/attachments/" <> id, owner_id: owner_id}) do
+    with {:ok, id} <- Ecto.UUID.cast(id),
+         %Attachment{} = attachment <- get_attachment_for_user(id, owner_id),
+         {:ok, _attachment} <- soft_delete_attachment(attachment) do
+      :ok
+    else
+      _ -> :ok
+    end
+  end
+
+  def delete_avatar_attachment(%Entity{}), do: :ok
+
+  @doc """
+  The path the browser loads an attachment from.
+  """
+  def attachment_path(%Attachment{id: id}), do: "/attachments/#{id}"
+
+  # Resumable uploads
+
+  @doc """
+  Starts a resumable upload of a file for one of the user's connections.
+
+  `attrs` describes the file ("entity_id", "filename", "mime_type",
+  "size_bytes") and is checked against `AttachmentValidator` before any
+  bytes arrive. Send the bytes in order with `append_upload/3`.
+  """
+  def start_upload(user_id, attrs) do
+    changeset = Upload.changeset(%Upload{id: Ecto.UUID.generate(), user_id: user_id}, attrs)
+
+    with {:ok, upload} <- Ecto.Changeset.apply_action(changeset, :insert),
+         {:ok, _entity} <- fetch_entity(upload.entity_id, user_id),
+         :ok <- File.mkdir_p(upload_dir()),
+         :ok <- File.write(upload_path(upload.id, ".json"), Jason.encode!(Upload.to_map(upload))),
+         :ok <- File.touch(upload_path(upload.id, ".part")) do
+      {:ok, upload}
+    end
+  end
+
+  @doc """
+  Gets one of the user's unfinished uploads, with the offset it got to.
+  """
+  def get_upload(id, user_id) do
+    with {:ok, id} <- Ecto.UUID.cast(id),
+         {:ok, json} <- File.read(upload_path(id, ".json")),
+         {:ok, %{"user_id" => ^user_id} = map} <- Jason.decode(json),
+         {:ok, %{size: offset}} <- File.stat(upload_path(id, ".part")) do
+      {:ok, Upload.from_map(map, offset)}
+    else
+      _ -> {:error, :not_found}
+    end
+  end
+
+  @doc """
+  Appends a chunk of the file at `offset`.
+
+  The offset has to be where the upload got to, so a chunk sent twice
+  after a dropped connection isn't written twice:
+  `{:error, {:offset_mismatch, offset}}` says where to carry on from.
+  Chunks for the same upload are appended one at a time, and the offset is
+  checked against the file itself, so two requests sending the same chunk
+  at once can't both write it.
+  """
+  def append_upload(%Upload{} = upload, offset, data) do
+    :global.trans({{__MODULE__, upload.id}, self()}, fn ->
+      append_chunk(upload, offset, data)
+    end)
+  end
+
+  defp append_chunk(upload, offset, data) do
+    path = upload_path(upload.id, ".part")
+
+    case File.stat(path) do
+      {:ok, %{size: ^offset}} ->
+        new_offset = offset + byte_size(data)
+
+        if new_offset > upload.size_bytes do
+          {:error, :too_large}
+        else
+          case File.write(path, data, [:append, :binary]) do
+            :ok -> {:ok, %{upload | offset: new_offset}}
+            {:error, reason} -> {:error, reason}
+          end
+        end
+
+      {:ok, %{size: current}} ->
+        {:error, {:offset_mismatch, current}}
+
+      {:error, _reason} ->
+        {:error, :not_found}
+    end
+  end
+
+  @doc """
+  Turns a fully received upload into an attachment.
+
+  The upload's files are removed either way; a file that didn't make it
+  into storage has to be sent again.
+  """
+  def complete_upload(%Upload{} = upload) do
+    if Upload.complete?(upload) do
+      file = %Plug.Upload{
+        path: upload_path(upload.id, ".part"),
+        filename: upload.filename,
+        content_type: upload.mime_type
+      }
+
+      result =
+        create_attachment(
+          %{"user_id" => upload.user_id, "entity_id" => upload.entity_id},
+          file
+        )
+
+      cancel_upload(upload)
+      result
+    else
+      {:error, :incomplete}
+    end
+  end
+
+  @doc """
+  Stops an upload and throws away what was received.
+  """
+  def cancel_upload(%Upload{id: id}) do
+    File.rm(upload_path(id, ".part"))
+    File.rm(upload_path(id, ".json"))
+    :ok
+  end
+
+  @doc """
+  Removes the uploads nobody has sent a chunk to for `max_age` seconds (a
+  day by default), the ones a closed tab or a lost connection left behind.
+  Returns how many were removed.
+  """
+  def clean_up_uploads(max_age \\ @abandoned_upload_seconds) do
+    cutoff = System.os_time(:second) - max_age
+
+    case File.ls(upload_dir()) do
+      {:ok, names} ->
+        abandoned =
+          names
+          |> Enum.filter(&(Path.extname(&1) in [".part", ".json"]))
+          |> Enum.group_by(&Path.rootname/1)
+          |> Enum.filter(fn {_id, files} -> last_modified(files) < cutoff end)
+
+        Enum.each(abandoned, fn {id, _files} -> cancel_upload(%Upload{id: id}) end)
+        length(abandoned)
+
+      {:error, _reason} ->
+        0
+    end
+  end
+
+  # An upload's .json is written once; its .part each time a chunk arrives
+  defp last_modified(files) do
+    files
+    |> Enum.map(fn file ->
+      case File.stat(Path.join(upload_dir(), file), time: :posix) do
+        {:ok, %{mtime: mtime}} -> mtime
+        {:error, _reason} -> 0
+      end
+    end)
+    |> Enum.max()
+  end
+
+  defp fetch_entity(entity_id, user_id) do
+    case Entities.get_entity_for_user(entity_id, user_id) do
+      nil -> {:error, :not_found}
+      entity -> {:ok, entity}
+    end
+  end
+
+  # Unfinished uploads live outside storage, so a storage adapter only ever
+  # sees whole files
+  defp upload_dir do
+    Application.get_env(:conezia, __MODULE__, [])[:upload_dir] ||
+      Path.join(System.tmp_dir!(), "conezia_uploads")
+  end
+
+  defp upload_path(id, extension), do: Path.join(upload_dir(), id <> extension)
 end
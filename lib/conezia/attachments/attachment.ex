@@ -15,6 +15,7 @@ defmodule Conezia.Attachments.Attachment do
     text/plain text/csv
     application/msword application/vnd.openxmlformats-officedocument.wordprocessingml.document
     application/vnd.ms-excel application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+    application/zip
   )
 
   schema "attachments" do
@@ -0,0 +1,59 @@
+defmodule Conezia.Attachments.Upload do
+  @moduledoc """
+  A file on its way to becoming an attachment, sent in chunks so an
+  interrupted upload can pick up where it stopped.
+
+  Uploads aren't stored in the database: `Conezia.Attachments` keeps the
+  bytes received so far in a part file and these fields in a JSON file next
+  to it. `offset` is the size of the part file.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Conezia.Validators.AttachmentValidator
+
+  @primary_key {:id, :binary_id, autogenerate: false}
+
+  embedded_schema do
+    field :user_id, :binary_id
+    field :entity_id, :binary_id
+    field :filename, :string
+    field :mime_type, :string
+    field :size_bytes, :integer
+    field :offset, :integer, default: 0, virtual: true
+  end
+
+  @fields [:user_id, :entity_id, :filename, :mime_type, :size_bytes]
+
+  @doc """
+  Validates a new upload with the same rules `AttachmentValidator` applies
+  to attachments, before any bytes are sent.
+  """
+  def changeset(upload, attrs) do
+    upload
+    |> cast(attrs, [:entity_id, :filename, :mime_type, :size_bytes])
+    |> validate_required([:entity_id])
+    |> AttachmentValidator.validate_filename()
+    |> AttachmentValidator.validate_mime_type()
+    |> AttachmentValidator.validate_size()
+  end
+
+  @doc """
+  The fields saved next to the part file.
+  """
+  def to_map(%__MODULE__{} = upload) do
+    upload
+    |> Map.take([:id | @fields])
+    |> Map.new(fn {key, value} -> {Atom.to_string(key), value} end)
+  end
+
+  @doc """
+  Rebuilds an upload from `to_map/1`'s fields and its part file's size.
+  """
+  def from_map(map, offset) do
+    fields = Map.new([:id | @fields], &{&1, map[Atom.to_string(&1)]})
+    struct!(__MODULE__, Map.put(fields, :offset, offset))
+  end
+
+  def complete?(%__MODULE__{offset: offset, size_bytes: size_bytes}), do: offset == size_bytes
+end
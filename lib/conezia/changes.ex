@@ -0,0 +1,51 @@
+defmodule Conezia.Changes do
+  @moduledoc """
+  Announces writes to a user's connections, reminders, gifts and events so
+  their other tabs and devices can bring what they're showing up to date.
+
+  Contexts pipe the result of a write through `broadcast/3`. Subscribers of
+  `topic/1` receive `{:change, %{resource: "reminder", action: "updated", id: id}}`.
+  Only the id is sent; receivers reload the record through the usual
+  user-scoped queries. `ConeziaWeb.ChangesChannel` forwards these messages
+  to the browser.
+  """
+  alias Conezia.Repo
+
+  @pubsub Conezia.PubSub
+  @topic_prefix "changes:"
+
+  @resources [:entity, :reminder, :gift, :event]
+  @actions [:created, :updated, :deleted]
+
+  @doc """
+  Returns the PubSub topic for changes to a user's records.
+  """
+  def topic(user_id), do: "#{@topic_prefix}#{user_id}"
+
+  def resources, do: Enum.map(@resources, &Atom.to_string/1)
+  def actions, do: Enum.map(@actions, &Atom.to_string/1)
+
+  @doc """
+  Broadcasts a change when `result` is `{:ok, record}` and returns `result`
+  unchanged, so it can end a write pipeline.
+
+  Writes made inside a transaction aren't announced: a receiver could
+  reload the record before it commits. Callers broadcast once the
+  transaction succeeds instead.
+  """
+  def broadcast({:ok, record} = result, resource, action)
+      when resource in @resources and action in @actions do
+    unless Repo.in_transaction?() do
+      change = %{resource: Atom.to_string(resource), action: Atom.to_string(action), id: record.id}
+      Phoenix.PubSub.broadcast(@pubsub, topic(owner_id(record)), {:change, change})
+    end
+
+    result
+  end
+
+  def broadcast(result, _resource, _action), do: result
+
+  # Entities belong to their owner, everything else to a user
+  defp owner_id(%{owner_id: owner_id}), do: owner_id
+  defp owner_id(%{user_id: user_id}), do: user_id
+end
@@ -4,6 +4,7 @@ defmodule Conezia.Entities do
   """
   import Ecto.Query
   alias Conezia.Repo
+  alias Conezia.Changes
   alias Conezia.Entities.{Entity, Relationship, EntityRelationship, Identifier, Tag, Group, CustomField}
 
   # Entity functions
@@ -51,6 +52,7 @@ defmodule Conezia.Entities do
       offset: ^offset
 
     entities = query
+    |> filter_by_ids(Keyword.get(opts, :ids))
     |> filter_by_type(type)
     |> filter_by_status(status)
     |> filter_by_search(search)
@@ -118,34 +120,74 @@ defmodule Conezia.Entities do
     |> Repo.aggregate(:count)
   end
 
+  # vCard export
+
+  @max_export_entities 5000
+
+  @doc """
+  Lists connections to write to a .vcf file, with their active identifiers
+  (decrypted, primary first), tags and custom fields preloaded.
+
+  ## Options
+    * `:ids` - Only these connections
+    * `:type`, `:status`, `:search`, `:sort` - Filter and order like `list_entities/2`
+  """
+  def list_entities_for_export(user_id, opts \\ []) do
+    identifiers =
+      from(i in Identifier, where: is_nil(i.archived_at), order_by: [desc: i.is_primary, asc: i.inserted_at])
+
+    from(e in Entity,
+      where: e.owner_id == ^user_id,
+      limit: @max_export_entities,
+      preload: [:tags, :custom_fields, identifiers: ^identifiers]
+    )
+    |> filter_by_ids(Keyword.get(opts, :ids))
+    |> filter_by_type(Keyword.get(opts, :type))
+    |> filter_by_status(Keyword.get(opts, :status, "active"))
+    |> filter_by_search(Keyword.get(opts, :search))
+    |> apply_sort(Keyword.get(opts, :sort, "name"))
+    |> Repo.all()
+    |> Enum.map(&decrypt_preloaded_identifiers/1)
+  end
+
+  defp filter_by_ids(query, nil), do: query
+  defp filter_by_ids(query, ids), do: where(query, [e], e.id in ^ids)
+
   def create_entity(attrs) do
     %Entity{}
     |> Entity.changeset(attrs)
     |> Repo.insert()
+    |> Changes.broadcast(:entity, :created)
   end
 
   def update_entity(%Entity{} = entity, attrs) do
     entity
     |> Entity.changeset(attrs)
     |> Repo.update()
+    |> Changes.broadcast(:entity, :updated)
   end
 
   def archive_entity(%Entity{} = entity) do
     entity
     |> Entity.archive_changeset()
     |> Repo.update()
+    |> Changes.broadcast(:entity, :updated)
   end
 
   def unarchive_entity(%Entity{} = entity) do
     entity
     |> Entity.unarchive_changeset()
     |> Repo.update()
+    |> Changes.broadcast(:entity, :updated)
   end
 
   def delete_entity(%Entity{} = entity) do
     # Record external IDs before deletion so syncs won't re-import this entity
     record_deleted_external_ids(entity)
-    Repo.delete(entity)
+
+    entity
+    |> Repo.delete()
+    |> Changes.broadcast(:entity, :deleted)
   end
 
   defp record_deleted_external_ids(entity) do
@@ -733,7 +775,10 @@ defmodule Conezia.Entities do
     end)
 
     case result do
-      {:ok, {entity, duplicates}} -> {:ok, entity, duplicates}
+      {:ok, {entity, duplicates}} ->
+        Changes.broadcast({:ok, entity}, :entity, :created)
+        {:ok, entity, duplicates}
+
       {:error, changeset} -> {:error, changeset}
     end
   end
@@ -1385,6 +1430,19 @@ defmodule Conezia.Entities do
     |> Repo.all()
   end
 
+  @doc """
+  Lists the connection-to-connection relationships any of `entity_ids` is
+  part of, with both entities preloaded.
+  """
+  def list_entity_relationships_for_entities(entity_ids, user_id) do
+    from(er in EntityRelationship,
+      where: er.user_id == ^user_id and (er.source_entity_id in ^entity_ids or er.target_entity_id in ^entity_ids),
+      preload: [:source_entity, :target_entity],
+      order_by: [asc: er.inserted_at]
+    )
+    |> Repo.all()
+  end
+
   @doc """
   Get a specific entity relationship between two entities.
   Checks both directions since A->B and B->A represent the same relationship.
@@ -98,6 +98,10 @@ defmodule Conezia.Entities.Entity do
       case value do
         nil -> []
         "" -> []
+        # A photo uploaded from the connection form, served to its owner
+        # by ConeziaWeb.AttachmentFileController
+        "/attachments/" <> id ->
+          if match?({:ok, _}, Ecto.UUID.cast(id)), do: [], else: [{field, "must be a valid URL"}]
         url ->
           case URI.parse(url) do
             %URI{scheme: scheme, host: host} when scheme in ["http", "https"] and not is_nil(host) ->
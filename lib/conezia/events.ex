@@ -4,6 +4,8 @@ defmodule Conezia.Events do
   """
   import Ecto.Query
   alias Conezia.Repo
+  alias Conezia.Changes
+  alias Conezia.Entities.Entity
   alias Conezia.Events.{Event, EventEntity}
   alias Conezia.Reminders
 
@@ -37,6 +39,7 @@ defmodule Conezia.Events do
 
     events =
       query
+      |> filter_by_ids(Keyword.get(opts, :ids))
       |> filter_by_type(type)
       |> filter_by_search(search)
       |> filter_by_entity(entity_id)
@@ -123,12 +126,32 @@ defmodule Conezia.Events do
     end)
   end
 
+  @doc """
+  Lists events that overlap the period from `from` up to `to` (for the
+  calendar). An event without an end overlaps when it starts in the period.
+
+  ## Options
+    * `:type` - Filter by event type
+    * `:entity_id` - Filter by linked entity
+  """
+  def list_events_between(user_id, %DateTime{} = from, %DateTime{} = to, opts \\ []) do
+    from(e in Event,
+      where: e.user_id == ^user_id,
+      where: e.starts_at < ^to and coalesce(e.ends_at, e.starts_at) >= ^from,
+      order_by: [asc: e.starts_at]
+    )
+    |> filter_by_type(Keyword.get(opts, :type))
+    |> filter_by_entity(Keyword.get(opts, :entity_id))
+    |> Repo.all()
+  end
+
   def create_event(attrs) do
     %Event{}
     |> Event.changeset(attrs)
     |> Repo.insert()
     |> maybe_create_reminder()
     |> maybe_link_entities(attrs)
+    |> Changes.broadcast(:event, :created)
   end
 
   def update_event(%Event{} = event, attrs) do
@@ -137,6 +160,7 @@ defmodule Conezia.Events do
     |> maybe_mark_pending_push(event)
     |> Repo.update()
     |> maybe_link_entities(attrs)
+    |> Changes.broadcast(:event, :updated)
   end
 
   defp maybe_mark_pending_push(changeset, %Event{external_id: nil}), do: changeset
@@ -159,7 +183,9 @@ defmodule Conezia.Events do
       end
     end
 
-    Repo.delete(event)
+    event
+    |> Repo.delete()
+    |> Changes.broadcast(:event, :deleted)
   end
 
   def change_event(%Event{} = event, attrs \\ %{}) do
@@ -194,6 +220,190 @@ defmodule Conezia.Events do
     |> Repo.all()
   end
 
+  # Saved places
+
+  # About a kilometre, in degrees
+  @nearby_place_degrees 0.01
+
+  @doc """
+  Searches the locations saved on a user's events, one result per location.
+  Returns maps with `:address`, `:place_id`, `:latitude` and `:longitude`.
+  """
+  def search_places(user_id, query, limit \\ 5) do
+    search_term = like_pattern(query)
+
+    from(e in Event,
+      where: e.user_id == ^user_id and not is_nil(e.latitude) and not is_nil(e.longitude),
+      where: ilike(e.location, ^search_term),
+      distinct: e.location,
+      order_by: [desc: e.updated_at],
+      limit: ^limit,
+      select: %{address: e.location, place_id: e.place_id, latitude: e.latitude, longitude: e.longitude}
+    )
+    |> Repo.all()
+  end
+
+  @doc """
+  Returns the saved location closest to a point, if one is nearby, in the
+  same shape as `search_places/3`.
+  """
+  def nearest_place(user_id, latitude, longitude) do
+    from(e in Event,
+      where: e.user_id == ^user_id and not is_nil(e.location),
+      where: fragment("abs(? - ?) <= ?", e.latitude, ^latitude, ^@nearby_place_degrees),
+      where: fragment("abs(? - ?) <= ?", e.longitude, ^longitude, ^@nearby_place_degrees),
+      order_by: fragment("(? - ?) ^ 2 + (? - ?) ^ 2", e.latitude, ^latitude, e.longitude, ^longitude),
+      limit: 1,
+      select: %{address: e.location, place_id: e.place_id, latitude: e.latitude, longitude: e.longitude}
+    )
+    |> Repo.one()
+  end
+
+  # Map markers
+
+  @max_map_markers 1000
+
+  @doc """
+  Lists the user's events that have coordinates, for the events map.
+  Takes the `:type`, `:entity_id` and `:time_filter` filters of
+  `list_events/2` and returns at most #{@max_map_markers} maps with `:id`,
+  `:title`, `:location`, `:starts_at`, `:latitude` and `:longitude`, soonest
+  first.
+  """
+  def list_event_locations(user_id, opts \\ []) do
+    from(e in Event,
+      where: e.user_id == ^user_id and not is_nil(e.latitude) and not is_nil(e.longitude),
+      order_by: [asc: e.starts_at],
+      limit: ^@max_map_markers,
+      select: %{
+        id: e.id,
+        title: e.title,
+        location: e.location,
+        starts_at: e.starts_at,
+        latitude: e.latitude,
+        longitude: e.longitude
+      }
+    )
+    |> filter_by_type(Keyword.get(opts, :type))
+    |> filter_by_entity(Keyword.get(opts, :entity_id))
+    |> filter_by_time(Keyword.get(opts, :time_filter, "upcoming"))
+    |> Repo.all()
+  end
+
+  @doc """
+  Places the user's connections on the connections map: each active
+  connection is shown where its most recent event with coordinates took
+  place. Takes `:type` and `:search` (on the name) and returns at most
+  #{@max_map_markers} maps with `:id`, `:name`, `:type`, `:location`,
+  `:latitude` and `:longitude`.
+  """
+  def list_entity_locations(user_id, opts \\ []) do
+    query =
+      from(en in Entity,
+        join: ee in EventEntity, on: ee.entity_id == en.id,
+        join: e in Event, on: e.id == ee.event_id,
+        where: en.owner_id == ^user_id and is_nil(en.archived_at) and not en.is_self,
+        where: e.user_id == ^user_id and not is_nil(e.latitude) and not is_nil(e.longitude),
+        distinct: en.id,
+        order_by: [desc: e.starts_at],
+        limit: ^@max_map_markers,
+        select: %{
+          id: en.id,
+          name: en.name,
+          type: en.type,
+          location: e.location,
+          latitude: e.latitude,
+          longitude: e.longitude
+        }
+      )
+
+    query =
+      case Keyword.get(opts, :type) do
+        nil -> query
+        type -> where(query, [en], en.type == ^type)
+      end
+
+    query =
+      case Keyword.get(opts, :search) do
+        search when search in [nil, ""] -> query
+        search -> where(query, [en], ilike(en.name, ^like_pattern(search)))
+      end
+
+    Repo.all(query)
+  end
+
+  # ICS export and import
+
+  @max_export_events 5000
+
+  @doc """
+  Lists events to write to an .ics file, with their entities and the
+  entities' identifiers preloaded for attendees.
+
+  ## Options
+    * `:ids` - Only these events
+    * `:type`, `:search`, `:entity_id` - Filter like `list_events/2`
+    * `:time_filter` - "upcoming" or "all" (default)
+  """
+  def list_events_for_export(user_id, opts \\ []) do
+    from(e in Event,
+      where: e.user_id == ^user_id,
+      order_by: [asc: e.starts_at],
+      limit: @max_export_events,
+      preload: [entities: :identifiers]
+    )
+    |> filter_by_ids(Keyword.get(opts, :ids))
+    |> filter_by_type(Keyword.get(opts, :type))
+    |> filter_by_search(Keyword.get(opts, :search))
+    |> filter_by_entity(Keyword.get(opts, :entity_id))
+    |> filter_by_time(Keyword.get(opts, :time_filter, "all"))
+    |> Repo.all()
+  end
+
+  @doc """
+  The UID an event is exported with: the one it was imported with, if any,
+  otherwise one made from its id.
+  """
+  def ics_uid(%Event{} = event) do
+    get_in(event.sync_metadata || %{}, ["ics_uid"]) || "#{event.id}@conezia"
+  end
+
+  @doc """
+  Returns which of `uids` already belong to the user's events, whether
+  imported with that UID, exported from Conezia or synced from a calendar.
+  """
+  def existing_ics_uids(_user_id, []), do: []
+
+  def existing_ics_uids(user_id, uids) when is_list(uids) do
+    uids = Enum.filter(uids, &is_binary/1)
+
+    ids =
+      Enum.flat_map(uids, fn uid ->
+        with [id] <- Regex.run(~r/^(.+)@conezia$/, uid, capture: :all_but_first),
+             {:ok, id} <- Ecto.UUID.cast(id) do
+          [id]
+        else
+          _ -> []
+        end
+      end)
+
+    found =
+      from(e in Event,
+        where: e.user_id == ^user_id,
+        where:
+          e.id in ^ids or e.external_id in ^uids or
+            fragment("?->>'ics_uid'", e.sync_metadata) in ^uids,
+        select: {e.id, e.external_id, e.sync_metadata}
+      )
+      |> Repo.all()
+      |> Enum.flat_map(fn {id, external_id, metadata} ->
+        ["#{id}@conezia", external_id, get_in(metadata || %{}, ["ics_uid"])]
+      end)
+      |> MapSet.new()
+
+    Enum.filter(uids, &MapSet.member?(found, &1))
+  end
+
   # Calendar sync functions
 
   @doc """
@@ -269,14 +479,22 @@ defmodule Conezia.Events do
   defp filter_by_type(query, nil), do: query
   defp filter_by_type(query, type), do: where(query, [e], e.type == ^type)
 
+  defp filter_by_ids(query, nil), do: query
+  defp filter_by_ids(query, ids), do: where(query, [e], e.id in ^ids)
+
   defp filter_by_search(query, nil), do: query
   defp filter_by_search(query, ""), do: query
 
   defp filter_by_search(query, search) do
-    search_term = "%#{search}%"
+    search_term = like_pattern(search)
     where(query, [e], ilike(e.title, ^search_term))
   end
 
+  # Matches `term` anywhere, with its own `%` and `_` taken literally
+  defp like_pattern(term) do
+    "%" <> String.replace(term, ["\\", "%", "_"], &("\\" <> &1)) <> "%"
+  end
+
   defp apply_sort(query, "date_desc"), do: order_by(query, [e], desc: e.starts_at)
   defp apply_sort(query, "title"), do: order_by(query, [e], asc: e.title)
   defp apply_sort(query, "newest"), do: order_by(query, [e], desc: e.inserted_at)
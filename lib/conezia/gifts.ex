@@ -4,6 +4,7 @@ defmodule Conezia.Gifts do
   """
   import Ecto.Query
   alias Conezia.Repo
+  alias Conezia.Changes
   alias Conezia.Gifts.Gift
   alias Conezia.Reminders
 
@@ -33,6 +34,7 @@ defmodule Conezia.Gifts do
 
     gifts =
       query
+      |> filter_by_ids(Keyword.get(opts, :ids))
       |> filter_by_status(status)
       |> filter_by_entity_id(entity_id)
       |> filter_by_occasion(occasion)
@@ -70,18 +72,21 @@ defmodule Conezia.Gifts do
     |> Gift.changeset(attrs)
     |> Repo.insert()
     |> maybe_create_reminder()
+    |> Changes.broadcast(:gift, :created)
   end
 
   def update_gift(%Gift{} = gift, attrs) do
     gift
     |> Gift.changeset(attrs)
     |> Repo.update()
+    |> Changes.broadcast(:gift, :updated)
   end
 
   def update_gift_status(%Gift{} = gift, new_status) do
     gift
     |> Gift.status_changeset(new_status)
     |> Repo.update()
+    |> Changes.broadcast(:gift, :updated)
   end
 
   def delete_gift(%Gift{} = gift) do
@@ -93,7 +98,9 @@ defmodule Conezia.Gifts do
       end
     end
 
-    Repo.delete(gift)
+    gift
+    |> Repo.delete()
+    |> Changes.broadcast(:gift, :deleted)
   end
 
   def change_gift(%Gift{} = gift, attrs \\ %{}) do
@@ -186,4 +193,7 @@ defmodule Conezia.Gifts do
 
   defp filter_by_occasion(query, nil), do: query
   defp filter_by_occasion(query, occasion), do: where(query, [g], g.occasion == ^occasion)
+
+  defp filter_by_ids(query, nil), do: query
+  defp filter_by_ids(query, ids), do: where(query, [g], g.id in ^ids)
 end
@@ -4,6 +4,9 @@ defmodule Conezia.Imports do
   """
   import Ecto.Query
   alias Conezia.Repo
+  alias Conezia.Changes
+  alias Conezia.Entities
+  alias Conezia.Entities.{CustomField, Entity, Identifier}
   alias Conezia.Imports.ImportJob
   alias Conezia.Imports.DeletedImport
 
@@ -93,6 +96,219 @@ defmodule Conezia.Imports do
     {:ok, download_url, expires_at}
   end
 
+  # ============================================================================
+  # Contact rows - Connections sent by the browser import wizard
+  # ============================================================================
+
+  # A contact row is the map the import wizard builds from one vCard or CSV
+  # record:
+  #
+  #     %{"name" => "Ada Lovelace", "type" => "person", "description" => nil,
+  #       "identifiers" => [%{"type" => "email", "value" => "ada@example.com", "label" => "work"}],
+  #       "custom_fields" => [%{"name" => "Company", "value" => "Analytical Engines"}]}
+
+  @doc """
+  Checks a contact row without saving it.
+
+  Returns the problems as "field: message" strings, or an empty list when
+  the row would import.
+  """
+  def validate_contact_row(user_id, row) do
+    # The changesets need an entity to belong to; nothing is inserted
+    entity_id = Ecto.UUID.generate()
+
+    entity = Entity.changeset(%Entity{}, contact_entity_attrs(user_id, row, nil))
+
+    identifiers =
+      Enum.map(contact_identifier_attrs(row), fn attrs ->
+        Identifier.changeset(%Identifier{}, Map.put(attrs, "entity_id", entity_id))
+      end)
+
+    custom_fields =
+      Enum.map(contact_custom_field_attrs(row), fn attrs ->
+        CustomField.changeset(%CustomField{}, Map.put(attrs, "entity_id", entity_id))
+      end)
+
+    Enum.flat_map([entity | identifiers ++ custom_fields], &contact_errors/1)
+  end
+
+  @doc """
+  Creates a connection with its identifiers and custom fields from a contact
+  row, all or nothing. The connection is tagged with the import source so
+  the list shows where it came from.
+
+  Returns `{:ok, entity}` or `{:error, messages}`.
+  """
+  def import_contact_row(user_id, row, source) do
+    result =
+      Repo.transaction(fn ->
+        entity = insert_or_rollback(Entity.changeset(%Entity{}, contact_entity_attrs(user_id, row, source)))
+        insert_contact_details(entity, row)
+        entity
+      end)
+
+    Changes.broadcast(result, :entity, :created)
+  end
+
+  @doc """
+  Adds the identifiers and custom fields of a contact row to an existing
+  connection, all or nothing.
+
+  Returns `{:ok, entity}` or `{:error, messages}`.
+  """
+  def add_contact_details(%Entity{} = entity, row) do
+    Repo.transaction(fn ->
+      insert_contact_details(entity, row)
+      entity
+    end)
+  end
+
+  @doc """
+  Splits a contact row's identifiers and custom fields into the ones that
+  would save, as a row with only those, and messages for the rest.
+  """
+  def valid_contact_details(row) do
+    # The changesets need an entity to belong to; nothing is inserted
+    entity_id = Ecto.UUID.generate()
+
+    {identifiers, identifier_errors} =
+      split_valid(contact_identifier_attrs(row), &Identifier.changeset(%Identifier{}, Map.put(&1, "entity_id", entity_id)))
+
+    {custom_fields, custom_field_errors} =
+      split_valid(contact_custom_field_attrs(row), &CustomField.changeset(%CustomField{}, Map.put(&1, "entity_id", entity_id)))
+
+    {%{"identifiers" => identifiers, "custom_fields" => custom_fields}, identifier_errors ++ custom_field_errors}
+  end
+
+  defp split_valid(attrs, to_changeset) do
+    Enum.reduce(attrs, {[], []}, fn attrs, {valid, errors} ->
+      case contact_errors(to_changeset.(attrs)) do
+        [] -> {valid ++ [attrs], errors}
+        messages -> {valid, errors ++ messages}
+      end
+    end)
+  end
+
+  defp insert_contact_details(entity, row) do
+    Enum.each(contact_identifier_attrs(row), fn attrs ->
+      insert_or_rollback(Identifier.changeset(%Identifier{}, Map.put(attrs, "entity_id", entity.id)))
+    end)
+
+    Enum.each(contact_custom_field_attrs(row), fn attrs ->
+      insert_or_rollback(CustomField.changeset(%CustomField{}, Map.put(attrs, "entity_id", entity.id)))
+    end)
+  end
+
+  @doc """
+  Whether the user already has a connection with one of the row's email
+  addresses or phone numbers.
+  """
+  def duplicate_contact?(user_id, row) do
+    row
+    |> contact_identifier_attrs()
+    |> Enum.filter(&(&1["type"] in ["email", "phone"]))
+    |> Enum.any?(fn %{"type" => type, "value" => value} ->
+      opts = if type == "email", do: [email: String.downcase(value)], else: [phone: value]
+      Entities.find_duplicates(user_id, opts) != []
+    end)
+  end
+
+  defp contact_entity_attrs(user_id, row, source) do
+    attrs = %{
+      "owner_id" => user_id,
+      "name" => contact_text(row["name"]),
+      "type" => contact_text(row["type"]) || "person",
+      "description" => contact_text(row["description"])
+    }
+
+    if source, do: Map.put(attrs, "metadata", %{"sources" => [source]}), else: attrs
+  end
+
+  # The first identifier of each type becomes the primary one
+  defp contact_identifier_attrs(row) do
+    (row["identifiers"] || [])
+    |> Enum.filter(&(is_map(&1) && contact_text(&1["value"])))
+    |> Enum.map(fn identifier ->
+      %{
+        "type" => identifier["type"],
+        "value" => contact_text(identifier["value"]),
+        "label" => contact_text(identifier["label"])
+      }
+    end)
+    |> Enum.uniq_by(&{&1["type"], String.downcase(&1["value"])})
+    |> Enum.map_reduce(MapSet.new(), fn attrs, seen ->
+      {Map.put(attrs, "is_primary", !MapSet.member?(seen, attrs["type"])), MapSet.put(seen, attrs["type"])}
+    end)
+    |> elem(0)
+  end
+
+  defp contact_custom_field_attrs(row) do
+    (row["custom_fields"] || [])
+    |> Enum.filter(&(is_map(&1) && contact_text(&1["name"]) && contact_text(&1["value"])))
+    |> Enum.map(fn field ->
+      name = contact_text(field["name"])
+
+      %{"name" => name, "field_type" => "text", "value" => contact_text(field["value"])}
+      |> Map.merge(custom_field_key(name))
+    end)
+    # Names that only differ in case or punctuation get the same key
+    |> Enum.uniq_by(& &1["key"])
+  end
+
+  # A name that matches a predefined field ("Company", "Job title") takes
+  # its key and category, so imported fields line up with the ones added in
+  # the app; any other name becomes a snake_case key.
+  defp custom_field_key(name) do
+    compact = compact_field_name(name)
+
+    case Enum.find(CustomField.predefined_fields(), &(compact in [compact_field_name(&1.name), compact_field_name(&1.key)])) do
+      nil -> %{"key" => name |> String.downcase() |> String.replace(~r/[^a-z0-9]+/, "_") |> String.trim("_")}
+      field -> %{"key" => field.key, "category" => field.category}
+    end
+  end
+
+  defp compact_field_name(name), do: name |> String.downcase() |> String.replace(~r/[^a-z0-9]+/, "")
+
+  defp contact_text(value) when is_binary(value) do
+    case String.trim(value) do
+      "" -> nil
+      text -> text
+    end
+  end
+
+  defp contact_text(_value), do: nil
+
+  defp insert_or_rollback(changeset) do
+    case Repo.insert(changeset) do
+      {:ok, record} -> record
+      {:error, changeset} -> Repo.rollback(contact_errors(changeset))
+    end
+  end
+
+  # Identifier and custom field errors are named after what they hold
+  # ("email: must be a valid email address"), not the :value column
+  defp contact_errors(%Ecto.Changeset{valid?: true}), do: []
+
+  defp contact_errors(%Ecto.Changeset{data: data} = changeset) do
+    prefix =
+      case data do
+        %Identifier{} -> Ecto.Changeset.get_field(changeset, :type)
+        %CustomField{} -> Ecto.Changeset.get_field(changeset, :name)
+        _ -> nil
+      end
+
+    changeset
+    |> Ecto.Changeset.traverse_errors(fn {msg, opts} ->
+      Regex.replace(~r"%{(\w+)}", msg, fn _, key ->
+        opts |> Keyword.get(String.to_existing_atom(key), key) |> to_string()
+      end)
+    end)
+    |> Enum.flat_map(fn {field, messages} ->
+      label = if prefix && field == :value, do: prefix, else: to_string(field)
+      Enum.map(messages, &"#{label}: #{&1}")
+    end)
+  end
+
   # ============================================================================
   # Deleted Imports - Track deleted entities to prevent re-import
   # ============================================================================
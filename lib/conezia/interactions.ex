@@ -4,7 +4,8 @@ defmodule Conezia.Interactions do
   """
   import Ecto.Query
   alias Conezia.Repo
-  alias Conezia.Interactions.{Interaction, ActivityLog}
+  alias Conezia.Entities.Entity
+  alias Conezia.Interactions.{Interaction, ActivityLog, Mention}
 
   # Interaction functions
 
@@ -22,6 +23,7 @@ defmodule Conezia.Interactions do
     limit = Keyword.get(opts, :limit, 50)
     offset = Keyword.get(opts, :offset, 0)
     entity_id = Keyword.get(opts, :entity_id)
+    include_mentions = Keyword.get(opts, :include_mentions, false)
     type = Keyword.get(opts, :type)
     since = Keyword.get(opts, :since)
     until_date = Keyword.get(opts, :until)
@@ -34,15 +36,21 @@ defmodule Conezia.Interactions do
       preload: [:entity]
 
     query
-    |> filter_by_entity_id(entity_id)
+    |> filter_by_entity_id(entity_id, include_mentions)
     |> filter_by_type(type)
     |> filter_by_since(since)
     |> filter_by_until(until_date)
     |> Repo.all()
   end
 
-  defp filter_by_entity_id(query, nil), do: query
-  defp filter_by_entity_id(query, entity_id), do: where(query, [i], i.entity_id == ^entity_id)
+  defp filter_by_entity_id(query, nil, _include_mentions), do: query
+  defp filter_by_entity_id(query, entity_id, false), do: where(query, [i], i.entity_id == ^entity_id)
+
+  # Interactions with the connection, and others whose notes mention it
+  defp filter_by_entity_id(query, entity_id, true) do
+    mentioning = from(m in Mention, where: m.entity_id == ^entity_id, select: m.interaction_id)
+    where(query, [i], i.entity_id == ^entity_id or i.id in subquery(mentioning))
+  end
 
   defp filter_by_type(query, nil), do: query
   defp filter_by_type(query, type), do: where(query, [i], i.type == ^type)
@@ -69,6 +77,8 @@ defmodule Conezia.Interactions do
 
       case Repo.insert(changeset) do
         {:ok, interaction} ->
+          link_mentions(interaction)
+
           # Touch entity interaction timestamp
           if interaction.entity_id do
             Conezia.Entities.touch_entity_interaction(
@@ -85,9 +95,47 @@ defmodule Conezia.Interactions do
   end
 
   def update_interaction(%Interaction{} = interaction, attrs) do
-    interaction
-    |> Interaction.changeset(attrs)
-    |> Repo.update()
+    Repo.transaction(fn ->
+      case interaction |> Interaction.changeset(attrs) |> Repo.update() do
+        {:ok, interaction} ->
+          link_mentions(interaction)
+          interaction
+
+        {:error, changeset} ->
+          Repo.rollback(changeset)
+      end
+    end)
+  end
+
+  # Links the interaction to the user's connections its notes mention,
+  # other than the one it's with
+  defp link_mentions(%Interaction{} = interaction) do
+    ids = Interaction.mentioned_entity_ids(interaction.content)
+
+    from(m in Mention, where: m.interaction_id == ^interaction.id)
+    |> Repo.delete_all()
+
+    if ids != [] do
+      now = DateTime.utc_now()
+
+      mentions =
+        from(e in Entity,
+          where: e.id in ^ids and e.owner_id == ^interaction.user_id and e.id != ^interaction.entity_id,
+          select: e.id
+        )
+        |> Repo.all()
+        |> Enum.map(fn entity_id ->
+          %{
+            id: Ecto.UUID.generate(),
+            interaction_id: interaction.id,
+            entity_id: entity_id,
+            inserted_at: now,
+            updated_at: now
+          }
+        end)
+
+      Repo.insert_all(Mention, mentions)
+    end
   end
 
   def delete_interaction(%Interaction{} = interaction) do
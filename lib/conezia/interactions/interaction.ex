@@ -16,6 +16,9 @@ defmodule Conezia.Interactions.Interaction do
 
   @interaction_types ~w(email call meeting message transaction)
 
+  # The link the NoteEditor hook inserts for an @mention
+  @mention_pattern ~r/\[@[^\]\n]+\]\(\/connections\/([0-9a-fA-F-]{36})\)/
+
   schema "interactions" do
     field :type, :string
     field :title, :string
@@ -28,6 +31,9 @@ defmodule Conezia.Interactions.Interaction do
     belongs_to :entity, Conezia.Entities.Entity
     has_many :attachments, Conezia.Attachments.Attachment
 
+    many_to_many :mentioned_entities, Conezia.Entities.Entity,
+      join_through: Conezia.Interactions.Mention
+
     timestamps(type: :utc_datetime_usec)
   end
 
@@ -75,5 +81,23 @@ defmodule Conezia.Interactions.Interaction do
     end
   end
 
+  @doc """
+  The ids of the connections mentioned in `content`, in the order they're
+  first mentioned.
+  """
+  def mentioned_entity_ids(content) when is_binary(content) do
+    @mention_pattern
+    |> Regex.scan(content, capture: :all_but_first)
+    |> Enum.flat_map(fn [id] ->
+      case Ecto.UUID.cast(id) do
+        {:ok, uuid} -> [String.downcase(uuid)]
+        :error -> []
+      end
+    end)
+    |> Enum.uniq()
+  end
+
+  def mentioned_entity_ids(_content), do: []
+
   def valid_types, do: @interaction_types
 end
@@ -0,0 +1,29 @@
+defmodule Conezia.Interactions.Mention do
+  @moduledoc """
+  Join schema for the connections an interaction's notes mention with
+  `[@Name](/connections/<id>)` links.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+
+  schema "interaction_mentions" do
+    belongs_to :interaction, Conezia.Interactions.Interaction
+    belongs_to :entity, Conezia.Entities.Entity
+
+    timestamps(type: :utc_datetime_usec)
+  end
+
+  @required_fields [:interaction_id, :entity_id]
+
+  def changeset(mention, attrs) do
+    mention
+    |> cast(attrs, @required_fields)
+    |> validate_required(@required_fields)
+    |> foreign_key_constraint(:interaction_id)
+    |> foreign_key_constraint(:entity_id)
+    |> unique_constraint([:interaction_id, :entity_id])
+  end
+end
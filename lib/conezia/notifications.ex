@@ -0,0 +1,143 @@
+defmodule Conezia.Notifications do
+  @moduledoc """
+  The Notifications context: browser push subscriptions and delivering due
+  reminders to the user's open tabs and subscribed browsers.
+  """
+  import Ecto.Query
+  alias Conezia.Repo
+  alias Conezia.Notifications.{PushSubscription, WebPush}
+  alias Conezia.Reminders.Reminder
+
+  @pubsub Conezia.PubSub
+  @topic_prefix "notifications:"
+
+  @action_salt "reminder notification action"
+  # Notification actions stay usable for a week after the push
+  @action_max_age 7 * 24 * 60 * 60
+
+  @doc """
+  Returns the PubSub topic for a user's notifications.
+  """
+  def topic(user_id), do: "#{@topic_prefix}#{user_id}"
+
+  # Push subscriptions
+
+  def list_push_subscriptions(user_id) do
+    PushSubscription
+    |> where([s], s.user_id == ^user_id)
+    |> Repo.all()
+  end
+
+  @doc """
+  Save a browser's subscription, given the JSON form of its
+  `PushSubscription` (`%{"endpoint" => ..., "keys" => %{"p256dh" => ..., "auth" => ...}}`).
+
+  Subscribing the same browser again replaces its keys.
+  """
+  def subscribe_push(user_id, %{"endpoint" => endpoint} = subscription, user_agent \\ nil) do
+    keys = subscription["keys"] || %{}
+
+    %PushSubscription{}
+    |> PushSubscription.changeset(%{
+      user_id: user_id,
+      endpoint: endpoint,
+      p256dh: keys["p256dh"],
+      auth: keys["auth"],
+      user_agent: user_agent
+    })
+    |> Repo.insert(
+      on_conflict: {:replace, [:user_id, :p256dh, :auth, :user_agent, :updated_at]},
+      conflict_target: :endpoint
+    )
+  end
+
+  def unsubscribe_push(user_id, endpoint) do
+    PushSubscription
+    |> where([s], s.user_id == ^user_id and s.endpoint == ^endpoint)
+    |> Repo.delete_all()
+
+    :ok
+  end
+
+  # Due reminders
+
+  @doc """
+  Tell the user's open LiveViews that a reminder is due.
+  """
+  def broadcast_reminder_due(%Reminder{} = reminder) do
+    Phoenix.PubSub.broadcast(@pubsub, topic(reminder.user_id), {:reminder_due, reminder_payload(reminder)})
+  end
+
+  @doc """
+  Push a due reminder to every browser the user subscribed, unless they
+  turned push notifications off. Subscriptions the push service no longer
+  knows are removed.
+  """
+  def push_reminder_due(%Reminder{} = reminder) do
+    reminder = Repo.preload(reminder, [:user, :entity])
+
+    if push_enabled?(reminder.user) do
+      payload = reminder_payload(reminder)
+
+      reminder.user_id
+      |> list_push_subscriptions()
+      |> Enum.each(fn subscription ->
+        case WebPush.deliver(subscription, payload) do
+          {:error, :gone} -> Repo.delete(subscription)
+          _ -> :ok
+        end
+      end)
+    end
+
+    :ok
+  end
+
+  defp push_enabled?(%{notification_preferences: %{"push" => false}}), do: false
+  defp push_enabled?(_user), do: true
+
+  @doc """
+  The notification shown for a due reminder, in the shape the service
+  worker's push handler expects. `token` authorizes the Complete and
+  Snooze actions without a session (see `verify_action_token/1`).
+  """
+  def reminder_payload(%Reminder{} = reminder) do
+    reminder = Repo.preload(reminder, :entity)
+
+    %{
+      type: "reminder_due",
+      reminder_id: reminder.id,
+      title: reminder.title,
+      body: reminder_body(reminder),
+      tag: "reminder-#{reminder.id}",
+      url: "/reminders",
+      token: action_token(reminder)
+    }
+  end
+
+  defp reminder_body(%{description: description}) when is_binary(description) and description != "",
+    do: description
+
+  defp reminder_body(%{entity: %{name: name}}) when is_binary(name), do: "Follow up with #{name}"
+  defp reminder_body(_reminder), do: "This reminder is due."
+
+  def action_token(%Reminder{} = reminder) do
+    Phoenix.Token.sign(secret_key_base(), @action_salt, %{
+      "reminder_id" => reminder.id,
+      "user_id" => reminder.user_id
+    })
+  end
+
+  @doc """
+  Verify a token from `reminder_payload/1`, returning
+  `{:ok, %{"reminder_id" => ..., "user_id" => ...}}`.
+  """
+  def verify_action_token(token) when is_binary(token) do
+    Phoenix.Token.verify(secret_key_base(), @action_salt, token, max_age: @action_max_age)
+  end
+
+  def verify_action_token(_token), do: {:error, :invalid}
+
+  defp secret_key_base do
+    Application.get_env(:conezia, ConeziaWeb.Endpoint)[:secret_key_base]
+  end
+end
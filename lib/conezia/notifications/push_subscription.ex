@@ -0,0 +1,37 @@
+defmodule Conezia.Notifications.PushSubscription do
+  @moduledoc """
+  A browser's Web Push subscription (the `PushSubscription` returned by
+  `pushManager.subscribe/1`), stored so due reminders can be pushed to it.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+
+  schema "push_subscriptions" do
+    field :endpoint, :string
+    field :p256dh, :string
+    field :auth, :string
+    field :user_agent, :string
+
+    belongs_to :user, Conezia.Accounts.User
+
+    timestamps(type: :utc_datetime_usec)
+  end
+
+  @required_fields [:endpoint, :p256dh, :auth, :user_id]
+  @optional_fields [:user_agent]
+
+  def changeset(subscription, attrs) do
+    subscription
+    |> cast(attrs, @required_fields ++ @optional_fields)
+    |> validate_required(@required_fields)
+    |> validate_format(:endpoint, ~r/^https?:\/\//, message: "must be an http(s) URL")
+    |> validate_length(:p256dh, max: 255)
+    |> validate_length(:auth, max: 64)
+    |> validate_length(:user_agent, max: 500)
+    |> unique_constraint(:endpoint)
+    |> foreign_key_constraint(:user_id)
+  end
+end
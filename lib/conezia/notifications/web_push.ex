@@ -0,0 +1,60 @@
+defmodule Conezia.Notifications.WebPush do
+  @moduledoc """
+  Web Push behaviour and abstraction for delivering notifications to
+  subscribed browsers.
+
+  Configure the delivery backend in config:
+
+      config :conezia, Conezia.Notifications.WebPush,
+        adapter: Conezia.Notifications.WebPush.HTTP,
+        vapid_public_key: "BASE64URL...",
+        vapid_private_key: "BASE64URL...",
+        vapid_subject: "mailto:support@example.com"
+
+  Or, in development and tests, the local stand-in which hands the payload
+  to the user's open tabs instead of a real push service:
+
+      config :conezia, Conezia.Notifications.WebPush,
+        adapter: Conezia.Notifications.WebPush.Local
+
+  VAPID keys are a P-256 key pair, base64url encoded without padding (the
+  public key as an uncompressed point). `generate_vapid_keys/0` makes one.
+  """
+
+  alias Conezia.Notifications.PushSubscription
+
+  @doc """
+  Deliver a JSON-encodable payload to one subscription.
+
+  Returns `{:error, :gone}` when the push service reports the subscription
+  as expired, so the caller can delete it.
+  """
+  @callback deliver(PushSubscription.t(), payload :: map()) :: :ok | {:error, :gone} | {:error, term()}
+
+  defp config, do: Application.get_env(:conezia, __MODULE__, [])
+
+  defp adapter do
+    config()[:adapter] || Conezia.Notifications.WebPush.Local
+  end
+
+  @doc """
+  Deliver a payload using the configured adapter.
+  """
+  def deliver(%PushSubscription{} = subscription, payload) do
+    adapter().deliver(subscription, payload)
+  end
+
+  @doc """
+  The VAPID public key browsers subscribe with, or nil when none is
+  configured (the local stand-in doesn't need one).
+  """
+  def vapid_public_key, do: config()[:vapid_public_key]
+
+  @doc """
+  Generate a VAPID key pair as `{public_key, private_key}`.
+  """
+  def generate_vapid_keys do
+    {public, private} = :crypto.generate_key(:ecdh, :prime256v1)
+    {Base.url_encode64(public, padding: false), Base.url_encode64(private, padding: false)}
+  end
+end
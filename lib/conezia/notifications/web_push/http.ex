@@ -0,0 +1,125 @@
+defmodule Conezia.Notifications.WebPush.HTTP do
+  @moduledoc """
+  Web Push adapter that posts to the subscription's push service.
+
+  Payloads are encrypted with the `aes128gcm` content encoding (RFC 8291)
+  and requests are signed with a VAPID JWT (RFC 8292), using only `:crypto`.
+
+  Configuration:
+
+      config :conezia, Conezia.Notifications.WebPush,
+        adapter: Conezia.Notifications.WebPush.HTTP,
+        vapid_public_key: "BASE64URL...",
+        vapid_private_key: "BASE64URL...",
+        vapid_subject: "mailto:support@example.com"
+  """
+
+  @behaviour Conezia.Notifications.WebPush
+
+  require Logger
+
+  # Seconds the push service keeps an undelivered message
+  @ttl 24 * 60 * 60
+  @record_size 4096
+  @jwt_lifetime 12 * 60 * 60
+
+  @impl true
+  def deliver(subscription, payload) do
+    config = Application.get_env(:conezia, Conezia.Notifications.WebPush, [])
+
+    with {:ok, ua_public} <- Base.url_decode64(subscription.p256dh, padding: false),
+         {:ok, auth_secret} <- Base.url_decode64(subscription.auth, padding: false) do
+      body = encrypt(Jason.encode!(payload), ua_public, auth_secret)
+
+      headers = [
+        {"content-encoding", "aes128gcm"},
+        {"content-type", "application/octet-stream"},
+        {"ttl", to_string(@ttl)},
+        {"urgency", "high"},
+        {"authorization", vapid_authorization(subscription.endpoint, config)}
+      ]
+
+      case Req.post(subscription.endpoint, body: body, headers: headers, receive_timeout: 10_000, retry: false) do
+        {:ok, %{status: status}} when status in 200..299 ->
+          :ok
+
+        {:ok, %{status: status}} when status in [404, 410] ->
+          {:error, :gone}
+
+        {:ok, %{status: status, body: body}} ->
+          Logger.warning("Web push rejected with #{status}: #{inspect(body)}")
+          {:error, {:http_status, status}}
+
+        {:error, reason} ->
+          {:error, reason}
+      end
+    else
+      :error -> {:error, :invalid_subscription_keys}
+    end
+  end
+
+  @doc """
+  Encrypt a payload for a subscription (RFC 8291).
+
+  `ua_public` is the subscription's `p256dh` key (an uncompressed P-256
+  point) and `auth_secret` its 16 byte `auth` secret. The salt and the
+  sender's key pair are generated unless given in `opts`.
+  """
+  def encrypt(plaintext, ua_public, auth_secret, opts \\ []) do
+    salt = Keyword.get_lazy(opts, :salt, fn -> :crypto.strong_rand_bytes(16) end)
+    {as_public, as_private} = Keyword.get_lazy(opts, :keys, fn -> :crypto.generate_key(:ecdh, :prime256v1) end)
+
+    ecdh_secret = :crypto.compute_key(:ecdh, ua_public, as_private, :prime256v1)
+
+    key_info = "WebPush: info" <> <<0>> <> ua_public <> as_public
+    ikm = hkdf(auth_secret, ecdh_secret, key_info, 32)
+
+    cek = hkdf(salt, ikm, "Content-Encoding: aes128gcm" <> <<0>>, 16)
+    nonce = hkdf(salt, ikm, "Content-Encoding: nonce" <> <<0>>, 12)
+
+    # A single record, so the padding delimiter is the "last record" 0x02
+    {ciphertext, tag} =
+      :crypto.crypto_one_time_aead(:aes_128_gcm, cek, nonce, plaintext <> <<2>>, <<>>, true)
+
+    <<salt::binary-size(16), @record_size::unsigned-big-32, byte_size(as_public)::8, as_public::binary,
+      ciphertext::binary, tag::binary>>
+  end
+
+  # HKDF (RFC 5869) with SHA-256; every length used here fits in one block
+  defp hkdf(salt, ikm, info, length) do
+    prk = :crypto.mac(:hmac, :sha256, salt, ikm)
+    :crypto.mac(:hmac, :sha256, prk, info <> <<1>>) |> binary_part(0, length)
+  end
+
+  defp vapid_authorization(endpoint, config) do
+    public_key = Keyword.fetch!(config, :vapid_public_key)
+    private_key = Keyword.fetch!(config, :vapid_private_key) |> Base.url_decode64!(padding: false)
+    subject = Keyword.get(config, :vapid_subject, "mailto:support@conezia.com")
+
+    %URI{scheme: scheme, host: host, port: port} = URI.parse(endpoint)
+    audience = if port == URI.default_port(scheme), do: "#{scheme}://#{host}", else: "#{scheme}://#{host}:#{port}"
+
+    header = encode_segment(%{typ: "JWT", alg: "ES256"})
+    claims = encode_segment(%{aud: audience, exp: System.system_time(:second) + @jwt_lifetime, sub: subject})
+    signing_input = "#{header}.#{claims}"
+
+    signature =
+      :crypto.sign(:ecdsa, :sha256, signing_input, [private_key, :prime256v1])
+      |> der_to_jose()
+      |> Base.url_encode64(padding: false)
+
+    "vapid t=#{signing_input}.#{signature}, k=#{public_key}"
+  end
+
+  defp encode_segment(map), do: map |> Jason.encode!() |> Base.url_encode64(padding: false)
+
+  # :crypto returns a DER SEQUENCE of two INTEGERs; JWS wants r and s as
+  # two fixed-width 32 byte big-endian numbers.
+  defp der_to_jose(<<0x30, _length, 0x02, r_length, r::binary-size(r_length), 0x02, s_length, s::binary-size(s_length)>>) do
+    pad32(r) <> pad32(s)
+  end
+
+  defp pad32(<<0, rest::binary>>) when byte_size(rest) >= 32, do: pad32(rest)
+  defp pad32(int) when byte_size(int) < 32, do: :binary.copy(<<0>>, 32 - byte_size(int)) <> int
+  defp pad32(int), do: int
+end
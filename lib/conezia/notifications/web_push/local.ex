@@ -0,0 +1,29 @@
+defmodule Conezia.Notifications.WebPush.Local do
+  @moduledoc """
+  Local stand-in for a Web Push service.
+
+  Instead of encrypting the payload and posting it to the subscription's
+  push service, it is broadcast on the user's notifications topic. Open
+  LiveViews relay it to the browser, which hands it to the service worker's
+  push handler, so notifications and their actions can be exercised in
+  development and tests without VAPID keys or network access.
+
+  Configuration:
+
+      config :conezia, Conezia.Notifications.WebPush,
+        adapter: Conezia.Notifications.WebPush.Local
+  """
+
+  @behaviour Conezia.Notifications.WebPush
+
+  alias Conezia.Notifications
+
+  @impl true
+  def deliver(subscription, payload) do
+    Phoenix.PubSub.broadcast(
+      Conezia.PubSub,
+      Notifications.topic(subscription.user_id),
+      {:local_push, subscription.endpoint, payload}
+    )
+  end
+end
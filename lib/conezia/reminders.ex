@@ -4,6 +4,7 @@ defmodule Conezia.Reminders do
   """
   import Ecto.Query
   alias Conezia.Repo
+  alias Conezia.Changes
   alias Conezia.Reminders.Reminder
 
   def get_reminder(id), do: Repo.get(Reminder, id)
@@ -33,6 +34,7 @@ defmodule Conezia.Reminders do
       preload: [:entity]
 
     reminders = query
+    |> filter_by_ids(Keyword.get(opts, :ids))
     |> filter_by_status(status)
     |> filter_by_entity_id(entity_id)
     |> filter_by_type(type)
@@ -65,6 +67,9 @@ defmodule Conezia.Reminders do
   defp filter_by_type(query, nil), do: query
   defp filter_by_type(query, type), do: where(query, [r], r.type == ^type)
 
+  defp filter_by_ids(query, nil), do: query
+  defp filter_by_ids(query, ids), do: where(query, [r], r.id in ^ids)
+
   defp filter_by_due_before(query, nil), do: query
   defp filter_by_due_before(query, due_before) do
     case DateTime.from_iso8601(due_before) do
@@ -92,20 +97,54 @@ defmodule Conezia.Reminders do
     |> Repo.all()
   end
 
+  @doc """
+  Lists the reminders due (and no longer snoozed) at `now` that haven't
+  been announced yet, with their user and entity.
+  """
+  def list_reminders_to_notify(now \\ DateTime.utc_now()) do
+    Reminder
+    |> where([r], is_nil(r.completed_at) and is_nil(r.notified_at))
+    |> where([r], r.due_at <= ^now)
+    |> where([r], is_nil(r.snoozed_until) or r.snoozed_until <= ^now)
+    |> order_by([r], asc: r.due_at)
+    |> preload([:user, :entity])
+    |> Repo.all()
+  end
+
+  @doc """
+  Records that a reminder is being announced.
+
+  Returns `:ok`, or `{:error, :already_notified}` when it was announced
+  already, so overlapping or retried runs announce each reminder once.
+  """
+  def mark_notified(%Reminder{id: id}, now \\ DateTime.utc_now()) do
+    Reminder
+    |> where([r], r.id == ^id and is_nil(r.notified_at))
+    |> Repo.update_all(set: [notified_at: now])
+    |> case do
+      {1, _} -> :ok
+      {0, _} -> {:error, :already_notified}
+    end
+  end
+
   def create_reminder(attrs) do
     %Reminder{}
     |> Reminder.changeset(attrs)
     |> Repo.insert()
+    |> Changes.broadcast(:reminder, :created)
   end
 
   def update_reminder(%Reminder{} = reminder, attrs) do
     reminder
     |> Reminder.changeset(attrs)
     |> Repo.update()
+    |> Changes.broadcast(:reminder, :updated)
   end
 
   def delete_reminder(%Reminder{} = reminder) do
-    Repo.delete(reminder)
+    reminder
+    |> Repo.delete()
+    |> Changes.broadcast(:reminder, :deleted)
   end
 
   @doc """
@@ -119,6 +158,7 @@ defmodule Conezia.Reminders do
     reminder
     |> Reminder.snooze_changeset(until)
     |> Repo.update()
+    |> Changes.broadcast(:reminder, :updated)
   end
 
   def snooze_reminder_by_duration(%Reminder{} = reminder, duration) do
@@ -127,10 +167,12 @@ defmodule Conezia.Reminders do
     reminder
     |> Reminder.snooze_changeset(until)
     |> Repo.update()
+    |> Changes.broadcast(:reminder, :updated)
   end
 
   defp calculate_snooze_until("1_hour"), do: DateTime.add(DateTime.utc_now(), 3600, :second)
   defp calculate_snooze_until("3_hours"), do: DateTime.add(DateTime.utc_now(), 10800, :second)
+  defp calculate_snooze_until("1_day"), do: DateTime.add(DateTime.utc_now(), 86400, :second)
   defp calculate_snooze_until("tomorrow") do
     DateTime.utc_now()
     |> DateTime.add(86400, :second)
@@ -146,6 +188,7 @@ defmodule Conezia.Reminders do
     reminder
     |> Reminder.complete_changeset()
     |> Repo.update()
+    |> Changes.broadcast(:reminder, :updated)
   end
 
   def list_reminders_for_entity(entity_id, user_id, opts \\ []) do
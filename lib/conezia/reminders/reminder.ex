@@ -22,6 +22,8 @@ defmodule Conezia.Reminders.Reminder do
     field :notification_channels, {:array, :string}, default: ["in_app"]
     field :snoozed_until, :utc_datetime_usec
     field :completed_at, :utc_datetime_usec
+    # Set once the reminder has been announced (Conezia.Workers.ReminderWorker)
+    field :notified_at, :utc_datetime_usec
 
     belongs_to :user, Conezia.Accounts.User
     belongs_to :entity, Conezia.Entities.Entity
@@ -41,6 +43,7 @@ defmodule Conezia.Reminders.Reminder do
     |> validate_length(:description, max: 2000)
     |> validate_notification_channels()
     |> validate_recurrence_rule()
+    |> reset_notified_at()
     |> encrypt_fields()
     |> foreign_key_constraint(:user_id)
     |> foreign_key_constraint(:entity_id)
@@ -62,12 +65,22 @@ defmodule Conezia.Reminders.Reminder do
   def snooze_changeset(reminder, until) do
     change(reminder, snoozed_until: until)
     |> validate_snooze_time()
+    |> reset_notified_at()
   end
 
   def complete_changeset(reminder) do
     change(reminder, completed_at: DateTime.utc_now())
   end
 
+  # A reminder moved to a new time is announced again once that time comes
+  defp reset_notified_at(changeset) do
+    if changed?(changeset, :due_at) or changed?(changeset, :snoozed_until) do
+      put_change(changeset, :notified_at, nil)
+    else
+      changeset
+    end
+  end
+
   defp validate_notification_channels(changeset) do
     validate_change(changeset, :notification_channels, fn :notification_channels, channels ->
       invalid = channels -- @notification_channels
@@ -78,6 +78,13 @@ defmodule Conezia.Validators.ImportValidator do
     end
 
     mapped_fields = Map.values(mapping)
+
+    # A name can also be put together from first and last name columns
+    mapped_fields =
+      if Enum.any?(mapped_fields, &(&1 in ["first_name", "last_name"])),
+        do: ["name" | mapped_fields],
+        else: mapped_fields
+
     missing = required_fields -- mapped_fields
 
     if missing == [] do
@@ -87,6 +94,16 @@ defmodule Conezia.Validators.ImportValidator do
     end
   end
 
+  def validate_record_count(count) when count > @max_records_per_import do
+    {:error, "file contains more than #{@max_records_per_import} records"}
+  end
+
+  def validate_record_count(count) when count < 1 do
+    {:error, "file must contain at least one record"}
+  end
+
+  def validate_record_count(_count), do: :ok
+
   def sources, do: @sources
   def max_file_size, do: @max_file_size
   def max_records_per_import, do: @max_records_per_import
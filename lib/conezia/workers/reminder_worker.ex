@@ -4,6 +4,7 @@ defmodule Conezia.Workers.ReminderWorker do
   """
   use Oban.Worker, queue: :reminders, max_attempts: 3
 
+  alias Conezia.Notifications
   alias Conezia.Reminders
   alias Conezia.Reminders.Reminder
   alias Conezia.Repo
@@ -23,8 +24,13 @@ defmodule Conezia.Workers.ReminderWorker do
     end
   end
 
+  # process_due runs every minute from the Oban cron. Each due reminder is
+  # marked as notified before it's announced, so late, retried or
+  # overlapping runs neither skip it nor announce it twice.
   def perform(%Oban.Job{args: %{"action" => "process_due"}}) do
-    reminders = Reminders.list_due_reminders()
+    reminders =
+      Reminders.list_reminders_to_notify()
+      |> Enum.filter(&(Reminders.mark_notified(&1) == :ok))
 
     Enum.each(reminders, fn reminder ->
       send_notifications(reminder)
@@ -48,9 +54,15 @@ defmodule Conezia.Workers.ReminderWorker do
     :ok
   end
 
-  defp send_in_app_notification(_reminder) do
-    # TODO: Implement in-app notification via PubSub
-    # Phoenix.PubSub.broadcast(Conezia.PubSub, "user:#{reminder.user_id}", {:reminder_due, reminder})
+  # Browsers the user subscribed in Settings count as part of the app, so
+  # in-app reminders reach them even when no tab is open.
+  defp send_in_app_notification(reminder) do
+    Notifications.broadcast_reminder_due(reminder)
+
+    unless "push" in (reminder.notification_channels || []) do
+      Notifications.push_reminder_due(reminder)
+    end
+
     :ok
   end
 
@@ -59,9 +71,8 @@ defmodule Conezia.Workers.ReminderWorker do
     :ok
   end
 
-  defp send_push_notification(_reminder) do
-    # TODO: Implement push notifications via WebPush or similar
-    :ok
+  defp send_push_notification(reminder) do
+    Notifications.push_reminder_due(reminder)
   end
 
   @doc """
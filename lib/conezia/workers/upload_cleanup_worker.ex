@@ -0,0 +1,14 @@
+defmodule Conezia.Workers.UploadCleanupWorker do
+  @moduledoc """
+  Oban worker that removes chunked uploads that were started but never
+  finished or cancelled. Runs hourly from the Oban cron.
+  """
+  use Oban.Worker, queue: :default, max_attempts: 1
+
+  alias Conezia.Attachments
+
+  @impl Oban.Worker
+  def perform(%Oban.Job{}) do
+    {:ok, %{removed: Attachments.clean_up_uploads()}}
+  end
+end
@@ -19,7 +19,7 @@ defmodule ConeziaWeb do
   those modules here.
   """
 
-  def static_paths, do: ~w(assets fonts images favicon.ico robots.txt)
+  def static_paths, do: ~w(assets fonts images favicon.ico robots.txt sw.js manifest.webmanifest)
 
   def router do
     quote do
@@ -0,0 +1,25 @@
+defmodule ConeziaWeb.ChangesChannel do
+  @moduledoc """
+  Pushes `Conezia.Changes` notifications for the signed-in user as "change"
+  events (`%{resource: ..., action: ..., id: ...}`).
+
+  One tab per browser holds this channel and shares what it receives with
+  the others (see assets/js/lib/changes.js); each tab then hands the change
+  to its LiveView through `ConeziaWeb.LiveChanges`.
+  """
+  use Phoenix.Channel
+
+  alias Conezia.Changes
+
+  @impl true
+  def join("changes", _params, socket) do
+    Phoenix.PubSub.subscribe(Conezia.PubSub, Changes.topic(socket.assigns.user_id))
+    {:ok, socket}
+  end
+
+  @impl true
+  def handle_info({:change, change}, socket) do
+    push(socket, "change", change)
+    {:noreply, socket}
+  end
+end
@@ -0,0 +1,32 @@
+defmodule ConeziaWeb.UserSocket do
+  @moduledoc """
+  Socket for signed-in browsers, next to the LiveView socket.
+
+  It authenticates from the session cookie, like the LiveView socket does,
+  so the client only sends the CSRF token. The socket id is the session's
+  `live_socket_id`, so logging out disconnects it along with the LiveViews.
+  """
+  use Phoenix.Socket
+
+  alias Conezia.Accounts
+
+  channel "changes", ConeziaWeb.ChangesChannel
+
+  @impl true
+  def connect(_params, socket, connect_info) do
+    session = connect_info[:session] || %{}
+
+    with token when is_binary(token) <- session["user_token"],
+         %Accounts.User{} = user <- Accounts.get_user_by_session_token(token) do
+      {:ok,
+       socket
+       |> assign(:user_id, user.id)
+       |> assign(:live_socket_id, session["live_socket_id"])}
+    else
+      _ -> :error
+    end
+  end
+
+  @impl true
+  def id(socket), do: socket.assigns.live_socket_id
+end
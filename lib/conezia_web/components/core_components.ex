@@ -201,6 +201,22 @@ defmodule ConeziaWeb.CoreComponents do
     """
   end
 
+  @doc """
+  Renders the place a `FormDraft` hook on the surrounding form offers to
+  restore a draft. It stays hidden until there's one.
+
+  ## Examples
+
+      <.draft_banner id="event-form-draft" />
+  """
+  attr :id, :string, required: true
+
+  def draft_banner(assigns) do
+    ~H"""
+    <div id={@id} phx-update="ignore" data-draft-banner hidden></div>
+    """
+  end
+
   @doc """
   Renders a button.
 
@@ -604,6 +620,11 @@ defmodule ConeziaWeb.CoreComponents do
   @doc """
   Renders an avatar.
 
+  Without a picture, or when it fails to load, the avatar shows the name's
+  initials on a colour picked from the name, so a connection keeps the same
+  colour everywhere it's listed (assets/js/lib/avatar.js picks the same
+  one).
+
   ## Examples
 
       <.avatar name="John Doe" />
@@ -622,18 +643,45 @@ defmodule ConeziaWeb.CoreComponents do
       xl: "h-16 w-16 text-lg"
     }
 
-    assigns = assign(assigns, :size_class, Map.get(size_classes, assigns.size, "h-10 w-10 text-sm"))
+    assigns =
+      assigns
+      |> assign(:size_class, Map.get(size_classes, assigns.size, "h-10 w-10 text-sm"))
+      |> assign(:color_class, avatar_color(assigns.name))
 
     ~H"""
-    <span class={[@size_class, "relative inline-flex items-center justify-center rounded-full bg-gray-500", @class]}>
-      <img :if={@src} src={@src} alt={@name} class={[@size_class, "rounded-full object-cover"]} />
-      <span :if={!@src} class="font-medium leading-none text-white">
+    <span class={[
+      @size_class,
+      "relative inline-flex flex-shrink-0 items-center justify-center overflow-hidden rounded-full",
+      @color_class,
+      @class
+    ]}>
+      <span class="font-medium leading-none text-white">
         {initials(@name)}
       </span>
+      <img
+        :if={@src}
+        src={@src}
+        alt={@name}
+        loading="lazy"
+        onerror="this.remove()"
+        class="absolute inset-0 h-full w-full rounded-full object-cover"
+      />
     </span>
     """
   end
 
+  @avatar_colors ~w(bg-rose-500 bg-orange-500 bg-amber-500 bg-emerald-500 bg-teal-500
+                    bg-sky-500 bg-indigo-500 bg-violet-500 bg-fuchsia-500 bg-slate-500)
+
+  # The sum of the name's code points picks the colour; lib/avatar.js does
+  # the same sum
+  defp avatar_color(name) when is_binary(name) and name != "" do
+    index = name |> String.to_charlist() |> Enum.sum() |> rem(length(@avatar_colors))
+    Enum.at(@avatar_colors, index)
+  end
+
+  defp avatar_color(_name), do: "bg-gray-500"
+
   defp initials(name) when is_binary(name) do
     name
     |> String.split()
@@ -645,6 +693,74 @@ defmodule ConeziaWeb.CoreComponents do
 
   defp initials(_), do: "?"
 
+  @doc """
+  Renders a timestamp that the `LocalTime` hook reformats in the user's
+  timezone and locale. The inner block is shown until the hook runs.
+
+  ## Examples
+
+      <.local_time id={"event-\#{event.id}-starts"} value={event.starts_at} />
+      <.local_time id="created" value={@entity.inserted_at} format="date" />
+      <.local_time id="bday" value={event.starts_at} all_day={event.all_day}>
+        Jan 01, 2025
+      </.local_time>
+  """
+  attr :id, :string, required: true
+  attr :value, :any, required: true, doc: "a DateTime or NaiveDateTime (assumed UTC)"
+  attr :format, :string, default: nil, values: [nil, "date", "time", "short", "long", "weekday"]
+  attr :all_day, :boolean, default: false
+  attr :class, :string, default: nil
+  slot :inner_block
+
+  def local_time(assigns) do
+    assigns = assign(assigns, :iso, to_iso8601(assigns.value))
+
+    ~H"""
+    <time
+      id={@id}
+      phx-hook="LocalTime"
+      datetime={@iso}
+      data-datetime={@iso}
+      data-format={@format}
+      data-all-day={to_string(@all_day)}
+      class={@class}
+    >{if @inner_block != [], do: render_slot(@inner_block), else: @iso}</time>
+    """
+  end
+
+  @doc """
+  Renders how far a timestamp is from now ("in 3 days", "yesterday"), kept
+  current by the `RelativeTime` hook. The inner block is shown until the
+  hook runs.
+
+  ## Examples
+
+      <.relative_time id={"reminder-\#{reminder.id}-due"} value={reminder.due_at} />
+  """
+  attr :id, :string, required: true
+  attr :value, :any, required: true, doc: "a DateTime or NaiveDateTime (assumed UTC)"
+  attr :class, :string, default: nil
+  slot :inner_block
+
+  def relative_time(assigns) do
+    assigns = assign(assigns, :iso, to_iso8601(assigns.value))
+
+    ~H"""
+    <time
+      :if={@iso}
+      id={@id}
+      phx-hook="RelativeTime"
+      datetime={@iso}
+      data-datetime={@iso}
+      class={@class}
+    >{render_slot(@inner_block)}</time>
+    """
+  end
+
+  defp to_iso8601(%DateTime{} = datetime), do: DateTime.to_iso8601(datetime)
+  defp to_iso8601(%NaiveDateTime{} = datetime), do: NaiveDateTime.to_iso8601(datetime) <> "Z"
+  defp to_iso8601(_), do: nil
+
   @doc """
   Renders a badge.
 
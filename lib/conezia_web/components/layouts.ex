@@ -32,6 +32,13 @@ defmodule ConeziaWeb.Layouts do
     JS.dispatch(js, "phx:toggle-user-menu")
   end
 
+  @doc """
+  Opens the command palette.
+  """
+  def open_command_palette(js \\ %JS{}) do
+    JS.dispatch(js, "phx:open-command-palette")
+  end
+
   @doc """
   Returns the user's display name or a default.
   """
@@ -50,4 +57,18 @@ defmodule ConeziaWeb.Layouts do
     |> String.upcase()
   end
   def user_initials(_), do: "?"
+
+  @doc """
+  Returns the user's preferred locale for client-side date formatting,
+  or nil to let the browser decide.
+  """
+  def user_locale(%{settings: %{"language" => language}}) when is_binary(language), do: language
+  def user_locale(_), do: nil
+
+  @doc """
+  Returns the user's IANA timezone for client-side date formatting,
+  or nil to let the browser decide.
+  """
+  def user_timezone(%{timezone: timezone}) when is_binary(timezone), do: timezone
+  def user_timezone(_), do: nil
 end
@@ -0,0 +1,32 @@
+defmodule ConeziaWeb.AttachmentFileController do
+  @moduledoc """
+  Serves attachments to the signed-in user's browser, for the previews and
+  viewer on the connection page.
+  """
+  use ConeziaWeb, :controller
+
+  alias Conezia.Attachments
+
+  @doc """
+  GET /attachments/:id
+  The file itself, shown in the browser; `?download=true` saves it instead.
+  """
+  def show(conn, %{"id" => id} = params) do
+    with {:ok, id} <- Ecto.UUID.cast(id),
+         %{} = attachment <- Attachments.get_attachment_for_user(id, conn.assigns.current_user.id),
+         {:ok, content} <- Attachments.get_file_content(attachment) do
+      conn
+      |> put_resp_header("cache-control", "private, max-age=3600")
+      |> send_download({:binary, content},
+        filename: attachment.filename,
+        content_type: attachment.mime_type,
+        disposition: if(params["download"] == "true", do: :attachment, else: :inline)
+      )
+    else
+      _ ->
+        conn
+        |> put_status(:not_found)
+        |> text("Attachment not found")
+    end
+  end
+end
@@ -0,0 +1,169 @@
+defmodule ConeziaWeb.AttachmentUploadController do
+  @moduledoc """
+  Resumable uploads for the AttachmentUpload hook on the connection page.
+
+  The hook starts an upload, then sends the file in order with PATCH, each
+  chunk carrying the `upload-offset` it starts at. After a dropped
+  connection it asks where the upload got to and carries on from there. The
+  chunk that completes the file creates the attachment.
+  """
+  use ConeziaWeb, :controller
+
+  alias Conezia.Attachments
+  alias Conezia.Attachments.Upload
+
+  # The hook sends 2 MB chunks; anything much bigger isn't one of ours
+  @max_chunk_size 8 * 1024 * 1024
+
+  @doc """
+  POST /attachments/uploads
+  Starts an upload from {entity_id, filename, mime_type, size_bytes}.
+  """
+  def create(conn, params) do
+    user = conn.assigns.current_user
+    attrs = Map.take(params, ~w(entity_id filename mime_type size_bytes))
+
+    case Attachments.start_upload(user.id, attrs) do
+      {:ok, upload} ->
+        conn
+        |> put_status(:created)
+        |> json(upload_json(upload))
+
+      {:error, %Ecto.Changeset{} = changeset} ->
+        errors(conn, :unprocessable_entity, error_messages(changeset))
+
+      {:error, :not_found} ->
+        errors(conn, :not_found, ["connection not found"])
+
+      {:error, _reason} ->
+        errors(conn, :internal_server_error, ["the upload couldn't be started"])
+    end
+  end
+
+  @doc """
+  GET /attachments/uploads/:id
+  Where an unfinished upload got to.
+  """
+  def show(conn, %{"id" => id}) do
+    case Attachments.get_upload(id, conn.assigns.current_user.id) do
+      {:ok, upload} -> json(conn, upload_json(upload))
+      {:error, :not_found} -> errors(conn, :not_found, ["upload not found"])
+    end
+  end
+
+  @doc """
+  PATCH /attachments/uploads/:id
+  Appends the request body at the `upload-offset` header's offset.
+  """
+  def update(conn, %{"id" => id}) do
+    with {:ok, upload} <- Attachments.get_upload(id, conn.assigns.current_user.id),
+         {:ok, offset} <- request_offset(conn) do
+      case read_body(conn, length: @max_chunk_size) do
+        {:ok, data, conn} ->
+          append(conn, upload, offset, data)
+
+        {:more, _partial, conn} ->
+          errors(conn, :request_entity_too_large, ["chunks can be at most #{div(@max_chunk_size, 1024 * 1024)} MB"])
+
+        {:error, _reason} ->
+          errors(conn, :bad_request, ["the chunk couldn't be read"])
+      end
+    else
+      {:error, :not_found} -> errors(conn, :not_found, ["upload not found"])
+      {:error, :bad_offset} -> errors(conn, :bad_request, ["upload-offset header is required"])
+    end
+  end
+
+  @doc """
+  DELETE /attachments/uploads/:id
+  Cancels an upload.
+  """
+  def delete(conn, %{"id" => id}) do
+    case Attachments.get_upload(id, conn.assigns.current_user.id) do
+      {:ok, upload} ->
+        Attachments.cancel_upload(upload)
+        send_resp(conn, :no_content, "")
+
+      {:error, :not_found} ->
+        errors(conn, :not_found, ["upload not found"])
+    end
+  end
+
+  defp append(conn, upload, offset, data) do
+    case Attachments.append_upload(upload, offset, data) do
+      {:ok, upload} ->
+        if Upload.complete?(upload), do: complete(conn, upload), else: json(conn, upload_json(upload))
+
+      # Tells the hook where to resume from
+      {:error, {:offset_mismatch, current}} ->
+        conn
+        |> put_status(:conflict)
+        |> json(upload_json(%{upload | offset: current}))
+
+      {:error, :too_large} ->
+        errors(conn, :unprocessable_entity, ["the chunk goes past the end of the file"])
+
+      # Cancelled or cleaned up while the chunk was on its way
+      {:error, :not_found} ->
+        errors(conn, :not_found, ["upload not found"])
+
+      {:error, _reason} ->
+        errors(conn, :internal_server_error, ["the chunk couldn't be saved"])
+    end
+  end
+
+  defp complete(conn, upload) do
+    case Attachments.complete_upload(upload) do
+      {:ok, attachment} ->
+        conn
+        |> put_status(:created)
+        |> json(Map.put(upload_json(upload), :attachment, attachment_json(attachment)))
+
+      {:error, %Ecto.Changeset{} = changeset} ->
+        errors(conn, :unprocessable_entity, error_messages(changeset))
+
+      {:error, _reason} ->
+        errors(conn, :internal_server_error, ["the file couldn't be stored"])
+    end
+  end
+
+  defp request_offset(conn) do
+    with [value] <- get_req_header(conn, "upload-offset"),
+         {offset, ""} when offset >= 0 <- Integer.parse(value) do
+      {:ok, offset}
+    else
+      _ -> {:error, :bad_offset}
+    end
+  end
+
+  defp errors(conn, status, messages) do
+    conn
+    |> put_status(status)
+    |> json(%{errors: messages})
+  end
+
+  # "filename: contains invalid characters"
+  defp error_messages(changeset) do
+    changeset
+    |> Ecto.Changeset.traverse_errors(fn {message, opts} ->
+      Regex.replace(~r"%{(\w+)}", message, fn _, key ->
+        opts |> Keyword.get(String.to_existing_atom(key), key) |> to_string()
+      end)
+    end)
+    |> Enum.flat_map(fn {field, messages} -> Enum.map(messages, &"#{field}: #{&1}") end)
+  end
+
+  defp upload_json(upload) do
+    %{id: upload.id, offset: upload.offset, size_bytes: upload.size_bytes}
+  end
+
+  defp attachment_json(attachment) do
+    %{
+      id: attachment.id,
+      filename: attachment.filename,
+      mime_type: attachment.mime_type,
+      size_bytes: attachment.size_bytes,
+      url: ~p"/attachments/#{attachment.id}"
+    }
+  end
+end
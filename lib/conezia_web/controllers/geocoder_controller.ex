@@ -0,0 +1,69 @@
+defmodule ConeziaWeb.GeocoderController do
+  @moduledoc """
+  A stand-in for a Nominatim geocoder, for installs that can't reach one
+  (self-hosted without a Nominatim server, air-gapped test environments).
+
+  Set `geocoder_url: "/geocoder"` under `config :conezia, :maps` to use it.
+  It answers `/search` and `/reverse` in Nominatim's `jsonv2` format, but
+  only knows the places already saved on the signed-in user's events.
+  """
+  use ConeziaWeb, :controller
+
+  alias Conezia.Events
+
+  @default_limit 5
+  @max_limit 10
+
+  @doc """
+  GET /geocoder/search?q=...&limit=...
+  """
+  def search(conn, %{"q" => query} = params) do
+    user = conn.assigns.current_user
+    query = String.trim(query)
+
+    places =
+      if query == "" do
+        []
+      else
+        Events.search_places(user.id, query, limit(params))
+      end
+
+    json(conn, Enum.map(places, &place_json/1))
+  end
+
+  def search(conn, _params), do: json(conn, [])
+
+  @doc """
+  GET /geocoder/reverse?lat=...&lon=...
+  """
+  def reverse(conn, %{"lat" => lat, "lon" => lon}) do
+    with {lat, ""} <- Float.parse(lat),
+         {lon, ""} <- Float.parse(lon),
+         %{} = place <- Events.nearest_place(conn.assigns.current_user.id, lat, lon) do
+      json(conn, place_json(place))
+    else
+      _ -> json(conn, %{error: "Unable to geocode"})
+    end
+  end
+
+  def reverse(conn, _params), do: json(conn, %{error: "Unable to geocode"})
+
+  defp limit(%{"limit" => limit}) do
+    case Integer.parse(limit) do
+      {limit, ""} when limit > 0 -> min(limit, @max_limit)
+      _ -> @default_limit
+    end
+  end
+
+  defp limit(_params), do: @default_limit
+
+  # Nominatim sends coordinates as strings
+  defp place_json(place) do
+    %{
+      place_id: place.place_id,
+      display_name: place.address,
+      lat: to_string(place.latitude),
+      lon: to_string(place.longitude)
+    }
+  end
+end
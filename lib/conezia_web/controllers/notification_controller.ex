@@ -0,0 +1,68 @@
+defmodule ConeziaWeb.NotificationController do
+  @moduledoc """
+  Controller for the actions on due-reminder notifications.
+
+  Native notifications are handled by the service worker, which has neither
+  the LiveSocket nor an API token, so each notification carries a signed
+  token (see `Conezia.Notifications.reminder_payload/1`) that authorizes
+  these actions for that one reminder.
+  """
+  use ConeziaWeb, :controller
+
+  alias Conezia.Notifications
+  alias Conezia.Reminders
+  alias ConeziaWeb.ErrorHelpers
+
+  @snooze_durations %{"snooze_1h" => "1_hour", "snooze_1d" => "1_day"}
+
+  @doc """
+  POST /api/v1/notifications/reminder-action
+  Complete or snooze the reminder a notification was shown for.
+
+  Params: `token` from the notification payload and `action`, one of
+  `complete`, `snooze_1h` or `snooze_1d`.
+  """
+  def reminder_action(conn, %{"token" => token, "action" => action}) do
+    with {:ok, %{"reminder_id" => id, "user_id" => user_id}} <- Notifications.verify_action_token(token),
+         reminder when not is_nil(reminder) <- Reminders.get_reminder_for_user(id, user_id),
+         {:ok, reminder} <- apply_action(reminder, action) do
+      conn
+      |> put_status(:ok)
+      |> json(%{data: %{id: reminder.id, completed_at: reminder.completed_at, snoozed_until: reminder.snoozed_until}})
+    else
+      {:error, :unknown_action} ->
+        conn
+        |> put_status(:bad_request)
+        |> json(ErrorHelpers.bad_request("Unknown action: #{action}", conn.request_path))
+
+      {:error, %Ecto.Changeset{} = changeset} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(ErrorHelpers.validation_errors(changeset, conn.request_path))
+
+      nil ->
+        conn
+        |> put_status(:not_found)
+        |> json(ErrorHelpers.not_found("reminder", nil, conn.request_path))
+
+      {:error, _invalid_or_expired} ->
+        conn
+        |> put_status(:unauthorized)
+        |> json(ErrorHelpers.unauthorized("The notification has expired.", conn.request_path))
+    end
+  end
+
+  def reminder_action(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(ErrorHelpers.bad_request("token and action are required", conn.request_path))
+  end
+
+  defp apply_action(reminder, "complete"), do: Reminders.complete_reminder(reminder)
+
+  defp apply_action(reminder, action) when is_map_key(@snooze_durations, action) do
+    Reminders.snooze_reminder_by_duration(reminder, @snooze_durations[action])
+  end
+
+  defp apply_action(_reminder, _action), do: {:error, :unknown_action}
+end
@@ -327,6 +327,7 @@ defmodule ConeziaWeb.UserController do
     settings = user.settings || %{}
 
     %{
+      timezone: user.timezone || "UTC",
       theme: settings["theme"] || "light",
       language: settings["language"] || "en",
       date_format: settings["date_format"] || "YYYY-MM-DD",
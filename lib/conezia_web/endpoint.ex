@@ -15,6 +15,10 @@ defmodule ConeziaWeb.Endpoint do
     websocket: [connect_info: [session: @session_options]],
     longpoll: [connect_info: [session: @session_options]]
 
+  socket "/socket", ConeziaWeb.UserSocket,
+    websocket: [connect_info: [session: @session_options]],
+    longpoll: false
+
   # Serve at "/" the static files from "priv/static" directory.
   #
   # When code reloading is disabled (e.g., in production),
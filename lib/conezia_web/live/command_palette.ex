@@ -0,0 +1,45 @@
+defmodule ConeziaWeb.CommandPalette do
+  @moduledoc """
+  Server side of the Cmd/Ctrl+K command palette.
+
+  The palette lives in the app layout, so its events are delivered to
+  whichever LiveView is currently mounted. This module is attached to every
+  authenticated LiveView through `on_mount` and answers the palette's
+  connection search without each LiveView having to handle it.
+  """
+  import Phoenix.LiveView
+
+  alias Conezia.Entities
+
+  @result_limit 8
+
+  def on_mount(:default, _params, _session, socket) do
+    {:cont, attach_hook(socket, :command_palette, :handle_event, &handle_event/3)}
+  end
+
+  defp handle_event("command-palette-search", %{"query" => query}, socket) do
+    query = String.trim(query)
+
+    results =
+      if query == "" do
+        []
+      else
+        user_id = socket.assigns.current_user.id
+        {entities, _meta} = Entities.list_entities(user_id, search: query, limit: @result_limit)
+        Enum.map(entities, &result_json/1)
+      end
+
+    {:halt, %{results: results}, socket}
+  end
+
+  defp handle_event(_event, _params, socket), do: {:cont, socket}
+
+  defp result_json(entity) do
+    %{
+      id: entity.id,
+      name: if(entity.is_self, do: "#{entity.name} (me)", else: entity.name),
+      type: entity.type || "person",
+      description: entity.description
+    }
+  end
+end
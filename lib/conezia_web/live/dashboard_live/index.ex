@@ -6,6 +6,7 @@ defmodule ConeziaWeb.DashboardLive.Index do
 
   alias Conezia.Entities
   alias Conezia.Reminders
+  alias ConeziaWeb.LiveChanges
 
   @impl true
   def mount(_params, _session, socket) do
@@ -17,10 +18,23 @@ defmodule ConeziaWeb.DashboardLive.Index do
       |> assign_stats(user)
       |> assign_recent_entities(user)
       |> assign_upcoming_reminders(user)
+      |> LiveChanges.watch(["entity", "reminder"])
 
     {:ok, socket}
   end
 
+  # A connection or reminder changed in another tab or on another device
+  @impl true
+  def handle_info({:live_change, _resource, _action, _id}, socket) do
+    user = socket.assigns.current_user
+
+    {:noreply,
+     socket
+     |> assign_stats(user)
+     |> assign_recent_entities(user)
+     |> assign_upcoming_reminders(user)}
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -83,7 +97,7 @@ defmodule ConeziaWeb.DashboardLive.Index do
           <ul :if={@recent_entities != []} role="list" class="divide-y divide-gray-200">
             <li :for={entity <- @recent_entities} class="py-4">
               <.link navigate={~p"/connections/#{entity.id}"} class="flex items-center space-x-4 hover:bg-gray-50 -mx-4 px-4 py-2 rounded-lg">
-                <.avatar name={entity.name} size={:md} />
+                <.avatar name={entity.name} src={entity.avatar_url} size={:md} />
                 <div class="min-w-0 flex-1">
                   <p class="truncate text-sm font-medium text-gray-900">{entity.name}</p>
                   <p class="truncate text-sm text-gray-500">{entity.description || "No description"}</p>
@@ -126,6 +140,7 @@ defmodule ConeziaWeb.DashboardLive.Index do
                   <p class="truncate text-sm font-medium text-gray-900">{reminder.title}</p>
                   <p class="truncate text-sm text-gray-500">
                     Due: {format_datetime(reminder.due_at)}
+                    · <.relative_time id={"dashboard-reminder-due-#{reminder.id}"} value={reminder.due_at} />
                   </p>
                 </div>
                 <.badge color={reminder_type_color(reminder.type)}>
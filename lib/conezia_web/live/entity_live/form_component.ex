@@ -4,13 +4,18 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
   """
   use ConeziaWeb, :live_component
 
+  alias Conezia.Attachments
   alias Conezia.Entities
   alias Conezia.Entities.Relationship
+  alias Conezia.Imports
+
+  # The AvatarEditor hook sends a 512px WebP or JPEG, well under this
+  @max_avatar_size 1_000_000
 
   @impl true
   def render(assigns) do
     ~H"""
-    <div>
+    <div id="entity-form-guard" phx-hook="UnsavedChanges" data-form="entity-form">
       <.header>
         {@title}
         <:subtitle>
@@ -18,6 +23,24 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
         </:subtitle>
       </.header>
 
+      <div
+        :if={@action == :new}
+        id="entity-qr-scan"
+        class="mt-4"
+        phx-hook="QrScan"
+        phx-update="ignore"
+        phx-target={@myself}
+      >
+        <button
+          type="button"
+          data-qr-start
+          class="inline-flex items-center gap-1.5 text-sm font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          <span class="hero-qr-code h-5 w-5" /> Scan a contact QR code
+        </button>
+        <div data-qr-viewer class="hidden"></div>
+      </div>
+
       <.simple_form
         for={@form}
         id="entity-form"
@@ -25,6 +48,48 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
         phx-change="validate"
         phx-submit="save"
       >
+        <div
+          id="entity-avatar-editor"
+          phx-hook="AvatarEditor"
+          phx-update="ignore"
+          phx-target={@myself}
+          data-upload="avatar"
+          data-name={@entity.name}
+        >
+          <div class="flex items-center gap-4">
+            <div data-avatar-preview>
+              <.avatar name={@entity.name} src={@entity.avatar_url} size={:xl} />
+            </div>
+            <div>
+              <div class="flex items-center gap-3">
+                <label class="cursor-pointer rounded-md bg-white px-3 py-1.5 text-sm font-semibold text-gray-900 ring-1 ring-inset ring-gray-300 hover:bg-gray-50">
+                  Choose photo <input type="file" accept="image/*" class="sr-only" data-avatar-file />
+                </label>
+                <button
+                  type="button"
+                  data-avatar-remove
+                  class={["text-sm font-medium text-gray-500 hover:text-gray-700", !@entity.avatar_url && "hidden"]}
+                >
+                  Remove
+                </button>
+              </div>
+              <p class="mt-1 text-xs text-gray-500">Drop or paste an image here too.</p>
+            </div>
+          </div>
+          <input type="hidden" name="entity[avatar_url]" value={@entity.avatar_url} data-avatar-value />
+          <p data-avatar-error class="mt-2 hidden text-sm text-rose-600"></p>
+          <div data-avatar-cropper class="hidden"></div>
+        </div>
+        <.live_file_input upload={@uploads.avatar} class="hidden" />
+        <p :for={error <- upload_errors(@uploads.avatar)} class="text-sm text-rose-600">
+          {avatar_error(error)}
+        </p>
+        <div :for={entry <- @uploads.avatar.entries}>
+          <p :for={error <- upload_errors(@uploads.avatar, entry)} class="text-sm text-rose-600">
+            {avatar_error(error)}
+          </p>
+        </div>
+
         <.input field={@form[:name]} type="text" label="Name" required />
         <.input
           field={@form[:type]}
@@ -35,6 +100,26 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
         />
         <.input field={@form[:description]} type="textarea" label="Description" />
 
+        <div :if={scanned_details?(@scanned)} id="entity-scanned-details" class="rounded-md bg-gray-50 p-3 text-sm">
+          <div class="flex items-center justify-between">
+            <p class="font-medium text-gray-900">Also adding from the QR code</p>
+            <button
+              type="button"
+              phx-click="clear_scanned"
+              phx-target={@myself}
+              class="text-xs font-medium text-gray-500 hover:text-gray-700"
+            >
+              Leave out
+            </button>
+          </div>
+          <ul class="mt-1 space-y-0.5 text-gray-600">
+            <li :for={identifier <- @scanned["identifiers"]}>
+              {humanize_subtype(identifier["type"])}: {identifier["value"]}
+            </li>
+            <li :for={field <- @scanned["custom_fields"]}>{field["name"]}: {field["value"]}</li>
+          </ul>
+        </div>
+
         <div class="border-t border-gray-200 pt-4 mt-4">
           <h3 class="text-sm font-medium text-gray-900 mb-3">Relationship</h3>
           <div class="grid grid-cols-2 gap-4">
@@ -146,6 +231,16 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
     """
   end
 
+  @impl true
+  def mount(socket) do
+    {:ok,
+     allow_upload(socket, :avatar,
+       accept: ~w(.webp .jpg .jpeg),
+       max_entries: 1,
+       max_file_size: @max_avatar_size
+     )}
+  end
+
   @impl true
   def update(%{entity: entity} = assigns, socket) do
     changeset = Entities.change_entity(entity)
@@ -157,6 +252,7 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
      |> assign(:relationship_type, relationship && relationship.type)
      |> assign(:relationship_subtype, relationship && relationship.subtype)
      |> assign(:relationship_custom_label, relationship && relationship.custom_label)
+     |> assign_new(:scanned, fn -> nil end)
      |> assign_form(changeset)}
   end
 
@@ -177,21 +273,64 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
      |> assign(:relationship_subtype, nil)}
   end
 
+  # From the QrScan hook: the name and notes go into the form, identifiers
+  # and custom fields are added once the connection is saved
+  def handle_event("qr-scanned", %{"contact" => contact}, socket) when is_map(contact) do
+    scanned_params =
+      %{"name" => contact["name"], "type" => scanned_type(contact["type"]), "description" => contact["description"]}
+      |> Enum.reject(fn {_key, value} -> value in [nil, ""] end)
+      |> Map.new()
+
+    changeset =
+      socket.assigns.entity
+      |> Entities.change_entity(Map.merge(socket.assigns.form.params || %{}, scanned_params))
+      |> Map.put(:action, :validate)
+
+    {details, rejected} = Imports.valid_contact_details(contact)
+
+    {:reply, %{rejected: rejected},
+     socket
+     |> assign(:scanned, details)
+     |> assign_form(changeset)}
+  end
+
+  def handle_event("clear_scanned", _params, socket) do
+    {:noreply, assign(socket, :scanned, nil)}
+  end
+
+  # From the AvatarEditor hook: a cropped photo that hasn't been saved yet
+  # goes too
+  def handle_event("avatar-removed", _params, socket) do
+    socket =
+      Enum.reduce(socket.assigns.uploads.avatar.entries, socket, fn entry, socket ->
+        cancel_upload(socket, :avatar, entry.ref)
+      end)
+
+    {:noreply, socket}
+  end
+
   def handle_event("save", %{"entity" => entity_params} = params, socket) do
     relationship_params = Map.get(params, "relationship", %{})
     save_entity(socket, socket.assigns.action, entity_params, relationship_params)
   end
 
   defp save_entity(socket, :edit, entity_params, relationship_params) do
-    case Entities.update_entity(socket.assigns.entity, entity_params) do
+    previous = socket.assigns.entity
+
+    case Entities.update_entity(previous, entity_params) do
       {:ok, entity} ->
+        if entity.avatar_url != previous.avatar_url, do: Attachments.delete_avatar_attachment(previous)
         save_or_update_relationship(socket, entity, relationship_params)
+        {avatar_result, entity} = save_avatar(socket, entity)
         notify_parent({:saved, entity})
 
-        {:noreply,
-         socket
-         |> put_flash(:info, "Connection updated successfully")
-         |> push_patch(to: socket.assigns.patch)}
+        socket =
+          case avatar_result do
+            :ok -> put_flash(socket, :info, "Connection updated successfully")
+            :error -> put_flash(socket, :error, "Connection updated, but the photo couldn't be saved")
+          end
+
+        {:noreply, push_patch(socket, to: socket.assigns.patch)}
 
       {:error, %Ecto.Changeset{} = changeset} ->
         {:noreply, assign_form(socket, changeset)}
@@ -204,12 +343,23 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
     case Entities.create_entity(entity_params) do
       {:ok, entity} ->
         save_or_update_relationship(socket, entity, relationship_params)
+        details_result = save_scanned_details(entity, socket.assigns.scanned)
+        {avatar_result, entity} = save_avatar(socket, entity)
         notify_parent({:saved, entity})
 
-        {:noreply,
-         socket
-         |> put_flash(:info, "Connection created successfully")
-         |> push_patch(to: socket.assigns.patch)}
+        socket =
+          case {details_result, avatar_result} do
+            {:ok, :ok} ->
+              put_flash(socket, :info, "Connection created successfully")
+
+            {{:error, _messages}, _avatar_result} ->
+              put_flash(socket, :error, "Connection created, but the details from the QR code couldn't be added")
+
+            {:ok, :error} ->
+              put_flash(socket, :error, "Connection created, but the photo couldn't be added")
+          end
+
+        {:noreply, socket |> assign(:scanned, nil) |> push_patch(to: socket.assigns.patch)}
 
       {:error, %Ecto.Changeset{} = changeset} ->
         {:noreply, assign_form(socket, changeset)}
@@ -242,6 +392,44 @@ defmodule ConeziaWeb.EntityLive.FormComponent do
     end
   end
 
+  # Stores the photo cropped in the AvatarEditor hook, if there is one
+  defp save_avatar(socket, entity) do
+    results =
+      consume_uploaded_entries(socket, :avatar, fn %{path: path}, entry ->
+        upload = %Plug.Upload{path: path, filename: entry.client_name, content_type: entry.client_type}
+        {:ok, Attachments.put_entity_avatar(entity, upload)}
+      end)
+
+    case results do
+      [] -> {:ok, entity}
+      [{:ok, entity}] -> {:ok, entity}
+      [_error] -> {:error, entity}
+    end
+  end
+
+  defp avatar_error(:too_large), do: "The photo is too large"
+  defp avatar_error(:not_accepted), do: "The photo must be a WebP or JPEG image"
+  defp avatar_error(:too_many_files), do: "Choose one photo"
+  defp avatar_error(_error), do: "The photo couldn't be uploaded"
+
+  defp save_scanned_details(_entity, nil), do: :ok
+
+  defp save_scanned_details(entity, scanned) do
+    case Imports.add_contact_details(entity, scanned) do
+      {:ok, _entity} -> :ok
+      error -> error
+    end
+  end
+
+  defp scanned_details?(%{"identifiers" => identifiers, "custom_fields" => custom_fields}),
+    do: identifiers != [] or custom_fields != []
+
+  defp scanned_details?(_scanned), do: false
+
+  # The form offers people and organizations
+  defp scanned_type("organization"), do: "organization"
+  defp scanned_type(_type), do: "person"
+
   defp assign_form(socket, %Ecto.Changeset{} = changeset) do
     assign(socket, :form, to_form(changeset, as: "entity"))
   end
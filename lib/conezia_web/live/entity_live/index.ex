@@ -6,13 +6,22 @@ defmodule ConeziaWeb.EntityLive.Index do
 
   alias Conezia.Entities
   alias Conezia.Entities.{Entity, Relationship}
-
-  @page_size 25
+  alias Conezia.Events
+  alias Conezia.Imports
+  alias Conezia.Validators.ImportValidator
+  alias ConeziaWeb.EntityLive.Vcard
+  alias ConeziaWeb.LiveChanges
+  alias ConeziaWeb.LiveWindow
+
+  # The import wizard previews a few rows and sends the rest in chunks
+  @import_preview_rows 5
+  @import_chunk_size 100
+  @import_sources ~w(csv vcard)
 
   @impl true
   def mount(_params, _session, socket) do
     user = socket.assigns.current_user
-    {entities, meta} = Entities.list_entities(user.id, limit: @page_size, sort: "name")
+    {entities, meta} = Entities.list_entities(user.id, limit: LiveWindow.page_size(), sort: "name")
     entity_ids = Enum.map(entities, & &1.id)
     relationships = Entities.get_relationships_for_entities(user.id, entity_ids)
     total_count = Entities.count_entities(user.id)
@@ -23,11 +32,16 @@ defmodule ConeziaWeb.EntityLive.Index do
       |> assign(:search, "")
       |> assign(:type_filter, nil)
       |> assign(:sort, "name")
+      |> assign(:view_mode, "list")
+      |> assign(:map_markers, [])
       |> assign(:relationships, relationships)
       |> assign(:page, 0)
       |> assign(:has_more, meta.has_more)
       |> assign(:loading, false)
       |> assign(:total_count, total_count)
+      |> assign(:contact_import, nil)
+      |> LiveWindow.assign_window(length(entities))
+      |> LiveChanges.watch(["entity", "event"])
       |> stream(:entities, entities)
 
     {:ok, socket}
@@ -44,10 +58,23 @@ defmodule ConeziaWeb.EntityLive.Index do
     |> assign(:entity, %Entity{})
   end
 
+  defp apply_action(socket, :import, _params) do
+    # The wizard checks for duplicates through the API, which takes a
+    # bearer token rather than the session
+    {:ok, api_token, _claims} =
+      Conezia.Guardian.encode_and_sign(socket.assigns.current_user, %{}, ttl: {15, :minute})
+
+    socket
+    |> assign(:page_title, "Import Connections")
+    |> assign(:entity, nil)
+    |> assign(:api_token, api_token)
+  end
+
   defp apply_action(socket, :index, _params) do
     socket
     |> assign(:page_title, "Connections")
     |> assign(:entity, nil)
+    |> finish_contact_import()
   end
 
   @impl true
@@ -56,7 +83,7 @@ defmodule ConeziaWeb.EntityLive.Index do
     type = socket.assigns.type_filter
     sort = socket.assigns.sort
 
-    {entities, meta} = Entities.list_entities(user.id, search: search, type: type, sort: sort, limit: @page_size)
+    {entities, meta} = Entities.list_entities(user.id, search: search, type: type, sort: sort, limit: LiveWindow.page_size())
     entity_ids = Enum.map(entities, & &1.id)
     relationships = Entities.get_relationships_for_entities(user.id, entity_ids)
     total_count = Entities.count_entities(user.id, search: search, type: type)
@@ -68,7 +95,9 @@ defmodule ConeziaWeb.EntityLive.Index do
       |> assign(:page, 0)
       |> assign(:has_more, meta.has_more)
       |> assign(:total_count, total_count)
+      |> LiveWindow.assign_window(length(entities))
       |> stream(:entities, entities, reset: true)
+      |> maybe_load_map_markers()
 
     {:noreply, socket}
   end
@@ -79,7 +108,7 @@ defmodule ConeziaWeb.EntityLive.Index do
     sort = socket.assigns.sort
     type = if type == "", do: nil, else: type
 
-    {entities, meta} = Entities.list_entities(user.id, search: search, type: type, sort: sort, limit: @page_size)
+    {entities, meta} = Entities.list_entities(user.id, search: search, type: type, sort: sort, limit: LiveWindow.page_size())
     entity_ids = Enum.map(entities, & &1.id)
     relationships = Entities.get_relationships_for_entities(user.id, entity_ids)
     total_count = Entities.count_entities(user.id, search: search, type: type)
@@ -91,7 +120,9 @@ defmodule ConeziaWeb.EntityLive.Index do
       |> assign(:page, 0)
       |> assign(:has_more, meta.has_more)
       |> assign(:total_count, total_count)
+      |> LiveWindow.assign_window(length(entities))
       |> stream(:entities, entities, reset: true)
+      |> maybe_load_map_markers()
 
     {:noreply, socket}
   end
@@ -101,7 +132,7 @@ defmodule ConeziaWeb.EntityLive.Index do
     search = socket.assigns.search
     type = socket.assigns.type_filter
 
-    {entities, meta} = Entities.list_entities(user.id, search: search, type: type, sort: sort, limit: @page_size)
+    {entities, meta} = Entities.list_entities(user.id, search: search, type: type, sort: sort, limit: LiveWindow.page_size())
     entity_ids = Enum.map(entities, & &1.id)
     relationships = Entities.get_relationships_for_entities(user.id, entity_ids)
 
@@ -111,47 +142,26 @@ defmodule ConeziaWeb.EntityLive.Index do
       |> assign(:relationships, relationships)
       |> assign(:page, 0)
       |> assign(:has_more, meta.has_more)
+      |> LiveWindow.assign_window(length(entities))
       |> stream(:entities, entities, reset: true)
 
     {:noreply, socket}
   end
 
-  def handle_event("load-more", _params, socket) do
-    # Prevent duplicate loads
-    if socket.assigns.loading or not socket.assigns.has_more do
-      {:noreply, socket}
-    else
-      user = socket.assigns.current_user
-      search = socket.assigns.search
-      type = socket.assigns.type_filter
-      sort = socket.assigns.sort
-      next_page = socket.assigns.page + 1
-      offset = next_page * @page_size
-
-      socket = assign(socket, :loading, true)
-
-      {entities, meta} = Entities.list_entities(user.id,
-        search: search,
-        type: type,
-        sort: sort,
-        limit: @page_size,
-        offset: offset
-      )
+  def handle_event("switch_view", %{"view" => view_mode}, socket) do
+    {:noreply, socket |> assign(:view_mode, view_mode) |> maybe_load_map_markers()}
+  end
 
-      entity_ids = Enum.map(entities, & &1.id)
-      new_relationships = Entities.get_relationships_for_entities(user.id, entity_ids)
-      relationships = Map.merge(socket.assigns.relationships, new_relationships)
+  def handle_event("load-more", params, socket) do
+    LiveWindow.load_more(socket, :entities, params, &fetch_entities/3, &merge_relationships/2)
+  end
 
-      socket =
-        socket
-        |> assign(:page, next_page)
-        |> assign(:has_more, meta.has_more)
-        |> assign(:loading, false)
-        |> assign(:relationships, relationships)
-        |> stream(:entities, entities)
+  def handle_event("load-previous", _params, socket) do
+    LiveWindow.load_previous(socket, :entities, &fetch_entities/3, &merge_relationships/2)
+  end
 
-      {:noreply, socket}
-    end
+  def handle_event("jump-to", %{"index" => index}, socket) when is_integer(index) do
+    LiveWindow.jump_to(socket, :entities, index, &fetch_entities/3, &merge_relationships/2)
   end
 
   def handle_event("delete", %{"id" => id}, socket) do
@@ -172,6 +182,117 @@ defmodule ConeziaWeb.EntityLive.Index do
     end
   end
 
+  # From the QrShare hook on "My card": the user's own connection
+  def handle_event("vcard-export", %{"scope" => "self"}, socket) do
+    user = socket.assigns.current_user
+
+    contacts =
+      case Entities.get_self_entity(user.id) do
+        nil -> []
+        entity -> Vcard.export(user.id, ids: [entity.id], status: "all")
+      end
+
+    {:reply, %{contacts: contacts, name: user.name || user.email}, socket}
+  end
+
+  # From the VcardExport hook in the header: the whole list as it is
+  # searched and filtered, not just the rows loaded so far
+  def handle_event("vcard-export", _params, socket) do
+    contacts =
+      Vcard.export(socket.assigns.current_user.id,
+        search: socket.assigns.search,
+        type: socket.assigns.type_filter,
+        sort: socket.assigns.sort
+      )
+
+    {:reply, %{contacts: contacts, name: "Conezia connections"}, socket}
+  end
+
+  # Import wizard (ContactImport hook). The file is parsed and mapped in
+  # the browser; the server checks the first rows, then creates connections
+  # chunk by chunk and records the run as an import job.
+  def handle_event("contact-import-preview", %{"source" => source, "mapping" => mapping, "total" => total, "rows" => rows}, socket)
+      when source in @import_sources and is_map(mapping) and is_integer(total) and is_list(rows) do
+    user = socket.assigns.current_user
+
+    errors =
+      [ImportValidator.validate_field_mapping(mapping, source), ImportValidator.validate_record_count(total)]
+      |> Enum.flat_map(fn
+        :ok -> []
+        {:error, message} -> [message]
+      end)
+
+    row_errors =
+      rows
+      |> Enum.take(@import_preview_rows)
+      |> Enum.map(&Imports.validate_contact_row(user.id, contact_row(&1)))
+
+    {:reply, %{errors: errors, rows: row_errors}, socket}
+  end
+
+  def handle_event("contact-import-start", %{"source" => source, "total" => total}, socket)
+      when source in @import_sources and is_integer(total) do
+    user = socket.assigns.current_user
+    socket = finish_contact_import(socket)
+
+    with :ok <- ImportValidator.validate_record_count(total),
+         {:ok, job} <- Imports.create_import_job(%{user_id: user.id, source: source, total_records: total}),
+         {:ok, job} <- Imports.start_import_job(job) do
+      run = %{job: job, processed: 0, created: 0, skipped: 0, errors: []}
+      {:reply, %{chunk_size: @import_chunk_size}, assign(socket, :contact_import, run)}
+    else
+      {:error, %Ecto.Changeset{}} -> {:reply, %{error: "The import couldn't be started"}, socket}
+      {:error, message} -> {:reply, %{error: message}, socket}
+    end
+  end
+
+  def handle_event("contact-import-chunk", %{"rows" => rows, "offset" => offset} = params, socket)
+      when is_list(rows) and is_integer(offset) do
+    case socket.assigns.contact_import do
+      nil ->
+        {:reply, %{error: "No import is running"}, socket}
+
+      run ->
+        user = socket.assigns.current_user
+        skip_duplicates = params["skip_duplicates"] == true
+
+        results =
+          rows
+          |> Enum.take(@import_chunk_size)
+          |> Enum.with_index(offset)
+          |> Enum.map(fn {row, index} ->
+            row = contact_row(row)
+
+            if skip_duplicates and Imports.duplicate_contact?(user.id, row) do
+              :skipped
+            else
+              case Imports.import_contact_row(user.id, row, run.job.source) do
+                {:ok, _entity} -> :created
+                {:error, messages} -> {:failed, %{row: index, name: row["name"], errors: messages}}
+              end
+            end
+          end)
+
+        created = Enum.count(results, &(&1 == :created))
+        skipped = Enum.count(results, &(&1 == :skipped))
+        failed = for {:failed, failure} <- results, do: failure
+
+        run = %{
+          run
+          | processed: run.processed + length(results),
+            created: run.created + created,
+            skipped: run.skipped + skipped,
+            errors: run.errors ++ failed
+        }
+
+        {:reply, %{created: created, skipped: skipped, failed: failed}, assign(socket, :contact_import, run)}
+    end
+  end
+
+  def handle_event("contact-import-finish", _params, socket) do
+    {:reply, %{}, finish_contact_import(socket)}
+  end
+
   @impl true
   def handle_info({ConeziaWeb.EntityLive.FormComponent, {:saved, entity}}, socket) do
     user = socket.assigns.current_user
@@ -184,6 +305,36 @@ defmodule ConeziaWeb.EntityLive.Index do
      |> stream_insert(:entities, entity, at: 0)}
   end
 
+  # A connection changed in another tab or on another device. Archived ones
+  # leave the list, like deleted ones and ones that no longer match the
+  # search or type filter.
+  def handle_info({:live_change, "entity", action, id}, socket) do
+    user = socket.assigns.current_user
+
+    entity =
+      if action != "deleted" do
+        {entities, _meta} = fetch_entities(socket, 0, 1, ids: [id])
+        List.first(entities)
+      end
+
+    socket =
+      if entity do
+        socket
+        |> merge_relationships([entity])
+        |> stream_insert(:entities, entity, LiveChanges.stream_opts(action))
+      else
+        stream_delete_by_dom_id(socket, :entities, "entities-#{id}")
+      end
+
+    total_count = Entities.count_entities(user.id, search: socket.assigns.search, type: socket.assigns.type_filter)
+    {:noreply, socket |> assign(:total_count, total_count) |> maybe_load_map_markers()}
+  end
+
+  # The map places connections by their events
+  def handle_info({:live_change, "event", _action, _id}, socket) do
+    {:noreply, maybe_load_map_markers(socket)}
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -192,12 +343,44 @@ defmodule ConeziaWeb.EntityLive.Index do
         Connections
         <:subtitle>Manage your relationships with people, organizations, and more</:subtitle>
         <:actions>
-          <.link patch={~p"/connections/new"}>
-            <.button>
-              <span class="hero-plus -ml-0.5 mr-1.5 h-5 w-5" />
-              Add Connection
-            </.button>
-          </.link>
+          <div class="flex items-center gap-2">
+            <.link
+              patch={~p"/connections/import"}
+              class="rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+            >
+              <span class="hero-arrow-up-tray h-4 w-4" /> Import
+            </.link>
+            <button
+              id="connections-export"
+              type="button"
+              phx-hook="VcardExport"
+              data-scope="list"
+              class="rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+            >
+              <span class="hero-arrow-down-tray h-4 w-4" /> Export vCard
+            </button>
+            <div id="my-card-share" class="relative" phx-hook="QrShare" phx-update="ignore" data-scope="self">
+              <button
+                type="button"
+                data-qr-toggle
+                aria-expanded="false"
+                class="rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+              >
+                <span class="hero-qr-code h-4 w-4" /> My card
+              </button>
+              <div
+                data-qr-panel
+                class="hidden absolute right-0 z-20 mt-2 w-72 rounded-lg bg-white p-4 shadow-lg ring-1 ring-gray-200"
+              >
+              </div>
+            </div>
+            <.link patch={~p"/connections/new"}>
+              <.button>
+                <span class="hero-plus -ml-0.5 mr-1.5 h-5 w-5" />
+                Add Connection
+              </.button>
+            </.link>
+          </div>
         </:actions>
       </.header>
 
@@ -223,7 +406,29 @@ defmodule ConeziaWeb.EntityLive.Index do
         </div>
 
         <div class="flex gap-2">
-          <form phx-change="sort">
+          <%!-- View toggle --%>
+          <div class="flex rounded-lg shadow-sm">
+            <button
+              type="button"
+              phx-click="switch_view"
+              phx-value-view="list"
+              aria-label="List view"
+              class={"relative inline-flex items-center rounded-l-lg px-3 py-2 text-sm font-medium ring-1 ring-inset ring-gray-300 focus:z-10 #{if @view_mode == "list", do: "bg-indigo-600 text-white", else: "bg-white text-gray-900 hover:bg-gray-50"}"}
+            >
+              <span class="hero-list-bullet h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              phx-click="switch_view"
+              phx-value-view="map"
+              aria-label="Map view"
+              class={"relative -ml-px inline-flex items-center rounded-r-lg px-3 py-2 text-sm font-medium ring-1 ring-inset ring-gray-300 focus:z-10 #{if @view_mode == "map", do: "bg-indigo-600 text-white", else: "bg-white text-gray-900 hover:bg-gray-50"}"}
+            >
+              <span class="hero-map h-4 w-4" />
+            </button>
+          </div>
+
+          <form :if={@view_mode == "list"} phx-change="sort">
             <select
               name="sort"
               class="block rounded-lg border-gray-300 text-sm focus:border-indigo-500 focus:ring-indigo-500"
@@ -249,18 +454,52 @@ defmodule ConeziaWeb.EntityLive.Index do
         </div>
       </div>
 
-      <!-- Entity list -->
-      <div class="bg-white shadow ring-1 ring-gray-200 rounded-lg overflow-hidden">
-        <ul id="entities" phx-update="stream" role="list" class="divide-y divide-gray-200">
+      <!-- Map of connections, placed at their latest event with a location -->
+      <div :if={@view_mode == "map"} class="bg-white shadow ring-1 ring-gray-200 rounded-lg p-4">
+        <div
+          id="entities-map"
+          phx-hook="MarkerMap"
+          phx-update="ignore"
+          data-markers={Jason.encode!(@map_markers)}
+          data-fit-key={"#{@search}|#{@type_filter}"}
+          class="h-[32rem] w-full rounded-lg border border-gray-200"
+        >
+        </div>
+        <p :if={@map_markers == []} class="mt-3 text-center text-sm text-gray-500">
+          Connections show up here once they're linked to an event with a location.
+        </p>
+      </div>
+
+      <!-- Entity list (kept while the map is shown, so its stream survives) -->
+      <div class={"bg-white shadow ring-1 ring-gray-200 rounded-lg overflow-hidden #{if @view_mode == "map", do: "hidden"}"}>
+        <div id="entities-spacer-top" phx-update="ignore"></div>
+        <ul
+          id="entities"
+          phx-update="stream"
+          phx-hook="VirtualList"
+          data-virtualized={to_string(@virtualized)}
+          data-total={@total_count}
+          data-has-more={to_string(@has_more)}
+          data-window-start={@window_start}
+          data-window-end={@window_end}
+          data-row-estimate="97"
+          data-shortcut-list
+          role="list"
+          class="divide-y divide-gray-200"
+        >
           <li
             :for={{dom_id, entity} <- @streams.entities}
             id={dom_id}
             class="hover:bg-gray-50"
           >
             <div class="flex items-center px-4 py-4 sm:px-6">
-              <.link navigate={~p"/connections/#{entity.id}"} class="flex min-w-0 flex-1 items-center">
+              <.link
+                navigate={~p"/connections/#{entity.id}"}
+                data-shortcut="open"
+                class="flex min-w-0 flex-1 items-center"
+              >
                 <div class="flex-shrink-0">
-                  <.avatar name={entity.name} size={:lg} />
+                  <.avatar name={entity.name} src={entity.avatar_url} size={:lg} />
                 </div>
                 <div class="min-w-0 flex-1 px-4">
                   <div>
@@ -288,6 +527,7 @@ defmodule ConeziaWeb.EntityLive.Index do
               <div class="flex items-center gap-1 ml-4">
                 <.link
                   patch={~p"/connections/#{entity.id}/edit"}
+                  data-shortcut="edit"
                   class="inline-flex items-center justify-center p-2 rounded-md border border-gray-300 bg-white text-gray-700 shadow-sm hover:bg-gray-50 hover:text-indigo-600"
                   title="Edit"
                 >
@@ -298,6 +538,7 @@ defmodule ConeziaWeb.EntityLive.Index do
                   type="button"
                   phx-click="delete"
                   phx-value-id={entity.id}
+                  data-shortcut="delete"
                   data-confirm="Are you sure you want to delete this connection?"
                   class="inline-flex items-center justify-center p-2 rounded-md border border-gray-300 bg-white text-gray-700 shadow-sm hover:bg-gray-50 hover:text-red-600"
                   title="Delete"
@@ -310,21 +551,32 @@ defmodule ConeziaWeb.EntityLive.Index do
             </div>
           </li>
         </ul>
+        <div id="entities-spacer-bottom" phx-update="ignore"></div>
 
-        <!-- Infinite scroll trigger -->
+        <!-- Infinite scroll trigger (windowed lists load through VirtualList) -->
         <div
-          :if={@has_more}
+          :if={not @virtualized}
           id="infinite-scroll-trigger"
           phx-hook="InfiniteScroll"
-          class="py-4 flex justify-center"
+          data-page={@page}
+          data-has-more={to_string(@has_more)}
+          data-list-key={list_key(@search, @type_filter, @sort)}
+          data-root-margin="600px 0px"
+          class="group py-4 flex justify-center data-[state=done]:hidden"
         >
-          <div class="flex items-center gap-2 text-gray-500">
+          <div class="hidden group-data-[state=loading]:flex items-center gap-2 text-gray-500">
             <svg class="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
               <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
               <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
             </svg>
             <span>Loading more...</span>
           </div>
+          <div class="hidden group-data-[state=error]:flex items-center gap-2 text-sm text-red-600">
+            <span>Couldn't load more connections.</span>
+            <button type="button" data-retry class="font-medium text-indigo-600 hover:text-indigo-500">
+              Retry
+            </button>
+          </div>
         </div>
 
         <div :if={@streams.entities.inserts == []} class="py-12">
@@ -360,10 +612,108 @@ defmodule ConeziaWeb.EntityLive.Index do
           patch={~p"/connections"}
         />
       </.modal>
+
+      <.modal
+        :if={@live_action == :import}
+        id="import-modal"
+        show
+        on_cancel={JS.patch(~p"/connections")}
+      >
+        <.header>
+          Import Connections
+          <:subtitle>From a vCard (.vcf) or CSV file exported from your phone, email or another app</:subtitle>
+        </.header>
+        <div
+          id="contact-import"
+          class="mt-6"
+          phx-hook="ContactImport"
+          phx-update="ignore"
+          data-api-token={@api_token}
+          data-max-file-size={ImportValidator.max_file_size()}
+          data-max-records={ImportValidator.max_records_per_import()}
+        >
+          <label
+            data-import-drop
+            class="flex cursor-pointer flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed border-gray-300 px-4 py-10 text-sm text-gray-500 hover:border-indigo-400"
+          >
+            <span class="hero-arrow-up-tray h-8 w-8 text-gray-400" />
+            <span>
+              Drop a .vcf or .csv file here or <span class="font-medium text-indigo-600">choose one</span>
+            </span>
+            <input type="file" accept=".vcf,.vcard,.csv,text/vcard,text/csv" class="sr-only" data-import-file />
+          </label>
+          <div data-import-step class="hidden"></div>
+        </div>
+      </.modal>
     </div>
     """
   end
 
+  # Rows come from the browser; anything that isn't a map imports as an
+  # empty row and fails validation
+  defp contact_row(row) when is_map(row), do: row
+  defp contact_row(_row), do: %{}
+
+  # Records the counts of the running import, also when the wizard was
+  # closed before it was done
+  defp finish_contact_import(%{assigns: %{contact_import: %{job: job} = run}} = socket) do
+    {:ok, _job} =
+      Imports.complete_import_job(job,
+        processed_records: run.processed,
+        created_records: run.created,
+        skipped_records: run.skipped,
+        error_log: run.errors
+      )
+
+    assign(socket, :contact_import, nil)
+  end
+
+  defp finish_contact_import(socket), do: socket
+
+  defp fetch_entities(socket, offset, limit, opts \\ []) do
+    Entities.list_entities(socket.assigns.current_user.id,
+      [
+        search: socket.assigns.search,
+        type: socket.assigns.type_filter,
+        sort: socket.assigns.sort,
+        limit: limit,
+        offset: offset
+      ] ++ opts
+    )
+  end
+
+  defp maybe_load_map_markers(%{assigns: %{view_mode: "map"}} = socket) do
+    markers =
+      Events.list_entity_locations(socket.assigns.current_user.id,
+        search: socket.assigns.search,
+        type: socket.assigns.type_filter
+      )
+      |> Enum.map(fn entity ->
+        %{
+          id: entity.id,
+          lat: entity.latitude,
+          lng: entity.longitude,
+          title: entity.name,
+          subtitle: entity.location,
+          url: ~p"/connections/#{entity.id}",
+          link: "redirect"
+        }
+      end)
+
+    assign(socket, :map_markers, markers)
+  end
+
+  defp maybe_load_map_markers(socket), do: socket
+
+  defp merge_relationships(socket, entities) do
+    user = socket.assigns.current_user
+    entity_ids = Enum.map(entities, & &1.id)
+    new_relationships = Entities.get_relationships_for_entities(user.id, entity_ids)
+    assign(socket, :relationships, Map.merge(socket.assigns.relationships, new_relationships))
+  end
+
+  defp list_key(search, type_filter, sort), do: "#{search}|#{type_filter}|#{sort}"
+
   defp entity_type_color("person"), do: :blue
   defp entity_type_color("organization"), do: :indigo
   defp entity_type_color(_), do: :gray
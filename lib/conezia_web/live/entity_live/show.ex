@@ -4,6 +4,7 @@ defmodule ConeziaWeb.EntityLive.Show do
   """
   use ConeziaWeb, :live_view
 
+  alias Conezia.Attachments
   alias Conezia.Entities
   alias Conezia.Entities.{Relationship, EntityRelationship}
   alias Conezia.Interactions
@@ -12,6 +13,9 @@ defmodule ConeziaWeb.EntityLive.Show do
   alias Conezia.Gifts
   alias Conezia.Events
   alias Conezia.Integrations.Gmail
+  alias ConeziaWeb.EventLive.Ics
+  alias Conezia.Validators.AttachmentValidator
+  alias ConeziaWeb.EntityLive.Vcard
 
   @impl true
   def mount(%{"id" => id}, _session, socket) do
@@ -49,6 +53,7 @@ defmodule ConeziaWeb.EntityLive.Show do
           |> assign(:interactions, list_interactions(entity.id, user.id))
           |> assign(:entity_events, Events.list_events_for_entity(entity.id, user.id, limit: 10))
           |> assign(:reminders, list_reminders(entity.id, user.id))
+          |> assign(:attachments, Attachments.list_attachments_for_entity(entity.id, user.id))
           |> assign(:last_communication, last_communication)
           |> assign(:last_event, last_event)
           |> assign(:last_gmail_email, last_gmail_email)
@@ -77,6 +82,7 @@ defmodule ConeziaWeb.EntityLive.Show do
   defp apply_action(socket, :show, _params) do
     socket
     |> assign(:page_title, socket.assigns.entity.name)
+    |> push_offline_snapshot()
   end
 
   defp apply_action(socket, :edit, _params) do
@@ -170,6 +176,21 @@ defmodule ConeziaWeb.EntityLive.Show do
     end
   end
 
+  # From the IcsExport hook on the events card
+  def handle_event("ics-export", _params, socket) do
+    entity = socket.assigns.entity
+    events = Events.list_events_for_export(socket.assigns.current_user.id, entity_id: entity.id)
+    {:reply, %{events: Ics.export(events), name: entity.name}, socket}
+  end
+
+  # From the VcardExport and QrShare hooks in the header. Archived
+  # connections export from their own page too.
+  def handle_event("vcard-export", _params, socket) do
+    entity = socket.assigns.entity
+    contacts = Vcard.export(socket.assigns.current_user.id, ids: [entity.id], status: "all")
+    {:reply, %{contacts: contacts, name: entity.name}, socket}
+  end
+
   # Entity relationship events
   def handle_event("add_entity_relationship", _params, socket) do
     user = socket.assigns.current_user
@@ -505,6 +526,7 @@ defmodule ConeziaWeb.EntityLive.Show do
          socket
          |> assign(:interactions, interactions)
          |> assign(:adding_interaction, false)
+         |> push_event("clear-draft", %{id: "interaction:new:#{entity.id}"})
          |> put_flash(:info, "Interaction logged successfully")}
 
       {:error, _changeset} ->
@@ -551,6 +573,7 @@ defmodule ConeziaWeb.EntityLive.Show do
          socket
          |> assign(:interactions, interactions)
          |> assign(:editing_interaction, nil)
+         |> push_event("clear-draft", %{id: "interaction:#{interaction.id}"})
          |> put_flash(:info, "Interaction updated successfully")}
 
       {:error, _changeset} ->
@@ -575,6 +598,7 @@ defmodule ConeziaWeb.EntityLive.Show do
              socket
              |> assign(:interactions, interactions)
              |> assign(:editing_interaction, nil)
+             |> push_event("clear-draft", %{id: "interaction:#{interaction.id}"})
              |> put_flash(:info, "Interaction deleted")}
 
           {:error, _} ->
@@ -583,6 +607,60 @@ defmodule ConeziaWeb.EntityLive.Show do
     end
   end
 
+  # From the NoteEditor hook: @mentions search connections the way
+  # SearchableSelect does
+  def handle_event("search-entities", %{"query" => query}, socket) do
+    %{current_user: user, entity: entity} = socket.assigns
+    {entities, _meta} = Entities.list_entities(user.id, search: query, limit: 20)
+
+    results =
+      entities
+      |> Enum.reject(&(&1.id == entity.id))
+      |> Enum.map(&%{value: &1.id, text: &1.name})
+
+    {:reply, %{results: results}, socket}
+  end
+
+  # From the NoteEditor hook: #tags complete against the user's tags
+  def handle_event("search-tags", %{"query" => query}, socket) do
+    query = String.downcase(query)
+
+    results =
+      socket.assigns.current_user.id
+      |> Entities.list_tags()
+      |> Enum.map(&%{value: tag_token(&1.name), text: &1.name})
+      |> Enum.filter(&String.contains?(String.downcase(&1.value), query))
+      |> Enum.take(10)
+
+    {:reply, %{results: results}, socket}
+  end
+
+  # From the AttachmentUpload hook, once a file has been stored
+  def handle_event("attachment-uploaded", _params, socket) do
+    {:noreply, reload_attachments(socket)}
+  end
+
+  def handle_event("delete_attachment", %{"id" => id}, socket) do
+    user = socket.assigns.current_user
+
+    case Attachments.get_attachment_for_user(id, user.id) do
+      nil ->
+        {:noreply, put_flash(socket, :error, "Attachment not found")}
+
+      attachment ->
+        case Attachments.soft_delete_attachment(attachment) do
+          {:ok, _} ->
+            {:noreply,
+             socket
+             |> reload_attachments()
+             |> put_flash(:info, "Attachment deleted")}
+
+          {:error, _} ->
+            {:noreply, put_flash(socket, :error, "Failed to delete attachment")}
+        end
+    end
+  end
+
   def handle_event("advance_gift_status", %{"id" => id}, socket) do
     user = socket.assigns.current_user
 
@@ -648,7 +726,7 @@ defmodule ConeziaWeb.EntityLive.Show do
 
       <div class="md:flex md:items-center md:justify-between">
         <div class="min-w-0 flex-1 flex items-center gap-4">
-          <.avatar name={@entity.name} size={:xl} />
+          <.avatar name={@entity.name} src={@entity.avatar_url} size={:xl} />
           <div>
             <h1 class="text-2xl font-bold leading-7 text-gray-900 sm:truncate sm:text-3xl sm:tracking-tight">
               {@entity.name}
@@ -682,6 +760,41 @@ defmodule ConeziaWeb.EntityLive.Show do
             <.icon name="hero-arrows-pointing-in" class="mr-1.5 h-5 w-5" />
             Merge
           </.button>
+          <.button
+            id="entity-vcard-export"
+            type="button"
+            phx-hook="VcardExport"
+            data-scope="entity"
+            data-id={@entity.id}
+            data-filename={@entity.name}
+            class="inline-flex items-center !bg-white !text-gray-700 ring-1 ring-gray-300 hover:!bg-gray-50"
+          >
+            <.icon name="hero-arrow-down-tray" class="mr-1.5 h-5 w-5" />
+            Export vCard
+          </.button>
+          <div
+            id="entity-qr-share"
+            class="relative"
+            phx-hook="QrShare"
+            phx-update="ignore"
+            data-scope="entity"
+            data-id={@entity.id}
+          >
+            <.button
+              type="button"
+              data-qr-toggle
+              aria-expanded="false"
+              class="inline-flex items-center !bg-white !text-gray-700 ring-1 ring-gray-300 hover:!bg-gray-50"
+            >
+              <.icon name="hero-qr-code" class="mr-1.5 h-5 w-5" />
+              Share
+            </.button>
+            <div
+              data-qr-panel
+              class="hidden absolute right-0 z-20 mt-2 w-72 rounded-lg bg-white p-4 shadow-lg ring-1 ring-gray-200"
+            >
+            </div>
+          </div>
           <.button
             phx-click="delete"
             data-confirm="Are you sure you want to delete this connection? This action cannot be undone."
@@ -1265,7 +1378,7 @@ defmodule ConeziaWeb.EntityLive.Show do
                     navigate={~p"/connections/#{other_entity_id(rel, @entity.id)}"}
                     class="flex items-start gap-3 hover:bg-gray-50 -ml-2 pl-2 pr-3 py-1 rounded-md flex-1"
                   >
-                    <.avatar name={other_entity_name(rel, @entity.id)} size={:sm} />
+                    <.avatar name={other_entity_name(rel, @entity.id)} src={other_entity(rel, @entity.id).avatar_url} size={:sm} />
                     <div class="min-w-0 flex-1">
                       <p class="text-sm font-medium text-gray-900">{other_entity_name(rel, @entity.id)}</p>
                       <p class="text-xs text-gray-500">
@@ -1490,7 +1603,17 @@ defmodule ConeziaWeb.EntityLive.Show do
 
             <!-- Add interaction form -->
             <div :if={@adding_interaction} class="mb-4 p-4 bg-gray-50 rounded-lg">
-              <form phx-submit="save_interaction" class="space-y-3">
+              <form
+                id="interaction-form"
+                phx-submit="save_interaction"
+                phx-hook="FormDraft"
+                data-draft={"interaction:new:#{@entity.id}"}
+                data-outbox="interaction"
+                data-outbox-entity-id={@entity.id}
+                data-outbox-label={"Log interaction with #{@entity.name}"}
+                class="space-y-3"
+              >
+                <.draft_banner id="interaction-form-draft" />
                 <div class="grid grid-cols-2 gap-3">
                   <div>
                     <label class="block text-sm font-medium text-gray-700">Type</label>
@@ -1527,13 +1650,7 @@ defmodule ConeziaWeb.EntityLive.Show do
                 </div>
                 <div>
                   <label class="block text-sm font-medium text-gray-700">Notes</label>
-                  <textarea
-                    name="interaction[content]"
-                    rows="3"
-                    required
-                    placeholder="What did you discuss? Key takeaways..."
-                    class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
-                  ></textarea>
+                  <.note_editor id="interaction-notes" />
                 </div>
                 <div class="flex gap-2 justify-end">
                   <button
@@ -1555,7 +1672,14 @@ defmodule ConeziaWeb.EntityLive.Show do
 
             <!-- Edit interaction form -->
             <div :if={@editing_interaction} class="mb-4 p-4 bg-gray-50 rounded-lg">
-              <form phx-submit="update_interaction" class="space-y-3">
+              <form
+                id={"interaction-edit-form-#{@editing_interaction.id}"}
+                phx-submit="update_interaction"
+                phx-hook="FormDraft"
+                data-draft={"interaction:#{@editing_interaction.id}"}
+                class="space-y-3"
+              >
+                <.draft_banner id={"interaction-edit-form-#{@editing_interaction.id}-draft"} />
                 <div class="grid grid-cols-2 gap-3">
                   <div>
                     <label class="block text-sm font-medium text-gray-700">Type</label>
@@ -1593,12 +1717,10 @@ defmodule ConeziaWeb.EntityLive.Show do
                 </div>
                 <div>
                   <label class="block text-sm font-medium text-gray-700">Notes</label>
-                  <textarea
-                    name="interaction[content]"
-                    rows="3"
-                    required
-                    class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
-                  >{@editing_interaction.content}</textarea>
+                  <.note_editor
+                    id={"interaction-notes-#{@editing_interaction.id}"}
+                    value={@editing_interaction.content}
+                  />
                 </div>
                 <div class="flex gap-2 justify-end">
                   <button
@@ -1636,7 +1758,15 @@ defmodule ConeziaWeb.EntityLive.Show do
                       {String.capitalize(interaction.type)}
                       <span :if={interaction.title} class="font-normal text-gray-600"> - {interaction.title}</span>
                     </p>
-                    <p :if={interaction.content} class="mt-1 text-sm text-gray-500 line-clamp-2">{interaction.content}</p>
+                    <p :if={interaction.entity_id != @entity.id} class="text-xs text-gray-500">
+                      Mentioned in notes with
+                      <.link navigate={~p"/connections/#{interaction.entity_id}"} class="font-medium text-indigo-600 hover:text-indigo-500">
+                        {interaction.entity.name}
+                      </.link>
+                    </p>
+                    <div :if={interaction.content} class="mt-1 space-y-2 break-words text-sm text-gray-500">
+                      {ConeziaWeb.Markdown.to_html(interaction.content)}
+                    </div>
                     <p class="mt-1 text-xs text-gray-400">{format_datetime(interaction.occurred_at)}</p>
                   </div>
                   <div class="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
@@ -1662,6 +1792,90 @@ defmodule ConeziaWeb.EntityLive.Show do
               </li>
             </ul>
           </.card>
+          <!-- Attachments -->
+          <.card>
+            <:header>
+              <div class="flex items-center justify-between">
+                <span>Attachments</span>
+                <label
+                  for="entity-attachment-file"
+                  class="cursor-pointer text-xs font-medium text-indigo-600 hover:text-indigo-500"
+                >
+                  + Add files
+                </label>
+              </div>
+            </:header>
+            <div
+              id="entity-attachment-upload"
+              phx-hook="AttachmentUpload"
+              phx-update="ignore"
+              data-entity-id={@entity.id}
+              data-types={Jason.encode!(AttachmentValidator.allowed_mime_types())}
+              data-max-file-size={AttachmentValidator.max_file_size()}
+              data-max-filename-length={AttachmentValidator.max_filename_length()}
+            >
+              <label
+                data-attachment-drop
+                class="flex cursor-pointer flex-col items-center justify-center rounded-lg border-2 border-dashed border-gray-300 px-4 py-6 text-center hover:border-gray-400"
+              >
+                <.icon name="hero-paper-clip" class="h-6 w-6 text-gray-400" />
+                <span class="mt-2 text-sm text-gray-600">
+                  Drop files here, paste them, or <span class="font-medium text-indigo-600">browse</span>
+                </span>
+                <span class="mt-1 text-xs text-gray-500">
+                  Images, PDFs, text, CSV, Office documents and ZIP files up to {format_file_size(AttachmentValidator.max_file_size())}
+                </span>
+                <input
+                  id="entity-attachment-file"
+                  type="file"
+                  multiple
+                  accept={attachment_accept()}
+                  class="sr-only"
+                  data-attachment-file
+                />
+              </label>
+              <ul data-attachment-queue role="list" class="mt-3 space-y-2"></ul>
+            </div>
+            <div id="entity-attachments" phx-hook="AttachmentViewer">
+              <p :if={@attachments == []} class="mt-4 text-sm text-gray-500">No attachments yet.</p>
+              <ul :if={@attachments != []} role="list" class="mt-4 grid grid-cols-2 gap-3 sm:grid-cols-3">
+                <li :for={attachment <- @attachments} id={"attachment-#{attachment.id}"} class="group relative">
+                  <button
+                    :if={viewable_attachment?(attachment)}
+                    type="button"
+                    data-attachment-view
+                    data-src={~p"/attachments/#{attachment.id}"}
+                    data-download={~p"/attachments/#{attachment.id}?download=true"}
+                    data-type={attachment.mime_type}
+                    data-name={attachment.filename}
+                    class="block w-full overflow-hidden rounded-md ring-1 ring-gray-200 hover:ring-indigo-500"
+                  >
+                    <.attachment_thumbnail attachment={attachment} />
+                  </button>
+                  <a
+                    :if={!viewable_attachment?(attachment)}
+                    href={~p"/attachments/#{attachment.id}?download=true"}
+                    class="block overflow-hidden rounded-md ring-1 ring-gray-200 hover:ring-indigo-500"
+                  >
+                    <.attachment_thumbnail attachment={attachment} />
+                  </a>
+                  <p class="mt-1 truncate text-xs font-medium text-gray-900" title={attachment.filename}>
+                    {attachment.filename}
+                  </p>
+                  <p class="text-xs text-gray-500">{format_file_size(attachment.size_bytes)}</p>
+                  <button
+                    phx-click="delete_attachment"
+                    phx-value-id={attachment.id}
+                    data-confirm={"Delete #{attachment.filename}?"}
+                    title="Delete"
+                    class="absolute right-1 top-1 rounded bg-white/90 p-1 text-gray-400 opacity-0 shadow-sm transition-opacity hover:text-red-600 group-hover:opacity-100"
+                  >
+                    <.icon name="hero-trash" class="h-4 w-4" />
+                  </button>
+                </li>
+              </ul>
+            </div>
+          </.card>
         </div>
 
         <!-- Sidebar with activity and reminders -->
@@ -1744,7 +1958,10 @@ defmodule ConeziaWeb.EntityLive.Show do
                 <div class="flex items-center justify-between">
                   <div class="min-w-0 flex-1">
                     <p class="truncate text-sm font-medium text-gray-900">{reminder.title}</p>
-                    <p class="text-xs text-gray-500">{format_datetime(reminder.due_at)}</p>
+                    <p class="text-xs text-gray-500">
+                      {format_datetime(reminder.due_at)}
+                      · <.relative_time id={"entity-reminder-due-#{reminder.id}"} value={reminder.due_at} />
+                    </p>
                   </div>
                   <.badge color={reminder_type_color(reminder.type)}>
                     {humanize_type(reminder.type)}
@@ -1759,9 +1976,22 @@ defmodule ConeziaWeb.EntityLive.Show do
             <:header>
               <div class="flex items-center justify-between">
                 <span>Events</span>
-                <.link navigate={~p"/events/new"} class="text-sm font-medium text-indigo-600 hover:text-indigo-500">
-                  Add →
-                </.link>
+                <div class="flex items-center gap-3">
+                  <button
+                    :if={@entity_events != []}
+                    id="entity-events-export"
+                    type="button"
+                    phx-hook="IcsExport"
+                    data-scope="entity"
+                    data-filename={"#{@entity.name} events"}
+                    class="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+                  >
+                    Export .ics
+                  </button>
+                  <.link navigate={~p"/events/new"} class="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+                    Add →
+                  </.link>
+                </div>
               </div>
             </:header>
             <div :if={@entity_events == []} class="py-8">
@@ -1777,7 +2007,13 @@ defmodule ConeziaWeb.EntityLive.Show do
                   <div class="min-w-0 flex-1">
                     <p class="truncate text-sm font-medium text-gray-900">{event.title}</p>
                     <p class="text-xs text-gray-500">
-                      {format_event_datetime(event.starts_at, event.all_day)}
+                      <.local_time
+                        id={"entity-event-starts-#{event.id}"}
+                        value={event.starts_at}
+                        all_day={event.all_day}
+                      >
+                        {format_event_datetime(event.starts_at, event.all_day)}
+                      </.local_time>
                       <span :if={event.location} class="ml-1">· {event.location}</span>
                     </p>
                   </div>
@@ -1788,7 +2024,7 @@ defmodule ConeziaWeb.EntityLive.Show do
                 <div
                   :if={event.latitude && event.longitude}
                   id={"entity-event-map-#{event.id}"}
-                  phx-hook="GoogleMap"
+                  phx-hook="LocationMap"
                   phx-update="ignore"
                   data-lat={event.latitude}
                   data-lng={event.longitude}
@@ -1884,7 +2120,7 @@ defmodule ConeziaWeb.EntityLive.Show do
                     data-confirm={"Merge \"#{@entity.name}\" into \"#{candidate.name}\"? This cannot be undone."}
                     class="w-full flex items-center gap-3 p-2 rounded-md hover:bg-gray-50 text-left"
                   >
-                    <.avatar name={candidate.name} size={:sm} />
+                    <.avatar name={candidate.name} src={candidate.avatar_url} size={:sm} />
                     <div class="min-w-0 flex-1">
                       <p class="text-sm font-medium text-gray-900">{candidate.name}</p>
                       <p class="text-xs text-gray-500 truncate">{candidate.description || "No description"}</p>
@@ -1911,7 +2147,7 @@ defmodule ConeziaWeb.EntityLive.Show do
   end
 
   defp list_interactions(entity_id, user_id) do
-    case Interactions.list_interactions(user_id, entity_id: entity_id, limit: 5) do
+    case Interactions.list_interactions(user_id, entity_id: entity_id, include_mentions: true, limit: 5) do
       {interactions, _meta} -> interactions
       interactions when is_list(interactions) -> interactions
     end
@@ -1995,6 +2231,114 @@ defmodule ConeziaWeb.EntityLive.Show do
 
   defp humanize_type(_), do: "Reminder"
 
+  attr :id, :string, required: true
+  attr :value, :string, default: nil
+
+  defp note_editor(assigns) do
+    ~H"""
+    <div id={@id} phx-hook="NoteEditor" phx-update="ignore" class="relative mt-1">
+      <div class="flex items-center gap-1 rounded-t-md border border-b-0 border-gray-300 bg-white px-1 py-1">
+        <button
+          :for={{format, icon, label} <- note_formats()}
+          type="button"
+          data-note-format={format}
+          title={label}
+          aria-label={label}
+          class="rounded p-1 text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+        >
+          <.icon name={icon} class="h-4 w-4" />
+        </button>
+        <span class="ml-auto pr-1 text-xs text-gray-400">@ to mention, # to tag</span>
+      </div>
+      <textarea
+        name="interaction[content]"
+        rows="4"
+        required
+        data-note-input
+        placeholder="What did you discuss? Key takeaways..."
+        class="block w-full rounded-b-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+      >{@value}</textarea>
+      <ul
+        data-note-suggestions
+        role="listbox"
+        class="absolute left-0 right-0 z-10 mt-1 hidden max-h-60 overflow-auto rounded-md bg-white py-1 text-sm shadow-lg ring-1 ring-black/5"
+      >
+      </ul>
+    </div>
+    """
+  end
+
+  defp note_formats do
+    [
+      {"bold", "hero-bold", "Bold (Ctrl+B)"},
+      {"italic", "hero-italic", "Italic (Ctrl+I)"},
+      {"bullets", "hero-list-bullet", "Bulleted list"},
+      {"numbers", "hero-numbered-list", "Numbered list"},
+      {"link", "hero-link", "Link (Ctrl+K)"}
+    ]
+  end
+
+  # #tags in notes can't hold spaces or punctuation
+  defp tag_token(name) do
+    name
+    |> String.replace(~r/[^\p{L}\p{N}_-]+/u, "-")
+    |> String.trim("-")
+  end
+
+  attr :attachment, :map, required: true
+
+  defp attachment_thumbnail(assigns) do
+    ~H"""
+    <img
+      :if={image_attachment?(@attachment)}
+      src={~p"/attachments/#{@attachment.id}"}
+      alt={@attachment.filename}
+      loading="lazy"
+      class="h-24 w-full bg-gray-100 object-cover"
+    />
+    <div :if={!image_attachment?(@attachment)} class="flex h-24 w-full items-center justify-center bg-gray-50">
+      <.icon name={attachment_icon(@attachment.mime_type)} class="h-8 w-8 text-gray-400" />
+    </div>
+    """
+  end
+
+  defp image_attachment?(attachment), do: String.starts_with?(attachment.mime_type, "image/")
+
+  # What the AttachmentViewer hook can show: images, PDFs and plain text
+  defp viewable_attachment?(attachment) do
+    image_attachment?(attachment) or attachment.mime_type in ~w(application/pdf text/plain text/csv)
+  end
+
+  defp attachment_icon("application/pdf"), do: "hero-document-text"
+  defp attachment_icon("text/" <> _), do: "hero-document-text"
+  defp attachment_icon("application/zip"), do: "hero-archive-box"
+  defp attachment_icon(mime_type) do
+    if String.contains?(mime_type, ["excel", "spreadsheet"]),
+      do: "hero-table-cells",
+      else: "hero-document"
+  end
+
+  defp attachment_accept do
+    AttachmentValidator.allowed_mime_types()
+    |> Map.values()
+    |> List.flatten()
+    |> Enum.sort()
+    |> Enum.join(",")
+  end
+
+  defp format_file_size(bytes) when bytes >= 1024 * 1024 do
+    megabytes = Float.round(bytes / (1024 * 1024), 1)
+    if megabytes == trunc(megabytes), do: "#{trunc(megabytes)} MB", else: "#{megabytes} MB"
+  end
+
+  defp format_file_size(bytes) when bytes >= 1024, do: "#{round(bytes / 1024)} KB"
+  defp format_file_size(bytes), do: "#{bytes} B"
+
+  defp reload_attachments(socket) do
+    %{entity: entity, current_user: user} = socket.assigns
+    assign(socket, :attachments, Attachments.list_attachments_for_entity(entity.id, user.id))
+  end
+
   defp format_datetime(nil), do: "Not set"
   defp format_datetime(datetime) do
     Calendar.strftime(datetime, "%b %d, %Y at %I:%M %p")
@@ -2017,6 +2361,47 @@ defmodule ConeziaWeb.EntityLive.Show do
     Relationship.display_label(relationship)
   end
 
+  # The browser keeps the connections it has viewed in IndexedDB so they can
+  # still be read without a signal (see assets/js/lib/offline_store.js). The
+  # page session has no API token, so the snapshot is pushed over the socket
+  # in the same shape as GET /api/v1/entities/:id and its /identifiers.
+  defp push_offline_snapshot(socket) do
+    %{entity: entity, relationship: relationship, identifiers: identifiers} = socket.assigns
+
+    push_event(socket, "cache-connection", %{
+      entity: %{
+        id: entity.id,
+        type: entity.type,
+        name: entity.name,
+        description: entity.description,
+        avatar_url: entity.avatar_url,
+        last_interaction_at: entity.last_interaction_at,
+        relationship: offline_relationship_json(relationship),
+        updated_at: entity.updated_at
+      },
+      identifiers:
+        Enum.map(identifiers, fn identifier ->
+          %{
+            id: identifier.id,
+            type: identifier.type,
+            value: identifier.value,
+            label: identifier.label,
+            is_primary: identifier.is_primary
+          }
+        end)
+    })
+  end
+
+  defp offline_relationship_json(nil), do: nil
+
+  defp offline_relationship_json(relationship) do
+    %{
+      type: relationship.type,
+      label: relationship_display_label(relationship),
+      notes: relationship.notes
+    }
+  end
+
   defp group_custom_fields(fields) do
     fields
     |> Enum.group_by(& &1.category)
@@ -2057,12 +2442,10 @@ defmodule ConeziaWeb.EntityLive.Show do
     if entity_id == source_id, do: target_id, else: source_id
   end
 
-  defp other_entity_name(%{source_entity_id: source_id, source_entity: source, target_entity: target}, entity_id) do
-    if entity_id == source_id do
-      target.name
-    else
-      source.name
-    end
+  defp other_entity_name(relationship, entity_id), do: other_entity(relationship, entity_id).name
+
+  defp other_entity(%{source_entity_id: source_id, source_entity: source, target_entity: target}, entity_id) do
+    if entity_id == source_id, do: target, else: source
   end
 
   defp blank_to_nil(""), do: nil
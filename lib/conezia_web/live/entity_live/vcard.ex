@@ -0,0 +1,80 @@
+defmodule ConeziaWeb.EntityLive.Vcard do
+  @moduledoc """
+  Shapes connections for the VcardExport hook.
+
+  The browser writes the .vcf file (assets/js/lib/vcard.js); the server only
+  sends connections out as plain maps.
+  """
+  alias Conezia.Entities
+  alias Conezia.Entities.{CustomField, EntityRelationship}
+
+  @doc """
+  Exports the user's connections matching `opts` (see
+  `Entities.list_entities_for_export/2`) as maps for `buildVCards` in
+  assets/js/lib/vcard.js.
+  """
+  def export(user_id, opts) do
+    entities = Entities.list_entities_for_export(user_id, opts)
+
+    relationships =
+      entities
+      |> Enum.map(& &1.id)
+      |> Entities.list_entity_relationships_for_entities(user_id)
+
+    Enum.map(entities, &contact(&1, relationships))
+  end
+
+  defp contact(entity, relationships) do
+    %{
+      uid: entity.id,
+      name: entity.name,
+      type: entity.type,
+      description: entity.description,
+      updated_at: entity.updated_at,
+      identifiers:
+        for identifier <- entity.identifiers, identifier.value not in [nil, ""] do
+          %{type: identifier.type, value: identifier.value, label: identifier.label, primary: identifier.is_primary}
+        end,
+      tags: Enum.map(entity.tags, & &1.name),
+      custom_fields:
+        entity.custom_fields
+        |> Enum.sort_by(& &1.name)
+        |> Enum.flat_map(&custom_field/1),
+      related:
+        for relationship <- relationships,
+            entity.id in [relationship.source_entity_id, relationship.target_entity_id] do
+          related(relationship, entity.id)
+        end
+    }
+  end
+
+  # Unset fields are left out
+  defp custom_field(field) do
+    case CustomField.get_value(field) do
+      value when value in [nil, ""] -> []
+      value -> [%{key: field.key, name: field.name, type: field.field_type, value: to_string(value)}]
+    end
+  end
+
+  # The other connection, and what it is to this one: the subtype when this
+  # one is the source, the inverse when it is the target of a one-way
+  # relationship
+  defp related(relationship, entity_id) do
+    other =
+      if relationship.source_entity_id == entity_id,
+        do: relationship.target_entity,
+        else: relationship.source_entity
+
+    kind =
+      if relationship.source_entity_id == entity_id or relationship.is_bidirectional,
+        do: relationship.subtype || relationship.type,
+        else: relationship.inverse_subtype || relationship.inverse_type
+
+    %{
+      uid: other.id,
+      name: other.name,
+      kind: kind,
+      label: EntityRelationship.display_label_for(relationship, entity_id)
+    }
+  end
+end
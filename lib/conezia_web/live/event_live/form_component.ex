@@ -25,7 +25,7 @@ defmodule ConeziaWeb.EventLive.FormComponent do
   @impl true
   def render(assigns) do
     ~H"""
-    <div>
+    <div id="event-form-guard" phx-hook="UnsavedChanges" data-form="event-form">
       <.header>
         {@title}
         <:subtitle>
@@ -36,10 +36,13 @@ defmodule ConeziaWeb.EventLive.FormComponent do
       <.simple_form
         for={@form}
         id="event-form"
+        phx-hook="FormDraft"
+        data-draft={draft_id(@event)}
         phx-target={@myself}
         phx-change="validate"
         phx-submit="save"
       >
+        <.draft_banner id="event-form-draft" />
         <.input field={@form[:title]} type="text" label="Title" required />
         <.input
           field={@form[:type]}
@@ -58,7 +61,7 @@ defmodule ConeziaWeb.EventLive.FormComponent do
           <.input field={@form[:starts_at]} type="datetime-local" label="Start" required />
           <.input field={@form[:ends_at]} type="datetime-local" label="End (optional)" />
         </div>
-        <div id="location-autocomplete" phx-hook="PlacesAutocomplete" phx-target={@myself}>
+        <div id="location-autocomplete" phx-hook="PlaceSearch" phx-target={@myself}>
           <.input
             field={@form[:location]}
             type="text"
@@ -69,17 +72,31 @@ defmodule ConeziaWeb.EventLive.FormComponent do
           <input type="hidden" name="event[place_id]" value={@form[:place_id].value} />
           <input type="hidden" name="event[latitude]" value={@form[:latitude].value} />
           <input type="hidden" name="event[longitude]" value={@form[:longitude].value} />
+          <p :if={@place_search_unavailable} class="mt-2 text-sm text-gray-500">
+            Place search isn't available right now. Type the address instead.
+          </p>
         </div>
 
         <div
-          :if={@latitude && @longitude}
-          id="location-map-preview"
-          phx-hook="GoogleMap"
+          id="location-picker"
+          phx-hook="LocationPicker"
+          phx-target={@myself}
           phx-update="ignore"
           data-lat={@latitude}
           data-lng={@longitude}
-          class="h-48 w-full rounded-lg border border-gray-200 mt-2"
+          class="mt-2 space-y-1"
         >
+          <div data-picker-map class="h-48 w-full rounded-lg border border-gray-200"></div>
+          <div class="flex items-center justify-between gap-2 text-xs text-gray-500">
+            <span data-picker-status>Click the map or drag the pin to set the location.</span>
+            <button
+              type="button"
+              data-locate
+              class="inline-flex items-center gap-1 font-medium text-indigo-600 hover:text-indigo-500"
+            >
+              <span class="hero-map-pin h-4 w-4" /> Use my current location
+            </button>
+          </div>
         </div>
 
         <div id={"entity-select-#{@event.id || :new}"} phx-hook="SearchableSelect" phx-update="ignore">
@@ -130,6 +147,7 @@ defmodule ConeziaWeb.EventLive.FormComponent do
      |> assign(:remind_yearly, event.remind_yearly || false)
      |> assign(:latitude, event.latitude)
      |> assign(:longitude, event.longitude)
+     |> assign_new(:place_search_unavailable, fn -> false end)
      |> assign_form(changeset)}
   end
 
@@ -191,6 +209,11 @@ defmodule ConeziaWeb.EventLive.FormComponent do
      |> assign_form(changeset)}
   end
 
+  # From the PlaceSearch hook when the map provider can't be loaded
+  def handle_event("map-load-failed", _params, socket) do
+    {:noreply, assign(socket, :place_search_unavailable, true)}
+  end
+
   def handle_event("save", %{"event" => event_params}, socket) do
     event_params = maybe_convert_date_to_datetime(event_params)
     save_event(socket, socket.assigns.action, event_params)
@@ -203,6 +226,7 @@ defmodule ConeziaWeb.EventLive.FormComponent do
 
         {:noreply,
          socket
+         |> push_event("clear-draft", %{id: draft_id(socket.assigns.event)})
          |> put_flash(:info, "Event updated successfully")
          |> push_patch(to: socket.assigns.patch)}
 
@@ -220,6 +244,7 @@ defmodule ConeziaWeb.EventLive.FormComponent do
 
         {:noreply,
          socket
+         |> push_event("clear-draft", %{id: draft_id(socket.assigns.event)})
          |> put_flash(:info, "Event created successfully")
          |> push_patch(to: socket.assigns.patch)}
 
@@ -242,4 +267,7 @@ defmodule ConeziaWeb.EventLive.FormComponent do
   end
 
   defp notify_parent(msg), do: send(self(), {__MODULE__, msg})
+
+  # Where the FormDraft hook keeps the unsaved form
+  defp draft_id(event), do: "event:#{event.id || "new"}"
 end
@@ -0,0 +1,104 @@
+defmodule ConeziaWeb.EventLive.Ics do
+  @moduledoc """
+  Shapes events for the IcsExport and IcsImport hooks.
+
+  The browser writes and reads the .ics files (assets/js/lib/ics.js); the
+  server only sends events out as plain maps and turns the VEVENTs it gets
+  back into the same params the event form submits.
+  """
+  use ConeziaWeb, :verified_routes
+
+  alias Conezia.Entities
+  alias Conezia.Entities.Identifier
+  alias Conezia.Events
+  alias Conezia.Events.Event
+
+  @doc """
+  Events as maps for `buildCalendar` in assets/js/lib/ics.js. Expects the
+  entities and their identifiers to be preloaded (see
+  `Events.list_events_for_export/2`); the entities become attendees.
+  """
+  def export(events) do
+    Enum.map(events, fn event ->
+      %{
+        uid: Events.ics_uid(event),
+        title: event.title,
+        description: event.description,
+        type: event.type,
+        starts_at: event.starts_at,
+        ends_at: event.ends_at,
+        all_day: event.all_day,
+        location: event.location,
+        latitude: event.latitude,
+        longitude: event.longitude,
+        url: url(~p"/events/#{event.id}/edit"),
+        updated_at: event.updated_at,
+        attendees: Enum.map(event.entities, &attendee/1)
+      }
+    end)
+  end
+
+  @doc """
+  Params for `Events.create_event/1` from an event parsed by `parseCalendar`,
+  shaped like the event form's. Attendees are linked to the user's
+  connections with the same email address.
+  """
+  def import_params(params, user_id) do
+    %{
+      "title" => present(params["title"]) || "Untitled event",
+      "type" => type_from_categories(params["categories"]),
+      "description" => present(params["description"]),
+      "starts_at" => params["starts_at"],
+      "ends_at" => params["ends_at"],
+      "all_day" => params["all_day"] == true,
+      "location" => present(params["location"]),
+      "latitude" => params["latitude"],
+      "longitude" => params["longitude"],
+      "entity_ids" => attendee_entity_ids(params["attendees"], user_id),
+      "sync_metadata" => %{"ics_uid" => params["uid"], "source" => "ics"},
+      "user_id" => user_id
+    }
+  end
+
+  defp attendee(entity) do
+    email =
+      entity.identifiers
+      |> Enum.filter(&(&1.type == "email" and is_nil(&1.archived_at)))
+      |> Enum.sort_by(&(!&1.is_primary))
+      |> Enum.map(&Identifier.decrypt_value/1)
+      |> Enum.find(&present/1)
+
+    %{id: entity.id, name: entity.name, email: email}
+  end
+
+  defp attendee_entity_ids(attendees, user_id) when is_list(attendees) do
+    attendees
+    |> Enum.map(&present(&1["email"]))
+    |> Enum.reject(&is_nil/1)
+    |> Enum.flat_map(&Entities.find_identifiers_by_value(user_id, "email", String.downcase(&1)))
+    |> Enum.map(& &1.entity_id)
+    |> Enum.uniq()
+  end
+
+  defp attendee_entity_ids(_attendees, _user_id), do: []
+
+  # The first category that is one of our event types, otherwise "other"
+  defp type_from_categories(categories) when is_list(categories) do
+    types = Event.valid_types()
+
+    categories
+    |> Enum.map(&(&1 |> to_string() |> String.trim() |> String.downcase()))
+    |> Enum.find("other", &(&1 in types))
+  end
+
+  defp type_from_categories(_categories), do: "other"
+
+  defp present(value) when is_binary(value) do
+    case String.trim(value) do
+      "" -> nil
+      value -> value
+    end
+  end
+
+  defp present(_value), do: nil
+end
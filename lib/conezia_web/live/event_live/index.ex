@@ -7,20 +7,19 @@ defmodule ConeziaWeb.EventLive.Index do
   alias Conezia.Events
   alias Conezia.Events.Event
   alias Conezia.Entities
+  alias ConeziaWeb.EventLive.Ics
+  alias ConeziaWeb.LiveChanges
+  alias ConeziaWeb.LiveWindow
 
-  @page_size 25
 
   @impl true
   def mount(_params, _session, socket) do
     user = socket.assigns.current_user
     self_entity = Entities.get_self_entity(user.id)
     # Default to showing only upcoming events (today and future)
-    {events, meta} = Events.list_events(user.id, limit: @page_size, time_filter: "upcoming")
+    {events, meta} = Events.list_events(user.id, limit: LiveWindow.page_size(), time_filter: "upcoming")
     total_count = Events.count_events(user.id, time_filter: "upcoming")
 
-    # Calendar view state
-    today = Date.utc_today()
-
     socket =
       socket
       |> assign(:page_title, "Events")
@@ -30,14 +29,14 @@ defmodule ConeziaWeb.EventLive.Index do
       |> assign(:involvement, "all")
       |> assign(:time_filter, "upcoming")
       |> assign(:view_mode, "list")
-      |> assign(:calendar_year, today.year)
-      |> assign(:calendar_month, today.month)
-      |> assign(:calendar_events, %{})
+      |> assign(:map_markers, [])
       |> assign(:self_entity_id, self_entity && self_entity.id)
       |> assign(:page, 0)
       |> assign(:has_more, meta.has_more)
       |> assign(:loading, false)
       |> assign(:total_count, total_count)
+      |> LiveWindow.assign_window(length(events))
+      |> LiveChanges.watch(["event"])
       |> stream(:events, events)
 
     {:ok, socket}
@@ -94,7 +93,7 @@ defmodule ConeziaWeb.EventLive.Index do
 
   def handle_event("filter_type", %{"type" => type}, socket) do
     type = if type == "", do: nil, else: type
-    {:noreply, load_events(assign(socket, :type_filter, type))}
+    {:noreply, socket |> assign(:type_filter, type) |> load_events() |> refresh_views()}
   end
 
   def handle_event("sort", %{"sort" => sort}, socket) do
@@ -102,89 +101,135 @@ defmodule ConeziaWeb.EventLive.Index do
   end
 
   def handle_event("filter_involvement", %{"involvement" => involvement}, socket) do
-    {:noreply, load_events(assign(socket, :involvement, involvement))}
+    {:noreply, socket |> assign(:involvement, involvement) |> load_events() |> refresh_views()}
   end
 
   def handle_event("filter_time", %{"time" => time_filter}, socket) do
-    {:noreply, load_events(assign(socket, :time_filter, time_filter))}
+    {:noreply, socket |> assign(:time_filter, time_filter) |> load_events() |> refresh_views()}
   end
 
   def handle_event("switch_view", %{"view" => view_mode}, socket) do
     socket = assign(socket, :view_mode, view_mode)
 
     socket =
-      if view_mode == "calendar" do
-        load_calendar_events(socket)
-      else
-        socket
+      case view_mode do
+        # The EventCalendar hook asks for its events once it's mounted
+        "calendar" -> socket
+        "map" -> load_map_markers(socket)
+        # The list's stream was dropped while another view was shown
+        _ -> load_events(socket)
       end
 
     {:noreply, socket}
   end
 
-  def handle_event("prev_month", _params, socket) do
-    {year, month} = prev_month(socket.assigns.calendar_year, socket.assigns.calendar_month)
+  # The EventCalendar hook asks for the events in the period it shows
+  def handle_event("calendar-events", %{"from" => from, "to" => to}, socket) do
+    with {:ok, from, _} <- DateTime.from_iso8601(from),
+         {:ok, to, _} <- DateTime.from_iso8601(to) do
+      events =
+        Events.list_events_between(socket.assigns.current_user.id, from, to,
+          type: socket.assigns.type_filter,
+          entity_id: involvement_entity_id(socket.assigns)
+        )
+        |> Enum.map(fn event ->
+          %{
+            id: event.id,
+            title: event.title,
+            type: event.type,
+            starts_at: event.starts_at,
+            ends_at: event.ends_at,
+            all_day: event.all_day,
+            color: type_bg_color(event.type),
+            url: ~p"/events/#{event.id}/edit"
+          }
+        end)
+
+      {:reply, %{events: events}, socket}
+    else
+      _ -> {:reply, %{events: []}, socket}
+    end
+  end
 
-    socket =
-      socket
-      |> assign(:calendar_year, year)
-      |> assign(:calendar_month, month)
-      |> load_calendar_events()
+  # An event dragged to a new day or time, or resized, in the calendar
+  def handle_event("reschedule", %{"id" => id} = params, socket) do
+    attrs = Map.take(params, ["starts_at", "ends_at"])
 
-    {:noreply, socket}
+    case Events.get_event_for_user(id, socket.assigns.current_user.id) do
+      nil ->
+        {:reply, %{error: "Event not found"}, put_flash(socket, :error, "Event not found")}
+
+      event ->
+        case Events.update_event(event, attrs) do
+          {:ok, _event} ->
+            {:reply, %{ok: true}, socket}
+
+          {:error, changeset} ->
+            message = "Couldn't reschedule the event: #{changeset_error_message(changeset)}"
+            {:reply, %{error: message}, put_flash(socket, :error, message)}
+        end
+    end
   end
 
-  def handle_event("next_month", _params, socket) do
-    {year, month} = next_month(socket.assigns.calendar_year, socket.assigns.calendar_month)
+  # From the IcsExport hooks: one event, or everything matching the filters
+  def handle_event("ics-export", %{"scope" => "event", "id" => id}, socket) do
+    events = Events.list_events_for_export(socket.assigns.current_user.id, ids: [id])
+    {:reply, %{events: Ics.export(events), name: "Conezia"}, socket}
+  end
 
-    socket =
-      socket
-      |> assign(:calendar_year, year)
-      |> assign(:calendar_month, month)
-      |> load_calendar_events()
+  def handle_event("ics-export", %{"scope" => "list"}, socket) do
+    events =
+      Events.list_events_for_export(socket.assigns.current_user.id,
+        search: socket.assigns.search,
+        type: socket.assigns.type_filter,
+        entity_id: involvement_entity_id(socket.assigns),
+        time_filter: socket.assigns.time_filter
+      )
 
-    {:noreply, socket}
+    {:reply, %{events: Ics.export(events), name: "Conezia events"}, socket}
   end
 
-  def handle_event("today", _params, socket) do
-    today = Date.utc_today()
+  # From the IcsImport hook, before it previews a file
+  def handle_event("ics-check", %{"uids" => uids}, socket) do
+    {:reply, %{existing: Events.existing_ics_uids(socket.assigns.current_user.id, uids)}, socket}
+  end
+
+  # Events the user picked from the preview, saved like the event form saves
+  # them. Events whose UID is already taken, or repeated within the batch,
+  # are skipped.
+  def handle_event("ics-import", %{"events" => events}, socket) do
+    user = socket.assigns.current_user
+    existing = Events.existing_ics_uids(user.id, Enum.map(events, & &1["uid"]))
+    {duplicates, new_events} = Enum.split_with(events, &(&1["uid"] in existing))
+    events = Enum.uniq_by(new_events, & &1["uid"])
+    skipped = length(duplicates) + length(new_events) - length(events)
+
+    results = Enum.map(events, &{&1, Events.create_event(Ics.import_params(&1, user.id))})
+    created = for {_params, {:ok, event}} <- results, do: event
+
+    failed =
+      for {params, {:error, changeset}} <- results do
+        %{title: params["title"], error: changeset_error_message(changeset)}
+      end
 
     socket =
-      socket
-      |> assign(:calendar_year, today.year)
-      |> assign(:calendar_month, today.month)
-      |> load_calendar_events()
+      created
+      |> Enum.reduce(socket, &stream_insert(&2, :events, &1, at: 0))
+      |> refresh_views()
 
-    {:noreply, socket}
+    {:reply, %{created: length(created), skipped: skipped, failed: failed}, socket}
   end
 
-  def handle_event("load-more", _params, socket) do
-    if socket.assigns.loading or not socket.assigns.has_more do
-      {:noreply, socket}
-    else
-      user = socket.assigns.current_user
-      next_page = socket.assigns.page + 1
-      offset = next_page * @page_size
-
-      socket = assign(socket, :loading, true)
+  def handle_event("load-more", params, socket) do
+    LiveWindow.load_more(socket, :events, params, &fetch_events/3)
+  end
 
-      {events, meta} = Events.list_events(user.id,
-        search: socket.assigns.search,
-        type: socket.assigns.type_filter,
-        sort: socket.assigns.sort,
-        entity_id: involvement_entity_id(socket.assigns),
-        time_filter: socket.assigns.time_filter,
-        limit: @page_size,
-        offset: offset
-      )
+  def handle_event("load-previous", _params, socket) do
+    LiveWindow.load_previous(socket, :events, &fetch_events/3)
+  end
 
-      {:noreply,
-       socket
-       |> assign(:page, next_page)
-       |> assign(:has_more, meta.has_more)
-       |> assign(:loading, false)
-       |> stream(:events, events)}
-    end
+  def handle_event("jump-to", %{"index" => index}, socket) when is_integer(index) do
+    LiveWindow.jump_to(socket, :events, index, &fetch_events/3)
   end
 
   def handle_event("delete", %{"id" => id}, socket) do
@@ -207,7 +252,26 @@ defmodule ConeziaWeb.EventLive.Index do
 
   @impl true
   def handle_info({ConeziaWeb.EventLive.FormComponent, {:saved, event}}, socket) do
-    {:noreply, stream_insert(socket, :events, event, at: 0)}
+    {:noreply, socket |> stream_insert(:events, event, at: 0) |> refresh_views()}
+  end
+
+  # An event changed in another tab or on another device. It's only shown
+  # if it still matches the list's search and filters.
+  def handle_info({:live_change, "event", action, id}, socket) do
+    event =
+      if action != "deleted" do
+        {events, _meta} = fetch_events(socket, 0, 1, ids: [id])
+        List.first(events)
+      end
+
+    socket =
+      if event do
+        stream_insert(socket, :events, event, LiveChanges.stream_opts(action))
+      else
+        stream_delete_by_dom_id(socket, :events, "events-#{id}")
+      end
+
+    {:noreply, refresh_views(socket)}
   end
 
   @impl true
@@ -218,12 +282,37 @@ defmodule ConeziaWeb.EventLive.Index do
         Events
         <:subtitle>Track one-time and recurring events with your connections</:subtitle>
         <:actions>
-          <.link patch={~p"/events/new"}>
-            <.button>New Event</.button>
-          </.link>
+          <div class="flex items-center gap-2">
+            <button
+              id="events-export"
+              type="button"
+              phx-hook="IcsExport"
+              data-scope="list"
+              class="rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+            >
+              <span class="hero-arrow-down-tray h-4 w-4" /> Export .ics
+            </button>
+            <.link patch={~p"/events/new"}>
+              <.button>New Event</.button>
+            </.link>
+          </div>
         </:actions>
       </.header>
 
+      <div id="events-import" phx-hook="IcsImport" phx-update="ignore">
+        <label
+          data-ics-drop
+          class="flex cursor-pointer items-center justify-center gap-2 rounded-lg border-2 border-dashed border-gray-300 px-4 py-3 text-sm text-gray-500 hover:border-indigo-400"
+        >
+          <span class="hero-arrow-up-tray h-5 w-5 text-gray-400" />
+          <span>
+            Drop an .ics file here or <span class="font-medium text-indigo-600">choose one</span> to import events
+          </span>
+          <input type="file" accept=".ics,text/calendar" class="sr-only" data-ics-file />
+        </label>
+        <div data-ics-preview class="hidden"></div>
+      </div>
+
       <div class="bg-white shadow ring-1 ring-gray-200 rounded-lg overflow-hidden">
         <div class="px-4 py-3 border-b border-gray-200 bg-gray-50 space-y-3">
           <div class="flex items-center justify-between">
@@ -237,6 +326,7 @@ defmodule ConeziaWeb.EventLive.Index do
                   type="button"
                   phx-click="switch_view"
                   phx-value-view="list"
+                  aria-label="List view"
                   class={"relative inline-flex items-center rounded-l-md px-2 py-1 text-xs font-medium ring-1 ring-inset ring-gray-300 focus:z-10 #{if @view_mode == "list", do: "bg-indigo-600 text-white", else: "bg-white text-gray-900 hover:bg-gray-50"}"}
                 >
                   <span class="hero-list-bullet h-4 w-4" />
@@ -245,14 +335,24 @@ defmodule ConeziaWeb.EventLive.Index do
                   type="button"
                   phx-click="switch_view"
                   phx-value-view="calendar"
-                  class={"relative -ml-px inline-flex items-center rounded-r-md px-2 py-1 text-xs font-medium ring-1 ring-inset ring-gray-300 focus:z-10 #{if @view_mode == "calendar", do: "bg-indigo-600 text-white", else: "bg-white text-gray-900 hover:bg-gray-50"}"}
+                  aria-label="Calendar view"
+                  class={"relative -ml-px inline-flex items-center px-2 py-1 text-xs font-medium ring-1 ring-inset ring-gray-300 focus:z-10 #{if @view_mode == "calendar", do: "bg-indigo-600 text-white", else: "bg-white text-gray-900 hover:bg-gray-50"}"}
                 >
                   <span class="hero-calendar-days h-4 w-4" />
                 </button>
+                <button
+                  type="button"
+                  phx-click="switch_view"
+                  phx-value-view="map"
+                  aria-label="Map view"
+                  class={"relative -ml-px inline-flex items-center rounded-r-md px-2 py-1 text-xs font-medium ring-1 ring-inset ring-gray-300 focus:z-10 #{if @view_mode == "map", do: "bg-indigo-600 text-white", else: "bg-white text-gray-900 hover:bg-gray-50"}"}
+                >
+                  <span class="hero-map h-4 w-4" />
+                </button>
               </div>
             </div>
             <div class="flex items-center gap-2">
-              <form :if={@view_mode == "list"} phx-change="filter_time">
+              <form :if={@view_mode in ["list", "map"]} phx-change="filter_time">
                 <select
                   name="time"
                   class="block rounded-md border-gray-300 text-xs focus:border-indigo-500 focus:ring-indigo-500"
@@ -309,7 +409,21 @@ defmodule ConeziaWeb.EventLive.Index do
 
         <%!-- List View --%>
         <div :if={@view_mode == "list"}>
-          <ul id="events" phx-update="stream" role="list" class="divide-y divide-gray-200">
+          <div id="events-spacer-top" phx-update="ignore"></div>
+          <ul
+            id="events"
+            phx-update="stream"
+            phx-hook="VirtualList"
+            data-virtualized={to_string(@virtualized)}
+            data-total={@total_count}
+            data-has-more={to_string(@has_more)}
+            data-window-start={@window_start}
+            data-window-end={@window_end}
+            data-row-estimate="76"
+            data-shortcut-list
+            role="list"
+            class="divide-y divide-gray-200"
+          >
             <li :for={{dom_id, event} <- @streams.events} id={dom_id} class="px-4 py-4 hover:bg-gray-50 group">
               <div class="flex items-start justify-between">
                 <div class="min-w-0 flex-1">
@@ -330,7 +444,10 @@ defmodule ConeziaWeb.EventLive.Index do
                   <div class="mt-1 flex items-center gap-3 text-xs text-gray-500">
                     <span class="flex items-center gap-1">
                       <span class="hero-calendar h-4 w-4" />
-                      {format_datetime(event.starts_at, event.all_day)}
+                      <.local_time id={"event-starts-#{event.id}"} value={event.starts_at} all_day={event.all_day}>
+                        {format_datetime(event.starts_at, event.all_day)}
+                      </.local_time>
+                      · <.relative_time id={"event-starts-relative-#{event.id}"} value={event.starts_at} />
                     </span>
                     <span :if={event.location} class="flex items-center gap-1">
                       <span class="hero-map-pin h-4 w-4" />
@@ -340,7 +457,7 @@ defmodule ConeziaWeb.EventLive.Index do
                   <div
                     :if={event.latitude && event.longitude}
                     id={"event-map-#{event.id}"}
-                    phx-hook="GoogleMap"
+                    phx-hook="LocationMap"
                     phx-update="ignore"
                     data-lat={event.latitude}
                     data-lng={event.longitude}
@@ -359,12 +476,29 @@ defmodule ConeziaWeb.EventLive.Index do
                 </div>
 
                 <div class="flex items-center gap-2 ml-4 opacity-0 group-hover:opacity-100 transition-opacity">
-                  <.link patch={~p"/events/#{event.id}/edit"} class="p-1 text-gray-400 hover:text-gray-500">
+                  <.link
+                    patch={~p"/events/#{event.id}/edit"}
+                    data-shortcut="edit"
+                    class="p-1 text-gray-400 hover:text-gray-500"
+                  >
                     <span class="hero-pencil-square h-5 w-5" />
                   </.link>
+                  <button
+                    id={"event-export-#{event.id}"}
+                    type="button"
+                    phx-hook="IcsExport"
+                    data-scope="event"
+                    data-id={event.id}
+                    data-filename={event.title}
+                    aria-label="Export to calendar"
+                    class="p-1 text-gray-400 hover:text-gray-500"
+                  >
+                    <span class="hero-arrow-down-tray h-5 w-5" />
+                  </button>
                   <button
                     phx-click="delete"
                     phx-value-id={event.id}
+                    data-shortcut="delete"
                     data-confirm="Delete this event?"
                     class="p-1 text-gray-400 hover:text-red-500"
                   >
@@ -374,6 +508,7 @@ defmodule ConeziaWeb.EventLive.Index do
               </div>
             </li>
           </ul>
+          <div id="events-spacer-bottom" phx-update="ignore"></div>
 
           <div :if={@streams.events.inserts == []} class="py-8">
             <div class="text-center">
@@ -384,90 +519,45 @@ defmodule ConeziaWeb.EventLive.Index do
             </div>
           </div>
 
-          <div :if={@has_more} id="events-infinite-scroll" phx-hook="InfiniteScroll" class="py-4 flex justify-center">
-            <div :if={@loading} class="text-sm text-gray-500">Loading more...</div>
-          </div>
-        </div>
-
-        <%!-- Calendar View --%>
-        <div :if={@view_mode == "calendar"} class="p-4">
-          <%!-- Calendar Header --%>
-          <div class="flex items-center justify-between mb-4">
-            <h2 class="text-lg font-semibold text-gray-900">
-              {month_name(@calendar_month)} {@calendar_year}
-            </h2>
-            <div class="flex items-center gap-2">
-              <button
-                type="button"
-                phx-click="today"
-                class="rounded-md bg-white px-3 py-1.5 text-sm font-medium text-gray-900 ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
-              >
-                Today
+          <div
+            :if={not @virtualized}
+            id="events-infinite-scroll"
+            phx-hook="InfiniteScroll"
+            data-page={@page}
+            data-has-more={to_string(@has_more)}
+            data-list-key={list_key(assigns)}
+            data-root-margin="600px 0px"
+            class="group py-4 flex justify-center data-[state=done]:hidden"
+          >
+            <div class="hidden group-data-[state=loading]:block text-sm text-gray-500">Loading more...</div>
+            <div class="hidden group-data-[state=error]:flex items-center gap-2 text-sm text-red-600">
+              <span>Couldn't load more events.</span>
+              <button type="button" data-retry class="font-medium text-indigo-600 hover:text-indigo-500">
+                Retry
               </button>
-              <div class="flex">
-                <button
-                  type="button"
-                  phx-click="prev_month"
-                  class="rounded-l-md bg-white p-1.5 text-gray-400 ring-1 ring-inset ring-gray-300 hover:text-gray-500 hover:bg-gray-50"
-                >
-                  <span class="hero-chevron-left h-5 w-5" />
-                </button>
-                <button
-                  type="button"
-                  phx-click="next_month"
-                  class="-ml-px rounded-r-md bg-white p-1.5 text-gray-400 ring-1 ring-inset ring-gray-300 hover:text-gray-500 hover:bg-gray-50"
-                >
-                  <span class="hero-chevron-right h-5 w-5" />
-                </button>
-              </div>
             </div>
           </div>
+        </div>
 
-          <%!-- Calendar Grid --%>
-          <div class="border border-gray-200 rounded-lg overflow-hidden">
-            <%!-- Day headers --%>
-            <div class="grid grid-cols-7 bg-gray-50 border-b border-gray-200">
-              <div :for={day <- ~w(Sun Mon Tue Wed Thu Fri Sat)} class="px-2 py-2 text-center text-xs font-medium text-gray-500">
-                {day}
-              </div>
-            </div>
-
-            <%!-- Calendar weeks --%>
-            <div class="divide-y divide-gray-200">
-              <div :for={week <- calendar_weeks(@calendar_year, @calendar_month)} class="grid grid-cols-7 divide-x divide-gray-200">
-                <div
-                  :for={date <- week}
-                  class={"min-h-[100px] p-1 #{if in_current_month?(date, @calendar_year, @calendar_month), do: "bg-white", else: "bg-gray-50"} #{if is_today?(date), do: "bg-indigo-50"}"}
-                >
-                  <div class="flex items-center justify-between mb-1">
-                    <span class={"text-xs font-medium #{if in_current_month?(date, @calendar_year, @calendar_month), do: "text-gray-900", else: "text-gray-400"} #{if is_today?(date), do: "text-indigo-600 font-bold"}"}>
-                      {date.day}
-                    </span>
-                  </div>
-                  <div class="space-y-1">
-                    <div
-                      :for={event <- Map.get(@calendar_events, date, []) |> Enum.take(3)}
-                      class="group/event"
-                    >
-                      <.link
-                        patch={~p"/events/#{event.id}/edit"}
-                        class={"block px-1 py-0.5 text-xs rounded truncate #{type_bg_color(event.type)} hover:opacity-80"}
-                      >
-                        <span :if={!event.all_day} class="text-gray-500">{format_time(event.starts_at)}</span>
-                        {event.title}
-                      </.link>
-                    </div>
-                    <div
-                      :if={length(Map.get(@calendar_events, date, [])) > 3}
-                      class="text-xs text-gray-500 px-1"
-                    >
-                      +{length(Map.get(@calendar_events, date, [])) - 3} more
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </div>
+        <%!-- Map View --%>
+        <div :if={@view_mode == "map"} class="p-4">
+          <div
+            id="events-map"
+            phx-hook="MarkerMap"
+            phx-update="ignore"
+            data-markers={Jason.encode!(@map_markers)}
+            data-fit-key={map_fit_key(assigns)}
+            class="h-[32rem] w-full rounded-lg border border-gray-200"
+          >
           </div>
+          <p :if={@map_markers == []} class="mt-3 text-center text-sm text-gray-500">
+            No events with a location match your filters.
+          </p>
+        </div>
+
+        <%!-- Calendar View --%>
+        <div :if={@view_mode == "calendar"} class="p-4">
+          <div id="events-calendar" phx-hook="EventCalendar" phx-update="ignore"></div>
         </div>
       </div>
 
@@ -502,7 +592,7 @@ defmodule ConeziaWeb.EventLive.Index do
       sort: socket.assigns.sort,
       entity_id: entity_filter,
       time_filter: socket.assigns.time_filter,
-      limit: @page_size
+      limit: LiveWindow.page_size()
     )
 
     total_count = Events.count_events(user.id,
@@ -516,64 +606,61 @@ defmodule ConeziaWeb.EventLive.Index do
     |> assign(:page, 0)
     |> assign(:has_more, meta.has_more)
     |> assign(:total_count, total_count)
+    |> LiveWindow.assign_window(length(events))
     |> stream(:events, events, reset: true)
   end
 
-  defp involvement_entity_id(%{involvement: "mine", self_entity_id: id}) when not is_nil(id), do: id
-  defp involvement_entity_id(_), do: nil
-
-  defp load_calendar_events(socket) do
-    user = socket.assigns.current_user
-    entity_filter = involvement_entity_id(socket.assigns)
-
-    calendar_events = Events.list_events_for_month(
-      user.id,
-      socket.assigns.calendar_year,
-      socket.assigns.calendar_month,
-      entity_id: entity_filter,
-      type: socket.assigns.type_filter
+  defp fetch_events(socket, offset, limit, opts \\ []) do
+    Events.list_events(socket.assigns.current_user.id,
+      [
+        search: socket.assigns.search,
+        type: socket.assigns.type_filter,
+        sort: socket.assigns.sort,
+        entity_id: involvement_entity_id(socket.assigns),
+        time_filter: socket.assigns.time_filter,
+        limit: limit,
+        offset: offset
+      ] ++ opts
     )
-
-    assign(socket, :calendar_events, calendar_events)
   end
 
-  defp prev_month(year, 1), do: {year - 1, 12}
-  defp prev_month(year, month), do: {year, month - 1}
-
-  defp next_month(year, 12), do: {year + 1, 1}
-  defp next_month(year, month), do: {year, month + 1}
-
-  defp month_name(month) do
-    ~w(January February March April May June July August September October November December)
-    |> Enum.at(month - 1)
+  defp list_key(assigns) do
+    Enum.join([assigns.search, assigns.type_filter, assigns.sort, assigns.involvement, assigns.time_filter], "|")
   end
 
-  defp calendar_weeks(year, month) do
-    first_day = Date.new!(year, month, 1)
-
-    # Go back to the start of the week (Sunday)
-    days_since_sunday = Date.day_of_week(first_day, :sunday) - 1
-    calendar_start = Date.add(first_day, -days_since_sunday)
+  defp involvement_entity_id(%{involvement: "mine", self_entity_id: id}) when not is_nil(id), do: id
+  defp involvement_entity_id(_), do: nil
 
-    # Generate 6 weeks of dates (42 days total for consistent grid)
-    Enum.map(0..5, fn week ->
-      Enum.map(0..6, fn day ->
-        Date.add(calendar_start, week * 7 + day)
+  defp load_map_markers(socket) do
+    markers =
+      Events.list_event_locations(socket.assigns.current_user.id,
+        type: socket.assigns.type_filter,
+        entity_id: involvement_entity_id(socket.assigns),
+        time_filter: socket.assigns.time_filter
+      )
+      |> Enum.map(fn event ->
+        %{
+          id: event.id,
+          lat: event.latitude,
+          lng: event.longitude,
+          title: event.title,
+          subtitle: event.location,
+          url: ~p"/events/#{event.id}/edit",
+          link: "patch"
+        }
       end)
-    end)
-  end
 
-  defp in_current_month?(date, year, month) do
-    date.year == year and date.month == month
+    assign(socket, :map_markers, markers)
   end
 
-  defp is_today?(date) do
-    date == Date.utc_today()
-  end
+  # Brings the map or calendar up to date after the filters or an event changed
+  defp refresh_views(%{assigns: %{view_mode: "map"}} = socket), do: load_map_markers(socket)
+  defp refresh_views(%{assigns: %{view_mode: "calendar"}} = socket), do: push_event(socket, "calendar-refresh", %{})
+  defp refresh_views(socket), do: socket
 
-  defp format_time(datetime) do
-    Calendar.strftime(datetime, "%I:%M")
-    |> String.trim_leading("0")
+  # The map re-fits its bounds when this changes
+  defp map_fit_key(assigns) do
+    Enum.join([assigns.type_filter, assigns.involvement, assigns.time_filter], "|")
   end
 
   defp type_bg_color("birthday"), do: "bg-red-100 text-red-800"
@@ -589,6 +676,16 @@ defmodule ConeziaWeb.EventLive.Index do
   defp format_datetime(datetime, true), do: Calendar.strftime(datetime, "%b %d, %Y")
   defp format_datetime(datetime, _), do: Calendar.strftime(datetime, "%b %d, %Y at %I:%M %p")
 
+  defp changeset_error_message(changeset) do
+    Ecto.Changeset.traverse_errors(changeset, fn {msg, opts} ->
+      Enum.reduce(opts, msg, fn {key, value}, acc ->
+        String.replace(acc, "%{#{key}}", to_string(value))
+      end)
+    end)
+    |> Enum.map(fn {field, errors} -> "#{field}: #{Enum.join(errors, ", ")}" end)
+    |> Enum.join("; ")
+  end
+
   defp humanize(value) when is_binary(value) do
     value |> String.replace("_", " ") |> String.split() |> Enum.map(&String.capitalize/1) |> Enum.join(" ")
   end
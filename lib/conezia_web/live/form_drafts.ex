@@ -0,0 +1,21 @@
+defmodule ConeziaWeb.FormDrafts do
+  @moduledoc """
+  Hands the FormDraft hook the key it encrypts drafts with.
+
+  Pages can end up in the service worker's cache, so the key isn't
+  rendered into them. This module, attached to every authenticated
+  LiveView through `on_mount`, answers the "draft-key" event instead; the
+  browser keeps the key in memory (see assets/js/lib/drafts.js).
+  """
+  import Phoenix.LiveView
+
+  def on_mount(:default, _params, session, socket) do
+    key = ConeziaWeb.UserAuth.draft_key(session["user_token"])
+
+    {:cont, attach_hook(socket, :form_drafts, :handle_event, &handle_event(&1, &2, &3, key))}
+  end
+
+  defp handle_event("draft-key", _params, socket, key), do: {:halt, %{key: key}, socket}
+
+  defp handle_event(_event, _params, socket, _key), do: {:cont, socket}
+end
@@ -28,7 +28,7 @@ defmodule ConeziaWeb.GiftLive.FormComponent do
   @impl true
   def render(assigns) do
     ~H"""
-    <div>
+    <div id="gift-form-guard" phx-hook="UnsavedChanges" data-form="gift-form">
       <.header>
         {@title}
         <:subtitle>
@@ -39,10 +39,13 @@ defmodule ConeziaWeb.GiftLive.FormComponent do
       <.simple_form
         for={@form}
         id="gift-form"
+        phx-hook="FormDraft"
+        data-draft={draft_id(@gift)}
         phx-target={@myself}
         phx-change="validate"
         phx-submit="save"
       >
+        <.draft_banner id="gift-form-draft" />
         <.input
           field={@form[:entity_id]}
           type="select"
@@ -114,6 +117,7 @@ defmodule ConeziaWeb.GiftLive.FormComponent do
 
         {:noreply,
          socket
+         |> push_event("clear-draft", %{id: draft_id(socket.assigns.gift)})
          |> put_flash(:info, "Gift updated successfully")
          |> push_patch(to: socket.assigns.patch)}
 
@@ -131,6 +135,7 @@ defmodule ConeziaWeb.GiftLive.FormComponent do
 
         {:noreply,
          socket
+         |> push_event("clear-draft", %{id: draft_id(socket.assigns.gift)})
          |> put_flash(:info, "Gift created successfully")
          |> push_patch(to: socket.assigns.patch)}
 
@@ -144,4 +149,7 @@ defmodule ConeziaWeb.GiftLive.FormComponent do
   end
 
   defp notify_parent(msg), do: send(self(), {__MODULE__, msg})
+
+  # Where the FormDraft hook keeps the unsaved form
+  defp draft_id(gift), do: "gift:#{gift.id || "new"}"
 end
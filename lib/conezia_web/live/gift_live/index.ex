@@ -8,6 +8,7 @@ defmodule ConeziaWeb.GiftLive.Index do
   alias Conezia.Gifts
   alias Conezia.Gifts.Gift
   alias Conezia.Entities
+  alias ConeziaWeb.LiveChanges
 
   @impl true
   def mount(_params, _session, socket) do
@@ -22,6 +23,7 @@ defmodule ConeziaWeb.GiftLive.Index do
       |> assign(:occasions, occasions)
       |> assign(:status_filter, nil)
       |> assign(:budget_summary, summary)
+      |> LiveChanges.watch(["gift", "entity"])
       |> stream(:gifts, gifts)
 
     {:ok, socket}
@@ -144,6 +146,32 @@ defmodule ConeziaWeb.GiftLive.Index do
      |> assign(:occasions, occasions)}
   end
 
+  # Gifts, or the connections whose occasions are listed, changed in another
+  # tab or on another device. A gift is only shown if it still matches the
+  # status filter.
+  def handle_info({:live_change, "gift", action, id}, socket) do
+    user = socket.assigns.current_user
+
+    gift =
+      if action != "deleted" do
+        {gifts, _meta} = Gifts.list_gifts(user.id, status: socket.assigns.status_filter, ids: [id])
+        List.first(gifts)
+      end
+
+    socket =
+      if gift do
+        stream_insert(socket, :gifts, gift, LiveChanges.stream_opts(action))
+      else
+        stream_delete_by_dom_id(socket, :gifts, "gifts-#{id}")
+      end
+
+    {:noreply, assign(socket, :budget_summary, Gifts.budget_summary(user.id))}
+  end
+
+  def handle_info({:live_change, "entity", _action, _id}, socket) do
+    {:noreply, assign(socket, :occasions, Entities.list_upcoming_occasions(socket.assigns.current_user.id, 90))}
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
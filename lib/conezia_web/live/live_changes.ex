@@ -0,0 +1,51 @@
+defmodule ConeziaWeb.LiveChanges do
+  @moduledoc """
+  Brings the open LiveView up to date with changes made in other tabs and
+  on other devices.
+
+  The LiveChanges hook in the app layout sends each change received from
+  `ConeziaWeb.ChangesChannel` as a "live-change" event. This module is
+  attached to every authenticated LiveView through `on_mount`; views that
+  list a resource opt in from `mount/3`:
+
+      socket = LiveChanges.watch(socket, ["reminder"])
+
+  and then receive `{:live_change, resource, action, id}` in `handle_info/2`.
+  Changes to anything the view doesn't watch are dropped here.
+  """
+  import Phoenix.LiveView
+  import Phoenix.Component, only: [assign: 3]
+
+  alias Conezia.Changes
+
+  def on_mount(:default, _params, _session, socket) do
+    {:cont, attach_hook(socket, :live_changes, :handle_event, &handle_event/3)}
+  end
+
+  @doc """
+  Subscribes the LiveView to changes of the given resources
+  (see `Conezia.Changes.resources/0`).
+  """
+  def watch(socket, resources) when is_list(resources) do
+    assign(socket, :watched_changes, resources)
+  end
+
+  @doc """
+  `stream_insert/4` options for a reloaded record: new records go to the
+  top, like ones created from the page itself, while updates only touch
+  rows that are already shown. Views reload the record with their list's
+  filters and delete the row instead when it no longer matches.
+  """
+  def stream_opts("created"), do: [at: 0]
+  def stream_opts(_action), do: [update_only: true]
+
+  defp handle_event("live-change", %{"resource" => resource, "action" => action, "id" => id}, socket) do
+    if resource in Map.get(socket.assigns, :watched_changes, []) and action in Changes.actions() do
+      send(self(), {:live_change, resource, action, id})
+    end
+
+    {:halt, socket}
+  end
+
+  defp handle_event(_event, _params, socket), do: {:cont, socket}
+end
@@ -0,0 +1,27 @@
+defmodule ConeziaWeb.LiveMaps do
+  @moduledoc """
+  Notices when maps can't be loaded in the browser.
+
+  The map hooks (assets/js/lib/maps) send "map-load-failed" with the
+  provider and reason when the provider's script fails or times out. The
+  hooks already show a fallback link in place of each map; this module,
+  attached to every authenticated LiveView through `on_mount`, only logs
+  the failure. LiveComponents that host a map hook as their phx-target
+  handle the event themselves.
+  """
+  import Phoenix.LiveView
+
+  require Logger
+
+  def on_mount(:default, _params, _session, socket) do
+    {:cont, attach_hook(socket, :live_maps, :handle_event, &handle_event/3)}
+  end
+
+  defp handle_event("map-load-failed", params, socket) do
+    Logger.info("Map provider #{inspect(params["provider"])} failed to load: #{inspect(params["reason"])}")
+
+    {:halt, socket}
+  end
+
+  defp handle_event(_event, _params, socket), do: {:cont, socket}
+end
@@ -0,0 +1,155 @@
+defmodule ConeziaWeb.LiveWindow do
+  @moduledoc """
+  Paging for the streamed lists the InfiniteScroll and VirtualList hooks
+  drive (assets/js/hooks/infinite_scroll.js, virtual_list.js).
+
+  A view keeps `:page`, `:has_more`, `:total_count` and `:loading` in its
+  assigns, calls `assign_window/2` whenever it (re)loads the first page,
+  and hands the hooks' events over with a function that fetches a slice of
+  its list:
+
+      def handle_event("load-more", params, socket) do
+        LiveWindow.load_more(socket, :events, params, &fetch_events/3)
+      end
+
+  `fetch` is called as `fetch.(socket, offset, limit)` and returns
+  `{rows, %{has_more: boolean}}`. The optional `loaded` callback gets the
+  socket and the fetched rows, for views that load extra data per row.
+
+  Lists longer than 500 rows are windowed: only 150 rows stay in the DOM
+  and the VirtualList hook asks for the rest as the user scrolls.
+  """
+  import Phoenix.Component, only: [assign: 3]
+  import Phoenix.LiveView, only: [stream: 4]
+
+  @page_size 25
+  @max_restore_pages 20
+  @virtualize_after 500
+  @max_rendered 150
+
+  @doc "Number of rows in a page."
+  def page_size, do: @page_size
+
+  @doc """
+  Starts a new window over the first `loaded_count` rows, after the list
+  was (re)loaded with a new `:total_count`.
+  """
+  def assign_window(socket, loaded_count) do
+    socket
+    |> assign(:virtualized, socket.assigns.total_count > @virtualize_after)
+    |> assign(:window_start, 0)
+    |> assign(:window_end, loaded_count)
+  end
+
+  @doc """
+  Handles "load-more" from InfiniteScroll or VirtualList: appends the next
+  page, or every page up to `"until_page"` when InfiniteScroll restores a
+  list the user comes back to.
+  """
+  def load_more(socket, name, params, fetch, loaded \\ &loaded/2) do
+    if socket.assigns.loading or not socket.assigns.has_more do
+      {:reply, reply(socket), socket}
+    else
+      next_page = socket.assigns.page + 1
+      last_page = last_page_to_load(params, next_page)
+      offset = next_page * @page_size
+
+      socket = assign(socket, :loading, true)
+
+      {rows, meta} = fetch.(socket, offset, (last_page - next_page + 1) * @page_size)
+      window_end = offset + length(rows)
+
+      socket =
+        socket
+        |> assign(:page, last_page)
+        |> assign(:has_more, meta.has_more)
+        |> assign(:loading, false)
+        |> loaded.(rows)
+
+      socket =
+        if socket.assigns.virtualized do
+          socket
+          |> assign(:window_start, max(socket.assigns.window_start, window_end - @max_rendered))
+          |> assign(:window_end, window_end)
+          |> stream(name, rows, at: -1, limit: -@max_rendered)
+        else
+          socket
+          |> assign(:window_end, window_end)
+          |> stream(name, rows, [])
+        end
+
+      {:reply, reply(socket), socket}
+    end
+  end
+
+  @doc """
+  Handles "load-previous", only sent by VirtualList once rows have been
+  pruned from the top.
+  """
+  def load_previous(socket, name, fetch, loaded \\ &loaded/2) do
+    %{window_start: window_start, window_end: window_end} = socket.assigns
+
+    if not socket.assigns.virtualized or window_start == 0 do
+      {:reply, reply(socket), socket}
+    else
+      offset = max(window_start - @page_size, 0)
+      {rows, _meta} = fetch.(socket, offset, window_start - offset)
+      window_end = min(window_end, offset + @max_rendered)
+
+      socket =
+        socket
+        |> assign(:window_start, offset)
+        |> assign(:window_end, window_end)
+        |> assign(:page, div(window_end, @page_size) - 1)
+        |> assign(:has_more, window_end < socket.assigns.total_count)
+        |> loaded.(rows)
+        |> stream(name, Enum.reverse(rows), at: 0, limit: @max_rendered)
+
+      {:reply, reply(socket), socket}
+    end
+  end
+
+  @doc """
+  Handles "jump-to", sent by VirtualList when the scrollbar is dragged
+  outside the rendered window: replaces the stream with the rows around
+  `index`.
+  """
+  def jump_to(socket, name, index, fetch, loaded \\ &loaded/2) when is_integer(index) do
+    offset = max(div(index, @page_size) - 1, 0) * @page_size
+    {rows, meta} = fetch.(socket, offset, 3 * @page_size)
+    window_end = offset + length(rows)
+
+    socket =
+      socket
+      |> assign(:window_start, offset)
+      |> assign(:window_end, window_end)
+      |> assign(:page, div(window_end, @page_size) - 1)
+      |> assign(:has_more, meta.has_more)
+      |> loaded.(rows)
+      |> stream(name, rows, reset: true)
+
+    {:reply, reply(socket), socket}
+  end
+
+  @doc """
+  The reply the hooks expect to their events.
+  """
+  def reply(socket) do
+    %{
+      page: socket.assigns.page,
+      has_more: socket.assigns.has_more,
+      window_start: socket.assigns.window_start,
+      window_end: socket.assigns.window_end
+    }
+  end
+
+  # When returning to the list, the InfiniteScroll hook asks for every page it
+  # had loaded in a single request.
+  defp last_page_to_load(%{"until_page" => until_page}, next_page) when is_integer(until_page) do
+    until_page |> max(next_page) |> min(next_page + @max_restore_pages - 1)
+  end
+
+  defp last_page_to_load(_params, next_page), do: next_page
+
+  defp loaded(socket, _rows), do: socket
+end
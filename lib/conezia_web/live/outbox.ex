@@ -0,0 +1,42 @@
+defmodule ConeziaWeb.Outbox do
+  @moduledoc """
+  Server side of the offline outbox.
+
+  While the LiveSocket is down the browser queues interaction logs and
+  reminder completes/snoozes in IndexedDB (see assets/js/lib/outbox.js).
+  Once the socket is back, the Outbox hook replays the queue one item at a
+  time through the REST API (`POST /api/v1/interactions`,
+  `POST /api/v1/reminders/:id/complete` and `/snooze`), so queued changes
+  are checked exactly like any other API call.
+
+  The API takes a bearer token rather than the session. This module,
+  attached to every authenticated LiveView through `on_mount`, answers the
+  hook's "outbox-token" event with a short-lived one; the browser keeps it
+  in memory for the replay only.
+  """
+  import Phoenix.LiveView
+
+  @token_ttl {15, :minute}
+
+  def on_mount(:default, _params, _session, socket) do
+    {:cont, attach_hook(socket, :outbox, :handle_event, &handle_event/3)}
+  end
+
+  @doc """
+  The version a queued reminder action was based on.
+
+  Rendered into the page next to the action and sent back with the queued
+  item. It's the reminder's `updated_at` as the API renders it, so the
+  replay can tell whether the reminder changed in the meantime.
+  """
+  def version(%{updated_at: %DateTime{} = updated_at}), do: DateTime.to_iso8601(updated_at)
+
+  defp handle_event("outbox-token", _params, socket) do
+    {:ok, token, _claims} =
+      Conezia.Guardian.encode_and_sign(socket.assigns.current_user, %{}, ttl: @token_ttl)
+
+    {:halt, %{token: token}, socket}
+  end
+
+  defp handle_event(_event, _params, socket), do: {:cont, socket}
+end
@@ -17,7 +17,7 @@ defmodule ConeziaWeb.ReminderLive.FormComponent do
   @impl true
   def render(assigns) do
     ~H"""
-    <div>
+    <div id="reminder-form-guard" phx-hook="UnsavedChanges" data-form="reminder-form">
       <.header>
         {@title}
         <:subtitle>
@@ -28,10 +28,13 @@ defmodule ConeziaWeb.ReminderLive.FormComponent do
       <.simple_form
         for={@form}
         id="reminder-form"
+        phx-hook="FormDraft"
+        data-draft={draft_id(@reminder)}
         phx-target={@myself}
         phx-change="validate"
         phx-submit="save"
       >
+        <.draft_banner id="reminder-form-draft" />
         <.input field={@form[:title]} type="text" label="Title" required />
         <.input
           field={@form[:type]}
@@ -90,6 +93,7 @@ defmodule ConeziaWeb.ReminderLive.FormComponent do
 
         {:noreply,
          socket
+         |> push_event("clear-draft", %{id: draft_id(socket.assigns.reminder)})
          |> put_flash(:info, "Reminder updated successfully")
          |> push_patch(to: socket.assigns.patch)}
 
@@ -110,6 +114,7 @@ defmodule ConeziaWeb.ReminderLive.FormComponent do
 
         {:noreply,
          socket
+         |> push_event("clear-draft", %{id: draft_id(socket.assigns.reminder)})
          |> put_flash(:info, "Reminder created successfully")
          |> push_patch(to: socket.assigns.patch)}
 
@@ -129,4 +134,7 @@ defmodule ConeziaWeb.ReminderLive.FormComponent do
   end
 
   defp notify_parent(msg), do: send(self(), {__MODULE__, msg})
+
+  # Where the FormDraft hook keeps the unsaved form
+  defp draft_id(reminder), do: "reminder:#{reminder.id || "new"}"
 end
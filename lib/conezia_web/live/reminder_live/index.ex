@@ -7,19 +7,21 @@ defmodule ConeziaWeb.ReminderLive.Index do
   alias Conezia.Reminders
   alias Conezia.Reminders.Reminder
   alias Conezia.Entities
+  alias ConeziaWeb.LiveChanges
 
   @impl true
   def mount(params, _session, socket) do
     user = socket.assigns.current_user
     entity_id = params["entity_id"]
 
-    {reminders, _meta} = Reminders.list_reminders(user.id)
+    {reminders, _meta} = Reminders.list_reminders(user.id, status: "pending")
 
     socket =
       socket
       |> assign(:page_title, "Reminders")
       |> assign(:status_filter, "pending")
       |> assign(:entity_id, entity_id)
+      |> LiveChanges.watch(["reminder"])
       |> stream(:reminders, reminders)
 
     {:ok, socket}
@@ -143,6 +145,24 @@ defmodule ConeziaWeb.ReminderLive.Index do
     {:noreply, stream_insert(socket, :reminders, reminder, at: 0)}
   end
 
+  # A reminder changed in another tab or on another device. It's only shown
+  # if it still matches the status filter.
+  def handle_info({:live_change, "reminder", action, id}, socket) do
+    reminder =
+      if action != "deleted" do
+        {reminders, _meta} =
+          Reminders.list_reminders(socket.assigns.current_user.id, status: socket.assigns.status_filter, ids: [id])
+
+        List.first(reminders)
+      end
+
+    if reminder do
+      {:noreply, stream_insert(socket, :reminders, reminder, LiveChanges.stream_opts(action))}
+    else
+      {:noreply, stream_delete_by_dom_id(socket, :reminders, "reminders-#{id}")}
+    end
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -183,6 +203,7 @@ defmodule ConeziaWeb.ReminderLive.Index do
             :for={{dom_id, reminder} <- @streams.reminders}
             id={dom_id}
             class={["px-4 py-4 sm:px-6", reminder.completed_at && "bg-gray-50"]}
+            data-outbox-scope
           >
             <div class="flex items-center justify-between">
               <div class="flex items-center min-w-0 gap-4">
@@ -199,6 +220,7 @@ defmodule ConeziaWeb.ReminderLive.Index do
                   </p>
                   <div class="mt-2 flex items-center gap-2 text-xs text-gray-500">
                     <span>Due: {format_datetime(reminder.due_at)}</span>
+                    <span>· <.relative_time id={"reminder-due-#{reminder.id}"} value={reminder.due_at} /></span>
                     <span :if={reminder.entity}>
                       • <.link navigate={~p"/connections/#{reminder.entity.id}"} class="text-indigo-600 hover:text-indigo-500">
                         {reminder.entity.name}
@@ -218,6 +240,9 @@ defmodule ConeziaWeb.ReminderLive.Index do
                   <button
                     phx-click="complete"
                     phx-value-id={reminder.id}
+                    data-outbox="complete_reminder"
+                    data-outbox-version={ConeziaWeb.Outbox.version(reminder)}
+                    data-outbox-label={"Complete “#{reminder.title}”"}
                     title="Mark as complete"
                     class="p-1 text-gray-400 hover:text-green-500"
                   >
@@ -240,6 +265,9 @@ defmodule ConeziaWeb.ReminderLive.Index do
                         phx-click="snooze"
                         phx-value-id={reminder.id}
                         phx-value-duration="1_hour"
+                        data-outbox="snooze_reminder"
+                        data-outbox-version={ConeziaWeb.Outbox.version(reminder)}
+                        data-outbox-label={"Snooze “#{reminder.title}” 1 hour"}
                         class="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100"
                       >
                         1 hour
@@ -248,6 +276,9 @@ defmodule ConeziaWeb.ReminderLive.Index do
                         phx-click="snooze"
                         phx-value-id={reminder.id}
                         phx-value-duration="3_hours"
+                        data-outbox="snooze_reminder"
+                        data-outbox-version={ConeziaWeb.Outbox.version(reminder)}
+                        data-outbox-label={"Snooze “#{reminder.title}” 3 hours"}
                         class="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100"
                       >
                         3 hours
@@ -256,6 +287,9 @@ defmodule ConeziaWeb.ReminderLive.Index do
                         phx-click="snooze"
                         phx-value-id={reminder.id}
                         phx-value-duration="tomorrow"
+                        data-outbox="snooze_reminder"
+                        data-outbox-version={ConeziaWeb.Outbox.version(reminder)}
+                        data-outbox-label={"Snooze “#{reminder.title}” until tomorrow"}
                         class="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100"
                       >
                         Tomorrow
@@ -264,6 +298,9 @@ defmodule ConeziaWeb.ReminderLive.Index do
                         phx-click="snooze"
                         phx-value-id={reminder.id}
                         phx-value-duration="next_week"
+                        data-outbox="snooze_reminder"
+                        data-outbox-version={ConeziaWeb.Outbox.version(reminder)}
+                        data-outbox-label={"Snooze “#{reminder.title}” for a week"}
                         class="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100"
                       >
                         Next week
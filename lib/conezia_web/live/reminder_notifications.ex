@@ -0,0 +1,63 @@
+defmodule ConeziaWeb.ReminderNotifications do
+  @moduledoc """
+  Relays due-reminder notifications to the browser.
+
+  Attached to every authenticated LiveView through `on_mount`, so whatever
+  page the user has open learns about due reminders:
+
+    * `{:reminder_due, payload}` from `Conezia.Notifications` is pushed as
+      a "reminder-due" event; the client shows it as a native notification
+      or, without permission, as an in-page toast
+    * `{:local_push, endpoint, payload}` from the local Web Push stand-in is
+      pushed as "local-push" and handed to the service worker as if it came
+      from a push service
+
+  It also handles the "push-subscribe" / "push-unsubscribe" events sent by
+  the NotificationSettings hook.
+  """
+  import Phoenix.LiveView
+
+  alias Conezia.Notifications
+
+  def on_mount(:default, _params, _session, socket) do
+    if connected?(socket) do
+      Phoenix.PubSub.subscribe(Conezia.PubSub, Notifications.topic(socket.assigns.current_user.id))
+    end
+
+    socket =
+      socket
+      |> attach_hook(:reminder_notifications, :handle_info, &handle_info/2)
+      |> attach_hook(:reminder_notifications, :handle_event, &handle_event/3)
+
+    {:cont, socket}
+  end
+
+  defp handle_info({:reminder_due, payload}, socket) do
+    {:halt, push_event(socket, "reminder-due", payload)}
+  end
+
+  defp handle_info({:local_push, endpoint, payload}, socket) do
+    {:halt, push_event(socket, "local-push", %{endpoint: endpoint, payload: payload})}
+  end
+
+  defp handle_info(_message, socket), do: {:cont, socket}
+
+  defp handle_event("push-subscribe", %{"subscription" => subscription} = params, socket) do
+    user_id = socket.assigns.current_user.id
+
+    reply =
+      case Notifications.subscribe_push(user_id, subscription, params["user_agent"]) do
+        {:ok, _subscription} -> %{ok: true}
+        {:error, _changeset} -> %{ok: false}
+      end
+
+    {:halt, reply, socket}
+  end
+
+  defp handle_event("push-unsubscribe", %{"endpoint" => endpoint}, socket) do
+    :ok = Notifications.unsubscribe_push(socket.assigns.current_user.id, endpoint)
+    {:halt, %{ok: true}, socket}
+  end
+
+  defp handle_event(_event, _params, socket), do: {:cont, socket}
+end
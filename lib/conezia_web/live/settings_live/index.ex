@@ -6,6 +6,7 @@ defmodule ConeziaWeb.SettingsLive.Index do
 
   alias Conezia.Integrations
   alias Conezia.ExternalAccounts
+  alias Conezia.Notifications.WebPush
   alias Conezia.Workers.SyncWorker
   alias Conezia.Workers.GmailSyncWorker
   alias Conezia.Workers.CalendarSyncWorker
@@ -30,6 +31,7 @@ defmodule ConeziaWeb.SettingsLive.Index do
       |> assign(:syncing, false)
       |> assign(:syncing_messages, false)
       |> assign(:syncing_calendar, false)
+      |> assign(:vapid_public_key, WebPush.vapid_public_key())
       |> assign_services(user)
       |> assign_import_jobs(user)
 
@@ -302,8 +304,8 @@ defmodule ConeziaWeb.SettingsLive.Index do
         <.integrations_content services={@services} import_jobs={@import_jobs} syncing={@syncing} syncing_messages={@syncing_messages} syncing_calendar={@syncing_calendar} />
       </div>
 
-      <div :if={@current_tab == "account"}>
-        <.account_content current_user={@current_user} />
+      <div :if={@current_tab == "account"} class="space-y-6">
+        <.account_content current_user={@current_user} vapid_public_key={@vapid_public_key} />
       </div>
     </div>
     """
@@ -506,6 +508,7 @@ defmodule ConeziaWeb.SettingsLive.Index do
 
   # Account Tab Content
   attr :current_user, :map, required: true
+  attr :vapid_public_key, :string, default: nil
 
   defp account_content(assigns) do
     ~H"""
@@ -532,6 +535,38 @@ defmodule ConeziaWeb.SettingsLive.Index do
         </div>
       </dl>
     </.card>
+
+    <.card>
+      <:header>Notifications</:header>
+      <div
+        id="notification-settings"
+        phx-hook="NotificationSettings"
+        phx-update="ignore"
+        data-vapid-public-key={@vapid_public_key}
+        class="flex items-center justify-between gap-4"
+      >
+        <div>
+          <p class="text-sm font-medium text-gray-900">Browser notifications</p>
+          <p data-notification-status class="mt-1 text-sm text-gray-500">
+            Get a notification on this device when a reminder is due.
+          </p>
+        </div>
+        <button
+          type="button"
+          data-notification-enable
+          class="hidden flex-none rounded-md bg-indigo-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500"
+        >
+          Enable
+        </button>
+        <button
+          type="button"
+          data-notification-disable
+          class="hidden flex-none rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+        >
+          Turn off
+        </button>
+      </div>
+    </.card>
     """
   end
 
@@ -0,0 +1,49 @@
+defmodule ConeziaWeb.Maps do
+  @moduledoc """
+  Map and place search settings for the browser (assets/js/lib/maps).
+
+  Configured under `config :conezia, :maps`:
+
+    * `:provider` - "leaflet" or "google". Leaflet draws tiles from
+      `:tile_url` and searches places through the geocoder; Google uses the
+      Maps JavaScript API and Places, and needs `:google_api_key`. Without a
+      key, "google" falls back to "leaflet".
+    * `:tile_url` and `:tile_attribution` - the tile server, e.g. a
+      self-hosted one.
+    * `:geocoder_url` - base URL of a Nominatim-compatible geocoder (`/search`
+      and `/reverse`). "/geocoder" is the built-in stand-in,
+      `ConeziaWeb.GeocoderController`.
+  """
+
+  @default_tile_url "https://tile.openstreetmap.org/{z}/{x}/{y}.png"
+  @default_tile_attribution ~s(&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors)
+  @default_geocoder_url "https://nominatim.openstreetmap.org"
+
+  @doc """
+  The settings rendered into the root layout for the client.
+  """
+  def client_config do
+    config = Application.get_env(:conezia, :maps, [])
+
+    case provider(config) do
+      "google" ->
+        %{provider: "google", google_api_key: config[:google_api_key]}
+
+      "leaflet" ->
+        %{
+          provider: "leaflet",
+          tile_url: config[:tile_url] || @default_tile_url,
+          tile_attribution: config[:tile_attribution] || @default_tile_attribution,
+          geocoder_url: config[:geocoder_url] || @default_geocoder_url
+        }
+    end
+  end
+
+  defp provider(config) do
+    if config[:provider] == "google" and present?(config[:google_api_key]),
+      do: "google",
+      else: "leaflet"
+  end
+
+  defp present?(value), do: is_binary(value) and value != ""
+end
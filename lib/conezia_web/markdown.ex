@@ -0,0 +1,132 @@
+defmodule ConeziaWeb.Markdown do
+  @moduledoc """
+  Renders interaction notes, written in the NoteEditor hook
+  (assets/js/hooks/note_editor.js), as HTML.
+
+  Only the Markdown the editor writes is understood:
+
+    * `**bold**` and `*italic*` or `_italic_`
+    * `- item` bullet and `1. item` numbered lists
+    * `[text](https://...)` links, to http, https and mailto URLs only;
+      other links show their text alone
+    * `[@Name](/connections/<id>)` mentions of other connections
+    * `#tag` tags
+
+  Everything else is text. It's escaped, so notes can't add markup of
+  their own.
+  """
+
+  @inline_pattern ~r/\[@(?<mention>[^\]\n]+)\]\(\/connections\/(?<mention_id>[0-9a-fA-F-]{36})\)|\[(?<link>[^\]\n]+)\]\((?<url>(?:[^()\s]|\([^()\s]*\))+)\)|\*\*(?<bold>[^*\n]+)\*\*|\*(?<star>[^*\s][^*\n]*)\*|(?<![\p{L}\p{N}_])_(?<underscore>[^_\s][^_\n]*)_(?![\p{L}\p{N}_])|(?<![\p{L}\p{N}_\/&])#(?<tag>[\p{L}\p{N}_-]+)/u
+  @inline_groups ~w(mention mention_id link url bold star underscore tag)
+  @bullet_pattern ~r/^\s*[-*+]\s+(.*)$/
+  @numbered_pattern ~r/^\s*\d+[.)]\s+(.*)$/
+
+  @link_schemes ~w(http https mailto)
+
+  @doc """
+  Renders `text` as safe HTML.
+
+  `**Lunch** with [@Ana](/connections/<id>)` becomes
+  `<p><strong>Lunch</strong> with <a href="/connections/<id>" ...>@Ana</a></p>`.
+  """
+  def to_html(text) when is_binary(text) do
+    html =
+      text
+      |> String.replace("\r\n", "\n")
+      |> String.split("\n")
+      |> Enum.chunk_by(&line_kind/1)
+      |> Enum.map(&block/1)
+
+    {:safe, html}
+  end
+
+  def to_html(_text), do: {:safe, ""}
+
+  defp line_kind(line) do
+    cond do
+      String.trim(line) == "" -> :blank
+      Regex.match?(@bullet_pattern, line) -> :bullet
+      Regex.match?(@numbered_pattern, line) -> :numbered
+      true -> :paragraph
+    end
+  end
+
+  defp block([line | _] = lines) do
+    case line_kind(line) do
+      :blank -> []
+      :bullet -> list("ul", "list-disc", @bullet_pattern, lines)
+      :numbered -> list("ol", "list-decimal", @numbered_pattern, lines)
+      :paragraph -> ["<p>", lines |> Enum.map(&inline/1) |> Enum.intersperse("<br>"), "</p>"]
+    end
+  end
+
+  defp list(tag, style, pattern, lines) do
+    items =
+      Enum.map(lines, fn line ->
+        [_line, item] = Regex.run(pattern, line)
+        ["<li>", inline(item), "</li>"]
+      end)
+
+    ["<", tag, ~s( class="), style, ~s( pl-5">), items, "</", tag, ">"]
+  end
+
+  defp inline(text) do
+    {parts, rest} =
+      @inline_pattern
+      |> Regex.scan(text, return: :index)
+      |> Enum.map_reduce(0, fn [{start, length} | groups], at ->
+        {[escape(binary_part(text, at, start - at)), markup(captures(text, groups))], start + length}
+      end)
+
+    [parts, escape(binary_part(text, rest, byte_size(text) - rest))]
+  end
+
+  # Regex.scan/3 gives the groups by position; unmatched ones are {-1, 0}
+  defp captures(text, groups) do
+    @inline_groups
+    |> Enum.zip(groups)
+    |> Enum.reject(fn {_name, {start, _length}} -> start < 0 end)
+    |> Map.new(fn {name, {start, length}} -> {name, binary_part(text, start, length)} end)
+  end
+
+  defp markup(%{"mention" => name, "mention_id" => id}) do
+    [
+      ~s(<a href="/connections/),
+      escape(String.downcase(id)),
+      ~s(" data-phx-link="redirect" data-phx-link-state="push" class="font-medium text-indigo-600 hover:text-indigo-500">@),
+      escape(name),
+      "</a>"
+    ]
+  end
+
+  defp markup(%{"link" => text, "url" => url}) do
+    if safe_url?(url) do
+      [
+        ~s(<a href="),
+        escape(url),
+        ~s(" target="_blank" rel="noopener noreferrer nofollow" class="text-indigo-600 underline hover:text-indigo-500">),
+        inline(text),
+        "</a>"
+      ]
+    else
+      inline(text)
+    end
+  end
+
+  defp markup(%{"bold" => text}), do: ["<strong>", inline(text), "</strong>"]
+  defp markup(%{"star" => text}), do: ["<em>", inline(text), "</em>"]
+  defp markup(%{"underscore" => text}), do: ["<em>", inline(text), "</em>"]
+
+  defp markup(%{"tag" => tag}) do
+    [~s(<span class="rounded bg-gray-100 px-1 text-gray-700">#), escape(tag), "</span>"]
+  end
+
+  defp safe_url?(url) do
+    case URI.parse(url) do
+      %URI{scheme: scheme} when scheme in @link_schemes -> true
+      _ -> false
+    end
+  end
+
+  defp escape(text), do: text |> Phoenix.HTML.html_escape() |> Phoenix.HTML.safe_to_string()
+end
@@ -70,10 +70,19 @@ defmodule ConeziaWeb.Router do
     pipe_through [:browser, :require_authenticated_user]
 
     live_session :require_authenticated_user,
-      on_mount: [{ConeziaWeb.UserAuth, :ensure_authenticated}] do
+      on_mount: [
+        {ConeziaWeb.UserAuth, :ensure_authenticated},
+        ConeziaWeb.CommandPalette,
+        ConeziaWeb.FormDrafts,
+        ConeziaWeb.LiveChanges,
+        ConeziaWeb.LiveMaps,
+        ConeziaWeb.Outbox,
+        ConeziaWeb.ReminderNotifications
+      ] do
       live "/", DashboardLive.Index, :index
       live "/connections", EntityLive.Index, :index
       live "/connections/new", EntityLive.Index, :new
+      live "/connections/import", EntityLive.Index, :import
       live "/connections/:id", EntityLive.Show, :show
       live "/connections/:id/edit", EntityLive.Show, :edit
       live "/reminders", ReminderLive.Index, :index
@@ -98,6 +107,25 @@ defmodule ConeziaWeb.Router do
     get "/:service/callback", IntegrationOAuthController, :callback
   end
 
+  # Stand-in Nominatim geocoder for the map place search (authenticated)
+  scope "/geocoder", ConeziaWeb do
+    pipe_through [:browser, :require_authenticated_user]
+
+    get "/search", GeocoderController, :search
+    get "/reverse", GeocoderController, :reverse
+  end
+
+  # Attachment files and resumable uploads for the connection page (authenticated)
+  scope "/attachments", ConeziaWeb do
+    pipe_through [:browser, :require_authenticated_user]
+
+    post "/uploads", AttachmentUploadController, :create
+    get "/uploads/:id", AttachmentUploadController, :show
+    patch "/uploads/:id", AttachmentUploadController, :update
+    delete "/uploads/:id", AttachmentUploadController, :delete
+    get "/:id", AttachmentFileController, :show
+  end
+
   # Logout route
   scope "/", ConeziaWeb do
     pipe_through [:browser]
@@ -335,6 +363,13 @@ defmodule ConeziaWeb.Router do
     get "/health", HealthController, :index
   end
 
+  # Notification actions (authorized by the signed token in the notification)
+  scope "/api/v1/notifications", ConeziaWeb do
+    pipe_through [:api, :rate_limited]
+
+    post "/reminder-action", NotificationController, :reminder_action
+  end
+
   # Authenticated health endpoints (relationship health)
   scope "/api/v1/health", ConeziaWeb do
     pipe_through [:api, :authenticated, :rate_limited]
@@ -195,6 +195,24 @@ defmodule ConeziaWeb.UserAuth do
     end
   end
 
+  @doc """
+  The key the browser encrypts form drafts with (assets/js/lib/drafts.js)
+  for the session `token`, or nil without one.
+
+  Each sign-in gets its own key, so drafts left by an earlier one can't be
+  read. It's only handed out over the LiveSocket (see
+  `ConeziaWeb.FormDrafts`), never rendered into a page.
+  """
+  def draft_key(token) when is_binary(token) do
+    secret = ConeziaWeb.Endpoint.config(:secret_key_base)
+
+    :hmac
+    |> :crypto.mac(:sha256, secret, "form drafts:" <> token)
+    |> Base.url_encode64(padding: false)
+  end
+
+  def draft_key(_token), do: nil
+
   defp put_token_in_session(conn, token) do
     conn
     |> put_session(:user_token, token)
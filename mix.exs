@@ -82,6 +82,7 @@ defmodule Conezia.MixProject do
 
       # Testing
       {:ex_machina, "~> 2.8", only: :test},
+      {:lazy_html, ">= 0.1.0", only: :test},
       {:mox, "~> 1.0", only: :test}
     ]
   end
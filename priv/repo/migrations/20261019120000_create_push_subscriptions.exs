@@ -0,0 +1,20 @@
+defmodule Conezia.Repo.Migrations.CreatePushSubscriptions do
+  use Ecto.Migration
+
+  def change do
+    create table(:push_subscriptions, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :user_id, references(:users, type: :binary_id, on_delete: :delete_all), null: false
+
+      add :endpoint, :text, null: false
+      add :p256dh, :string, size: 255, null: false
+      add :auth, :string, size: 64, null: false
+      add :user_agent, :string, size: 500
+
+      timestamps(type: :utc_datetime_usec)
+    end
+
+    create index(:push_subscriptions, [:user_id])
+    create unique_index(:push_subscriptions, [:endpoint])
+  end
+end
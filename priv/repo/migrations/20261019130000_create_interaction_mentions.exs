@@ -0,0 +1,16 @@
+defmodule Conezia.Repo.Migrations.CreateInteractionMentions do
+  use Ecto.Migration
+
+  def change do
+    create table(:interaction_mentions, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :interaction_id, references(:interactions, type: :binary_id, on_delete: :delete_all), null: false
+      add :entity_id, references(:entities, type: :binary_id, on_delete: :delete_all), null: false
+
+      timestamps(type: :utc_datetime_usec)
+    end
+
+    create index(:interaction_mentions, [:entity_id])
+    create unique_index(:interaction_mentions, [:interaction_id, :entity_id])
+  end
+end
@@ -0,0 +1,29 @@
+defmodule Conezia.Repo.Migrations.AddNotifiedAtToReminders do
+  use Ecto.Migration
+
+  def up do
+    alter table(:reminders) do
+      add :notified_at, :utc_datetime_usec
+    end
+
+    create index(:reminders, [:due_at],
+             where: "completed_at IS NULL AND notified_at IS NULL",
+             name: :reminders_to_notify_index
+           )
+
+    # Reminders already past due have been announced (or were never going to
+    # be); don't send them all at once on the first run
+    execute """
+    UPDATE reminders SET notified_at = now()
+    WHERE completed_at IS NULL AND due_at <= now() AND (snoozed_until IS NULL OR snoozed_until <= now())
+    """
+  end
+
+  def down do
+    drop index(:reminders, [:due_at], name: :reminders_to_notify_index)
+
+    alter table(:reminders) do
+      remove :notified_at
+    end
+  end
+end
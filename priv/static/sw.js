@@ -0,0 +1,210 @@
+// Conezia service worker
+//
+// Registered from assets/js/app.js. Keeps the app shell usable without a
+// network connection:
+//
+//   * page navigations are network-first; the last copy of each page is
+//     kept so it can still be opened offline
+//   * static assets (/assets, /images, /fonts) are served from the cache
+//     and refreshed in the background
+//   * the LiveView socket and the JSON API always go to the network
+//
+// It also shows due-reminder notifications, from Web Push or handed over by
+// the page (assets/js/lib/notifications.js), and runs their actions.
+//
+// Connection data itself lives in IndexedDB (assets/js/lib/offline_store.js),
+// not here. Bump CACHE_VERSION to drop every cache on the next activation.
+
+const CACHE_VERSION = "v2"
+const SHELL_CACHE = `conezia-shell-${CACHE_VERSION}`
+const PAGES_CACHE = `conezia-pages-${CACHE_VERSION}`
+
+const SHELL_ASSETS = [
+  "/assets/app.css",
+  "/assets/app.js",
+  "/favicon.ico",
+  "/images/icon.svg",
+  "/manifest.webmanifest"
+]
+
+// Keep the number of saved pages bounded
+const MAX_PAGES = 50
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache =>
+      // One missing file shouldn't stop the worker from installing
+      Promise.all(SHELL_ASSETS.map(url => cache.add(url).catch(() => null)))
+    ).then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener("activate", event => {
+  const current = [SHELL_CACHE, PAGES_CACHE]
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith("conezia-") && !current.includes(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+// "push" messages from the page carry a notification that arrived over the
+// LiveSocket instead of a push service. Saved pages are cleared by the page
+// itself on sign out (clearOfflineData in assets/js/lib/offline_store.js).
+self.addEventListener("message", event => {
+  const data = event.data || {}
+  if (data.type === "push") {
+    event.waitUntil(showPush(data.payload))
+  }
+})
+
+// Notifications
+
+const REMINDER_ACTIONS = [
+  {action: "complete", title: "Complete"},
+  {action: "snooze_1h", title: "Snooze 1h"},
+  {action: "snooze_1d", title: "Snooze 1d"}
+]
+
+self.addEventListener("push", event => {
+  let payload = null
+  try {
+    payload = event.data && event.data.json()
+  } catch (_e) {
+    payload = null
+  }
+  if (payload) event.waitUntil(showPush(payload))
+})
+
+// The payload is built by Conezia.Notifications.reminder_payload/1
+function showPush(payload) {
+  if (!payload || payload.type !== "reminder_due") return Promise.resolve()
+
+  return self.registration.showNotification(payload.title, {
+    body: payload.body,
+    tag: payload.tag,
+    icon: "/images/icon.svg",
+    badge: "/images/icon.svg",
+    actions: REMINDER_ACTIONS,
+    data: payload
+  })
+}
+
+self.addEventListener("notificationclick", event => {
+  const notification = event.notification
+  const payload = notification.data || {}
+  notification.close()
+
+  if (event.action) {
+    event.waitUntil(
+      fetch("/api/v1/notifications/reminder-action", {
+        method: "POST",
+        headers: {"Content-Type": "application/json", "Accept": "application/json"},
+        body: JSON.stringify({token: payload.token, action: event.action})
+      })
+        .then(response => {
+          if (!response.ok) throw new Error(`reminder action failed with ${response.status}`)
+        })
+        // Let the user deal with it in the app instead
+        .catch(() => openApp(payload.url))
+    )
+  } else {
+    event.waitUntil(openApp(payload.url))
+  }
+})
+
+// Focuses an open tab (navigating it to `url`) or opens a new one
+function openApp(url = "/") {
+  return self.clients.matchAll({type: "window", includeUncontrolled: true}).then(windows => {
+    const client = windows.find(w => new URL(w.url).origin === self.location.origin)
+    if (client) {
+      return client.focus().then(focused => focused.navigate ? focused.navigate(url) : focused)
+    }
+    return self.clients.openWindow(url)
+  })
+}
+
+self.addEventListener("fetch", event => {
+  const request = event.request
+  if (request.method !== "GET") return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+  if (url.pathname.startsWith("/live") || url.pathname.startsWith("/api/")) return
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request))
+  } else if (isStaticAsset(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request))
+  }
+})
+
+function isStaticAsset(pathname) {
+  return /^\/(assets|images|fonts)\//.test(pathname) ||
+    pathname === "/favicon.ico" ||
+    pathname === "/manifest.webmanifest"
+}
+
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => {
+      // Redirects (e.g. to the login page) and errors aren't worth keeping
+      if (response.ok && response.type === "basic" && !response.redirected) {
+        savePage(request, response.clone())
+      }
+      return response
+    })
+    .catch(() =>
+      caches.open(PAGES_CACHE).then(cache =>
+        cache.match(request, {ignoreSearch: true}).then(cached => {
+          if (cached) return cached
+          // Any saved page will do: it boots the app, the LiveSocket fails
+          // to connect and the offline view takes over.
+          return cache.keys().then(keys => {
+            if (keys.length > 0) return cache.match(keys[keys.length - 1])
+            return new Response("You are offline.", {
+              status: 503,
+              headers: {"Content-Type": "text/plain; charset=utf-8"}
+            })
+          })
+        })
+      )
+    )
+}
+
+// Pages rendered for nobody (the login page and the like) aren't kept:
+// they can't be used offline, and loading one clears the offline data
+function savePage(request, response) {
+  return response.text().then(html => {
+    if (html.includes('<meta name="signed-out"')) return
+
+    const copy = new Response(html, {status: response.status, statusText: response.statusText, headers: response.headers})
+    return caches.open(PAGES_CACHE)
+      .then(cache => cache.put(request, copy).then(() => trimCache(cache, MAX_PAGES)))
+  })
+}
+
+function staleWhileRevalidate(request) {
+  return caches.open(SHELL_CACHE).then(cache =>
+    cache.match(request).then(cached => {
+      const fresh = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(request, response.clone())
+          return response
+        })
+        .catch(() => cached)
+
+      return cached || fresh
+    })
+  )
+}
+
+// Cache keys come back in insertion order, so the oldest pages go first
+function trimCache(cache, max) {
+  return cache.keys().then(keys => {
+    if (keys.length <= max) return
+    return Promise.all(keys.slice(0, keys.length - max).map(key => cache.delete(key)))
+  })
+}
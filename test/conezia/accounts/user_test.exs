@@ -133,5 +133,19 @@ defmodule Conezia.Accounts.UserTest do
       })
       assert changeset.valid?
     end
+
+    test "accepts a valid timezone" do
+      user = %User{email: "test@example.com"}
+      changeset = User.preferences_changeset(user, %{timezone: "America/New_York"})
+      assert changeset.valid?
+      assert get_change(changeset, :timezone) == "America/New_York"
+    end
+
+    test "rejects an invalid timezone" do
+      user = %User{email: "test@example.com"}
+      changeset = User.preferences_changeset(user, %{timezone: "Not/AZone"})
+      refute changeset.valid?
+      assert %{timezone: ["must be a valid IANA timezone"]} = errors_on(changeset)
+    end
   end
 end
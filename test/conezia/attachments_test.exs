@@ -0,0 +1,169 @@
+defmodule Conezia.AttachmentsTest do
+  use Conezia.DataCase, async: true
+
+  alias Conezia.Attachments
+  alias Conezia.Attachments.Upload
+
+  import Conezia.Factory
+
+  setup do
+    user = insert(:user)
+    entity = insert(:entity, owner: user)
+    {:ok, user: user, entity: entity}
+  end
+
+  defp upload_attrs(entity, attrs \\ %{}) do
+    Map.merge(
+      %{
+        "entity_id" => entity.id,
+        "filename" => "notes.txt",
+        "mime_type" => "text/plain",
+        "size_bytes" => 11
+      },
+      attrs
+    )
+  end
+
+  defp photo_upload(content) do
+    path = Path.join(System.tmp_dir!(), "avatar-#{System.unique_integer([:positive])}.webp")
+    File.write!(path, content)
+    %Plug.Upload{path: path, filename: "avatar.webp", content_type: "image/webp"}
+  end
+
+  describe "start_upload/2" do
+    test "checks the file the way AttachmentValidator does", %{user: user, entity: entity} do
+      assert {:error, changeset} =
+               Attachments.start_upload(user.id, upload_attrs(entity, %{"filename" => "notes.exe"}))
+
+      assert "extension does not match mime type text/plain" in errors_on(changeset).filename
+
+      assert {:error, changeset} =
+               Attachments.start_upload(user.id, upload_attrs(entity, %{"size_bytes" => 0}))
+
+      assert %{size_bytes: [_]} = errors_on(changeset)
+    end
+
+    test "only starts uploads for the user's own connections", %{user: user} do
+      other_entity = insert(:entity)
+
+      assert {:error, :not_found} = Attachments.start_upload(user.id, upload_attrs(other_entity))
+    end
+  end
+
+  describe "append_upload/3 and complete_upload/1" do
+    test "stores the file once every chunk has arrived", %{user: user, entity: entity} do
+      {:ok, upload} = Attachments.start_upload(user.id, upload_attrs(entity))
+
+      assert {:ok, upload} = Attachments.append_upload(upload, 0, "hello ")
+      assert {:error, :incomplete} = Attachments.complete_upload(upload)
+      assert {:ok, upload} = Attachments.append_upload(upload, 6, "world")
+      assert Upload.complete?(upload)
+
+      assert {:ok, attachment} = Attachments.complete_upload(upload)
+      assert attachment.filename == "notes.txt"
+      assert attachment.entity_id == entity.id
+      assert attachment.size_bytes == 11
+      assert {:ok, "hello world"} = Attachments.get_file_content(attachment)
+      assert {:error, :not_found} = Attachments.get_upload(upload.id, user.id)
+
+      Attachments.delete_attachment(attachment)
+    end
+
+    test "refuses a chunk that doesn't start where the upload got to", %{user: user, entity: entity} do
+      {:ok, upload} = Attachments.start_upload(user.id, upload_attrs(entity))
+      {:ok, upload} = Attachments.append_upload(upload, 0, "hello ")
+
+      assert {:error, {:offset_mismatch, 6}} = Attachments.append_upload(upload, 0, "hello ")
+      assert {:ok, %Upload{offset: 6}} = Attachments.get_upload(upload.id, user.id)
+
+      Attachments.cancel_upload(upload)
+    end
+
+    test "refuses bytes past the end of the file", %{user: user, entity: entity} do
+      {:ok, upload} = Attachments.start_upload(user.id, upload_attrs(entity))
+
+      assert {:error, :too_large} = Attachments.append_upload(upload, 0, "hello world!")
+
+      Attachments.cancel_upload(upload)
+    end
+
+    test "writes a chunk sent twice at the same time once", %{user: user, entity: entity} do
+      {:ok, upload} = Attachments.start_upload(user.id, upload_attrs(entity))
+
+      results =
+        1..2
+        |> Enum.map(fn _ -> Task.async(fn -> Attachments.append_upload(upload, 0, "hello ") end) end)
+        |> Enum.map(&Task.await/1)
+
+      assert Enum.count(results, &match?({:ok, _upload}, &1)) == 1
+      assert {:error, {:offset_mismatch, 6}} in results
+      assert {:ok, %Upload{offset: 6}} = Attachments.get_upload(upload.id, user.id)
+
+      Attachments.cancel_upload(upload)
+    end
+  end
+
+  describe "clean_up_uploads/1" do
+    test "removes uploads left alone for a day", %{user: user, entity: entity} do
+      {:ok, abandoned} = Attachments.start_upload(user.id, upload_attrs(entity))
+      {:ok, active} = Attachments.start_upload(user.id, upload_attrs(entity))
+
+      two_days_ago = System.os_time(:second) - 2 * 24 * 60 * 60
+
+      for extension <- [".part", ".json"] do
+        File.touch!(Path.join([System.tmp_dir!(), "conezia_uploads", abandoned.id <> extension]), two_days_ago)
+      end
+
+      assert Attachments.clean_up_uploads() >= 1
+      assert {:error, :not_found} = Attachments.get_upload(abandoned.id, user.id)
+      assert {:ok, _upload} = Attachments.get_upload(active.id, user.id)
+
+      Attachments.cancel_upload(active)
+    end
+  end
+
+  describe "get_upload/2" do
+    test "doesn't find other users' uploads", %{user: user, entity: entity} do
+      {:ok, upload} = Attachments.start_upload(user.id, upload_attrs(entity))
+
+      assert {:error, :not_found} = Attachments.get_upload(upload.id, insert(:user).id)
+      assert {:error, :not_found} = Attachments.get_upload("../../etc/passwd", user.id)
+
+      Attachments.cancel_upload(upload)
+      assert {:error, :not_found} = Attachments.get_upload(upload.id, user.id)
+    end
+  end
+
+  describe "put_entity_avatar/2" do
+    test "points the connection at the stored photo", %{user: user, entity: entity} do
+      assert {:ok, entity} = Attachments.put_entity_avatar(entity, photo_upload("first"))
+      assert "/attachments/" <> id = entity.avatar_url
+
+      attachment = Attachments.get_attachment_for_user(id, user.id)
+      assert attachment.entity_id == entity.id
+      assert attachment.mime_type == "image/webp"
+
+      Attachments.delete_attachment(attachment)
+    end
+
+    test "deletes the photo it replaces", %{user: user, entity: entity} do
+      {:ok, entity} = Attachments.put_entity_avatar(entity, photo_upload("first"))
+      "/attachments/" <> first_id = entity.avatar_url
+
+      {:ok, entity} = Attachments.put_entity_avatar(entity, photo_upload("second"))
+      "/attachments/" <> second_id = entity.avatar_url
+
+      refute Attachments.get_attachment_for_user(first_id, user.id)
+      assert attachment = Attachments.get_attachment_for_user(second_id, user.id)
+
+      Attachments.delete_attachment(attachment)
+    end
+  end
+
+  describe "delete_avatar_attachment/1" do
+    test "leaves photos hosted elsewhere alone", %{entity: entity} do
+      assert :ok = Attachments.delete_avatar_attachment(%{entity | avatar_url: "https://example.com/me.jpg"})
+      assert :ok = Attachments.delete_avatar_attachment(%{entity | avatar_url: "/attachments/not-a-uuid"})
+    end
+  end
+end
@@ -0,0 +1,62 @@
+defmodule Conezia.ChangesTest do
+  use Conezia.DataCase, async: true
+
+  alias Conezia.{Changes, Entities, Events, Gifts, Reminders}
+
+  import Conezia.Factory
+
+  setup do
+    user = insert(:user)
+    Phoenix.PubSub.subscribe(Conezia.PubSub, Changes.topic(user.id))
+    {:ok, user: user}
+  end
+
+  test "creating, updating and deleting an entity is announced to its owner", %{user: user} do
+    {:ok, entity} = Entities.create_entity(%{type: "person", name: "Jane Doe", owner_id: user.id})
+    assert_receive {:change, %{resource: "entity", action: "created", id: id}}
+    assert id == entity.id
+
+    {:ok, entity} = Entities.update_entity(entity, %{name: "Jane Smith"})
+    assert_receive {:change, %{resource: "entity", action: "updated", id: ^id}}
+
+    {:ok, entity} = Entities.archive_entity(entity)
+    assert_receive {:change, %{resource: "entity", action: "updated", id: ^id}}
+
+    {:ok, _} = Entities.delete_entity(entity)
+    assert_receive {:change, %{resource: "entity", action: "deleted", id: ^id}}
+  end
+
+  test "completing and snoozing a reminder is announced", %{user: user} do
+    reminder = insert(:reminder, user: user, entity: build(:entity, owner: user))
+    id = reminder.id
+
+    {:ok, reminder} = Reminders.snooze_reminder_by_duration(reminder, "1_hour")
+    assert_receive {:change, %{resource: "reminder", action: "updated", id: ^id}}
+
+    {:ok, _} = Reminders.complete_reminder(reminder)
+    assert_receive {:change, %{resource: "reminder", action: "updated", id: ^id}}
+  end
+
+  test "gift and event changes are announced", %{user: user} do
+    gift = insert(:gift, user: user, entity: build(:entity, owner: user))
+    {:ok, _} = Gifts.update_gift_status(gift, "purchased")
+    gift_id = gift.id
+    assert_receive {:change, %{resource: "gift", action: "updated", id: ^gift_id}}
+
+    event = insert(:event, user: user)
+    {:ok, _} = Events.delete_event(event)
+    event_id = event.id
+    assert_receive {:change, %{resource: "event", action: "deleted", id: ^event_id}}
+  end
+
+  test "failed writes aren't announced", %{user: user} do
+    {:error, _changeset} = Entities.create_entity(%{owner_id: user.id})
+    refute_receive {:change, _}
+  end
+
+  test "other users' changes aren't announced" do
+    other_user = insert(:user)
+    {:ok, _} = Entities.create_entity(%{type: "person", name: "Jane Doe", owner_id: other_user.id})
+    refute_receive {:change, _}
+  end
+end
@@ -1372,6 +1372,66 @@ defmodule Conezia.EntitiesTest do
     end
   end
 
+  describe "vCard export" do
+    test "list_entities_for_export/2 preloads active identifiers, tags and custom fields" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user, name: "Ada Lovelace")
+      insert_encrypted_identifier(entity: entity, type: "email", value: "ada@example.com", is_primary: true)
+
+      {:ok, archived} =
+        Entities.create_identifier(%{entity_id: entity.id, type: "email", value: "old@example.com"})
+
+      {:ok, _} = Entities.archive_identifier(archived)
+      tag = insert(:tag, user: user, name: "vip")
+      {:ok, _} = Entities.add_tags_to_entity(entity, [tag.id])
+
+      {:ok, _} =
+        Entities.create_custom_field(%{entity_id: entity.id, field_type: "text", name: "Company", key: "company", value: "Engines"})
+
+      assert [exported] = Entities.list_entities_for_export(user.id)
+      assert Enum.map(exported.identifiers, & &1.value) == ["ada@example.com"]
+      assert Enum.map(exported.tags, & &1.name) == ["vip"]
+      assert [%{key: "company"}] = exported.custom_fields
+    end
+
+    test "list_entities_for_export/2 filters like the list" do
+      user = insert(:user)
+      ada = insert(:entity, owner: user, name: "Ada Lovelace")
+      insert(:entity, owner: user, name: "Analytical Engines", type: "organization")
+      insert(:entity, owner: user, name: "Archived Ada", archived_at: DateTime.utc_now())
+      insert(:entity, name: "Someone else's Ada")
+
+      assert ["Ada Lovelace", "Analytical Engines"] =
+               user.id |> Entities.list_entities_for_export() |> Enum.map(& &1.name)
+
+      assert ["Ada Lovelace"] =
+               user.id |> Entities.list_entities_for_export(search: "ada") |> Enum.map(& &1.name)
+
+      assert ["Analytical Engines"] =
+               user.id |> Entities.list_entities_for_export(type: "organization") |> Enum.map(& &1.name)
+
+      assert [%{id: id}] = Entities.list_entities_for_export(user.id, ids: [ada.id])
+      assert id == ada.id
+    end
+
+    test "list_entity_relationships_for_entities/2 returns relationships in either direction" do
+      user = insert(:user)
+      ada = insert(:entity, owner: user)
+      charles = insert(:entity, owner: user)
+      grace = insert(:entity, owner: user)
+
+      {:ok, _} =
+        Entities.create_entity_relationship(%{user_id: user.id, source_entity_id: charles.id, target_entity_id: ada.id, type: "colleague", subtype: "coworker"})
+
+      {:ok, _} =
+        Entities.create_entity_relationship(%{user_id: user.id, source_entity_id: charles.id, target_entity_id: grace.id, type: "friend"})
+
+      assert [relationship] = Entities.list_entity_relationships_for_entities([ada.id], user.id)
+      assert relationship.source_entity.id == charles.id
+      assert Entities.list_entity_relationships_for_entities([ada.id], insert(:user).id) == []
+    end
+  end
+
   describe "self entity" do
     test "create_self_entity/1 creates a self entity for a user" do
       user = insert(:user)
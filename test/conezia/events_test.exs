@@ -233,6 +233,20 @@ defmodule Conezia.EventsTest do
       assert length(events) == 1
     end
 
+    test "search matches % and _ literally" do
+      user = insert(:user)
+      insert(:event, user: user, title: "50% off sale")
+      insert(:event, user: user, title: "500 guests")
+      insert(:event, user: user, title: "Team_sync")
+      insert(:event, user: user, title: "Team sync")
+
+      {events, _meta} = Events.list_events(user.id, search: "50%")
+      assert Enum.map(events, & &1.title) == ["50% off sale"]
+
+      {events, _meta} = Events.list_events(user.id, search: "team_")
+      assert Enum.map(events, & &1.title) == ["Team_sync"]
+    end
+
     test "sorts by date descending" do
       user = insert(:user)
       early = insert(:event, user: user, starts_at: ~U[2026-01-01 00:00:00Z])
@@ -394,6 +408,75 @@ defmodule Conezia.EventsTest do
     end
   end
 
+  describe "list_events_for_export/2" do
+    test "returns one event or a connection's events with attendees preloaded" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user)
+      insert_encrypted_identifier(entity: entity, type: "email", value: "jane@example.com")
+      {:ok, linked} = Events.create_event(%{
+        title: "Dinner",
+        type: "dinner",
+        starts_at: ~U[2026-02-10 18:00:00Z],
+        user_id: user.id,
+        entity_ids: [entity.id]
+      })
+      other = insert(:event, user: user)
+
+      assert [event] = Events.list_events_for_export(user.id, entity_id: entity.id)
+      assert event.id == linked.id
+      assert [%{identifiers: [_identifier]}] = event.entities
+
+      assert [%{id: id}] = Events.list_events_for_export(user.id, ids: [other.id])
+      assert id == other.id
+    end
+  end
+
+  describe "existing_ics_uids/2" do
+    test "finds UIDs of imported, exported and synced events" do
+      user = insert(:user)
+      exported = insert(:event, user: user)
+      insert(:event, user: user, sync_metadata: %{"ics_uid" => "imported@example.com"})
+      insert(:event, user: user, external_id: "synced-uid")
+      insert(:event, user: insert(:user), sync_metadata: %{"ics_uid" => "theirs@example.com"})
+
+      uids = ["#{exported.id}@conezia", "imported@example.com", "synced-uid", "theirs@example.com", "new@example.com"]
+
+      assert Events.existing_ics_uids(user.id, uids) ==
+               ["#{exported.id}@conezia", "imported@example.com", "synced-uid"]
+    end
+
+    test "uses the import UID when exporting an imported event" do
+      event = insert(:event, sync_metadata: %{"ics_uid" => "imported@example.com"})
+      assert Events.ics_uid(event) == "imported@example.com"
+      assert Events.ics_uid(insert(:event)) =~ ~r/@conezia$/
+    end
+  end
+
+  describe "list_events_between/4" do
+    test "returns events that overlap the period" do
+      user = insert(:user)
+      inside = insert(:event, user: user, starts_at: ~U[2026-02-10 10:00:00Z])
+      spanning = insert(:event, user: user, starts_at: ~U[2026-01-28 00:00:00Z], ends_at: ~U[2026-02-03 00:00:00Z])
+      insert(:event, user: user, starts_at: ~U[2026-01-20 10:00:00Z])
+      insert(:event, user: user, starts_at: ~U[2026-03-01 00:00:00Z])
+      insert(:event, user: insert(:user), starts_at: ~U[2026-02-10 10:00:00Z])
+
+      events = Events.list_events_between(user.id, ~U[2026-02-01 00:00:00Z], ~U[2026-03-01 00:00:00Z])
+
+      assert Enum.map(events, & &1.id) == [spanning.id, inside.id]
+    end
+
+    test "filters by type" do
+      user = insert(:user)
+      meeting = insert(:event, user: user, type: "meeting", starts_at: ~U[2026-02-10 10:00:00Z])
+      insert(:event, user: user, type: "dinner", starts_at: ~U[2026-02-10 18:00:00Z])
+
+      events = Events.list_events_between(user.id, ~U[2026-02-01 00:00:00Z], ~U[2026-03-01 00:00:00Z], type: "meeting")
+
+      assert Enum.map(events, & &1.id) == [meeting.id]
+    end
+  end
+
   describe "count_events/2" do
     test "counts all events for user" do
       user = insert(:user)
@@ -546,6 +629,69 @@ defmodule Conezia.EventsTest do
     end
   end
 
+  describe "list_event_locations/2" do
+    test "lists the user's events that have coordinates" do
+      user = insert(:user)
+      event = insert(:event, user: user, location: "Cafe", latitude: 52.52, longitude: 13.40)
+      insert(:event, user: user, location: "Somewhere")
+      insert(:event, location: "Elsewhere", latitude: 48.85, longitude: 2.35)
+
+      assert [%{id: id, title: title, location: "Cafe", latitude: 52.52, longitude: 13.40}] =
+               Events.list_event_locations(user.id)
+
+      assert id == event.id
+      assert title == event.title
+    end
+
+    test "applies the list filters" do
+      user = insert(:user)
+      past = DateTime.add(DateTime.utc_now(), -30 * 86400, :second)
+      insert(:event, user: user, type: "dinner", latitude: 52.52, longitude: 13.40)
+      insert(:event, user: user, type: "meeting", latitude: 52.52, longitude: 13.40)
+      insert(:event, user: user, type: "dinner", starts_at: past, latitude: 52.52, longitude: 13.40)
+
+      assert length(Events.list_event_locations(user.id, type: "dinner")) == 1
+      assert length(Events.list_event_locations(user.id, type: "dinner", time_filter: "all")) == 2
+    end
+  end
+
+  describe "list_entity_locations/2" do
+    test "places each connection at its latest event with coordinates" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user, name: "Ada")
+      earlier = insert(:event, user: user, location: "Old place", latitude: 1.0, longitude: 1.0)
+
+      later =
+        insert(:event,
+          user: user,
+          location: "New place",
+          latitude: 2.0,
+          longitude: 2.0,
+          starts_at: DateTime.add(DateTime.utc_now(), 7 * 86400, :second)
+        )
+
+      Events.add_entity_to_event(earlier.id, entity.id)
+      Events.add_entity_to_event(later.id, entity.id)
+
+      assert [%{id: id, name: "Ada", location: "New place", latitude: 2.0}] = Events.list_entity_locations(user.id)
+      assert id == entity.id
+    end
+
+    test "leaves out archived connections and filters by type and name" do
+      user = insert(:user)
+      event = insert(:event, user: user, location: "Office", latitude: 1.0, longitude: 1.0)
+      person = insert(:entity, owner: user, name: "Grace")
+      org = insert(:entity, owner: user, name: "Acme", type: "organization")
+      archived = insert(:entity, owner: user, name: "Gone", archived_at: DateTime.utc_now())
+
+      for entity <- [person, org, archived], do: Events.add_entity_to_event(event.id, entity.id)
+
+      assert user.id |> Events.list_entity_locations() |> Enum.map(& &1.name) |> Enum.sort() == ["Acme", "Grace"]
+      assert [%{name: "Acme"}] = Events.list_entity_locations(user.id, type: "organization")
+      assert [%{name: "Grace"}] = Events.list_entity_locations(user.id, search: "gra")
+    end
+  end
+
   describe "get_event_for_user/2" do
     test "returns event for correct user" do
       user = insert(:user)
@@ -0,0 +1,182 @@
+defmodule Conezia.Imports.ContactImportTest do
+  use Conezia.DataCase, async: true
+
+  alias Conezia.Imports
+  alias Conezia.Repo
+  alias Conezia.Validators.ImportValidator
+
+  import Conezia.Factory
+
+  defp contact_row(attrs \\ %{}) do
+    Map.merge(
+      %{
+        "name" => "Ada Lovelace",
+        "type" => "person",
+        "description" => "Met at the engine demo",
+        "identifiers" => [
+          %{"type" => "email", "value" => "Ada@Example.com", "label" => "work"},
+          %{"type" => "email", "value" => "ada@home.org", "label" => "home"},
+          %{"type" => "phone", "value" => "+442079460958", "label" => nil}
+        ],
+        "custom_fields" => [%{"name" => "Organization", "value" => "Analytical Engines"}]
+      },
+      attrs
+    )
+  end
+
+  describe "validate_contact_row/2" do
+    test "returns no errors for a valid row" do
+      user = insert(:user)
+
+      assert Imports.validate_contact_row(user.id, contact_row()) == []
+    end
+
+    test "names problems after the field or identifier type" do
+      user = insert(:user)
+
+      row =
+        contact_row(%{
+          "name" => "  ",
+          "identifiers" => [%{"type" => "phone", "value" => "555 0100"}]
+        })
+
+      errors = Imports.validate_contact_row(user.id, row)
+
+      assert "name: can't be blank" in errors
+      assert "phone: must be in E.164 format (e.g., +12025551234)" in errors
+    end
+
+    test "does not save anything" do
+      user = insert(:user)
+
+      Imports.validate_contact_row(user.id, contact_row())
+
+      assert Conezia.Entities.count_entities(user.id) == 0
+    end
+  end
+
+  describe "import_contact_row/3" do
+    test "creates the connection with its identifiers and custom fields" do
+      user = insert(:user)
+
+      assert {:ok, entity} = Imports.import_contact_row(user.id, contact_row(), "vcard")
+
+      entity = Repo.preload(entity, [:identifiers, :custom_fields])
+      assert entity.name == "Ada Lovelace"
+      assert entity.owner_id == user.id
+      assert entity.metadata["sources"] == ["vcard"]
+
+      emails = entity.identifiers |> Enum.filter(&(&1.type == "email")) |> Enum.sort_by(& &1.is_primary, :desc)
+      assert [%{is_primary: true, label: "work"}, %{is_primary: false, label: "home"}] = emails
+      assert [%{key: "organization", field_type: "text"}] = entity.custom_fields
+    end
+
+    test "uses the predefined key for custom fields named like one" do
+      user = insert(:user)
+
+      row =
+        contact_row(%{
+          "custom_fields" => [
+            %{"name" => "Company", "value" => "Analytical Engines"},
+            %{"name" => "Job title", "value" => "Mathematician"},
+            %{"name" => "Favourite Book", "value" => "Sybil"}
+          ]
+        })
+
+      assert {:ok, entity} = Imports.import_contact_row(user.id, row, "csv")
+
+      fields = Repo.preload(entity, :custom_fields).custom_fields |> Enum.map(&{&1.key, &1.name}) |> Enum.sort()
+      assert fields == [{"company", "Company"}, {"favourite_book", "Favourite Book"}, {"job_title", "Job title"}]
+    end
+
+    test "creates nothing when an identifier is invalid" do
+      user = insert(:user)
+      row = contact_row(%{"identifiers" => [%{"type" => "email", "value" => "not-an-email"}]})
+
+      assert {:error, ["email: must be a valid email address"]} =
+               Imports.import_contact_row(user.id, row, "csv")
+
+      assert Conezia.Entities.count_entities(user.id) == 0
+    end
+
+    test "defaults the type to person and drops repeated identifiers" do
+      user = insert(:user)
+
+      row =
+        contact_row(%{
+          "type" => nil,
+          "identifiers" => [
+            %{"type" => "email", "value" => "ada@example.com"},
+            %{"type" => "email", "value" => "ADA@example.com"}
+          ]
+        })
+
+      assert {:ok, entity} = Imports.import_contact_row(user.id, row, "csv")
+      assert entity.type == "person"
+      assert length(Repo.preload(entity, :identifiers).identifiers) == 1
+    end
+  end
+
+  describe "valid_contact_details/1" do
+    test "keeps the details that would save and explains the rest" do
+      row =
+        contact_row(%{
+          "identifiers" => [
+            %{"type" => "email", "value" => "ada@example.com"},
+            %{"type" => "phone", "value" => "020 7946 0958"}
+          ]
+        })
+
+      assert {details, ["phone: must be in E.164 format (e.g., +12025551234)"]} =
+               Imports.valid_contact_details(row)
+
+      assert [%{"type" => "email", "value" => "ada@example.com"}] = details["identifiers"]
+      assert [%{"name" => "Organization"}] = details["custom_fields"]
+    end
+  end
+
+  describe "add_contact_details/2" do
+    test "adds identifiers and custom fields to an existing connection" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user)
+
+      assert {:ok, _entity} = Imports.add_contact_details(entity, contact_row())
+
+      entity = Repo.preload(entity, [:identifiers, :custom_fields])
+      assert length(entity.identifiers) == 3
+      assert length(entity.custom_fields) == 1
+    end
+  end
+
+  describe "duplicate_contact?/2" do
+    test "matches an existing email or phone" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user)
+      insert_encrypted_identifier(entity: entity, type: "email", value: "ada@example.com")
+
+      assert Imports.duplicate_contact?(user.id, contact_row())
+      refute Imports.duplicate_contact?(user.id, contact_row(%{"identifiers" => []}))
+    end
+
+    test "ignores other users' connections" do
+      user = insert(:user)
+      entity = insert(:entity)
+      insert_encrypted_identifier(entity: entity, type: "email", value: "ada@example.com")
+
+      refute Imports.duplicate_contact?(user.id, contact_row())
+    end
+  end
+
+  describe "ImportValidator" do
+    test "accepts first and last name columns in place of a name" do
+      assert ImportValidator.validate_field_mapping(%{"0" => "first_name", "1" => "email"}, "csv") == :ok
+      assert {:error, _} = ImportValidator.validate_field_mapping(%{"0" => "email"}, "csv")
+    end
+
+    test "limits the number of records" do
+      assert ImportValidator.validate_record_count(1) == :ok
+      assert {:error, _} = ImportValidator.validate_record_count(0)
+      assert {:error, _} = ImportValidator.validate_record_count(ImportValidator.max_records_per_import() + 1)
+    end
+  end
+end
@@ -104,4 +104,65 @@ defmodule Conezia.InteractionsTest do
       assert is_nil(Interactions.get_last_event_for_entity(entity.id, user2.id))
     end
   end
+
+  defp mentioned_ids(interaction) do
+    interaction
+    |> Conezia.Repo.preload(:mentioned_entities, force: true)
+    |> Map.fetch!(:mentioned_entities)
+    |> Enum.map(& &1.id)
+  end
+
+  describe "mentions" do
+    setup do
+      user = insert(:user)
+      entity = insert(:entity, owner: user)
+      mentioned = insert(:entity, owner: user, name: "Ana Diaz")
+      {:ok, user: user, entity: entity, mentioned: mentioned}
+    end
+
+    test "create_interaction/1 links the connections the notes mention", ctx do
+      other_users_entity = insert(:entity)
+
+      {:ok, interaction} =
+        Interactions.create_interaction(%{
+          user_id: ctx.user.id,
+          entity_id: ctx.entity.id,
+          type: "meeting",
+          content:
+            "Lunch with [@Ana](/connections/#{ctx.mentioned.id}) and " <>
+              "[@Someone](/connections/#{other_users_entity.id})"
+        })
+
+      assert mentioned_ids(interaction) == [ctx.mentioned.id]
+    end
+
+    test "update_interaction/2 follows the notes", ctx do
+      interaction = insert(:interaction, user: ctx.user, entity: ctx.entity)
+
+      {:ok, interaction} =
+        Interactions.update_interaction(interaction, %{content: "Call [@Ana](/connections/#{ctx.mentioned.id})"})
+
+      assert mentioned_ids(interaction) == [ctx.mentioned.id]
+
+      {:ok, interaction} = Interactions.update_interaction(interaction, %{content: "Just us"})
+      assert mentioned_ids(interaction) == []
+    end
+
+    test "list_interactions/2 includes mentions when asked", ctx do
+      {:ok, interaction} =
+        Interactions.create_interaction(%{
+          user_id: ctx.user.id,
+          entity_id: ctx.entity.id,
+          type: "call",
+          content: "Asked about [@Ana](/connections/#{ctx.mentioned.id})"
+        })
+
+      assert Interactions.list_interactions(ctx.user.id, entity_id: ctx.mentioned.id) == []
+
+      assert [%{id: id}] =
+               Interactions.list_interactions(ctx.user.id, entity_id: ctx.mentioned.id, include_mentions: true)
+
+      assert id == interaction.id
+    end
+  end
 end
@@ -0,0 +1,116 @@
+defmodule Conezia.NotificationsTest do
+  use Conezia.DataCase, async: true
+
+  alias Conezia.Notifications
+  alias Conezia.Notifications.PushSubscription
+
+  import Conezia.Factory
+
+  @subscription %{
+    "endpoint" => "https://push.example.com/send/abc123",
+    "keys" => %{"p256dh" => "BPublicKey", "auth" => "AuthSecret"}
+  }
+
+  describe "push subscriptions" do
+    test "subscribe_push/3 saves the subscription" do
+      user = insert(:user)
+
+      assert {:ok, %PushSubscription{} = subscription} =
+               Notifications.subscribe_push(user.id, @subscription, "Firefox")
+
+      assert subscription.endpoint == @subscription["endpoint"]
+      assert subscription.p256dh == "BPublicKey"
+      assert subscription.auth == "AuthSecret"
+      assert subscription.user_agent == "Firefox"
+    end
+
+    test "subscribe_push/3 replaces the keys of a known endpoint" do
+      user = insert(:user)
+      {:ok, _} = Notifications.subscribe_push(user.id, @subscription)
+
+      updated = put_in(@subscription, ["keys", "auth"], "NewSecret")
+      {:ok, _} = Notifications.subscribe_push(user.id, updated)
+
+      assert [%PushSubscription{auth: "NewSecret"}] = Notifications.list_push_subscriptions(user.id)
+    end
+
+    test "subscribe_push/3 rejects a subscription without keys" do
+      user = insert(:user)
+
+      assert {:error, changeset} =
+               Notifications.subscribe_push(user.id, %{"endpoint" => @subscription["endpoint"]})
+
+      assert "can't be blank" in errors_on(changeset).p256dh
+    end
+
+    test "unsubscribe_push/2 only removes the user's own subscription" do
+      user = insert(:user)
+      other_user = insert(:user)
+      {:ok, _} = Notifications.subscribe_push(user.id, @subscription)
+
+      :ok = Notifications.unsubscribe_push(other_user.id, @subscription["endpoint"])
+      assert length(Notifications.list_push_subscriptions(user.id)) == 1
+
+      :ok = Notifications.unsubscribe_push(user.id, @subscription["endpoint"])
+      assert Notifications.list_push_subscriptions(user.id) == []
+    end
+  end
+
+  describe "due reminders" do
+    test "broadcast_reminder_due/1 notifies the user's topic" do
+      user = insert(:user)
+      reminder = insert(:reminder, user: user, entity: build(:entity, owner: user))
+      Phoenix.PubSub.subscribe(Conezia.PubSub, Notifications.topic(user.id))
+
+      Notifications.broadcast_reminder_due(reminder)
+
+      assert_receive {:reminder_due, %{type: "reminder_due", tag: tag, title: title}}
+      assert tag == "reminder-#{reminder.id}"
+      assert title == reminder.title
+    end
+
+    test "push_reminder_due/1 delivers to each subscription" do
+      user = insert(:user)
+      reminder = insert(:reminder, user: user, entity: build(:entity, owner: user))
+      {:ok, _} = Notifications.subscribe_push(user.id, @subscription)
+      Phoenix.PubSub.subscribe(Conezia.PubSub, Notifications.topic(user.id))
+
+      assert :ok = Notifications.push_reminder_due(reminder)
+
+      endpoint = @subscription["endpoint"]
+      assert_receive {:local_push, ^endpoint, %{reminder_id: reminder_id}}
+      assert reminder_id == reminder.id
+    end
+
+    test "push_reminder_due/1 respects the user's push preference" do
+      user = insert(:user, notification_preferences: %{"email" => true, "push" => false, "in_app" => true})
+      reminder = insert(:reminder, user: user, entity: build(:entity, owner: user))
+      {:ok, _} = Notifications.subscribe_push(user.id, @subscription)
+      Phoenix.PubSub.subscribe(Conezia.PubSub, Notifications.topic(user.id))
+
+      assert :ok = Notifications.push_reminder_due(reminder)
+
+      refute_receive {:local_push, _, _}
+    end
+  end
+
+  describe "action tokens" do
+    test "verify_action_token/1 accepts a token from reminder_payload/1" do
+      user = insert(:user)
+      reminder = insert(:reminder, user: user, entity: build(:entity, owner: user))
+
+      %{token: token} = Notifications.reminder_payload(reminder)
+
+      assert {:ok, %{"reminder_id" => reminder_id, "user_id" => user_id}} =
+               Notifications.verify_action_token(token)
+
+      assert reminder_id == reminder.id
+      assert user_id == user.id
+    end
+
+    test "verify_action_token/1 rejects anything else" do
+      assert {:error, _} = Notifications.verify_action_token("not-a-token")
+      assert {:error, :invalid} = Notifications.verify_action_token(nil)
+    end
+  end
+end
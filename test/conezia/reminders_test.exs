@@ -124,5 +124,47 @@ defmodule Conezia.RemindersTest do
       reminders = Reminders.list_due_reminders()
       assert length(reminders) == 1
     end
+
+    test "list_reminders_to_notify/1 returns due reminders that weren't announced yet" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user)
+      now = DateTime.utc_now()
+      past_due = DateTime.add(now, -3600, :second)
+
+      due = insert(:reminder, user: user, entity: entity, due_at: past_due)
+      insert(:reminder, user: user, entity: entity, due_at: past_due, notified_at: now)
+      insert(:reminder, user: user, entity: entity, due_at: past_due, completed_at: now)
+      insert(:reminder, user: user, entity: entity, due_at: past_due, snoozed_until: DateTime.add(now, 3600, :second))
+      insert(:reminder, user: user, entity: entity, due_at: DateTime.add(now, 86400, :second))
+
+      assert [%Reminder{id: id}] = Reminders.list_reminders_to_notify(now)
+      assert id == due.id
+    end
+
+    test "mark_notified/2 marks a reminder once" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user)
+      reminder = insert(:reminder, user: user, entity: entity, due_at: DateTime.add(DateTime.utc_now(), -60, :second))
+
+      assert :ok = Reminders.mark_notified(reminder)
+      assert {:error, :already_notified} = Reminders.mark_notified(reminder)
+      assert Reminders.list_reminders_to_notify() == []
+    end
+
+    test "snoozing or rescheduling a notified reminder announces it again" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user)
+      now = DateTime.utc_now()
+      reminder = insert(:reminder, user: user, entity: entity, due_at: DateTime.add(now, -60, :second), notified_at: now)
+
+      assert {:ok, snoozed} = Reminders.snooze_reminder_by_duration(reminder, "1_hour")
+      assert is_nil(snoozed.notified_at)
+
+      assert {:ok, notified} = Reminders.update_reminder(reminder, %{title: "Renamed"})
+      assert notified.notified_at
+
+      assert {:ok, moved} = Reminders.update_reminder(reminder, %{due_at: DateTime.add(now, 86400, :second)})
+      assert is_nil(moved.notified_at)
+    end
   end
 end
@@ -0,0 +1,88 @@
+defmodule ConeziaWeb.AttachmentUploadControllerTest do
+  use ConeziaWeb.ConnCase, async: true
+
+  import Conezia.Factory
+
+  alias Conezia.Attachments
+
+  setup %{conn: conn} do
+    user = insert(:user)
+    entity = insert(:entity, owner: user)
+    token = Conezia.Accounts.generate_user_session_token(user)
+    conn = init_test_session(conn, %{user_token: token})
+    {:ok, conn: conn, user: user, entity: entity}
+  end
+
+  defp start_upload(conn, entity) do
+    conn
+    |> post("/attachments/uploads", %{
+      entity_id: entity.id,
+      filename: "notes.txt",
+      mime_type: "text/plain",
+      size_bytes: 11
+    })
+    |> json_response(201)
+  end
+
+  defp send_chunk(conn, id, offset, data) do
+    conn
+    |> put_req_header("content-type", "application/offset+octet-stream")
+    |> put_req_header("upload-offset", Integer.to_string(offset))
+    |> patch("/attachments/uploads/#{id}", data)
+  end
+
+  describe "resumable uploads" do
+    test "creates the attachment with the last chunk", %{conn: conn, entity: entity} do
+      assert %{"id" => id, "offset" => 0} = start_upload(conn, entity)
+
+      assert %{"offset" => 6} = conn |> send_chunk(id, 0, "hello ") |> json_response(200)
+      assert %{"offset" => 6} = conn |> get("/attachments/uploads/#{id}") |> json_response(200)
+
+      assert %{"attachment" => %{"id" => attachment_id, "url" => url}} =
+               conn |> send_chunk(id, 6, "world") |> json_response(201)
+
+      response = get(conn, url)
+      assert response(response, 200) == "hello world"
+      assert ["text/plain" <> _] = get_resp_header(response, "content-type")
+
+      Attachments.delete_attachment(Attachments.get_attachment!(attachment_id))
+    end
+
+    test "says where to resume from when a chunk is sent twice", %{conn: conn, entity: entity} do
+      %{"id" => id} = start_upload(conn, entity)
+      send_chunk(conn, id, 0, "hello ")
+
+      assert %{"offset" => 6} = conn |> send_chunk(id, 0, "hello ") |> json_response(409)
+
+      delete(conn, "/attachments/uploads/#{id}")
+    end
+
+    test "explains why a file is refused", %{conn: conn, entity: entity} do
+      conn =
+        post(conn, "/attachments/uploads", %{
+          entity_id: entity.id,
+          filename: "notes.exe",
+          mime_type: "text/plain",
+          size_bytes: 11
+        })
+
+      assert %{"errors" => ["filename: extension does not match mime type text/plain"]} =
+               json_response(conn, 422)
+    end
+
+    test "cancels an upload", %{conn: conn, entity: entity} do
+      %{"id" => id} = start_upload(conn, entity)
+
+      assert conn |> delete("/attachments/uploads/#{id}") |> response(204)
+      assert conn |> get("/attachments/uploads/#{id}") |> json_response(404)
+    end
+  end
+
+  describe "GET /attachments/:id" do
+    test "doesn't serve other users' attachments", %{conn: conn} do
+      attachment = insert(:attachment, entity: insert(:entity))
+
+      assert conn |> get("/attachments/#{attachment.id}") |> response(404)
+    end
+  end
+end
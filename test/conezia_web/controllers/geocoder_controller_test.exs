@@ -0,0 +1,60 @@
+defmodule ConeziaWeb.GeocoderControllerTest do
+  use ConeziaWeb.ConnCase, async: true
+
+  import Conezia.Factory
+
+  setup %{conn: conn} do
+    user = insert(:user)
+    token = Conezia.Accounts.generate_user_session_token(user)
+    conn = init_test_session(conn, %{user_token: token})
+    {:ok, conn: conn, user: user}
+  end
+
+  describe "GET /geocoder/search" do
+    test "finds places saved on the user's events", %{conn: conn, user: user} do
+      insert(:event,
+        user: user,
+        location: "Brandenburg Gate, Berlin",
+        place_id: "abc123",
+        latitude: 52.5163,
+        longitude: 13.3777
+      )
+
+      insert(:event, user: user, location: "Somewhere without coordinates")
+
+      conn = get(conn, "/geocoder/search", q: "brandenburg")
+
+      assert [%{"display_name" => "Brandenburg Gate, Berlin", "place_id" => "abc123", "lat" => lat, "lon" => lon}] =
+               json_response(conn, 200)
+
+      assert lat == "52.5163"
+      assert lon == "13.3777"
+    end
+
+    test "doesn't return other users' places", %{conn: conn} do
+      insert(:event, user: insert(:user), location: "Brandenburg Gate", latitude: 52.5163, longitude: 13.3777)
+
+      conn = get(conn, "/geocoder/search", q: "brandenburg")
+      assert json_response(conn, 200) == []
+    end
+  end
+
+  describe "GET /geocoder/reverse" do
+    test "returns the nearest saved place", %{conn: conn, user: user} do
+      insert(:event, user: user, location: "Brandenburg Gate", latitude: 52.5163, longitude: 13.3777)
+
+      conn = get(conn, "/geocoder/reverse", lat: "52.5164", lon: "13.3779")
+      assert %{"display_name" => "Brandenburg Gate"} = json_response(conn, 200)
+    end
+
+    test "reports places it doesn't know like Nominatim does", %{conn: conn} do
+      conn = get(conn, "/geocoder/reverse", lat: "0", lon: "0")
+      assert %{"error" => "Unable to geocode"} = json_response(conn, 200)
+    end
+  end
+
+  test "requires a signed-in user" do
+    conn = get(build_conn(), "/geocoder/search", q: "brandenburg")
+    assert redirected_to(conn) == "/login"
+  end
+end
@@ -0,0 +1,46 @@
+defmodule ConeziaWeb.EntityLive.VcardTest do
+  use Conezia.DataCase, async: true
+
+  import Conezia.Factory
+
+  alias Conezia.Imports
+  alias ConeziaWeb.EntityLive.Vcard
+
+  @identifiers [
+    {"email", "ada@example.com"},
+    {"phone", "+442079460958"},
+    {"website", "https://ada.example.com"},
+    {"social_handle", "@ada"},
+    {"ssn", "123-45-6789"},
+    {"government_id", "AB123456"},
+    {"account_number", "GB29NWBK60161331926819"}
+  ]
+
+  describe "export/2" do
+    test "exports every identifier type and imports each one back" do
+      user = insert(:user)
+      entity = insert(:entity, owner: user, name: "Ada Lovelace")
+
+      for {type, value} <- @identifiers do
+        insert_encrypted_identifier(entity: entity, type: type, value: value)
+      end
+
+      assert [contact] = Vcard.export(user.id, ids: [entity.id])
+      exported = contact.identifiers |> Enum.map(&{&1.type, &1.value}) |> Enum.sort()
+      assert exported == Enum.sort(@identifiers)
+
+      # The row lib/contacts.js reads out of the exported card
+      row = %{
+        "name" => contact.name,
+        "type" => "person",
+        "identifiers" => Enum.map(contact.identifiers, &%{"type" => &1.type, "value" => &1.value, "label" => &1.label}),
+        "custom_fields" => []
+      }
+
+      other_user = insert(:user)
+      assert {:ok, imported} = Imports.import_contact_row(other_user.id, row, "vcard")
+      assert [contact] = Vcard.export(other_user.id, ids: [imported.id])
+      assert contact.identifiers |> Enum.map(&{&1.type, &1.value}) |> Enum.sort() == exported
+    end
+  end
+end
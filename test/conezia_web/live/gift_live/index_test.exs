@@ -0,0 +1,36 @@
+defmodule ConeziaWeb.GiftLive.IndexTest do
+  use ConeziaWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+  import Conezia.Factory
+
+  setup %{conn: conn} do
+    user = insert(:user)
+    entity = insert(:entity, owner: user)
+    token = Conezia.Accounts.generate_user_session_token(user)
+    conn = init_test_session(conn, %{user_token: token})
+    {:ok, conn: conn, user: user, entity: entity}
+  end
+
+  describe "live changes" do
+    test "only shows gifts that match the status filter", %{conn: conn, user: user, entity: entity} do
+      {:ok, view, _html} = live(conn, ~p"/gifts")
+
+      view
+      |> element("form[phx-change='filter_status']")
+      |> render_change(%{"status" => "purchased"})
+
+      idea = insert(:gift, user: user, entity: entity, status: "idea")
+      send(view.pid, {:live_change, "gift", "created", idea.id})
+      refute has_element?(view, "#gifts-#{idea.id}")
+
+      purchased = insert(:gift, user: user, entity: entity, status: "purchased")
+      send(view.pid, {:live_change, "gift", "created", purchased.id})
+      assert has_element?(view, "#gifts-#{purchased.id}")
+
+      Conezia.Repo.update!(Ecto.Changeset.change(purchased, status: "given"))
+      send(view.pid, {:live_change, "gift", "updated", purchased.id})
+      refute has_element?(view, "#gifts-#{purchased.id}")
+    end
+  end
+end
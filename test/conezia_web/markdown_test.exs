@@ -0,0 +1,37 @@
+defmodule ConeziaWeb.MarkdownTest do
+  use ExUnit.Case, async: true
+
+  alias ConeziaWeb.Markdown
+
+  defp render(text), do: text |> Markdown.to_html() |> Phoenix.HTML.safe_to_string()
+
+  describe "to_html/1" do
+    test "renders emphasis, lists and paragraphs" do
+      assert render("**Lunch** was *fun*\nsecond line\n\n- one\n- two\n\n1. first") ==
+               "<p><strong>Lunch</strong> was <em>fun</em><br>second line</p>" <>
+                 ~s(<ul class="list-disc pl-5"><li>one</li><li>two</li></ul>) <>
+                 ~s(<ol class="list-decimal pl-5"><li>first</li></ol>)
+    end
+
+    test "links mentions to the connection" do
+      id = Ecto.UUID.generate()
+      html = render("Met [@Ana Diaz](/connections/#{id})")
+
+      assert html =~ ~s(<a href="/connections/#{id}")
+      assert html =~ ">@Ana Diaz</a>"
+    end
+
+    test "marks tags" do
+      assert render("#work stuff") =~ ~s(>#work</span> stuff)
+      assert render("snake_case and issue a#b") == "<p>snake_case and issue a#b</p>"
+    end
+
+    test "escapes HTML and refuses unsafe links" do
+      assert render("<script>alert(1)</script>") == "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>"
+      assert render("[click](javascript:alert(1))") == "<p>click</p>"
+      assert render("[wiki](https://en.wikipedia.org/wiki/Ada_(programming_language))") =~
+               ~s(href="https://en.wikipedia.org/wiki/Ada_(programming_language)")
+      assert render(~s([x](https://example.com/"onmouseover=x))) =~ ~s(href="https://example.com/&quot;onmouseover=x")
+    end
+  end
+end